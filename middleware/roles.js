@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+
+/**
+ * Per-tournament roles and the signed tokens that carry them.
+ *
+ *   organiser - runs the tournament: everything, including issuing tokens
+ *   referee   - scores matches: results, live scoring, strings and extras
+ *   captain   - a team's captain (token names the team): lineups
+ *   viewer    - read-only; reads are public, so it grants no writes
+ *
+ * The organiser exchanges the tournament passphrase for a token
+ * (POST /:id/verify-passphrase) and can issue tokens for the other roles
+ * (POST /:id/tokens). Clients send it as `Authorization: Bearer <token>`.
+ * Tokens are HMAC-SHA256 signed (JWT format) with TOKEN_SECRET and expire;
+ * without TOKEN_SECRET a random secret is used, so tokens end with the process.
+ *
+ * requireRole also accepts the tournament passphrase in the body (organiser)
+ * and the admin password as the Bearer token (organiser of every tournament).
+ */
+const ROLES = ['organiser', 'referee', 'captain', 'viewer'];
+const DEFAULT_TOKEN_HOURS = 8;
+const MAX_TOKEN_HOURS = 72;
+
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+const secret = () => process.env.TOKEN_SECRET || fallbackSecret;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+const TOKEN_HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+/**
+ * Sign a token for a role in one tournament
+ * @param {object} claims
+ * @param {string} claims.tournamentId
+ * @param {string} claims.role - one of ROLES
+ * @param {string} [claims.participantId] - the captain's team
+ * @param {number} [claims.hours] - lifetime, DEFAULT_TOKEN_HOURS if unset
+ * @returns {{ token: string, expires_at: Date }}
+ */
+function issueToken({ tournamentId, role, participantId, hours = DEFAULT_TOKEN_HOURS }) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + Math.round(Math.min(hours, MAX_TOKEN_HOURS) * 3600);
+  const payload = base64url(
+    JSON.stringify({
+      tid: tournamentId.toString(),
+      role,
+      ...(participantId && { pid: participantId.toString() }),
+      iat: issuedAt,
+      exp: expiresAt,
+    })
+  );
+  return { token: `${TOKEN_HEADER}.${payload}.${sign(`${TOKEN_HEADER}.${payload}`)}`, expires_at: new Date(expiresAt * 1000) };
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token
+ * @returns {{ tournamentId, role, participantId }|null} null if invalid or expired
+ */
+function verifyToken(token) {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  if (!ROLES.includes(claims.role) || !(claims.exp > Date.now() / 1000)) return null;
+  return { tournamentId: claims.tid, role: claims.role, participantId: claims.pid || null };
+}
+
+// Tokens have three dot-separated parts; the admin password is anything else
+const looksLikeToken = (value) => value.split('.').length === 3;
+
+/**
+ * Middleware factory: only let through requests made with one of `roles` in
+ * the tournament named by :id or :tournamentId. Any credential that is sent
+ * must be valid: a wrong passphrase is refused even alongside a good token.
+ *
+ * Sets req.role, req.participantId (captains) and req.credential
+ * ('passphrase', 'token' or 'admin', for the audit log).
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  const tournamentId = req.params.id || req.params.tournamentId;
+  const authHeader = req.headers.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  // A malformed id names no tournament (and would fail the lookup with a CastError)
+  if (!mongoose.isValidObjectId(tournamentId)) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  try {
+    if (req.body && req.body.passphrase) {
+      const tournament = await Tournament.findById(tournamentId).select('passphrase');
+      if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+      const valid = tournament.passphrase && (await bcrypt.compare(req.body.passphrase, tournament.passphrase));
+      if (!valid) return res.status(401).json({ error: 'Invalid passphrase' });
+      Object.assign(req, { role: 'organiser', participantId: null, credential: 'passphrase' });
+    } else if (bearer && looksLikeToken(bearer)) {
+      const claims = verifyToken(bearer);
+      if (!claims || claims.tournamentId !== tournamentId) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+      Object.assign(req, { role: claims.role, participantId: claims.participantId, credential: 'token' });
+    } else if (bearer) {
+      const hash = process.env.ADMIN_PASSWORD_HASH;
+      if (!hash || !(await bcrypt.compare(bearer, hash))) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      Object.assign(req, { role: 'organiser', participantId: null, credential: 'admin' });
+    } else {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+  } catch {
+    return res.status(500).json({ error: 'Authentication error' });
+  }
+
+  if (!roles.includes(req.role)) {
+    return res.status(403).json({ error: `This needs the ${roles.join(' or ')} role` });
+  }
+  next();
+};
+
+/**
+ * Middleware for public reads that show more to some roles (a captain sees
+ * their own hidden lineup): sets req.role and req.participantId from a valid
+ * token or the admin password, and otherwise lets the request through as
+ * anyone else would make it.
+ */
+const identifyRole = async (req, res, next) => {
+  const tournamentId = req.params.id || req.params.tournamentId;
+  const authHeader = req.headers.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (bearer && looksLikeToken(bearer)) {
+    const claims = verifyToken(bearer);
+    if (claims && claims.tournamentId === tournamentId) {
+      Object.assign(req, { role: claims.role, participantId: claims.participantId });
+    }
+  } else if (bearer && process.env.ADMIN_PASSWORD_HASH) {
+    try {
+      if (await bcrypt.compare(bearer, process.env.ADMIN_PASSWORD_HASH)) req.role = 'organiser';
+    } catch {
+      // An unreadable credential is the same as none
+    }
+  }
+  next();
+};
+
+module.exports = { ROLES, DEFAULT_TOKEN_HOURS, MAX_TOKEN_HOURS, issueToken, verifyToken, requireRole, identifyRole };
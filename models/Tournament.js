@@ -1,19 +1,20 @@
 const mongoose = require('mongoose');
 
+const FORMATS = [
+  'single_elimination',
+  'double_elimination',
+  'compass',
+  'round_robin',
+  'monrad',
+  'pools_knockout',
+  'box_league',
+  'team_round_robin',
+  'team_round_robin_playoff',
+];
+
 const tournamentSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  format: {
-    type: String,
-    required: true,
-    enum: [
-      'single_elimination',
-      'round_robin',
-      'monrad',
-      'pools_knockout',
-      'team_round_robin',
-      'team_round_robin_playoff',
-    ],
-  },
+  format: { type: String, required: true, enum: FORMATS },
 
   tournament_type: {
     type: String,
@@ -42,7 +43,8 @@ const tournamentSchema = new mongoose.Schema({
 
     // Format-specific configs
     groups: {
-      target_size: { type: Number, default: 4 },
+      // Unset means one group for round robin; pools+knockout falls back to 4
+      target_size: Number,
       advance_per_group: { type: Number, default: 2 },
       avoid_same_club: { type: Boolean, default: false },
     },
@@ -50,6 +52,20 @@ const tournamentSchema = new mongoose.Schema({
     knockout: {
       consolation: { type: Boolean, default: false },
       draw_size: Number, // null for auto-calculate
+      // Positional play-offs (single elimination): 3rd/4th and 5th-8th
+      playoffs: {
+        third_place: { type: Boolean, default: false },
+        fifth_to_eighth: { type: Boolean, default: false },
+      },
+      // Double elimination: replay the grand final if the losers-bracket player wins it
+      grand_final_reset: { type: Boolean, default: false },
+    },
+
+    // Box league: players per box and how many move up/down each period
+    box_league: {
+      box_size: { type: Number, default: 6 },
+      promotion: { type: Number, default: 2 },
+      relegation: { type: Number, default: 2 },
     },
 
     // Team round robin: how many divisions
@@ -57,12 +73,42 @@ const tournamentSchema = new mongoose.Schema({
       count: { type: Number, default: 2 },
     },
 
-    // Fixture schedule: match_number → ISO date string (e.g. { D1F1: '2026-07-15' })
+    // Team round robin: lineup eligibility rules (see tournament/lineups.js)
+    lineup_rules: {
+      roster_only: { type: Boolean, default: true },
+      play_down_only: { type: Boolean, default: true },
+      keep_string_order: { type: Boolean, default: true },
+      max_pool_players: { type: Number, default: null }, // null: no cap
+      one_team_per_round: { type: Boolean, default: true },
+    },
+
+    // Fixture calendar: weekly match nights from start_date (YYYY-MM-DD) on
+    // weekday (0 Sunday - 6 Saturday), skipping excluded_dates, with at most
+    // fixtures_per_night at the venue (see tournament/fixtureCalendar.js)
+    fixture_calendar: {
+      start_date: String,
+      weekday: Number,
+      excluded_dates: [String],
+      fixtures_per_night: Number,
+    },
+
+    // Fixture schedule: match_number → ISO date string (e.g. { D1F1: '2026-07-15' });
+    // overrides the calendar for the fixtures it names
     fixture_dates: { type: mongoose.Schema.Types.Mixed, default: {} },
 
     // Scheduling
     courts: { type: Number, default: 1 },
     min_rest_minutes: { type: Number, default: 20 },
+    // When each court can be used (see tournament/courtScheduler.js); a court
+    // without windows is open all day
+    court_windows: [
+      {
+        _id: false,
+        court: { type: String, required: true },
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+      },
+    ],
     allow_walkovers: { type: Boolean, default: true },
 
     // Tiebreakers for round robin/pools
@@ -88,6 +134,28 @@ const tournamentSchema = new mongoose.Schema({
   description: String,
   passphrase: String, // bcrypt hash — set at creation, required for edits
 
+  // Multi-stage: formats played after this one, each seeded from the previous
+  // stage's final results (see tournament/stages.js)
+  stages: [
+    {
+      _id: false,
+      name: String,
+      format: { type: String, required: true, enum: FORMATS },
+      config: { type: mongoose.Schema.Types.Mixed, default: {} },
+      advance: Number, // how many of the previous stage's finishers go through (all if unset)
+      advance_per_group: Number, // grouped results: how many from each group
+    },
+  ],
+  current_stage: { type: Number, default: 0 },
+  // State and final results of the stages already played, by stage index
+  completed_stages: [
+    {
+      _id: false,
+      state_blob: mongoose.Schema.Types.Mixed,
+      final_results: mongoose.Schema.Types.Mixed,
+    },
+  ],
+
   // Format-specific state (opaque blob)
   state_blob: { type: mongoose.Schema.Types.Mixed, default: {} },
 
@@ -95,6 +163,10 @@ const tournamentSchema = new mongoose.Schema({
   created_by: String,
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now },
+}, {
+  // Every save checks and bumps __v, so two requests that read the same
+  // state_blob can't both write it (the second gets a VersionError)
+  optimisticConcurrency: true,
 });
 
 // Update the updated_at field on save
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'tournament_created',
+  'tournament_updated',
+  'tournament_started',
+  'tournament_reset',
+  'tournament_deleted',
+  'next_period_created',
+  'participant_added',
+  'participant_renamed',
+  'roster_updated',
+  'schedule_updated',
+  'strings_saved',
+  'extra_result_saved',
+  'extra_match_removed',
+  'lineup_confirmed',
+  'token_issued',
+  'live_started',
+  'rally_recorded',
+  'rally_undone',
+  'result_submitted',
+  'result_edited',
+  'result_reverted',
+];
+
+// Append-only record of every change made to a tournament. Entries outlive
+// the tournament itself so a deletion can still be looked up.
+const tournamentAuditSchema = new mongoose.Schema({
+  tournament_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true,
+  },
+  action: { type: String, required: true, enum: AUDIT_ACTIONS },
+
+  // What was changed, when it's narrower than the whole tournament
+  match_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentMatch' },
+  participant_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentParticipant' },
+
+  // The credential the change was made with: 'admin' (admin password),
+  // 'passphrase' (tournament passphrase), 'token' (a role token) or 'none'
+  // (open route), and the role it carried (middleware/roles.js)
+  credential: {
+    type: String,
+    required: true,
+    enum: ['admin', 'passphrase', 'token', 'none'],
+  },
+  role: { type: String, enum: ['organiser', 'referee', 'captain', 'viewer'] },
+
+  // Snapshots of what was changed, before and after (null when created/deleted)
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  created_at: { type: Date, default: Date.now },
+});
+
+// Entries are never changed or removed once written
+tournamentAuditSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit entries cannot be changed'));
+  next();
+});
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => {
+  tournamentAuditSchema.pre(operation, function (next) {
+    next(new Error('Audit entries cannot be changed'));
+  });
+});
+
+tournamentAuditSchema.index({ tournament_id: 1, created_at: 1 });
+
+module.exports = mongoose.model('TournamentAudit', tournamentAuditSchema);
@@ -14,6 +14,9 @@ const tournamentGroupSchema = new mongoose.Schema({
     enum: ['group', 'consolation', 'plate'],
   },
 
+  // Multi-stage: which stage of the tournament this group belongs to
+  stage_index: { type: Number, default: 0 },
+
   // Participants in this group
   participant_ids: [
     { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentParticipant' },
@@ -63,6 +66,6 @@ tournamentGroupSchema.pre('save', function (next) {
 });
 
 tournamentGroupSchema.index({ tournament_id: 1, stage: 1 });
-tournamentGroupSchema.index({ tournament_id: 1, name: 1 }, { unique: true });
+tournamentGroupSchema.index({ tournament_id: 1, stage_index: 1, name: 1 }, { unique: true });
 
 module.exports = mongoose.model('TournamentGroup', tournamentGroupSchema);
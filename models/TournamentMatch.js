@@ -12,9 +12,11 @@ const tournamentMatchSchema = new mongoose.Schema({
   stage: {
     type: String,
     default: 'main',
-    enum: ['group', 'main', 'consolation', 'losers', 'plate', 'final'],
+    enum: ['group', 'main', 'consolation', 'losers', 'plate', 'playoff', 'final'],
   },
   match_number: String, // e.g., "R1M1", "SF1", "F"
+  // Multi-stage: which stage of the tournament this match belongs to
+  stage_index: { type: Number, default: 0 },
 
   // Participants (can be IDs or qualifiers like "W1", "L3", "PoolA#1")
   participant_a: {
@@ -98,6 +100,25 @@ const tournamentMatchSchema = new mongoose.Schema({
     team_b_league_points: Number,
   },
 
+  // Live point-by-point scoring (individual matches). Only the rallies are
+  // stored; the score and server are replayed from them (tournament/liveScoring.js)
+  live: {
+    started_at: Date,
+    first_server: { type: String, enum: ['a', 'b'] },
+    first_side: { type: String, enum: ['left', 'right'] },
+    handicap_starts: { player1: Number, player2: Number },
+    rallies: [
+      {
+        _id: false,
+        winner: { type: String, enum: ['a', 'b'] }, // unset for a let
+        server: { type: String, enum: ['a', 'b'] },
+        side: { type: String, enum: ['left', 'right'] }, // side of court served from
+        decision: { type: String, enum: ['let', 'stroke', 'no_let'] },
+        recorded_at: Date,
+      },
+    ],
+  },
+
   // Dependencies for bracket progression
   dependency_matches: [
     { type: mongoose.Schema.Types.ObjectId, ref: 'TournamentMatch' },
@@ -147,6 +168,9 @@ const tournamentMatchSchema = new mongoose.Schema({
   created_at: { type: Date, default: Date.now },
   completed_at: Date,
   marker: String, // Who scored this match
+}, {
+  // Saves check and bump __v; bulk result writes filter on it too
+  optimisticConcurrency: true,
 });
 
 // Indexes for efficient queries
@@ -14,7 +14,8 @@ const tournamentParticipantSchema = new mongoose.Schema({
   external_ranking: String,
   color: { type: String, default: 'border-blue-500' }, // Reuse existing color system
 
-  // Which division this team belongs to (team_round_robin only, 0-indexed)
+  // Which division this team belongs to (team_round_robin, 0-indexed);
+  // for box_league, which box the player starts the period in (0 is the top box)
   division_index: Number,
 
   // Pool player flag (team_round_robin only) — stand-in players not assigned to a team
@@ -1,21 +1,42 @@
 const { Router } = require('express');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const Tournament = require('../models/Tournament');
 const TournamentParticipant = require('../models/TournamentParticipant');
 const TournamentMatch = require('../models/TournamentMatch');
 const TournamentGroup = require('../models/TournamentGroup');
+const TournamentAudit = require('../models/TournamentAudit');
 const validate = require('../middleware/validate');
-const requireAdmin = require('../middleware/auth');
-const { TEAM_FORMATS, deriveTournamentType } = require('../tournament/formatMeta');
+const { requireRole, identifyRole, issueToken } = require('../middleware/roles');
+const { TEAM_FORMATS, DRAW_FORMATS, deriveTournamentType } = require('../tournament/formatMeta');
+const { deriveFixtureWinner } = require('../tournament/formats/teamFixtureScoring');
+const { isBye } = require('../tournament/formats/resultRevert');
+const { lineupsRevealed, teamSide, hideLineups, getLineupRules, validateLineup } = require('../tournament/lineups');
+const { buildFixtureCalendar } = require('../tournament/fixtureCalendar');
+const { courtNames, planOrderOfPlay } = require('../tournament/courtScheduler');
+const {
+  getScoringRules,
+  validateMatchScores,
+  validateFixtureScores,
+  deriveMatchWinner,
+} = require('../tournament/scoringRules');
+const { prepareRally, summarizeLive, liveMatchResult } = require('../tournament/liveScoring');
+const { getStage, hasNextStage, validateStages, seedStage, mergeStageResults } = require('../tournament/stages');
 const {
   tournamentSchema,
   verifyPassphraseSchema,
   startTournamentSchema,
+  nextPeriodSchema,
   tournamentUpdateSchema,
   participantUpdateSchema,
   rosterUpdateSchema,
+  lineupSchema,
   matchResultSchema,
   teamFixtureResultSchema,
+  revertResultSchema,
+  tokenRequestSchema,
+  liveStartSchema,
+  rallySchema,
 } = require('../schemas/index');
 
 // Helper: verify passphrase against tournament's stored hash
@@ -24,35 +45,533 @@ async function checkPassphrase(tournament, passphrase) {
   return bcrypt.compare(passphrase, tournament.passphrase);
 }
 
+// Helper: plain copy of a document for an audit snapshot, without the passphrase hash
+function snapshot(doc) {
+  if (!doc) return null;
+  const { passphrase: _p, ...data } = doc.toObject ? doc.toObject() : doc;
+  return data;
+}
+
+// Helper: run `work(session)` in a MongoDB transaction, so the tournament,
+// its matches and groups are written together or not at all. The driver
+// retries transient failures, so `work` must only write, not respond.
+// Writes inside run one at a time: a transaction can't take parallel operations.
+function inTransaction(work) {
+  return mongoose.connection.transaction(work);
+}
+
+// Tournament and match saves are versioned (optimisticConcurrency), so a
+// request that read them before another request wrote them fails to save
+const CONFLICT_ATTEMPTS = 5;
+const CONFLICT_MESSAGE = 'The tournament was changed by another request at the same time. Reload and try again.';
+
+function conflictError() {
+  const error = new Error(CONFLICT_MESSAGE);
+  error.code = 'WRITE_CONFLICT';
+  return error;
+}
+
+// A result that finishes a stage is only saved if the next stage can be
+// drawn from it: otherwise the tournament would be left between stages
+function stageNotDrawnError(details) {
+  const error = new Error('The next stage could not be drawn from this result, so the result was not saved');
+  error.code = 'STAGE_NOT_DRAWN';
+  error.details = details;
+  return error;
+}
+
+function isConflict(error) {
+  return error instanceof mongoose.Error.VersionError || error.code === 'WRITE_CONFLICT';
+}
+
+// Helper: run a read → process → write `attempt`, starting it again from
+// fresh reads when another request got its writes in first (two courts
+// finishing at once). Throws the conflict after CONFLICT_ATTEMPTS tries.
+async function retryOnConflict(attempt) {
+  for (let tries = 1; ; tries++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (!isConflict(error) || tries >= CONFLICT_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Helper: append an entry to the tournament's audit log, with the role and
+// credential requireRole accepted
+async function recordAudit(req, tournamentId, action, { before, after, matchId, participantId, session } = {}) {
+  await new TournamentAudit({
+    tournament_id: tournamentId,
+    action,
+    match_id: matchId,
+    participant_id: participantId,
+    credential: req.credential || 'none',
+    role: req.role,
+    before: before ?? null,
+    after: after ?? null,
+  }).save({ session });
+}
+
+// Helper: which lineups the request may see before they're revealed — the
+// organiser sees both, a captain their own team's (tournament/lineups.js)
+function lineupViewer(req, match) {
+  if (req.role === 'organiser') return { all: true };
+  if (req.role === 'captain') return { side: teamSide(match, req.participantId) };
+  return {};
+}
+
 // Helper: create match documents from engine output
-async function createMatchDocs(matches, tournamentId, fixtureDates = {}) {
-  return Promise.all(
-    matches.map((match) =>
-      new TournamentMatch({
-        tournament_id: tournamentId,
-        round: match.round,
-        stage: match.stage,
-        match_number: match.match_number,
-        participant_a: match.participant_a,
-        participant_b: match.participant_b,
-        status: match.status,
-        group_id: match.group_id,
-        result: match.result,
-        scheduled_at: match.match_number && fixtureDates[match.match_number]
-          ? new Date(fixtureDates[match.match_number])
-          : undefined,
-      }).save()
-    )
+async function createMatchDocs(matches, tournamentId, fixtureDates = {}, session = null) {
+  return TournamentMatch.insertMany(
+    matches.map((match) => ({
+      tournament_id: tournamentId,
+      round: match.round,
+      stage: match.stage,
+      match_number: match.match_number,
+      participant_a: match.participant_a,
+      participant_b: match.participant_b,
+      status: match.status,
+      group_id: match.group_id,
+      stage_index: match.stage_index,
+      result: match.result,
+      scheduled_at: match.match_number && fixtureDates[match.match_number]
+        ? new Date(fixtureDates[match.match_number])
+        : undefined,
+    })),
+    { session }
   );
 }
 
+// Helper: work out the winner from the submitted games (team fixtures: total
+// games across strings and extras) and take both names from the participants.
+// winner_id/loser_id only decide walkovers, retirements and level scores, and
+// are rejected if they contradict the games. Returns { result } or { error },
+// with status 409 if either side of the match isn't known yet.
+async function resolveMatchResult(tournamentMatch, submitted, { isTeam, allowDraw }) {
+  const aId = tournamentMatch.participant_a?.participant_id?.toString();
+  const bId = tournamentMatch.participant_b?.participant_id?.toString();
+  // A slot still waiting on an earlier result (TBD, "Winner R1M1") has nobody to win or lose
+  if (!aId || !bId) {
+    return { status: 409, error: 'Both sides of this match must be known before it has a result' };
+  }
+  const resolved = { ...submitted };
+  const decidedByGames = !submitted.walkover && !submitted.retired;
+
+  let derived = null;
+  if (isTeam) {
+    const { aTotal, bTotal, winner } = deriveFixtureWinner(tournamentMatch, submitted);
+    const totalsGiven = submitted.team_a_games_total !== undefined || submitted.team_b_games_total !== undefined;
+    if (decidedByGames && totalsGiven && (submitted.team_a_games_total !== aTotal || submitted.team_b_games_total !== bTotal)) {
+      return { error: `Game totals do not match the string and extra results (${aTotal}-${bTotal})` };
+    }
+    if (decidedByGames) {
+      resolved.team_a_games_total = aTotal;
+      resolved.team_b_games_total = bTotal;
+      derived = winner;
+    }
+  } else {
+    derived = deriveMatchWinner(submitted);
+  }
+
+  const sideOf = (id) => {
+    if (id === undefined) return null;
+    if (id === aId) return 'a';
+    if (id === bId) return 'b';
+    return 'other';
+  };
+  const winnerSide = sideOf(submitted.winner_id);
+  const loserSide = sideOf(submitted.loser_id);
+  if (winnerSide === 'other' || loserSide === 'other') {
+    return { error: 'winner_id and loser_id must be the two sides of this match' };
+  }
+  if (derived && (winnerSide && winnerSide !== derived || loserSide && loserSide === derived)) {
+    return { error: 'winner_id does not match the scores' };
+  }
+
+  const winner = derived || winnerSide || (loserSide && (loserSide === 'a' ? 'b' : 'a'));
+  if (!winner) {
+    if (allowDraw && decidedByGames) {
+      // Level fixture: a draw, no winner or loser
+      delete resolved.winner_id;
+      delete resolved.loser_id;
+      delete resolved.winner_name;
+      delete resolved.loser_name;
+      return { result: resolved };
+    }
+    return { error: 'The scores do not decide a winner: winner_id is required' };
+  }
+
+  const participants = await TournamentParticipant.find({ _id: { $in: [aId, bId] } });
+  const nameOf = (id, slot) => participants.find((p) => p._id.toString() === id)?.name || slot.name;
+  const [winnerSlot, loserSlot] = winner === 'a'
+    ? [tournamentMatch.participant_a, tournamentMatch.participant_b]
+    : [tournamentMatch.participant_b, tournamentMatch.participant_a];
+  resolved.winner_id = winnerSlot.participant_id.toString();
+  resolved.loser_id = loserSlot.participant_id.toString();
+  resolved.winner_name = nameOf(resolved.winner_id, winnerSlot);
+  resolved.loser_name = nameOf(resolved.loser_id, loserSlot);
+  return { result: resolved };
+}
+
+// Helper: check submitted scores against the scoring rules (skipped with override_scoring)
+function checkScores(config, tournamentType, tournamentMatch, matchResult) {
+  if (matchResult.override_scoring) return [];
+  const rules = getScoringRules(config);
+  return tournamentType === 'team'
+    ? validateFixtureScores(matchResult, rules)
+    : validateMatchScores(tournamentMatch, matchResult, rules);
+}
+
+// Helper: check a team's lineup against the league's eligibility rules — its
+// roster, the pool players and the lineups already named in the same round
+async function checkLineup(tournament, match, side, lineup) {
+  const stageIndex = match.stage_index || 0;
+  const [team, poolPlayers, roundMatches] = await Promise.all([
+    TournamentParticipant.findById(match[`participant_${side}`].participant_id),
+    TournamentParticipant.find({ tournament_id: tournament._id, is_pool: true }).select('name'),
+    TournamentMatch.find({ ...stageFilter(tournament._id, stageIndex), round: match.round, _id: { $ne: match._id } }),
+  ]);
+  if (!team) return [];
+
+  return validateLineup(lineup, {
+    team,
+    poolPlayers: poolPlayers.map((player) => player.name),
+    roundLineups: roundMatches.flatMap((other) =>
+      ['a', 'b'].map((otherSide) => ({ team: other[`participant_${otherSide}`], lineup: other[`team_${otherSide}_lineup`] }))
+    ),
+    rules: getLineupRules(getStage(tournament, stageIndex).config),
+  });
+}
+
+// Helper: query for one stage's matches/groups. Documents saved before
+// multi-stage tournaments have no stage_index and belong to stage 0.
+function stageFilter(tournamentId, stageIndex = 0) {
+  return {
+    tournament_id: tournamentId,
+    stage_index: stageIndex === 0 ? { $in: [0, null] } : stageIndex,
+  };
+}
+
+// Helper: write one Server-Sent Event
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Helper: write the engine's output for a result, edit or revert — matches
+// it withdrew, changed or drew, and recalculated group standings
+async function saveResultChanges(tournamentId, stageIndex, result, session = null) {
+  if (result.deletedMatchIds && result.deletedMatchIds.length > 0) {
+    await TournamentMatch.deleteMany({ _id: { $in: result.deletedMatchIds } }, { session });
+  }
+
+  // Each match is written once, and only if nobody has changed it since it
+  // was read (same __v); a later entry for the same match wins
+  const deleted = new Set((result.deletedMatchIds || []).map(String));
+  const byId = new Map();
+  (result.updatedMatches || (result.updatedMatch ? [result.updatedMatch] : [])).forEach((match) => {
+    const id = match._id.toString();
+    if (deleted.has(id)) return;
+    byId.set(id, { ...byId.get(id), ...match, __v: byId.get(id)?.__v ?? match.__v });
+  });
+  const updatedMatches = Array.from(byId.values());
+  if (updatedMatches.length > 0) {
+    const { matchedCount } = await TournamentMatch.bulkWrite(
+      updatedMatches.map(({ _id, __v, ...fields }) => ({
+        updateOne: {
+          filter: __v === undefined ? { _id } : { _id, __v },
+          update: { $set: fields, $inc: { __v: 1 } },
+        },
+      })),
+      { session }
+    );
+    if (matchedCount < updatedMatches.length) throw conflictError();
+  }
+
+  if (result.newMatches && result.newMatches.length > 0) {
+    await TournamentMatch.insertMany(
+      result.newMatches.map((match) => ({ ...match, tournament_id: tournamentId, stage_index: stageIndex })),
+      { session }
+    );
+  }
+
+  if (result.standingsUpdates && result.standingsUpdates.length > 0) {
+    await TournamentGroup.bulkWrite(
+      result.standingsUpdates.map((update) => ({
+        updateOne: {
+          filter: { _id: update.group_id },
+          update: {
+            $set: { standings: update.standings, completed: update.completed || false, updated_at: new Date() },
+          },
+        },
+      })),
+      { session }
+    );
+  }
+}
+
+// Helper: save the groups and matches the engine generated for a stage
+async function saveStageDocs(tournament, initialState, stageIndex, fixtureDates = {}, session = null) {
+  // Save groups and capture the real MongoDB ObjectIds
+  let groupIdMap = {}; // format string ID → real ObjectId
+  if (initialState.groups && initialState.groups.length > 0) {
+    const savedGroups = await TournamentGroup.insertMany(
+      initialState.groups.map((group) => ({
+        tournament_id: tournament._id,
+        stage_index: stageIndex,
+        name: group.name,
+        participant_ids: group.participants.map((p) => p._id),
+        // Standings start with team names so they appear before any match is played
+        standings: group.participants.map((p) => ({
+          participant_id: p._id,
+          name: p.name,
+          position: 0,
+          played: 0,
+          wins: 0,
+          losses: 0,
+          draws: 0,
+          league_points: 0,
+          games_won: 0,
+          games_lost: 0,
+        })),
+      })),
+      { session }
+    );
+
+    // Map format string IDs to real ObjectIds for use in match docs
+    initialState.groups.forEach((g, i) => {
+      groupIdMap[g._id] = savedGroups[i]._id;
+    });
+  }
+
+  // Resolve string group IDs → real ObjectIds in match documents
+  const resolvedMatches = initialState.matches.map((m) => ({
+    ...m,
+    stage_index: stageIndex,
+    group_id: m.group_id && groupIdMap[m.group_id] ? groupIdMap[m.group_id] : m.group_id,
+  }));
+
+  return createMatchDocs(resolvedMatches, tournament._id, fixtureDates, session);
+}
+
 /**
  * @param {object} tournamentEngine - TournamentEngine instance
  * @param {object} logger - pino logger instance
+ * @param {object} eventStream - TournamentEventStream instance
  */
-module.exports = function createTournamentRouter(tournamentEngine, logger) {
+module.exports = function createTournamentRouter(tournamentEngine, logger, eventStream) {
   const router = Router();
 
+  // Standings of one stage; earlier stages are read from their completed state
+  async function stageStandings(tournament, stageIndex) {
+    const stage = getStage(tournament, stageIndex);
+    const stateBlob = stageIndex === (tournament.current_stage || 0)
+      ? tournament.state_blob
+      : tournament.completed_stages[stageIndex].state_blob;
+
+    const [groups, allMatches] = await Promise.all([
+      TournamentGroup.find(stageFilter(tournament._id, stageIndex)).sort({ name: 1 }),
+      TournamentMatch.find(stageFilter(tournament._id, stageIndex)),
+    ]);
+    return tournamentEngine.getStandings(stage.format, stateBlob, groups, allMatches.map((m) => m.toObject()));
+  }
+
+  // Publish a committed result, edit or revert: the match, any matches it
+  // drew (a new Monrad round, a knockout) and the stage's standings. Runs
+  // after the transaction, and a failure here never fails the request.
+  async function publishResultEvents(tournament, stageIndex, matchId, action, result) {
+    try {
+      const tournamentId = tournament._id;
+      const match = await TournamentMatch.findById(matchId);
+      eventStream.publish(tournamentId, 'result', { match_id: matchId, action, match: hideLineups(match) });
+
+      if (result.newMatches && result.newMatches.length > 0) {
+        const matches = await TournamentMatch.find({
+          ...stageFilter(tournamentId, stageIndex),
+          match_number: { $in: result.newMatches.map((m) => m.match_number) },
+        });
+        const rounds = [...new Set(matches.map((m) => m.round))];
+        eventStream.publish(tournamentId, 'round_generated', {
+          stage: stageIndex,
+          rounds,
+          matches: matches.map((m) => hideLineups(m)),
+        });
+      }
+
+      const standings = await stageStandings(tournament, stageIndex);
+      eventStream.publish(tournamentId, 'standings', { stage: stageIndex, standings });
+    } catch (error) {
+      logger.error({ err: error }, 'Error publishing result events');
+    }
+  }
+
+  // Helper: hold a response open as an SSE stream of the tournament's (or
+  // one match's) events, first replaying what a reconnecting client missed
+  function openEventStream(req, res, tournamentId, matchId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    // EventSource sends Last-Event-ID itself; ?last_event_id= is for clients that can't set headers
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    const { missed, unsubscribe } = eventStream.subscribe(tournamentId, { matchId, lastEventId }, (event) =>
+      writeEvent(res, event)
+    );
+    if (missed) {
+      missed.forEach((event) => writeEvent(res, event));
+    } else {
+      // Too old to replay (or from before a restart): the client reloads instead
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    heartbeat.unref();
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  // Seed and generate the stage after the current one from its final results.
+  // Runs inside the result's transaction, so it reads through the same
+  // session; throws STAGE_NOT_DRAWN if the finished stage can't seed the next
+  // one, which rolls the result back with it.
+  async function startNextStage(tournament, session = null) {
+    const finished = getStage(tournament);
+    const next = getStage(tournament, finished.index + 1);
+
+    const groups = await TournamentGroup.find(stageFilter(tournament._id, finished.index))
+      .sort({ name: 1 })
+      .session(session);
+    const matches = await TournamentMatch.find(stageFilter(tournament._id, finished.index)).session(session);
+    const participants = await TournamentParticipant.find({ tournament_id: tournament._id }).session(session);
+
+    let finalResults;
+    let initialState;
+    try {
+      finalResults = tournamentEngine.getFinalResults(
+        finished.format,
+        tournament.state_blob,
+        groups,
+        matches.map((m) => m.toObject())
+      );
+      const stageParticipants = seedStage(finalResults, participants, next);
+      const validation = tournamentEngine.validateTournament(next.format, next.config, stageParticipants);
+      if (!validation.valid) throw stageNotDrawnError(validation.errors);
+      initialState = tournamentEngine.generateTournament(next.format, next.config, stageParticipants);
+    } catch (error) {
+      throw error.code === 'STAGE_NOT_DRAWN' ? error : stageNotDrawnError([error.message]);
+    }
+
+    tournament.completed_stages = [
+      ...(tournament.completed_stages || []),
+      { state_blob: tournament.state_blob, final_results: finalResults },
+    ];
+    tournament.state_blob = initialState.state;
+    tournament.current_stage = next.index;
+    await tournament.save({ session });
+
+    const fixtureDates = {
+      ...buildFixtureCalendar(initialState.matches, next.config.fixture_calendar),
+      ...next.config.fixture_dates,
+    };
+    const matchDocs = await saveStageDocs(tournament, initialState, next.index, fixtureDates, session);
+    return { stage: next.index, name: next.name, matches: matchDocs };
+  }
+
+  // Validate a result for tournamentMatch, run it through the format and write
+  // everything in one transaction. `matchFields` are saved on the match with
+  // the result (the live rallies that decided it); `onCommit` runs once it's
+  // written, before the result is published. Returns the response as
+  // { status, body }.
+  async function applyMatchResult(req, tournament, tournamentMatch, submitted, { matchFields = {}, onCommit } = {}) {
+    const tournamentId = tournament._id;
+    const matchId = tournamentMatch._id;
+    const stage = getStage(tournament);
+
+    if (submitted.walkover && tournament.config?.allow_walkovers === false) {
+      return { status: 400, body: { error: 'Walkovers are not allowed in this tournament' } };
+    }
+
+    const resolution = await resolveMatchResult(tournamentMatch, submitted, {
+      isTeam: tournament.tournament_type === 'team',
+      allowDraw: DRAW_FORMATS.has(stage.format),
+    });
+    if (resolution.error) return { status: resolution.status || 400, body: { error: resolution.error } };
+    const matchResult = resolution.result;
+
+    const scoreErrors = checkScores(stage.config, tournament.tournament_type, tournamentMatch, matchResult);
+    if (scoreErrors.length > 0) {
+      return { status: 400, body: { error: 'Scores do not match the scoring rules', details: scoreErrors } };
+    }
+
+    const [groups, allMatches] = await Promise.all([
+      TournamentGroup.find(stageFilter(tournamentId, stage.index)),
+      TournamentMatch.find(stageFilter(tournamentId, stage.index)),
+    ]);
+
+    const result = tournamentEngine.processMatchResult(
+      stage.format,
+      tournament.state_blob,
+      tournamentMatch.toObject(),
+      matchResult,
+      groups,
+      allMatches.map((m) => m.toObject())
+    );
+    const changes = Object.keys(matchFields).length === 0
+      ? result
+      : { ...result, updatedMatches: [...(result.updatedMatches || []), { _id: matchId, ...matchFields }] };
+
+    // Finishing a stage with another to follow draws the next stage instead
+    const stageComplete = result.tournamentComplete && hasNextStage(tournament);
+    let nextStage;
+    try {
+      nextStage = await inTransaction(async (session) => {
+        tournament.state_blob = result.state;
+        if (result.tournamentComplete && !stageComplete) tournament.status = 'completed';
+        await tournament.save({ session });
+        await saveResultChanges(tournamentId, stage.index, changes, session);
+        await recordAudit(req, tournamentId, 'result_submitted', {
+          session,
+          matchId,
+          before: snapshot(tournamentMatch),
+          after: snapshot(await TournamentMatch.findById(matchId).session(session)),
+        });
+        return stageComplete ? startNextStage(tournament, session) : null;
+      });
+    } catch (error) {
+      if (error.code !== 'STAGE_NOT_DRAWN') throw error;
+      return { status: 409, body: { error: error.message, details: error.details } };
+    }
+    if (onCommit) onCommit();
+    await publishResultEvents(tournament, stage.index, matchId, 'submitted', result);
+
+    if (stageComplete) {
+      return {
+        status: 200,
+        body: {
+          success: true,
+          tournament_complete: false,
+          stage_complete: true,
+          next_stage: { index: nextStage.stage, name: nextStage.name, matches: nextStage.matches },
+          message: `Stage completed — ${nextStage.name} drawn`,
+        },
+      };
+    }
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        tournament_complete: result.tournamentComplete,
+        message: result.tournamentComplete ? 'Tournament completed!' : 'Match result processed',
+      },
+    };
+  }
+
   // GET /formats
   router.get('/formats', (req, res) => {
     try {
@@ -66,13 +585,18 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
   // POST / — create tournament (saves as draft, no matches generated yet)
   router.post('/', validate(tournamentSchema), async (req, res) => {
     try {
-      const { name, format, config, participants, start_date, end_date, venue, description, passphrase } = req.body;
+      const { name, format, config, stages, participants, start_date, end_date, venue, description, passphrase } = req.body;
+
+      const stageErrors = validateStages(format, stages);
+      if (stageErrors.length > 0) {
+        return res.status(400).json({ error: 'Tournament validation failed', details: stageErrors });
+      }
 
       const passphraseHash = await bcrypt.hash(passphrase, 10);
       const tournament_type = deriveTournamentType(format);
 
       const tournament = new Tournament({
-        name, format, config, start_date, end_date, venue, description,
+        name, format, config, stages, start_date, end_date, venue, description,
         passphrase: passphraseHash,
         tournament_type,
         status: 'draft',
@@ -96,6 +620,10 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
         })
       );
 
+      await recordAudit(req, tournament._id, 'tournament_created', {
+        after: { tournament: snapshot(tournament), participants: participantDocs.map(snapshot) },
+      });
+
       res.status(201).json({ tournament, participants: participantDocs, matches: [] });
     } catch (error) {
       logger.error({ err: error }, 'Error creating tournament');
@@ -103,7 +631,7 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
     }
   });
 
-  // POST /:id/verify-passphrase
+  // POST /:id/verify-passphrase — exchange the passphrase for an organiser token
   router.post('/:id/verify-passphrase', validate(verifyPassphraseSchema), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
@@ -112,22 +640,48 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       const valid = await checkPassphrase(tournament, req.body.passphrase);
       if (!valid) return res.status(401).json({ error: 'Invalid passphrase' });
 
-      res.json({ valid: true });
+      const { token, expires_at } = issueToken({ tournamentId: tournament._id, role: 'organiser' });
+      res.json({ valid: true, token, role: 'organiser', expires_at });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // POST /:id/tokens — the organiser issues a token for a referee, captain or viewer
+  router.post('/:id/tokens', requireRole('organiser'), validate(tokenRequestSchema), async (req, res) => {
+    try {
+      const tournament = await Tournament.findById(req.params.id);
+      if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+
+      const { role, participant_id: participantId, expires_in_hours: hours } = req.body;
+      if (role === 'captain') {
+        if (tournament.tournament_type !== 'team') {
+          return res.status(400).json({ error: 'Captains only apply to team tournaments' });
+        }
+        if (!(await TournamentParticipant.exists({ _id: participantId, tournament_id: tournament._id }))) {
+          return res.status(404).json({ error: 'Team not found' });
+        }
+      }
+
+      const { token, expires_at } = issueToken({ tournamentId: tournament._id, role, participantId, hours });
+      await recordAudit(req, tournament._id, 'token_issued', {
+        participantId,
+        after: { role, participant_id: participantId || null, expires_at },
+      });
+
+      res.status(201).json({ token, role, participant_id: participantId || null, expires_at });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
   // POST /:id/start — generate matches and move draft → active
-  router.post('/:id/start', validate(startTournamentSchema), async (req, res) => {
+  router.post('/:id/start', requireRole('organiser'), validate(startTournamentSchema), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
       if (tournament.status !== 'draft') return res.status(400).json({ error: 'Tournament has already been started' });
 
-      const valid = await checkPassphrase(tournament, req.body.passphrase);
-      if (!valid) return res.status(401).json({ error: 'Invalid passphrase' });
-
       const participants = await TournamentParticipant.find({ tournament_id: tournament._id });
 
       // For team formats, only pass actual team participants to the engine;
@@ -143,100 +697,159 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
 
       const initialState = tournamentEngine.generateTournament(tournament.format, tournament.config, engineParticipants);
 
-      tournament.state_blob = initialState.state;
-      tournament.status = 'active';
-      await tournament.save();
-
-      // Save groups and capture the real MongoDB ObjectIds
-      let groupIdMap = {}; // format string ID → real ObjectId
-      if (initialState.groups && initialState.groups.length > 0) {
-        const savedGroups = await Promise.all(
-          initialState.groups.map((group) =>
-            new TournamentGroup({
-              tournament_id: tournament._id,
-              name: group.name,
-              participant_ids: group.participants.map((p) => p._id),
-            }).save()
-          )
-        );
-
-        // Map format string IDs to real ObjectIds for use in match docs
-        initialState.groups.forEach((g, i) => {
-          groupIdMap[g._id] = savedGroups[i]._id;
+      const before = snapshot(tournament);
+      const matchDocs = await inTransaction(async (session) => {
+        tournament.state_blob = initialState.state;
+        tournament.status = 'active';
+        tournament.current_stage = 0;
+        tournament.completed_stages = [];
+        await tournament.save({ session });
+
+        // Calendar dates, with any typed into fixture_dates taking precedence
+        const fixtureDates = {
+          ...buildFixtureCalendar(initialState.matches, tournament.config?.fixture_calendar),
+          ...(tournament.config?.fixture_dates || {}),
+        };
+        const docs = await saveStageDocs(tournament, initialState, 0, fixtureDates, session);
+
+        await recordAudit(req, tournament._id, 'tournament_started', {
+          session,
+          before,
+          after: { tournament: snapshot(tournament), matches: docs.map(snapshot) },
         });
-
-        // Initialise standings with team names (so they appear before any match is played)
-        await Promise.all(
-          initialState.groups.map((formatGroup, i) => {
-            const standings = formatGroup.participants.map((p) => ({
-              participant_id: p._id,
-              name: p.name,
-              position: 0,
-              played: 0,
-              wins: 0,
-              losses: 0,
-              draws: 0,
-              league_points: 0,
-              games_won: 0,
-              games_lost: 0,
-            }));
-            return TournamentGroup.findByIdAndUpdate(savedGroups[i]._id, { standings });
-          })
-        );
-      }
-
-      // Resolve string group IDs → real ObjectIds in match documents
-      const resolvedMatches = initialState.matches.map((m) => ({
-        ...m,
-        group_id: m.group_id && groupIdMap[m.group_id] ? groupIdMap[m.group_id] : m.group_id,
-      }));
-
-      const fixtureDates = tournament.config?.fixture_dates || {};
-      const matchDocs = await createMatchDocs(resolvedMatches, tournament._id, fixtureDates);
+        return docs;
+      });
 
       res.json({ tournament, participants, matches: matchDocs });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error starting tournament');
       res.status(500).json({ error: error.message });
     }
   });
 
   // POST /:id/reset — clear all results and return to draft
-  router.post('/:id/reset', validate(startTournamentSchema), async (req, res) => {
+  router.post('/:id/reset', requireRole('organiser'), validate(startTournamentSchema), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
       if (tournament.status === 'draft') return res.status(400).json({ error: 'Tournament has not been started yet' });
 
-      const valid = await checkPassphrase(tournament, req.body.passphrase);
-      if (!valid) return res.status(401).json({ error: 'Invalid passphrase' });
+      const [matches, groups] = await Promise.all([
+        TournamentMatch.find({ tournament_id: tournament._id }),
+        TournamentGroup.find({ tournament_id: tournament._id }),
+      ]);
+      const before = {
+        tournament: snapshot(tournament),
+        matches: matches.map(snapshot),
+        groups: groups.map(snapshot),
+      };
 
-      await TournamentMatch.deleteMany({ tournament_id: tournament._id });
-      await TournamentGroup.deleteMany({ tournament_id: tournament._id });
+      await inTransaction(async (session) => {
+        await TournamentMatch.deleteMany({ tournament_id: tournament._id }, { session });
+        await TournamentGroup.deleteMany({ tournament_id: tournament._id }, { session });
 
-      tournament.state_blob = undefined;
-      tournament.status = 'draft';
-      await tournament.save();
+        tournament.state_blob = undefined;
+        tournament.status = 'draft';
+        tournament.current_stage = 0;
+        tournament.completed_stages = [];
+        await tournament.save({ session });
+
+        await recordAudit(req, tournament._id, 'tournament_reset', {
+          session,
+          before,
+          after: { tournament: snapshot(tournament) },
+        });
+      });
 
       const participants = await TournamentParticipant.find({ tournament_id: tournament._id });
 
       res.json({ tournament, participants, matches: [] });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error resetting tournament');
       res.status(500).json({ error: error.message });
     }
   });
 
-  // PATCH /:id — update tournament details
-  router.patch('/:id', validate(tournamentUpdateSchema), async (req, res) => {
+  // POST /:id/next-period — box league: create next period's draft with promotion/relegation applied
+  router.post('/:id/next-period', requireRole('organiser'), validate(nextPeriodSchema), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+      if (tournament.format !== 'box_league') {
+        return res.status(400).json({ error: 'Only box leagues have periods' });
+      }
 
-      const valid = await checkPassphrase(tournament, req.body.passphrase);
-      if (!valid) return res.status(401).json({ error: 'Invalid passphrase' });
+      if (tournament.status !== 'completed') {
+        return res.status(400).json({ error: 'Current period has not finished yet' });
+      }
+
+      const [groups, participants] = await Promise.all([
+        TournamentGroup.find({ tournament_id: tournament._id }),
+        TournamentParticipant.find({ tournament_id: tournament._id }),
+      ]);
+      const boxes = tournamentEngine.generateNextPeriod(tournament.format, tournament.state_blob, groups);
+
+      const { config } = tournament.toObject();
+      const nextTournament = new Tournament({
+        name: req.body.name || `${tournament.name} (next period)`,
+        format: tournament.format,
+        config: { ...config, fixture_calendar: {}, fixture_dates: {} },
+        start_date: req.body.start_date,
+        end_date: req.body.end_date,
+        venue: tournament.venue,
+        description: tournament.description,
+        passphrase: tournament.passphrase,
+        tournament_type: tournament.tournament_type,
+        status: 'draft',
+      });
+      await nextTournament.save();
+
+      // Withdrawn players don't carry over; everyone else keeps their details
+      const byId = new Map(participants.map((p) => [p._id.toString(), p]));
+      const carried = [];
+      boxes.forEach((box, boxIndex) => {
+        box.participants.forEach((entry) => {
+          const previous = byId.get(entry.participant_id?.toString());
+          if (previous && !previous.withdrawn) carried.push({ previous, boxIndex });
+        });
+      });
 
-      const { name, format, config, start_date, end_date, venue, description, participants } = req.body;
+      const participantDocs = await Promise.all(
+        carried.map(({ previous, boxIndex }, index) =>
+          new TournamentParticipant({
+            tournament_id: nextTournament._id,
+            name: previous.name,
+            seed: index + 1,
+            club: previous.club,
+            external_ranking: previous.external_ranking,
+            color: previous.color,
+            division_index: boxIndex,
+          }).save()
+        )
+      );
+
+      const after = { tournament: snapshot(nextTournament), participants: participantDocs.map(snapshot) };
+      await recordAudit(req, tournament._id, 'next_period_created', { after });
+      await recordAudit(req, nextTournament._id, 'tournament_created', { after });
+
+      res.status(201).json({ tournament: nextTournament, participants: participantDocs, matches: [] });
+    } catch (error) {
+      logger.error({ err: error }, 'Error creating next period');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // PATCH /:id — update tournament details
+  router.patch('/:id', requireRole('organiser'), validate(tournamentUpdateSchema), async (req, res) => {
+    try {
+      const tournament = await Tournament.findById(req.params.id);
+      if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+
+      const { name, format, config, stages, start_date, end_date, venue, description, participants } = req.body;
+      const previousParticipants = await TournamentParticipant.find({ tournament_id: tournament._id });
+      const before = { tournament: snapshot(tournament), participants: previousParticipants.map(snapshot) };
 
       if (name !== undefined) tournament.name = name;
       if (start_date !== undefined) tournament.start_date = start_date || undefined;
@@ -245,6 +858,12 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       if (description !== undefined) tournament.description = description || undefined;
 
       if (tournament.status === 'draft') {
+        const stageErrors = validateStages(format ?? tournament.format, stages ?? tournament.stages);
+        if (stageErrors.length > 0) {
+          return res.status(400).json({ error: 'Tournament validation failed', details: stageErrors });
+        }
+
+        if (stages !== undefined) tournament.stages = stages;
         if (format !== undefined) {
           tournament.format = format;
           tournament.tournament_type = deriveTournamentType(format);
@@ -253,8 +872,15 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
           if (config.match !== undefined) tournament.set('config.match', config.match);
           if (config.courts !== undefined) tournament.set('config.courts', config.courts);
           if (config.min_rest_minutes !== undefined) tournament.set('config.min_rest_minutes', config.min_rest_minutes);
+          if (config.court_windows !== undefined) tournament.set('config.court_windows', config.court_windows);
           if (config.allow_walkovers !== undefined) tournament.set('config.allow_walkovers', config.allow_walkovers);
           if (config.divisions !== undefined) tournament.set('config.divisions', config.divisions);
+          if (config.knockout !== undefined) tournament.set('config.knockout', config.knockout);
+          if (config.groups !== undefined) tournament.set('config.groups', config.groups);
+          if (config.tiebreakers !== undefined) tournament.set('config.tiebreakers', config.tiebreakers);
+          if (config.box_league !== undefined) tournament.set('config.box_league', config.box_league);
+          if (config.lineup_rules !== undefined) tournament.set('config.lineup_rules', config.lineup_rules);
+          if (config.fixture_calendar !== undefined) tournament.set('config.fixture_calendar', config.fixture_calendar);
           if (config.fixture_dates !== undefined) {
             tournament.set('config.fixture_dates', config.fixture_dates);
             tournament.markModified('config.fixture_dates');
@@ -285,25 +911,32 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       await tournament.save();
 
       const updatedParticipants = await TournamentParticipant.find({ tournament_id: tournament._id });
+      await recordAudit(req, tournament._id, 'tournament_updated', {
+        before,
+        after: { tournament: snapshot(tournament), participants: updatedParticipants.map(snapshot) },
+      });
+
       res.json({ tournament, participants: updatedParticipants });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error updating tournament');
       res.status(500).json({ error: error.message });
     }
   });
 
   // PATCH /:id/participants/:participantId — rename a participant / team
-  router.patch('/:id/participants/:participantId', validate(participantUpdateSchema), async (req, res) => {
+  router.patch('/:id/participants/:participantId', requireRole('organiser'), validate(participantUpdateSchema), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
 
-      const participant = await TournamentParticipant.findOneAndUpdate(
-        { _id: req.params.participantId, tournament_id: tournament._id },
+      const previous = await TournamentParticipant.findOne({ _id: req.params.participantId, tournament_id: tournament._id });
+      if (!previous) return res.status(404).json({ error: 'Participant not found' });
+      const participant = await TournamentParticipant.findByIdAndUpdate(
+        previous._id,
         { name: req.body.name },
         { new: true }
       );
-      if (!participant) return res.status(404).json({ error: 'Participant not found' });
 
       if (tournament.state_blob && tournament.state_blob.players) {
         const players = tournament.state_blob.players.map((p) =>
@@ -325,15 +958,22 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
         ),
       ]);
 
+      await recordAudit(req, tournament._id, 'participant_renamed', {
+        participantId: participant._id,
+        before: snapshot(previous),
+        after: snapshot(participant),
+      });
+
       res.json({ participant });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error updating participant');
       res.status(500).json({ error: error.message });
     }
   });
 
   // PATCH /:id/participants/:participantId/roster — update team roster
-  router.patch('/:id/participants/:participantId/roster', validate(rosterUpdateSchema), async (req, res) => {
+  router.patch('/:id/participants/:participantId/roster', requireRole('organiser'), validate(rosterUpdateSchema), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
@@ -341,12 +981,19 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
         return res.status(400).json({ error: 'Roster management only applies to team tournaments' });
       }
 
-      const participant = await TournamentParticipant.findOneAndUpdate(
-        { _id: req.params.participantId, tournament_id: tournament._id },
+      const previous = await TournamentParticipant.findOne({ _id: req.params.participantId, tournament_id: tournament._id });
+      if (!previous) return res.status(404).json({ error: 'Team not found' });
+      const participant = await TournamentParticipant.findByIdAndUpdate(
+        previous._id,
         { roster: req.body.roster },
         { new: true }
       );
-      if (!participant) return res.status(404).json({ error: 'Team not found' });
+
+      await recordAudit(req, tournament._id, 'roster_updated', {
+        participantId: participant._id,
+        before: snapshot(previous),
+        after: snapshot(participant),
+      });
 
       res.json({ participant });
     } catch (error) {
@@ -356,7 +1003,7 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
   });
 
   // POST /:id/participants — add a single participant (pool player)
-  router.post('/:id/participants', async (req, res) => {
+  router.post('/:id/participants', requireRole('organiser'), async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
@@ -377,6 +1024,10 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       if (player_type) participantData.player_type = player_type;
 
       const participant = await new TournamentParticipant(participantData).save();
+      await recordAudit(req, tournament._id, 'participant_added', {
+        participantId: participant._id,
+        after: snapshot(participant),
+      });
 
       res.status(201).json({ participant });
     } catch (error) {
@@ -395,8 +1046,9 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
     }
   });
 
-  // GET /:id — full detail
-  router.get('/:id', async (req, res) => {
+  // GET /:id — full detail. Lineups not yet revealed are left out, except
+  // for the organiser and the captain whose team's lineup it is.
+  router.get('/:id', identifyRole, async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
@@ -407,21 +1059,29 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
         TournamentGroup.find({ tournament_id: tournament._id }).sort({ name: 1 }),
       ]);
 
-      res.json({ tournament, participants, matches, groups });
+      res.json({
+        tournament,
+        participants,
+        matches: matches.map((match) => hideLineups(match, lineupViewer(req, match))),
+        groups,
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // GET /:id/standings
+  // GET /:id/standings — ?stage=n for an earlier stage of a multi-stage tournament
   router.get('/:id/standings', async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
 
-      const groups = await TournamentGroup.find({ tournament_id: tournament._id }).sort({ name: 1 });
-      const standings = tournamentEngine.getStandings(tournament.format, tournament.state_blob, groups);
-      res.json(standings);
+      const currentStage = tournament.current_stage || 0;
+      const stageIndex = req.query.stage !== undefined ? Number(req.query.stage) : currentStage;
+      const stage = Number.isInteger(stageIndex) && stageIndex <= currentStage ? getStage(tournament, stageIndex) : null;
+      if (!stage) return res.status(404).json({ error: 'Stage not found' });
+
+      res.json(await stageStandings(tournament, stageIndex));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -433,42 +1093,153 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
 
-      const groups = await TournamentGroup.find({ tournament_id: tournament._id }).sort({ name: 1 });
-      const finalResults = tournamentEngine.getFinalResults(tournament.format, tournament.state_blob, groups);
+      const stage = getStage(tournament);
+      const [groups, allMatches] = await Promise.all([
+        TournamentGroup.find(stageFilter(tournament._id, stage.index)).sort({ name: 1 }),
+        TournamentMatch.find(stageFilter(tournament._id, stage.index)),
+      ]);
+      const finalResults = tournamentEngine.getFinalResults(
+        stage.format,
+        tournament.state_blob,
+        groups,
+        allMatches.map((m) => m.toObject())
+      );
+
+      // Multi-stage: players knocked out in earlier stages rank below the current stage
+      if (stage.index > 0) {
+        const earlier = tournament.completed_stages.map((completed) => completed.final_results);
+        return res.json(mergeStageResults([...earlier, finalResults]));
+      }
       res.json(finalResults);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
+  // GET /:id/calendar — the fixtures grouped by match night, in date order,
+  // with any not yet dated listed after
+  router.get('/:id/calendar', async (req, res) => {
+    try {
+      if (!(await Tournament.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ error: 'Tournament not found' });
+      }
+
+      const matches = await TournamentMatch.find({ tournament_id: req.params.id }).sort({ scheduled_at: 1, round: 1 });
+      const fixture = (match) => ({
+        _id: match._id,
+        match_number: match.match_number,
+        round: match.round,
+        stage_index: match.stage_index || 0,
+        group_id: match.group_id,
+        home: match.participant_a?.name,
+        away: match.participant_b?.name,
+        status: match.status,
+      });
+
+      const nights = [];
+      matches
+        .filter((match) => match.scheduled_at)
+        .forEach((match) => {
+          const date = match.scheduled_at.toISOString().slice(0, 10);
+          if (nights.length === 0 || nights[nights.length - 1].date !== date) nights.push({ date, fixtures: [] });
+          nights[nights.length - 1].fixtures.push(fixture(match));
+        });
+
+      res.json({ nights, unscheduled: matches.filter((match) => !match.scheduled_at).map(fixture) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // GET /:id/audit — every recorded change, oldest first. Still available
+  // after the tournament has been deleted. Organiser only: the snapshots
+  // include lineups before they're revealed.
+  router.get('/:id/audit', requireRole('organiser'), async (req, res) => {
+    try {
+      const entries = await TournamentAudit.find({ tournament_id: req.params.id }).sort({ created_at: 1, _id: 1 });
+      if (entries.length === 0 && !(await Tournament.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ error: 'Tournament not found' });
+      }
+      res.json(entries);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // GET /:id/events — Server-Sent Events stream of the tournament's changes
+  router.get('/:id/events', async (req, res) => {
+    try {
+      if (!(await Tournament.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ error: 'Tournament not found' });
+      }
+      openEventStream(req, res, req.params.id);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // GET /:id/matches/playable
-  router.get('/:id/matches/playable', async (req, res) => {
+  router.get('/:id/matches/playable', identifyRole, async (req, res) => {
     try {
       const tournament = await Tournament.findById(req.params.id);
       if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
 
-      const allMatches = await TournamentMatch.find({ tournament_id: tournament._id });
-      const playableMatches = tournamentEngine.getPlayableMatches(tournament.format, tournament.state_blob, allMatches);
-      res.json(playableMatches);
+      const stage = getStage(tournament);
+      const allMatches = await TournamentMatch.find(stageFilter(tournament._id, stage.index));
+      const playableMatches = tournamentEngine.getPlayableMatches(stage.format, tournament.state_blob, allMatches);
+      res.json(playableMatches.map((match) => hideLineups(match, lineupViewer(req, match))));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // PATCH /:tournamentId/matches/:matchId/schedule — set or clear scheduled_at
-  router.patch('/:tournamentId/matches/:matchId/schedule', requireAdmin, async (req, res) => {
+  // GET /:id/order-of-play — courts and start times for the current stage's
+  // playable matches, planned afresh from the state of play on every request
+  // (tournament/courtScheduler.js)
+  router.get('/:id/order-of-play', async (req, res) => {
+    try {
+      const tournament = await Tournament.findById(req.params.id);
+      if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+
+      const stage = getStage(tournament);
+      const allMatches = await TournamentMatch.find(stageFilter(tournament._id, stage.index));
+      const playableMatches = tournamentEngine.getPlayableMatches(stage.format, tournament.state_blob, allMatches);
+      const plan = planOrderOfPlay(
+        allMatches.map((match) => match.toObject()),
+        playableMatches.map((match) => match._id),
+        stage.config
+      );
+      res.json({ stage: stage.index, generated_at: new Date(), ...plan });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // PATCH /:tournamentId/matches/:matchId/schedule — set or clear scheduled_at,
+  // and pin the match to a court (`court`, null to unpin) for the order of play
+  router.patch('/:tournamentId/matches/:matchId/schedule', requireRole('organiser'), async (req, res) => {
     try {
       const { tournamentId, matchId } = req.params;
-      const { scheduled_at } = req.body;
+      const { scheduled_at, court } = req.body;
 
-      const match = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
-      if (!match) return res.status(404).json({ error: 'Match not found' });
+      const [tournament, match] = await Promise.all([
+        Tournament.findById(tournamentId),
+        TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId }),
+      ]);
+      if (!tournament || !match) return res.status(404).json({ error: 'Match not found' });
+      if (court && !courtNames(getStage(tournament, match.stage_index || 0).config).includes(court)) {
+        return res.status(400).json({ error: `Unknown court: ${court}` });
+      }
 
-      match.scheduled_at = scheduled_at ? new Date(scheduled_at) : undefined;
+      const before = snapshot(match);
+      if (scheduled_at !== undefined) match.scheduled_at = scheduled_at ? new Date(scheduled_at) : undefined;
+      if (court !== undefined) match.court = court || undefined;
       await match.save();
+      await recordAudit(req, tournamentId, 'schedule_updated', { matchId, before, after: snapshot(match) });
 
-      res.json({ success: true, scheduled_at: match.scheduled_at });
+      res.json({ success: true, scheduled_at: match.scheduled_at, court: match.court });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error updating fixture schedule');
       res.status(500).json({ error: error.message });
     }
@@ -476,7 +1247,7 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
 
   // PATCH /:tournamentId/matches/:matchId/strings — persist in-progress string scores
   // Saves draft results without touching standings or fixture status.
-  router.patch('/:tournamentId/matches/:matchId/strings', requireAdmin, async (req, res) => {
+  router.patch('/:tournamentId/matches/:matchId/strings', requireRole('organiser', 'referee'), async (req, res) => {
     try {
       const { tournamentId, matchId } = req.params;
       const { strings } = req.body;
@@ -488,18 +1259,21 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       const match = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
       if (!match) return res.status(404).json({ error: 'Match not found' });
 
+      const before = snapshot(match);
       match.draft_string_results = strings;
       await match.save();
+      await recordAudit(req, tournamentId, 'strings_saved', { matchId, before, after: snapshot(match) });
 
       res.json({ success: true });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error saving draft strings');
       res.status(500).json({ error: error.message });
     }
   });
 
-  // PATCH /:tournamentId/matches/:matchId/extra-result — save racketball or beginner result (no auth)
-  router.patch('/:tournamentId/matches/:matchId/extra-result', async (req, res) => {
+  // PATCH /:tournamentId/matches/:matchId/extra-result — save racketball or beginner result
+  router.patch('/:tournamentId/matches/:matchId/extra-result', requireRole('organiser', 'referee'), async (req, res) => {
     try {
       const { tournamentId, matchId } = req.params;
       const { match_type, team_a_games, team_b_games, game_scores } = req.body;
@@ -511,20 +1285,23 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       const match = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
       if (!match) return res.status(404).json({ error: 'Match not found' });
 
+      const before = snapshot(match);
       const field = `${match_type}_result`;
       match[field] = { team_a_games, team_b_games, game_scores: game_scores || [] };
       match.markModified(field);
       await match.save();
+      await recordAudit(req, tournamentId, 'extra_result_saved', { matchId, before, after: snapshot(match) });
 
       res.json({ success: true });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error saving extra match result');
       res.status(500).json({ error: error.message });
     }
   });
 
   // DELETE /:tournamentId/matches/:matchId/extra-player/:type — cancel a racketball/beginner match
-  router.delete('/:tournamentId/matches/:matchId/extra-player/:type', async (req, res) => {
+  router.delete('/:tournamentId/matches/:matchId/extra-player/:type', requireRole('organiser', 'referee'), async (req, res) => {
     try {
       const { tournamentId, matchId, type } = req.params;
 
@@ -539,34 +1316,66 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
         return res.status(409).json({ error: 'Cannot remove a match that already has a result' });
       }
 
+      const before = snapshot(match);
       match[`team_a_${type}_player`] = null;
       match[`team_b_${type}_player`] = null;
       match.markModified(`team_a_${type}_player`);
       match.markModified(`team_b_${type}_player`);
       await match.save();
+      await recordAudit(req, tournamentId, 'extra_match_removed', { matchId, before, after: snapshot(match) });
 
       res.json({ success: true });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error removing extra match player');
       res.status(500).json({ error: error.message });
     }
   });
 
-  // PATCH /:tournamentId/matches/:matchId/lineup — save confirmed team lineup (no auth required)
-  router.patch('/:tournamentId/matches/:matchId/lineup', async (req, res) => {
+  // PATCH /:tournamentId/matches/:matchId/lineup — save confirmed team lineup.
+  // A captain confirms their own team's side (`side` defaults to it) and can
+  // change it until both teams have confirmed; the organiser sets either side.
+  // The lineup must keep to the eligibility rules unless the organiser
+  // overrides them (override_rules).
+  router.patch('/:tournamentId/matches/:matchId/lineup', requireRole('organiser', 'captain'), validate(lineupSchema), async (req, res) => {
     try {
       const { tournamentId, matchId } = req.params;
-      const { side, lineup } = req.body;
+      const { lineup, override_rules: overrideRules } = req.body;
 
+      if (overrideRules && req.role !== 'organiser') {
+        return res.status(403).json({ error: 'Only the organiser can override the lineup rules' });
+      }
+
+      const [tournament, match] = await Promise.all([
+        Tournament.findById(tournamentId),
+        TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId }),
+      ]);
+      if (!tournament || !match) return res.status(404).json({ error: 'Match not found' });
+
+      const ownSide = req.role === 'captain' ? teamSide(match, req.participantId) : null;
+      if (req.role === 'captain' && !ownSide) {
+        return res.status(403).json({ error: 'Your team is not playing in this fixture' });
+      }
+      const side = req.body.side || ownSide;
       if (side !== 'a' && side !== 'b') {
         return res.status(400).json({ error: 'side must be "a" or "b"' });
       }
-      if (!Array.isArray(lineup)) {
-        return res.status(400).json({ error: 'lineup must be an array' });
+      if (ownSide && side !== ownSide) {
+        return res.status(403).json({ error: "Captains can only set their own team's lineup" });
       }
 
-      const match = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
-      if (!match) return res.status(404).json({ error: 'Match not found' });
+      const wasRevealed = lineupsRevealed(match);
+      if (wasRevealed && req.role === 'captain') {
+        return res.status(409).json({ error: 'Lineups are locked once both teams have confirmed' });
+      }
+
+      if (!overrideRules) {
+        const lineupErrors = await checkLineup(tournament, match, side, lineup);
+        if (lineupErrors.length > 0) {
+          return res.status(400).json({ error: 'Lineup breaks the eligibility rules', details: lineupErrors });
+        }
+      }
+      const before = snapshot(match);
 
       if (side === 'a') {
         match.team_a_lineup = lineup;
@@ -596,9 +1405,17 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
       }
 
       await match.save();
+      await recordAudit(req, tournamentId, 'lineup_confirmed', { matchId, before, after: snapshot(match) });
 
-      res.json({ success: true });
+      // The second confirmation reveals both lineups at once
+      const revealed = lineupsRevealed(match);
+      if (revealed && !wasRevealed) {
+        eventStream.publish(tournamentId, 'lineups_revealed', { match_id: matchId, match: hideLineups(match) });
+      }
+
+      res.json({ success: true, revealed, match: hideLineups(match, lineupViewer(req, match)) });
     } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
       logger.error({ err: error }, 'Error saving team lineup');
       res.status(500).json({ error: error.message });
     }
@@ -608,82 +1425,39 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
   // Handles both individual matches and team fixtures (selected by tournament type)
   router.post(
     '/:tournamentId/matches/:matchId/result',
-    requireAdmin,
+    requireRole('organiser', 'referee'),
     async (req, res) => {
       try {
         const { tournamentId, matchId } = req.params;
 
-        const tournament = await Tournament.findById(tournamentId);
-        if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
-
-        const tournamentMatch = await TournamentMatch.findById(matchId);
-        if (!tournamentMatch) return res.status(404).json({ error: 'Tournament match not found' });
-
-        if (tournamentMatch.status === 'completed' || tournamentMatch.status === 'walkover') {
-          return res.status(409).json({ error: 'Match result already recorded' });
-        }
+        await retryOnConflict(async () => {
+          const tournament = await Tournament.findById(tournamentId);
+          if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
 
-        // Validate body against the appropriate schema
-        const schema = tournament.tournament_type === 'team' ? teamFixtureResultSchema : matchResultSchema;
-        const parsed = schema.safeParse(req.body);
-        if (!parsed.success) {
-          return res.status(400).json({ error: 'Validation failed', details: parsed.error.errors });
-        }
-
-        const matchResult = parsed.data;
-
-        const [groups, allMatches] = await Promise.all([
-          TournamentGroup.find({ tournament_id: tournamentId }),
-          TournamentMatch.find({ tournament_id: tournamentId }),
-        ]);
-
-        const result = tournamentEngine.processMatchResult(
-          tournament.format,
-          tournament.state_blob,
-          tournamentMatch.toObject(),
-          matchResult,
-          groups,
-          allMatches.map((m) => m.toObject())
-        );
+          const tournamentMatch = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
+          if (!tournamentMatch) return res.status(404).json({ error: 'Tournament match not found' });
 
-        tournament.state_blob = result.state;
-        if (result.tournamentComplete) tournament.status = 'completed';
-        await tournament.save();
-
-        if (result.updatedMatches && result.updatedMatches.length > 0) {
-          await Promise.all(
-            result.updatedMatches.map(({ _id, ...fields }) =>
-              TournamentMatch.findByIdAndUpdate(_id, { $set: fields }, { new: true })
-            )
-          );
-        }
+          if (tournamentMatch.status === 'completed' || tournamentMatch.status === 'walkover') {
+            return res.status(409).json({ error: 'Match result already recorded' });
+          }
 
-        if (result.newMatches && result.newMatches.length > 0) {
-          await Promise.all(
-            result.newMatches.map((match) =>
-              new TournamentMatch({ ...match, tournament_id: tournamentId }).save()
-            )
-          );
-        }
+          const stage = getStage(tournament);
+          if ((tournamentMatch.stage_index || 0) !== stage.index) {
+            return res.status(409).json({ error: 'This match belongs to a stage that has already finished' });
+          }
 
-        if (result.standingsUpdates && result.standingsUpdates.length > 0) {
-          await Promise.all(
-            result.standingsUpdates.map((update) =>
-              TournamentGroup.findByIdAndUpdate(update.group_id, {
-                standings: update.standings,
-                completed: update.completed || false,
-                updated_at: new Date(),
-              })
-            )
-          );
-        }
+          // Validate body against the appropriate schema
+          const schema = tournament.tournament_type === 'team' ? teamFixtureResultSchema : matchResultSchema;
+          const parsed = schema.safeParse(req.body);
+          if (!parsed.success) {
+            return res.status(400).json({ error: 'Validation failed', details: parsed.error.errors });
+          }
 
-        res.json({
-          success: true,
-          tournament_complete: result.tournamentComplete,
-          message: result.tournamentComplete ? 'Tournament completed!' : 'Match result processed',
+          const { status, body } = await applyMatchResult(req, tournament, tournamentMatch, parsed.data);
+          res.status(status).json(body);
         });
       } catch (error) {
+        if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
         logger.error({ err: error }, 'Error processing match result');
         res.status(500).json({ error: error.message });
       }
@@ -693,87 +1467,406 @@ module.exports = function createTournamentRouter(tournamentEngine, logger) {
   // PATCH /:tournamentId/matches/:matchId/result — edit a completed match result
   router.patch(
     '/:tournamentId/matches/:matchId/result',
+    requireRole('organiser'),
     async (req, res) => {
       try {
         const { tournamentId, matchId } = req.params;
 
-        const tournament = await Tournament.findById(tournamentId);
-        if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+        await retryOnConflict(async () => {
+          const tournament = await Tournament.findById(tournamentId);
+          if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
 
-        const tournamentMatch = await TournamentMatch.findById(matchId);
-        if (!tournamentMatch) return res.status(404).json({ error: 'Tournament match not found' });
-        if (tournamentMatch.status !== 'completed') {
-          return res.status(400).json({ error: 'Match is not completed' });
-        }
+          const tournamentMatch = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
+          if (!tournamentMatch) return res.status(404).json({ error: 'Tournament match not found' });
+          if (tournamentMatch.status !== 'completed' && tournamentMatch.status !== 'walkover') {
+            return res.status(400).json({ error: 'Match is not completed' });
+          }
 
-        // Validate with the appropriate schema
-        const schema = tournament.tournament_type === 'team' ? teamFixtureResultSchema : matchResultSchema;
-        const parsed = schema.safeParse(req.body);
-        if (!parsed.success) {
-          return res.status(400).json({ error: 'Validation failed', details: parsed.error.errors });
-        }
+          const stage = getStage(tournament);
+          if ((tournamentMatch.stage_index || 0) !== stage.index) {
+            return res.status(409).json({ error: 'This match belongs to a stage that has already finished' });
+          }
+
+          // Validate with the appropriate schema
+          const schema = tournament.tournament_type === 'team' ? teamFixtureResultSchema : matchResultSchema;
+          const parsed = schema.safeParse(req.body);
+          if (!parsed.success) {
+            return res.status(400).json({ error: 'Validation failed', details: parsed.error.errors });
+          }
 
-        const allMatches = await TournamentMatch.find({ tournament_id: tournamentId });
-        const { passphrase: _p, ...matchResult } = parsed.data;
+          const allMatches = await TournamentMatch.find(stageFilter(tournamentId, stage.index));
+          const { passphrase: _p, ...submitted } = parsed.data;
+          if (submitted.walkover && tournament.config?.allow_walkovers === false) {
+            return res.status(400).json({ error: 'Walkovers are not allowed in this tournament' });
+          }
 
-        const [groups] = await Promise.all([
-          TournamentGroup.find({ tournament_id: tournamentId }),
-        ]);
+          const resolution = await resolveMatchResult(tournamentMatch, submitted, {
+            isTeam: tournament.tournament_type === 'team',
+            allowDraw: DRAW_FORMATS.has(stage.format),
+          });
+          if (resolution.error) return res.status(resolution.status || 400).json({ error: resolution.error });
+          const matchResult = resolution.result;
 
-        const result = tournamentEngine.processMatchResult(
-          tournament.format,
-          tournament.state_blob,
-          tournamentMatch.toObject(),
-          matchResult,
-          groups,
-          allMatches.map((m) => m.toObject())
-        );
+          const scoreErrors = checkScores(stage.config, tournament.tournament_type, tournamentMatch, matchResult);
+          if (scoreErrors.length > 0) {
+            return res.status(400).json({ error: 'Scores do not match the scoring rules', details: scoreErrors });
+          }
 
-        tournament.state_blob = result.state;
-        tournament.status = 'active';
-        await tournament.save();
+          const groups = await TournamentGroup.find(stageFilter(tournamentId, stage.index));
 
-        if (result.updatedMatches && result.updatedMatches.length > 0) {
-          await Promise.all(
-            result.updatedMatches.map(({ _id, ...fields }) =>
-              TournamentMatch.findByIdAndUpdate(_id, { $set: fields }, { new: true })
-            )
+          const result = tournamentEngine.updateMatchResult(
+            stage.format,
+            tournament.state_blob,
+            tournamentMatch.toObject(),
+            matchResult,
+            allMatches.map((m) => m.toObject()),
+            groups
           );
+
+          // An edit that finishes the stage draws the next one, as a new result does
+          const stageComplete = result.tournamentComplete && hasNextStage(tournament);
+          const nextStage = await inTransaction(async (session) => {
+            tournament.state_blob = result.state;
+            tournament.status = result.tournamentComplete && !stageComplete ? 'completed' : 'active';
+            await tournament.save({ session });
+            // Rounds paired from the old result are dropped and drawn again
+            await saveResultChanges(tournamentId, stage.index, result, session);
+            await recordAudit(req, tournamentId, 'result_edited', {
+              session,
+              matchId,
+              before: snapshot(tournamentMatch),
+              after: snapshot(await TournamentMatch.findById(matchId).session(session)),
+            });
+            return stageComplete ? startNextStage(tournament, session) : null;
+          });
+          await publishResultEvents(tournament, stage.index, matchId, 'edited', result);
+
+          if (stageComplete) {
+            return res.json({
+              success: true,
+              tournament_complete: false,
+              stage_complete: true,
+              next_stage: { index: nextStage.stage, name: nextStage.name, matches: nextStage.matches },
+              message: `Match result updated — ${nextStage.name} drawn`,
+            });
+          }
+          res.json({ success: true, tournament_complete: result.tournamentComplete, message: 'Match result updated' });
+        });
+      } catch (error) {
+        if (error.code === 'BRACKET_LOCKED') {
+          return res.status(409).json({ error: error.message });
+        }
+        if (error.code === 'STAGE_NOT_DRAWN') {
+          return res.status(409).json({ error: error.message, details: error.details });
         }
+        if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
+        logger.error({ err: error }, 'Error updating match result');
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
 
-        if (result.standingsUpdates && result.standingsUpdates.length > 0) {
-          await Promise.all(
-            result.standingsUpdates.map((update) =>
-              TournamentGroup.findByIdAndUpdate(update.group_id, {
-                standings: update.standings,
-                completed: update.completed || false,
-                updated_at: new Date(),
-              })
-            )
+  // POST /:tournamentId/matches/:matchId/revert — clear a result back to unplayed
+  router.post(
+    '/:tournamentId/matches/:matchId/revert',
+    requireRole('organiser'),
+    validate(revertResultSchema),
+    async (req, res) => {
+      try {
+        const { tournamentId, matchId } = req.params;
+
+        await retryOnConflict(async () => {
+          const tournament = await Tournament.findById(tournamentId);
+          if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+
+          const tournamentMatch = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
+          if (!tournamentMatch) return res.status(404).json({ error: 'Tournament match not found' });
+          if (tournamentMatch.status !== 'completed' && tournamentMatch.status !== 'walkover') {
+            return res.status(400).json({ error: 'Match is not completed' });
+          }
+          if (isBye(tournamentMatch)) {
+            return res.status(400).json({ error: 'Byes cannot be reverted' });
+          }
+
+          const stage = getStage(tournament);
+          if ((tournamentMatch.stage_index || 0) !== stage.index) {
+            return res.status(409).json({ error: 'This match belongs to a stage that has already finished' });
+          }
+
+          const [groups, allMatches] = await Promise.all([
+            TournamentGroup.find(stageFilter(tournamentId, stage.index)),
+            TournamentMatch.find(stageFilter(tournamentId, stage.index)),
+          ]);
+
+          const result = tournamentEngine.revertMatchResult(
+            stage.format,
+            tournament.state_blob,
+            tournamentMatch.toObject(),
+            allMatches.map((m) => m.toObject()),
+            groups
           );
-        }
 
-        res.json({ success: true, message: 'Match result updated' });
+          await inTransaction(async (session) => {
+            tournament.state_blob = result.state;
+            tournament.status = 'active';
+            await tournament.save({ session });
+            await saveResultChanges(tournamentId, stage.index, result, session);
+            await recordAudit(req, tournamentId, 'result_reverted', {
+              session,
+              matchId,
+              before: snapshot(tournamentMatch),
+              after: snapshot(await TournamentMatch.findById(matchId).session(session)),
+            });
+          });
+          await publishResultEvents(tournament, stage.index, matchId, 'reverted', result);
+
+          res.json({ success: true, message: 'Match result reverted' });
+        });
       } catch (error) {
         if (error.code === 'BRACKET_LOCKED') {
           return res.status(409).json({ error: error.message });
         }
-        logger.error({ err: error }, 'Error updating match result');
+        if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
+        logger.error({ err: error }, 'Error reverting match result');
         res.status(500).json({ error: error.message });
       }
     }
   );
 
+  // Helper: load a match for live scoring. Returns { tournament, match, rules }
+  // or { status, body } when it can't be scored live.
+  async function loadLiveMatch(tournamentId, matchId) {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) return { status: 404, body: { error: 'Tournament not found' } };
+    if (tournament.tournament_type === 'team') {
+      return { status: 400, body: { error: 'Team fixtures are scored by string, not live' } };
+    }
+
+    const match = await TournamentMatch.findOne({ _id: matchId, tournament_id: tournamentId });
+    if (!match) return { status: 404, body: { error: 'Tournament match not found' } };
+
+    const stage = getStage(tournament);
+    if ((match.stage_index || 0) !== stage.index) {
+      return { status: 409, body: { error: 'This match belongs to a stage that has already finished' } };
+    }
+    return { tournament, match, rules: getScoringRules(stage.config) };
+  }
+
+  // GET /:tournamentId/matches/:matchId/live — the live score, replayed from the rallies
+  router.get('/:tournamentId/matches/:matchId/live', async (req, res) => {
+    try {
+      const { tournamentId, matchId } = req.params;
+      const loaded = await loadLiveMatch(tournamentId, matchId);
+      if (loaded.status) return res.status(loaded.status).json(loaded.body);
+
+      const { live } = loaded.match.toObject();
+      if (!live?.started_at) return res.status(404).json({ error: 'Match has not been started' });
+
+      res.json({ status: loaded.match.status, live: summarizeLive(live, loaded.rules) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // GET /:tournamentId/matches/:matchId/events — Server-Sent Events for one match
+  router.get('/:tournamentId/matches/:matchId/events', async (req, res) => {
+    try {
+      const { tournamentId, matchId } = req.params;
+      if (!(await TournamentMatch.exists({ _id: matchId, tournament_id: tournamentId }))) {
+        return res.status(404).json({ error: 'Tournament match not found' });
+      }
+      openEventStream(req, res, tournamentId, matchId);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // POST /:tournamentId/matches/:matchId/live/start — start scoring a ready match live
+  router.post(
+    '/:tournamentId/matches/:matchId/live/start',
+    requireRole('organiser', 'referee'),
+    validate(liveStartSchema),
+    async (req, res) => {
+      try {
+        const { tournamentId, matchId } = req.params;
+        const loaded = await loadLiveMatch(tournamentId, matchId);
+        if (loaded.status) return res.status(loaded.status).json(loaded.body);
+        const { tournament, match, rules } = loaded;
+
+        if (match.status === 'live') return res.status(409).json({ error: 'Match is already live' });
+        if (match.status !== 'ready') return res.status(409).json({ error: 'Only a ready match can be started' });
+        if (req.body.court && !courtNames(getStage(tournament).config).includes(req.body.court)) {
+          return res.status(400).json({ error: `Unknown court: ${req.body.court}` });
+        }
+
+        const before = snapshot(match);
+        match.status = 'live';
+        if (req.body.court) match.court = req.body.court;
+        match.live = {
+          started_at: new Date(),
+          first_server: req.body.server,
+          first_side: req.body.side || 'right',
+          handicap_starts: req.body.handicap_starts,
+          rallies: [],
+        };
+        await inTransaction(async (session) => {
+          await match.save({ session });
+          await recordAudit(req, tournamentId, 'live_started', { session, matchId, before, after: snapshot(match) });
+        });
+
+        const live = summarizeLive(match.toObject().live, rules);
+        eventStream.publish(tournamentId, 'match_live', { match_id: matchId, match, live });
+        res.json({ success: true, live });
+      } catch (error) {
+        if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
+        logger.error({ err: error }, 'Error starting live match');
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // POST /:tournamentId/matches/:matchId/live/rallies — record a rally. The
+  // rally that wins the match submits the result through the result pipeline.
+  router.post(
+    '/:tournamentId/matches/:matchId/live/rallies',
+    requireRole('organiser', 'referee'),
+    validate(rallySchema),
+    async (req, res) => {
+      try {
+        const { tournamentId, matchId } = req.params;
+
+        await retryOnConflict(async () => {
+          const loaded = await loadLiveMatch(tournamentId, matchId);
+          if (loaded.status) return res.status(loaded.status).json(loaded.body);
+          const { tournament, match, rules } = loaded;
+          if (match.status !== 'live') return res.status(409).json({ error: 'Match is not live' });
+
+          const { live } = match.toObject();
+          const nextNumber = live.rallies.length + 1;
+          if (req.body.rally_number !== undefined && req.body.rally_number !== nextNumber) {
+            return res.status(409).json({ error: `Expected rally ${nextNumber}` });
+          }
+
+          const prepared = prepareRally(live, req.body, rules);
+          if (prepared.error) return res.status(400).json({ error: prepared.error });
+
+          const nextLive = { ...live, rallies: [...live.rallies, prepared.rally] };
+          const previous = summarizeLive(live, rules);
+          const summary = summarizeLive(nextLive, rules);
+
+          // Rally (and game) events go out once the rally is saved
+          const publishRally = () => {
+            eventStream.publish(tournamentId, 'rally', {
+              match_id: matchId,
+              rally_number: nextNumber,
+              rally: prepared.rally,
+              live: summary,
+            });
+            if (summary.games.length > previous.games.length) {
+              eventStream.publish(tournamentId, 'game', {
+                match_id: matchId,
+                game_number: summary.games.length,
+                score: summary.games[summary.games.length - 1],
+                games_won: summary.games_won,
+              });
+            }
+          };
+
+          if (summary.winner) {
+            const matchResult = liveMatchResult(nextLive, rules);
+            const { status, body } = await applyMatchResult(req, tournament, match, matchResult, {
+              matchFields: { live: nextLive },
+              onCommit: publishRally,
+            });
+            return res.status(status).json({ ...body, live: summary });
+          }
+
+          match.live.rallies.push(prepared.rally);
+          await inTransaction(async (session) => {
+            await match.save({ session });
+            await recordAudit(req, tournamentId, 'rally_recorded', {
+              session,
+              matchId,
+              before: previous,
+              after: summary,
+            });
+          });
+          publishRally();
+
+          res.json({ success: true, live: summary });
+        });
+      } catch (error) {
+        if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
+        logger.error({ err: error }, 'Error recording rally');
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // DELETE /:tournamentId/matches/:matchId/live/rallies/last — undo the last rally
+  router.delete('/:tournamentId/matches/:matchId/live/rallies/last', requireRole('organiser', 'referee'), async (req, res) => {
+    try {
+      const { tournamentId, matchId } = req.params;
+      const loaded = await loadLiveMatch(tournamentId, matchId);
+      if (loaded.status) return res.status(loaded.status).json(loaded.body);
+      const { match, rules } = loaded;
+
+      if (match.status !== 'live') {
+        return res.status(409).json({ error: 'Match is not live; revert the result to change a finished match' });
+      }
+      const { live } = match.toObject();
+      if (live.rallies.length === 0) return res.status(400).json({ error: 'No rallies to undo' });
+
+      match.live.rallies.pop();
+      const summary = summarizeLive(match.toObject().live, rules);
+      await inTransaction(async (session) => {
+        await match.save({ session });
+        await recordAudit(req, tournamentId, 'rally_undone', {
+          session,
+          matchId,
+          before: summarizeLive(live, rules),
+          after: summary,
+        });
+      });
+      eventStream.publish(tournamentId, 'rally_undone', { match_id: matchId, live: summary });
+
+      res.json({ success: true, live: summary });
+    } catch (error) {
+      if (isConflict(error)) return res.status(409).json({ error: CONFLICT_MESSAGE });
+      logger.error({ err: error }, 'Error undoing rally');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // DELETE /:id — cascade delete
-  router.delete('/:id', requireAdmin, async (req, res) => {
+  router.delete('/:id', requireRole('organiser'), async (req, res) => {
     try {
       const tournamentId = req.params.id;
-      await Promise.all([
-        TournamentMatch.deleteMany({ tournament_id: tournamentId }),
-        TournamentParticipant.deleteMany({ tournament_id: tournamentId }),
-        TournamentGroup.deleteMany({ tournament_id: tournamentId }),
-        Tournament.findByIdAndDelete(tournamentId),
+      const [tournament, participants, matches, groups] = await Promise.all([
+        Tournament.findById(tournamentId),
+        TournamentParticipant.find({ tournament_id: tournamentId }),
+        TournamentMatch.find({ tournament_id: tournamentId }),
+        TournamentGroup.find({ tournament_id: tournamentId }),
       ]);
+
+      await inTransaction(async (session) => {
+        await TournamentMatch.deleteMany({ tournament_id: tournamentId }, { session });
+        await TournamentParticipant.deleteMany({ tournament_id: tournamentId }, { session });
+        await TournamentGroup.deleteMany({ tournament_id: tournamentId }, { session });
+        await Tournament.findByIdAndDelete(tournamentId, { session });
+        if (tournament) {
+          await recordAudit(req, tournamentId, 'tournament_deleted', {
+            session,
+            before: {
+              tournament: snapshot(tournament),
+              participants: participants.map(snapshot),
+              matches: matches.map(snapshot),
+              groups: groups.map(snapshot),
+            },
+          });
+        }
+      });
+      eventStream.clear(tournamentId);
       res.json({ success: true, message: 'Tournament deleted successfully' });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1,6 +1,17 @@
 const { z } = require('zod');
 
-const FORMATS = ['single_elimination', 'monrad', 'team_round_robin', 'team_round_robin_playoff'];
+const FORMATS = [
+  'single_elimination',
+  'double_elimination',
+  'compass',
+  'round_robin',
+  'pools_knockout',
+  'box_league',
+  'monrad',
+  'team_round_robin',
+  'team_round_robin_playoff',
+];
+const TIEBREAKERS = ['wins', 'h2h', 'game_diff', 'point_diff', 'fewest_walkovers', 'random'];
 
 // POST /api/matches
 const matchSchema = z.object({
@@ -49,7 +60,8 @@ const participantInputSchema = z.object({
     )
     .max(10)
     .optional(),
-  // Team round robin: which division this participant belongs to (0-indexed)
+  // Team round robin: which division this participant belongs to (0-indexed);
+  // box league: which box (0 is the top box)
   division_index: z.number().int().min(0).optional(),
   // Pool player (stand-in, not assigned to a team)
   is_pool: z.boolean().optional(),
@@ -66,6 +78,7 @@ const matchConfigSchema = z
         points_to_win: z.number().int().min(1).max(99).optional(),
         clear_points: z.number().int().min(0).max(10).optional(),
         is_handicap: z.boolean().optional(),
+        scoring: z.enum(['traditional', 'PAR11']).optional(),
       })
       .optional(),
     divisions: z
@@ -73,10 +86,89 @@ const matchConfigSchema = z
         count: z.number().int().min(1).max(8).optional(),
       })
       .optional(),
+    // Single elimination: consolation (plate) draw and positional play-offs;
+    // double elimination: grand final reset
+    knockout: z
+      .object({
+        consolation: z.boolean().optional(),
+        playoffs: z
+          .object({
+            third_place: z.boolean().optional(),
+            fifth_to_eighth: z.boolean().optional(),
+          })
+          .optional(),
+        grand_final_reset: z.boolean().optional(),
+      })
+      .optional(),
+    // Round robin / pools: group size (omit for a single round robin group),
+    // qualifiers per pool for the knockout, and tiebreaker order
+    groups: z
+      .object({
+        target_size: z.number().int().min(3).max(20).optional(),
+        advance_per_group: z.number().int().min(1).max(8).optional(),
+      })
+      .optional(),
+    // Box league: players per box and places moving up/down each period
+    box_league: z
+      .object({
+        box_size: z.number().int().min(3).max(12).optional(),
+        promotion: z.number().int().min(0).max(6).optional(),
+        relegation: z.number().int().min(0).max(6).optional(),
+      })
+      .optional(),
+    tiebreakers: z.array(z.enum(TIEBREAKERS)).max(TIEBREAKERS.length).optional(),
+    // Order of play: courts '1' to courts, rest between a player's matches and
+    // when courts are open (a court without windows is open all day)
+    courts: z.number().int().min(1).max(30).optional(),
+    min_rest_minutes: z.number().int().min(0).max(240).optional(),
+    court_windows: z
+      .array(
+        z
+          .object({
+            court: z.string().trim().min(1).max(30),
+            start: z.iso.datetime({ offset: true }),
+            end: z.iso.datetime({ offset: true }),
+          })
+          .refine((window) => new Date(window.start) < new Date(window.end), {
+            message: 'A court window must end after it starts',
+          })
+      )
+      .max(100)
+      .optional(),
+    // Team round robin: lineup eligibility (max_pool_players null for no cap)
+    lineup_rules: z
+      .object({
+        roster_only: z.boolean().optional(),
+        play_down_only: z.boolean().optional(),
+        keep_string_order: z.boolean().optional(),
+        max_pool_players: z.number().int().min(0).max(5).nullable().optional(),
+        one_team_per_round: z.boolean().optional(),
+      })
+      .optional(),
+    // Team leagues: weekly match nights the rounds are dated from
+    fixture_calendar: z
+      .object({
+        start_date: z.iso.date(),
+        weekday: z.number().int().min(0).max(6).optional(),
+        excluded_dates: z.array(z.iso.date()).max(100).optional(),
+        fixtures_per_night: z.number().int().min(1).max(50).optional(),
+      })
+      .optional(),
     fixture_dates: z.record(z.string(), z.string()).optional(),
+    allow_walkovers: z.boolean().optional(),
   })
   .optional();
 
+// Multi-stage: a format played after the tournament's own, seeded from the
+// previous stage's final results
+const stageSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  format: z.enum(FORMATS),
+  config: matchConfigSchema,
+  advance: z.number().int().min(2).max(64).optional(),
+  advance_per_group: z.number().int().min(1).max(20).optional(),
+});
+
 // POST /api/tournaments
 const tournamentSchema = z.object({
   name: z.string().min(1).max(100),
@@ -84,6 +176,7 @@ const tournamentSchema = z.object({
   passphrase: z.string().min(4).max(100),
   participants: z.array(participantInputSchema).min(2).max(64),
   config: matchConfigSchema,
+  stages: z.array(stageSchema).max(3).optional(),
   start_date: z.string().optional(),
   end_date: z.string().optional(),
   venue: z.string().max(200).optional(),
@@ -95,17 +188,41 @@ const verifyPassphraseSchema = z.object({
   passphrase: z.string().min(1),
 });
 
+// POST /api/tournaments/:id/tokens
+// Captain tokens name the captain's team
+const tokenRequestSchema = z
+  .object({
+    role: z.enum(['referee', 'captain', 'viewer']),
+    participant_id: z.string().min(1).optional(),
+    expires_in_hours: z.number().positive().max(72).optional(),
+  })
+  .refine((data) => data.role !== 'captain' || data.participant_id, {
+    message: 'participant_id is required for a captain',
+    path: ['participant_id'],
+  });
+
+// From here on the passphrase is optional: requireRole also takes a token
+
 // POST /api/tournaments/:id/start
 const startTournamentSchema = z.object({
-  passphrase: z.string().min(1),
+  passphrase: z.string().min(1).optional(),
+});
+
+// POST /api/tournaments/:id/next-period
+const nextPeriodSchema = z.object({
+  passphrase: z.string().min(1).optional(),
+  name: z.string().min(1).max(100).optional(),
+  start_date: z.string().optional(),
+  end_date: z.string().optional(),
 });
 
 // PATCH /api/tournaments/:id
 const tournamentUpdateSchema = z.object({
-  passphrase: z.string().min(1),
+  passphrase: z.string().min(1).optional(),
   name: z.string().min(1).max(100).optional(),
   format: z.enum(FORMATS).optional(),
   config: matchConfigSchema,
+  stages: z.array(stageSchema).max(3).optional(),
   start_date: z.string().optional(),
   end_date: z.string().optional(),
   venue: z.string().max(200).optional(),
@@ -115,13 +232,13 @@ const tournamentUpdateSchema = z.object({
 
 // PATCH /api/tournaments/:id/participants/:participantId
 const participantUpdateSchema = z.object({
-  passphrase: z.string().min(1),
+  passphrase: z.string().min(1).optional(),
   name: z.string().min(1).max(100),
 });
 
 // PATCH /api/tournaments/:id/participants/:participantId/roster
 const rosterUpdateSchema = z.object({
-  passphrase: z.string().min(1),
+  passphrase: z.string().min(1).optional(),
   roster: z.array(
     z.object({
       player_name: z.string().min(1).max(100),
@@ -131,11 +248,31 @@ const rosterUpdateSchema = z.object({
   ).min(1).max(10),
 });
 
+// PATCH /api/tournaments/:id/matches/:matchId/lineup — a team's players by
+// string, plus any racketball/beginner player (null clears one)
+const lineupSchema = z.object({
+  side: z.enum(['a', 'b']).optional(),
+  lineup: z
+    .array(
+      z.object({
+        string_number: z.number().int().min(1).max(5),
+        player_name: z.string().trim().min(1).max(100),
+      })
+    )
+    .max(5),
+  racketball_player: z.string().max(100).nullable().optional(),
+  beginner_player: z.string().max(100).nullable().optional(),
+  // Organiser only: save a lineup that breaks the eligibility rules
+  override_rules: z.boolean().optional(),
+});
+
 // POST /api/tournaments/:id/matches/:matchId/result (individual match)
+// The winner is worked out from game_scores; winner_id/loser_id are only
+// needed when the games can't decide it (walkover, retirement)
 const matchResultSchema = z
   .object({
-    winner_id: z.string().min(1),
-    loser_id: z.string().min(1),
+    winner_id: z.string().min(1).optional(),
+    loser_id: z.string().min(1).optional(),
     game_scores: z
       .array(
         z.object({
@@ -152,22 +289,47 @@ const matchResultSchema = z
         player2: z.number().int().min(-99).max(99),
       })
       .optional(),
+    // Walkover (match conceded before it started) or retirement part-way through
+    walkover: z.boolean().optional(),
+    walkover_reason: z.string().max(200).optional(),
+    retired: z.boolean().optional(),
+    retirement_reason: z.string().max(200).optional(),
+    // Accept scores the scoring rules would reject (e.g. a game abandoned and agreed)
+    override_scoring: z.boolean().optional(),
     passphrase: z.string().optional(),
   })
-  .refine((data) => data.winner_id !== data.loser_id, {
+  .refine((data) => !data.winner_id || data.winner_id !== data.loser_id, {
     message: 'winner_id and loser_id must be different',
     path: ['loser_id'],
+  })
+  .refine((data) => !(data.walkover && data.retired), {
+    message: 'A match cannot be both a walkover and a retirement',
+    path: ['retired'],
+  })
+  .refine((data) => !(data.walkover && data.game_scores), {
+    message: 'A walkover has no game scores',
+    path: ['game_scores'],
+  })
+  .refine((data) => !data.walkover_reason || data.walkover, {
+    message: 'walkover_reason requires walkover',
+    path: ['walkover_reason'],
+  })
+  .refine((data) => !data.retirement_reason || data.retired, {
+    message: 'retirement_reason requires retired',
+    path: ['retirement_reason'],
   });
 
 // POST /api/tournaments/:id/matches/:matchId/result (team fixture)
+// The winner is the team with more games across strings and extras; winner_id
+// settles walkovers and fixtures level on games. Totals, if sent, must agree.
 const teamFixtureResultSchema = z
   .object({
-    winner_id: z.string().min(1),
-    loser_id: z.string().min(1),
+    winner_id: z.string().min(1).optional(),
+    loser_id: z.string().min(1).optional(),
     winner_name: z.string().max(100).optional(),
     loser_name: z.string().max(100).optional(),
-    team_a_games_total: z.number().int().min(0),
-    team_b_games_total: z.number().int().min(0),
+    team_a_games_total: z.number().int().min(0).optional(),
+    team_b_games_total: z.number().int().min(0).optional(),
     string_results: z
       .array(
         z.object({
@@ -181,24 +343,72 @@ const teamFixtureResultSchema = z
             .optional(),
         })
       )
-      .min(1)
       .max(6),
+    // Fixture conceded by the losing team
+    walkover: z.boolean().optional(),
+    walkover_reason: z.string().max(200).optional(),
+    override_scoring: z.boolean().optional(),
     passphrase: z.string().optional(),
   })
-  .refine((data) => data.winner_id !== data.loser_id, {
+  .refine((data) => !data.winner_id || data.winner_id !== data.loser_id, {
     message: 'winner_id and loser_id must be different',
     path: ['loser_id'],
+  })
+  .refine((data) => data.walkover || data.string_results.length > 0, {
+    message: 'At least one string result is required unless the fixture is a walkover',
+    path: ['string_results'],
+  })
+  .refine((data) => !data.walkover_reason || data.walkover, {
+    message: 'walkover_reason requires walkover',
+    path: ['walkover_reason'],
   });
 
+// POST /api/tournaments/:id/matches/:matchId/revert
+const revertResultSchema = z.object({
+  passphrase: z.string().min(1).optional(),
+});
+
+// POST /api/tournaments/:id/matches/:matchId/live/start
+// Sides are 'a' (participant_a) and 'b' (participant_b)
+const liveStartSchema = z.object({
+  server: z.enum(['a', 'b']),
+  // The court it's being played on, for the order of play
+  court: z.string().trim().min(1).max(30).optional(),
+  side: z.enum(['left', 'right']).optional(),
+  handicap_starts: z
+    .object({
+      player1: z.number().int().min(-99).max(99),
+      player2: z.number().int().min(-99).max(99),
+    })
+    .optional(),
+});
+
+// POST /api/tournaments/:id/matches/:matchId/live/rallies
+// server and side default to what the replay expects. rally_number, if sent,
+// must be the next rally's number, so a rally sent twice is only counted once.
+const rallySchema = z.object({
+  winner: z.enum(['a', 'b']).optional(),
+  server: z.enum(['a', 'b']).optional(),
+  side: z.enum(['left', 'right']).optional(),
+  decision: z.enum(['let', 'stroke', 'no_let']).optional(),
+  rally_number: z.number().int().min(1).optional(),
+});
+
 module.exports = {
   matchSchema,
   eventSchema,
   tournamentSchema,
   verifyPassphraseSchema,
+  tokenRequestSchema,
   startTournamentSchema,
+  nextPeriodSchema,
   tournamentUpdateSchema,
   participantUpdateSchema,
   rosterUpdateSchema,
+  lineupSchema,
   matchResultSchema,
   teamFixtureResultSchema,
+  revertResultSchema,
+  liveStartSchema,
+  rallySchema,
 };
@@ -0,0 +1,41 @@
+/**
+ * One-time migration for databases created before multi-stage tournaments.
+ *
+ * Group names used to be unique per tournament ({ tournament_id, name });
+ * they are now unique per stage ({ tournament_id, stage_index, name }), so a
+ * later stage can have its own "Group A". Mongoose builds the new index but
+ * never drops the old one, which would still reject the later stage's groups.
+ *
+ * Usage:
+ *   MONGODB_URI=<connection string> node scripts/migrateGroupIndexes.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const TournamentGroup = require('../models/TournamentGroup');
+
+const OLD_INDEX = 'tournament_id_1_name_1';
+
+async function migrate() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Set MONGODB_URI to the database to migrate');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const indexes = await TournamentGroup.collection.indexes();
+  if (indexes.some((index) => index.name === OLD_INDEX)) {
+    await TournamentGroup.collection.dropIndex(OLD_INDEX);
+    console.log(`Dropped ${OLD_INDEX}`);
+  } else {
+    console.log(`${OLD_INDEX} is already gone`);
+  }
+  await TournamentGroup.createIndexes();
+  console.log('TournamentGroup indexes are up to date');
+}
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
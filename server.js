@@ -17,6 +17,7 @@ const logger = pino({
 
 // Import tournament engine
 const TournamentEngine = require('./tournament/TournamentEngine');
+const TournamentEventStream = require('./tournament/TournamentEventStream');
 
 // Import routes
 const matchRoutes = require('./routes/matches');
@@ -25,8 +26,9 @@ const createTournamentRouter = require('./routes/tournaments');
 
 const app = express();
 
-// Initialize tournament engine
+// Initialize tournament engine and the live event stream
 const tournamentEngine = new TournamentEngine();
+const tournamentEvents = new TournamentEventStream();
 
 // Security headers
 app.use(helmet());
@@ -106,7 +108,7 @@ app.get('/', (req, res) => {
 // API routes
 app.use('/api/matches', matchRoutes);
 app.use('/api/events', eventRoutes);
-app.use('/api/tournaments', createTournamentRouter(tournamentEngine, logger));
+app.use('/api/tournaments', createTournamentRouter(tournamentEngine, logger, tournamentEvents));
 
 // Test route
 app.get('/api/test', (req, res) => {
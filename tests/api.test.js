@@ -1,8 +1,12 @@
 /**
  * Integration tests for key API routes.
- * Uses an in-memory MongoDB so no external database is required.
+ * Uses an in-memory MongoDB so no external database is required. It runs as a
+ * single-node replica set because results, start, reset and delete are
+ * written in transactions.
  */
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const http = require('http');
+const bcrypt = require('bcryptjs');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 const request = require('supertest');
 
@@ -12,6 +16,8 @@ let app;
 // ─── helpers ─────────────────────────────────────────────────────────────────
 
 const TEST_PASSPHRASE = 'testpassword123';
+const ADMIN_PASSWORD = 'test-admin-password';
+const ADMIN_AUTH = `Bearer ${ADMIN_PASSWORD}`;
 
 const makeParticipants = (count) =>
   Array.from({ length: count }, (_, i) => ({
@@ -19,11 +25,20 @@ const makeParticipants = (count) =>
     seed: i + 1,
   }));
 
+// PAR11, best of 5: a straight-games win is three 11-5 games
+const PAR11_CONFIG = { match: { scoring: 'PAR11', best_of: 5 } };
+const STRAIGHT_GAMES = [
+  { player1: 11, player2: 5 },
+  { player1: 11, player2: 5 },
+  { player1: 11, player2: 5 },
+];
+
 const validSETournament = (overrides = {}) => ({
   name: 'Test SE Tournament',
   format: 'single_elimination',
   passphrase: TEST_PASSPHRASE,
   participants: makeParticipants(8),
+  config: PAR11_CONFIG,
   ...overrides,
 });
 
@@ -32,6 +47,7 @@ const validMonradTournament = (overrides = {}) => ({
   format: 'monrad',
   passphrase: TEST_PASSPHRASE,
   participants: makeParticipants(8),
+  config: PAR11_CONFIG,
   ...overrides,
 });
 
@@ -58,6 +74,7 @@ const validPlayoffTournament = (overrides = {}) => ({
 const submitFixtureResult = (app, tournamentId, matchId, winnerId, winnerName, loserId, loserName) =>
   request(app)
     .post(`/api/tournaments/${tournamentId}/matches/${matchId}/result`)
+    .set('Authorization', ADMIN_AUTH)
     .send({
       winner_id: winnerId,
       winner_name: winnerName,
@@ -79,11 +96,62 @@ const createAndStart = async (payload) => {
   return { tournamentId, matches: start.body.matches };
 };
 
+// Open a Server-Sent Events stream on a real listener. `until(done)` resolves
+// with the events received so far once done(events) is true.
+const openEventStream = (path, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const req = http.get({ port: server.address().port, path, headers }, (res) => {
+        const events = [];
+        let buffer = '';
+        let waiting = null;
+        const check = () => {
+          if (waiting && waiting.done(events)) {
+            waiting.resolve([...events]);
+            waiting = null;
+          }
+        };
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach((block) => {
+            const event = {};
+            block.split('\n').forEach((line) => {
+              const split = line.indexOf(': ');
+              if (split > 0) event[line.slice(0, split)] = line.slice(split + 2);
+            });
+            if (event.event) events.push({ id: event.id, type: event.event, data: JSON.parse(event.data) });
+          });
+          check();
+        });
+
+        resolve({
+          status: res.statusCode,
+          contentType: res.headers['content-type'],
+          until: (done) =>
+            new Promise((resolveEvents) => {
+              waiting = { done, resolve: resolveEvents };
+              check();
+            }),
+          close: () => {
+            req.destroy();
+            server.close();
+          },
+        });
+      });
+      req.on('error', reject);
+    });
+  });
+
 // ─── lifecycle ────────────────────────────────────────────────────────────────
 
 beforeAll(async () => {
-  mongod = await MongoMemoryServer.create();
+  mongod = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
   process.env.MONGODB_URI = mongod.getUri();
+  process.env.ADMIN_PASSWORD_HASH = bcrypt.hashSync(ADMIN_PASSWORD, 4);
   app = require('../server');
   await mongoose.connect(process.env.MONGODB_URI);
 });
@@ -101,15 +169,18 @@ afterEach(async () => {
 // ─── GET /api/tournaments/formats ─────────────────────────────────────────────
 
 describe('GET /api/tournaments/formats', () => {
-  it('returns the production-ready formats, excluding unfinished ones', async () => {
+  it('returns the production-ready formats', async () => {
     const res = await request(app).get('/api/tournaments/formats').expect(200);
     const ids = res.body.map((f) => f.id);
     expect(ids).toContain('single_elimination');
+    expect(ids).toContain('double_elimination');
+    expect(ids).toContain('compass');
     expect(ids).toContain('monrad');
     expect(ids).toContain('team_round_robin');
     expect(ids).toContain('team_round_robin_playoff');
-    expect(ids).not.toContain('round_robin');
-    expect(ids).not.toContain('pools_knockout');
+    expect(ids).toContain('round_robin');
+    expect(ids).toContain('pools_knockout');
+    expect(ids).toContain('box_league');
   });
 });
 
@@ -144,7 +215,7 @@ describe('POST /api/tournaments', () => {
   it('returns 400 when format is invalid', async () => {
     const res = await request(app)
       .post('/api/tournaments')
-      .send({ name: 'Bad', format: 'round_robin', passphrase: TEST_PASSPHRASE, participants: makeParticipants(8) })
+      .send({ name: 'Bad', format: 'swiss', passphrase: TEST_PASSPHRASE, participants: makeParticipants(8) })
       .expect(400);
     expect(res.body.error).toBe('Validation failed');
     expect(res.body.details.some((d) => d.field === 'format')).toBe(true);
@@ -170,6 +241,8 @@ describe('POST /api/tournaments/:id/verify-passphrase', () => {
       .send({ passphrase: TEST_PASSPHRASE })
       .expect(200);
     expect(res.body.valid).toBe(true);
+    expect(res.body.role).toBe('organiser');
+    expect(res.body.token).toEqual(expect.any(String));
   });
 
   it('returns 401 for wrong passphrase', async () => {
@@ -182,6 +255,244 @@ describe('POST /api/tournaments/:id/verify-passphrase', () => {
   });
 });
 
+// ─── Roles and tokens ─────────────────────────────────────────────────────────
+
+describe('Per-tournament roles', () => {
+  const organiserToken = async (tournamentId) => {
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/verify-passphrase`)
+      .send({ passphrase: TEST_PASSPHRASE })
+      .expect(200);
+    return `Bearer ${res.body.token}`;
+  };
+  const issue = async (tournamentId, body) => {
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/tokens`)
+      .set('Authorization', await organiserToken(tournamentId))
+      .send(body)
+      .expect(201);
+    return `Bearer ${res.body.token}`;
+  };
+
+  it('lets an organiser token do what the passphrase does', async () => {
+    const create = await request(app).post('/api/tournaments').send(validSETournament()).expect(201);
+    const id = create.body.tournament._id;
+
+    await request(app)
+      .post(`/api/tournaments/${id}/start`)
+      .set('Authorization', await organiserToken(id))
+      .send({})
+      .expect(200);
+
+    const audit = await request(app).get(`/api/tournaments/${id}/audit`).set('Authorization', ADMIN_AUTH).expect(200);
+    expect(audit.body[1]).toMatchObject({ action: 'tournament_started', credential: 'token', role: 'organiser' });
+  });
+
+  it('lets a referee score matches but not correct them', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const referee = await issue(tournamentId, { role: 'referee' });
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    const match = `/api/tournaments/${tournamentId}/matches/${first._id}`;
+
+    await request(app).post(`${match}/result`).set('Authorization', referee).send({ game_scores: STRAIGHT_GAMES }).expect(200);
+    await request(app).post(`${match}/revert`).set('Authorization', referee).send({}).expect(403);
+    await request(app).delete(`/api/tournaments/${tournamentId}`).set('Authorization', referee).expect(403);
+  });
+
+  it("refuses a token for one tournament working on another tournament's matches", async () => {
+    const { matches: theirs } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const target = theirs.find((m) => m.match_number === 'R1M1');
+    const own = await request(app).post('/api/tournaments').send(validSETournament()).expect(201);
+    const ownId = own.body.tournament._id;
+    const organiser = await organiserToken(ownId);
+    const hijack = `/api/tournaments/${ownId}/matches/${target._id}`;
+
+    await request(app).post(`${hijack}/result`).set('Authorization', organiser).send({ game_scores: STRAIGHT_GAMES }).expect(404);
+    await request(app).patch(`${hijack}/result`).set('Authorization', organiser).send({ game_scores: STRAIGHT_GAMES }).expect(404);
+    await request(app).post(`${hijack}/revert`).set('Authorization', organiser).send({}).expect(404);
+  });
+
+  it('lets a captain set lineups and nothing else', async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    const fixture = matches[0];
+    const captain = await issue(tournamentId, { role: 'captain', participant_id: fixture.participant_a.participant_id });
+    const match = `/api/tournaments/${tournamentId}/matches/${fixture._id}`;
+
+    await request(app)
+      .patch(`${match}/lineup`)
+      .set('Authorization', captain)
+      .send({ side: 'a', lineup: [] })
+      .expect(200);
+    await request(app).patch(`${match}/strings`).set('Authorization', captain).send({}).expect(403);
+  });
+
+  it('gives viewers no writes', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const viewer = await issue(tournamentId, { role: 'viewer' });
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${matches[0]._id}/result`)
+      .set('Authorization', viewer)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(403);
+  });
+
+  it('still takes the passphrase in the body, and needs no credentials to read', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const [first, second] = ['R1M1', 'R1M2'].map((number) => matches.find((m) => m.match_number === number));
+
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+      .send({ passphrase: TEST_PASSPHRASE, game_scores: STRAIGHT_GAMES })
+      .expect(200);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${second._id}/result`)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(401);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    expect(detail.body.matches.find((m) => m._id === first._id).status).toBe('completed');
+    await request(app).get(`/api/tournaments/${tournamentId}/standings`).expect(200);
+  });
+
+  it('refuses requests without credentials, and tokens for another tournament', async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    const other = await createAndStart(validSETournament());
+
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${matches[0]._id}/lineup`)
+      .send({ side: 'a', lineup: [] })
+      .expect(401);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/reset`)
+      .set('Authorization', await organiserToken(other.tournamentId))
+      .send({})
+      .expect(401);
+  });
+
+  it('refuses a token whose role has been changed', async () => {
+    const { tournamentId } = await createAndStart(validSETournament());
+    const [header, payload, signature] = (await issue(tournamentId, { role: 'referee' })).slice(7).split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, role: 'organiser' })).toString('base64url');
+
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/reset`)
+      .set('Authorization', `Bearer ${header}.${forged}.${signature}`)
+      .send({})
+      .expect(401);
+  });
+
+  it('only issues captain tokens for a team in the tournament', async () => {
+    const { tournamentId } = await createAndStart(validPlayoffTournament());
+    const organiser = await organiserToken(tournamentId);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/tokens`)
+      .set('Authorization', organiser)
+      .send({ role: 'captain' })
+      .expect(400);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/tokens`)
+      .set('Authorization', organiser)
+      .send({ role: 'captain', participant_id: new mongoose.Types.ObjectId().toString() })
+      .expect(404);
+  });
+});
+
+// ─── Lineups ──────────────────────────────────────────────────────────────────
+
+describe('Captain lineups', () => {
+  const captainOf = async (tournamentId, participantId) => {
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/tokens`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ role: 'captain', participant_id: participantId })
+      .expect(201);
+    return `Bearer ${res.body.token}`;
+  };
+  const lineupOf = (name) => [{ string_number: 1, player_name: name }];
+
+  it('keeps each lineup hidden until both captains confirm, then reveals both', async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    const fixture = matches[0];
+    const lineupUrl = `/api/tournaments/${tournamentId}/matches/${fixture._id}/lineup`;
+    const captainA = await captainOf(tournamentId, fixture.participant_a.participant_id);
+    const captainB = await captainOf(tournamentId, fixture.participant_b.participant_id);
+    const detail = async (auth) => {
+      const req = request(app).get(`/api/tournaments/${tournamentId}`);
+      const res = await (auth ? req.set('Authorization', auth) : req).expect(200);
+      return res.body.matches.find((m) => m._id === fixture._id);
+    };
+
+    const first = await request(app).patch(lineupUrl).set('Authorization', captainA).send({ lineup: lineupOf('Ann') }).expect(200);
+    expect(first.body.revealed).toBe(false);
+
+    expect((await detail(captainA)).team_a_lineup).toHaveLength(1);
+    expect((await detail(captainB)).team_a_lineup).toEqual([]);
+    expect((await detail()).team_a_lineup).toEqual([]);
+    expect((await detail()).team_a_confirmed).toBe(true);
+
+    const second = await request(app).patch(lineupUrl).set('Authorization', captainB).send({ lineup: lineupOf('Bob') }).expect(200);
+    expect(second.body.revealed).toBe(true);
+    expect(second.body.match.team_a_lineup[0].player_name).toBe('Ann');
+
+    const revealed = await detail();
+    expect(revealed.team_a_lineup[0].player_name).toBe('Ann');
+    expect(revealed.team_b_lineup[0].player_name).toBe('Bob');
+
+    // Captains can't change a revealed lineup; the organiser still can
+    await request(app).patch(lineupUrl).set('Authorization', captainA).send({ lineup: lineupOf('Amy') }).expect(409);
+    await request(app).patch(lineupUrl).set('Authorization', ADMIN_AUTH).send({ side: 'a', lineup: lineupOf('Amy') }).expect(200);
+  });
+
+  it("refuses a captain setting the other team's lineup", async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    const fixture = matches[0];
+    const captainA = await captainOf(tournamentId, fixture.participant_a.participant_id);
+    const elsewhere = matches.find(
+      (m) => ![m.participant_a.participant_id, m.participant_b.participant_id].includes(fixture.participant_a.participant_id)
+    );
+
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${fixture._id}/lineup`)
+      .set('Authorization', captainA)
+      .send({ side: 'b', lineup: lineupOf('Bob') })
+      .expect(403);
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${elsewhere._id}/lineup`)
+      .set('Authorization', captainA)
+      .send({ lineup: lineupOf('Ann') })
+      .expect(403);
+  });
+
+  it('refuses a lineup that breaks the eligibility rules, unless the organiser overrides them', async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    const fixture = matches[0];
+    const teamId = fixture.participant_a.participant_id;
+    const lineupUrl = `/api/tournaments/${tournamentId}/matches/${fixture._id}/lineup`;
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/participants/${teamId}/roster`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ roster: [{ player_name: 'Ann', string_number: 1 }, { player_name: 'Amy', string_number: 2 }] })
+      .expect(200);
+    const captainA = await captainOf(tournamentId, teamId);
+    const lineup = [
+      { string_number: 1, player_name: 'Amy' },
+      { string_number: 2, player_name: 'Zed' },
+    ];
+
+    const res = await request(app).patch(lineupUrl).set('Authorization', captainA).send({ lineup }).expect(400);
+    expect(res.body.details.map((error) => error.code)).toEqual(['ABOVE_REGISTERED_STRING', 'NOT_ON_ROSTER']);
+
+    await request(app).patch(lineupUrl).set('Authorization', captainA).send({ lineup, override_rules: true }).expect(403);
+    await request(app).patch(lineupUrl).set('Authorization', ADMIN_AUTH).send({ side: 'a', lineup, override_rules: true }).expect(200);
+  });
+
+  it('keeps the audit log to the organiser', async () => {
+    const { tournamentId } = await createAndStart(validPlayoffTournament());
+    await request(app).get(`/api/tournaments/${tournamentId}/audit`).expect(401);
+  });
+});
+
 // ─── POST /api/tournaments/:id/start ─────────────────────────────────────────
 
 describe('POST /api/tournaments/:id/start', () => {
@@ -269,6 +580,7 @@ describe('POST tournament match result', () => {
   const submitResult = (matchId, winnerId, loserId) =>
     request(app)
       .post(`/api/tournaments/${tournamentId}/matches/${matchId}/result`)
+      .set('Authorization', ADMIN_AUTH)
       .send({
         winner_id: winnerId,
         loser_id: loserId,
@@ -324,22 +636,628 @@ describe('POST tournament match result', () => {
     const id = match.participant_a.participant_id;
     const res = await request(app)
       .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
       .send({ winner_id: id, loser_id: id, game_scores: [], walkover: false })
       .expect(400);
     expect(res.body.error).toBe('Validation failed');
   });
 
+  it('records a walkover with its reason', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_a.participant_id,
+        loser_id: match.participant_b.participant_id,
+        walkover: true,
+        walkover_reason: 'Did not turn up',
+      })
+      .expect(200);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const updated = detail.body.matches.find((m) => m._id === match._id);
+    expect(updated.status).toBe('walkover');
+    expect(updated.result).toMatchObject({ walkover: true, walkover_reason: 'Did not turn up' });
+  });
+
+  it('records a retirement with the games played so far', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_a.participant_id,
+        loser_id: match.participant_b.participant_id,
+        game_scores: [{ player1: 11, player2: 8 }, { player1: 3, player2: 1 }],
+        retired: true,
+        retirement_reason: 'Hamstring',
+      })
+      .expect(200);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const updated = detail.body.matches.find((m) => m._id === match._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.result).toMatchObject({ retired: true, retirement_reason: 'Hamstring' });
+    expect(updated.result.game_scores).toHaveLength(2);
+  });
+
+  it('returns 400 for a walkover with game scores', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_a.participant_id,
+        loser_id: match.participant_b.participant_id,
+        game_scores: [{ player1: 11, player2: 0 }],
+        walkover: true,
+      })
+      .expect(400);
+  });
+
+  it('returns 400 for a walkover when the tournament does not allow them', async () => {
+    const started = await createAndStart(validSETournament({ config: { allow_walkovers: false } }));
+    const match = started.matches[0];
+    const res = await request(app)
+      .post(`/api/tournaments/${started.tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_a.participant_id,
+        loser_id: match.participant_b.participant_id,
+        walkover: true,
+      })
+      .expect(400);
+    expect(res.body.error).toBe('Walkovers are not allowed in this tournament');
+  });
+
+  it('returns 400 for a game that could not have finished under the scoring rules', async () => {
+    const match = matches[0];
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_a.participant_id,
+        loser_id: match.participant_b.participant_id,
+        game_scores: [
+          { player1: 11, player2: 10 },
+          { player1: 11, player2: 5 },
+          { player1: 11, player2: 5 },
+        ],
+      })
+      .expect(400);
+    expect(res.body.details).toEqual(['Game 1: 11-10 is not a finished game (first to 11, clear by 2)']);
+  });
+
+  it('returns 400 when the winner did not win the majority of games', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_b.participant_id,
+        loser_id: match.participant_a.participant_id,
+        game_scores: STRAIGHT_GAMES,
+      })
+      .expect(400);
+  });
+
+  it('accepts scores outside the rules when override_scoring is set', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: match.participant_a.participant_id,
+        loser_id: match.participant_b.participant_id,
+        game_scores: [{ player1: 11, player2: 10 }],
+        override_scoring: true,
+      })
+      .expect(200);
+  });
+
+  it('checks scores against the default rules when the tournament sets none', async () => {
+    const started = await createAndStart(validSETournament({ config: { match: { is_handicap: false } } }));
+    const match = started.matches[0];
+    const res = await request(app)
+      .post(`/api/tournaments/${started.tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(400);
+    expect(res.body.details).toEqual(['Game 1: 11-5 is not a finished game (first to 15, clear by 2)']);
+  });
+
+  it('checks the scores of an edited result', async () => {
+    const match = matches[0];
+    const url = `/api/tournaments/${tournamentId}/matches/${match._id}/result`;
+    await request(app).post(url).set('Authorization', ADMIN_AUTH).send({ game_scores: STRAIGHT_GAMES }).expect(200);
+    const res = await request(app).patch(url).set('Authorization', ADMIN_AUTH).send({ game_scores: [{ player1: 11, player2: 10 }] }).expect(400);
+    expect(res.body.error).toBe('Scores do not match the scoring rules');
+  });
+
+  it('derives the winner from the games and takes names from the participants', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: [{ player1: 4, player2: 11 }, { player1: 6, player2: 11 }, { player1: 9, player2: 11 }] })
+      .expect(200);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const updated = detail.body.matches.find((m) => m._id === match._id);
+    expect(updated.result).toMatchObject({
+      winner_participant_id: match.participant_b.participant_id,
+      winner_name: match.participant_b.name,
+      loser_name: match.participant_a.name,
+    });
+  });
+
+  it('returns 400 when winner_id contradicts the games', async () => {
+    const match = matches[0];
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ winner_id: match.participant_b.participant_id, game_scores: STRAIGHT_GAMES })
+      .expect(400);
+    expect(res.body.error).toBe('winner_id does not match the scores');
+  });
+
+  it('returns 400 for a walkover without a winner', async () => {
+    const match = matches[0];
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ walkover: true })
+      .expect(400);
+  });
+
+  it('returns 409 for a match whose players are not known yet', async () => {
+    const final = matches.find((m) => m.round === 3);
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${final._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(409);
+    expect(res.body.error).toBe('Both sides of this match must be known before it has a result');
+  });
+
   it('returns 404 for unknown tournament', async () => {
     const fakeTournamentId = new mongoose.Types.ObjectId().toString();
     const fakeWinnerId = new mongoose.Types.ObjectId().toString();
     const fakeLoserId = new mongoose.Types.ObjectId().toString();
     await request(app)
       .post(`/api/tournaments/${fakeTournamentId}/matches/${matches[0]._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
       .send({ winner_id: fakeWinnerId, loser_id: fakeLoserId, walkover: false })
       .expect(404);
   });
 });
 
+// ─── GET /api/tournaments/:id/final-results (single elimination) ─────────────
+
+describe('GET /api/tournaments/:id/final-results (single elimination)', () => {
+  it('returns placements built from the completed bracket matches', async () => {
+    const { tournamentId } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+
+    for (const round of [1, 2]) {
+      const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+      for (const match of detail.body.matches.filter((m) => m.round === round)) {
+        await request(app)
+          .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+          .set('Authorization', ADMIN_AUTH)
+          .send({
+            winner_id: match.participant_a.participant_id,
+            loser_id: match.participant_b.participant_id,
+            winner_name: match.participant_a.name,
+            loser_name: match.participant_b.name,
+            game_scores: STRAIGHT_GAMES,
+          })
+          .expect(200);
+      }
+    }
+
+    const res = await request(app).get(`/api/tournaments/${tournamentId}/final-results`).expect(200);
+    expect(res.body.map((r) => r.name)).toEqual(['Player 1', 'Player 3', 'Player 4', 'Player 2']);
+    expect(res.body.map((r) => [r.position, r.position_to])).toEqual([[1, 1], [2, 2], [3, 4], [3, 4]]);
+  });
+});
+
+// ─── PATCH /api/tournaments/:tournamentId/matches/:matchId/result (single elimination) ───
+
+describe('PATCH match result (single elimination)', () => {
+  const B_WINS = [
+    { player1: 5, player2: 11 },
+    { player1: 5, player2: 11 },
+    { player1: 5, player2: 11 },
+  ];
+
+  it('moves the new winner into the next round and locks once it is played', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    for (const match of matches) {
+      await request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores: STRAIGHT_GAMES })
+        .expect(200);
+    }
+
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: B_WINS })
+      .expect(200);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const final = detail.body.matches.find((m) => m.match_number === 'R2M1');
+    expect(final.participant_a.participant_id).toBe(first.participant_b.participant_id);
+    expect(final.status).toBe('ready');
+
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${final._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(409);
+  });
+});
+
+describe('POST revert match result', () => {
+  it('returns the match to unplayed and takes the winner back out of the next round', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/revert`)
+      .send({ passphrase: 'wrong' })
+      .expect(401);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/revert`)
+      .send({ passphrase: TEST_PASSPHRASE })
+      .expect(200);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const reverted = detail.body.matches.find((m) => m.match_number === 'R1M1');
+    const final = detail.body.matches.find((m) => m.match_number === 'R2M1');
+    expect(reverted.status).toBe('ready');
+    expect(reverted.result).toBeFalsy();
+    expect(final.participant_a.type).toBe('tbd');
+  });
+
+  it('refuses (409) once the next match has been played', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    for (const match of matches) {
+      await request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores: STRAIGHT_GAMES })
+        .expect(200);
+    }
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const final = detail.body.matches.find((m) => m.match_number === 'R2M1');
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${final._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/revert`)
+      .send({ passphrase: TEST_PASSPHRASE })
+      .expect(409);
+  });
+});
+
+// ─── Live scoring ─────────────────────────────────────────────────────────────
+
+describe('Live point-by-point scoring', () => {
+  const rally = (tournamentId, matchId, body) =>
+    request(app).post(`/api/tournaments/${tournamentId}/matches/${matchId}/live/rallies`).set('Authorization', ADMIN_AUTH).send(body);
+
+  it('scores a match rally by rally and submits the result when it is won', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    const base = `/api/tournaments/${tournamentId}/matches/${first._id}/live`;
+
+    await request(app).post(`${base}/start`).set('Authorization', ADMIN_AUTH).send({ server: 'a' }).expect(200);
+    await request(app).post(`${base}/start`).set('Authorization', ADMIN_AUTH).send({ server: 'a' }).expect(409);
+
+    const firstRally = await rally(tournamentId, first._id, { winner: 'b', rally_number: 1 }).expect(200);
+    expect(firstRally.body.live).toMatchObject({ score: { player1: 0, player2: 1 }, server: 'b' });
+    await rally(tournamentId, first._id, { winner: 'b', rally_number: 1 }).expect(409);
+
+    const undone = await request(app).delete(`${base}/rallies/last`).set('Authorization', ADMIN_AUTH).expect(200);
+    expect(undone.body.live).toMatchObject({ score: { player1: 0, player2: 0 }, server: 'a', rallies: 0 });
+
+    // Best of 5, PAR11: player A wins 33 rallies in a row
+    let last;
+    for (let i = 0; i < 33; i++) {
+      last = await rally(tournamentId, first._id, { winner: 'a' }).expect(200);
+    }
+    expect(last.body).toMatchObject({ success: true, live: { winner: 'a', games_won: { a: 3, b: 0 } } });
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const played = detail.body.matches.find((m) => m.match_number === 'R1M1');
+    expect(played.status).toBe('completed');
+    expect(played.result.game_scores).toHaveLength(3);
+    expect(played.live.rallies).toHaveLength(33);
+    const final = detail.body.matches.find((m) => m.match_number === 'R2M1');
+    expect(final.participant_a.participant_id).toBe(first.participant_a.participant_id);
+
+    await rally(tournamentId, first._id, { winner: 'a' }).expect(409);
+  });
+
+  it('refuses live scoring for team fixtures', async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${matches[0]._id}/live/start`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ server: 'a' })
+      .expect(400);
+  });
+});
+
+// ─── Server-Sent Events ───────────────────────────────────────────────────────
+
+describe('Order of play', () => {
+  it('plans the ready matches onto the courts and keeps a live match on its court', async () => {
+    const { tournamentId, matches } = await createAndStart(
+      validSETournament({ config: { ...PAR11_CONFIG, courts: 2, min_rest_minutes: 15 } })
+    );
+    const ready = matches.filter((m) => m.status === 'ready');
+    const url = `/api/tournaments/${tournamentId}/order-of-play`;
+
+    const before = await request(app).get(url).expect(200);
+    expect(before.body.courts).toEqual(['1', '2']);
+    expect(before.body.schedule).toHaveLength(ready.length);
+    expect(before.body.schedule.slice(0, 2).map((slot) => slot.court)).toEqual(['1', '2']);
+    expect(before.body.waiting).toHaveLength(matches.length - ready.length);
+
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${ready[0]._id}/live/start`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ server: 'a', court: '9' })
+      .expect(400);
+    await request(app).post(`/api/tournaments/${tournamentId}/matches/${ready[0]._id}/live/start`).set('Authorization', ADMIN_AUTH).send({ server: 'a', court: '2' }).expect(200);
+
+    const after = await request(app).get(url).expect(200);
+    expect(after.body.on_court).toEqual([
+      expect.objectContaining({ match_id: ready[0]._id, court: '2', overrunning: false }),
+    ]);
+    expect(after.body.schedule).toHaveLength(ready.length - 1);
+    expect(after.body.schedule[0].court).toBe('1');
+  });
+
+  it('pins a match to a court', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ config: { ...PAR11_CONFIG, courts: 2 } }));
+    const last = matches.filter((m) => m.status === 'ready').pop();
+    const scheduleUrl = `/api/tournaments/${tournamentId}/matches/${last._id}/schedule`;
+
+    await request(app).patch(scheduleUrl).set('Authorization', ADMIN_AUTH).send({ court: '3' }).expect(400);
+    await request(app).patch(scheduleUrl).set('Authorization', ADMIN_AUTH).send({ court: '2' }).expect(200);
+
+    const res = await request(app).get(`/api/tournaments/${tournamentId}/order-of-play`).expect(200);
+    expect(res.body.schedule.find((slot) => slot.match_id === last._id).court).toBe('2');
+  });
+});
+
+describe('Tournament event streams', () => {
+  const ofType = (type) => (events) => events.some((e) => e.type === type);
+
+  it('streams live rallies, games, results and standings', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const [first, second] = ['R1M1', 'R1M2'].map((number) => matches.find((m) => m.match_number === number));
+    const stream = await openEventStream(`/api/tournaments/${tournamentId}/events`);
+    expect(stream.status).toBe(200);
+    expect(stream.contentType).toMatch(/text\/event-stream/);
+
+    const base = `/api/tournaments/${tournamentId}/matches/${first._id}/live`;
+    await request(app).post(`${base}/start`).set('Authorization', ADMIN_AUTH).send({ server: 'a' }).expect(200);
+    for (let i = 0; i < 11; i++) {
+      await request(app).post(`${base}/rallies`).set('Authorization', ADMIN_AUTH).send({ winner: 'a' }).expect(200);
+    }
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${second._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+
+    const events = await stream.until(ofType('standings'));
+    stream.close();
+
+    expect(events[0]).toMatchObject({ type: 'match_live', data: { match_id: first._id } });
+    expect(events.filter((e) => e.type === 'rally')).toHaveLength(11);
+    expect(events.find((e) => e.type === 'game').data).toMatchObject({
+      match_id: first._id,
+      game_number: 1,
+      score: { player1: 11, player2: 0 },
+    });
+    const result = events.find((e) => e.type === 'result');
+    expect(result.data).toMatchObject({ match_id: second._id, action: 'submitted', match: { status: 'completed' } });
+    expect(events[events.length - 1].type).toBe('standings');
+  });
+
+  it('streams only the one match on a match stream', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const [first, second] = ['R1M1', 'R1M2'].map((number) => matches.find((m) => m.match_number === number));
+    const stream = await openEventStream(`/api/tournaments/${tournamentId}/matches/${first._id}/events`);
+
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${second._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/live/start`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ server: 'b' })
+      .expect(200);
+
+    const events = await stream.until((received) => received.length >= 1);
+    stream.close();
+    expect(events.map((e) => e.type)).toEqual(['match_live']);
+  });
+
+  it('announces each new Monrad round', async () => {
+    const { tournamentId, matches } = await createAndStart(validMonradTournament());
+    const stream = await openEventStream(`/api/tournaments/${tournamentId}/events`);
+
+    for (const match of matches) {
+      await request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores: STRAIGHT_GAMES })
+        .expect(200);
+    }
+
+    const events = await stream.until(ofType('round_generated'));
+    stream.close();
+    const round = events.find((e) => e.type === 'round_generated').data;
+    expect(round.rounds).toEqual([2]);
+    expect(round.matches).toHaveLength(4);
+  });
+
+  it('replays missed events after Last-Event-ID, or asks the client to resync', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    const stream = await openEventStream(`/api/tournaments/${tournamentId}/events`);
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+    const [resultEvent] = await stream.until(ofType('standings'));
+    stream.close();
+
+    const resumed = await openEventStream(`/api/tournaments/${tournamentId}/events`, { 'Last-Event-ID': resultEvent.id });
+    const missed = await resumed.until((events) => events.length >= 1);
+    resumed.close();
+    expect(missed.map((e) => e.type)).toEqual(['standings']);
+
+    const stale = await openEventStream(`/api/tournaments/${tournamentId}/events`, { 'Last-Event-ID': 'old-1' });
+    const resync = await stale.until((events) => events.length >= 1);
+    stale.close();
+    expect(resync[0].type).toBe('resync');
+  });
+
+  it('returns 404 for an unknown tournament', async () => {
+    await request(app).get(`/api/tournaments/${new mongoose.Types.ObjectId()}/events`).expect(404);
+  });
+});
+
+// ─── GET /api/tournaments/:id/audit ───────────────────────────────────────────
+
+describe('GET /api/tournaments/:id/audit', () => {
+  it('lists every change oldest first, with before/after snapshots', async () => {
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+
+    const res = await request(app).get(`/api/tournaments/${tournamentId}/audit`).set('Authorization', ADMIN_AUTH).expect(200);
+    expect(res.body.map((e) => e.action)).toEqual(['tournament_created', 'tournament_started', 'result_submitted']);
+    expect(res.body[1].credential).toBe('passphrase');
+
+    const submitted = res.body[2];
+    expect(submitted.match_id).toBe(first._id);
+    expect(submitted.before.status).toBe('ready');
+    expect(submitted.after.status).toBe('completed');
+    expect(submitted.after.result.winner_name).toBe(first.participant_a.name);
+    expect(res.body[0].after.tournament.passphrase).toBeUndefined();
+  });
+
+  it('keeps the log after the tournament is deleted', async () => {
+    const { tournamentId } = await createAndStart(validSETournament());
+    await request(app).delete(`/api/tournaments/${tournamentId}`).set('Authorization', ADMIN_AUTH).expect(200);
+
+    const res = await request(app).get(`/api/tournaments/${tournamentId}/audit`).set('Authorization', ADMIN_AUTH).expect(200);
+    const deleted = res.body[res.body.length - 1];
+    expect(deleted.action).toBe('tournament_deleted');
+    expect(deleted.before.matches).toHaveLength(7);
+  });
+
+  it('returns 404 for an unknown tournament', async () => {
+    await request(app).get(`/api/tournaments/${new mongoose.Types.ObjectId()}/audit`).set('Authorization', ADMIN_AUTH).expect(404);
+  });
+});
+
+// ─── Transactions ─────────────────────────────────────────────────────────────
+
+describe('Transactional result processing', () => {
+  it('leaves the tournament untouched when a write fails part-way through', async () => {
+    const TournamentAudit = require('../models/TournamentAudit');
+    const { tournamentId, matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const first = matches.find((m) => m.match_number === 'R1M1');
+    const before = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+
+    // The audit entry is the last write of the transaction
+    const save = jest.spyOn(TournamentAudit.prototype, 'save').mockRejectedValueOnce(new Error('write failed'));
+    try {
+      await request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${first._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores: STRAIGHT_GAMES })
+        .expect(500);
+    } finally {
+      save.mockRestore();
+    }
+
+    const after = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    expect(after.body.tournament.state_blob).toEqual(before.body.tournament.state_blob);
+    expect(after.body.matches.find((m) => m.match_number === 'R1M1').status).toBe('ready');
+    expect(after.body.matches.find((m) => m.match_number === 'R2M1').participant_a.type).toBe('tbd');
+  });
+});
+
+// ─── Concurrent submissions ───────────────────────────────────────────────────
+
+describe('Concurrent result submissions', () => {
+  it('counts every result when a whole Monrad round is submitted at once', async () => {
+    const { tournamentId, matches } = await createAndStart(validMonradTournament());
+
+    const responses = await Promise.all(
+      matches.map((match) =>
+        request(app)
+          .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+          .set('Authorization', ADMIN_AUTH)
+          .send({ game_scores: STRAIGHT_GAMES })
+      )
+    );
+    responses.forEach((res) => expect(res.status).toBe(200));
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const players = detail.body.tournament.state_blob.players;
+    expect(players.reduce((sum, p) => sum + p.wins, 0)).toBe(4);
+    expect(players.reduce((sum, p) => sum + p.losses, 0)).toBe(4);
+    expect(detail.body.matches.filter((m) => m.round === 2)).toHaveLength(4);
+  });
+
+  it('rejects saving a match that changed after it was read', async () => {
+    const TournamentMatch = require('../models/TournamentMatch');
+    const { matches } = await createAndStart(validSETournament({ participants: makeParticipants(4) }));
+    const stale = await TournamentMatch.findById(matches[0]._id);
+    const fresh = await TournamentMatch.findById(matches[0]._id);
+
+    fresh.marker = 'Court 1';
+    await fresh.save();
+    stale.marker = 'Court 2';
+    await expect(stale.save()).rejects.toThrow(mongoose.Error.VersionError);
+  });
+});
+
 // ─── Monrad: Round 2 generation ───────────────────────────────────────────────
 
 describe('Monrad: Round 2 generated after Round 1 completes', () => {
@@ -349,12 +1267,13 @@ describe('Monrad: Round 2 generated after Round 1 completes', () => {
     for (const match of matches) {
       await request(app)
         .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
         .send({
           winner_id: match.participant_a.participant_id,
           loser_id: match.participant_b.participant_id,
           winner_name: match.participant_a.name,
           loser_name: match.participant_b.name,
-          game_scores: [{ player1: 11, player2: 5 }],
+          game_scores: STRAIGHT_GAMES,
           walkover: false,
         })
         .expect(200);
@@ -369,6 +1288,34 @@ describe('Monrad: Round 2 generated after Round 1 completes', () => {
       expect(m.participant_b.type).toBe('participant');
     });
   });
+
+  it('re-pairs Round 2 when a Round 1 result is edited before it is played', async () => {
+    const { tournamentId, matches } = await createAndStart(validMonradTournament());
+    for (const match of matches) {
+      await request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores: STRAIGHT_GAMES })
+        .expect(200);
+    }
+    const before = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const oldRound2Ids = before.body.matches.filter((m) => m.round === 2).map((m) => m._id);
+
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${matches[0]._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: [{ player1: 5, player2: 11 }, { player1: 5, player2: 11 }, { player1: 5, player2: 11 }] })
+      .expect(200);
+
+    const after = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const round2 = after.body.matches.filter((m) => m.round === 2);
+    expect(round2).toHaveLength(4);
+    round2.forEach((m) => expect(oldRound2Ids).not.toContain(m._id));
+
+    const standings = await request(app).get(`/api/tournaments/${tournamentId}/standings`).expect(200);
+    const totalWins = standings.body[0].data.reduce((sum, p) => sum + p.wins, 0);
+    expect(totalWins).toBe(4);
+  });
 });
 
 // ─── GET /api/tournaments/:id/standings ───────────────────────────────────────
@@ -381,12 +1328,13 @@ describe('GET /api/tournaments/:id/standings', () => {
       const match = matches[i];
       await request(app)
         .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
         .send({
           winner_id: match.participant_a.participant_id,
           loser_id: match.participant_b.participant_id,
           winner_name: match.participant_a.name,
           loser_name: match.participant_b.name,
-          game_scores: [{ player1: 11, player2: 5 }],
+          game_scores: STRAIGHT_GAMES,
           walkover: false,
         });
     }
@@ -581,4 +1529,195 @@ describe('Team Round Robin Playoff: full bracket playthrough', () => {
     ]);
     expect(finalResults.body.map((r) => r.position)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
   });
+
+  it('returns 400 when the fixture totals disagree with the strings', async () => {
+    const { tournamentId, matches } = await createAndStart(validPlayoffTournament());
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${matches[0]._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        team_a_games_total: 3,
+        team_b_games_total: 0,
+        string_results: [{ string_number: 1, team_a_games: 1, team_b_games: 3 }],
+      })
+      .expect(400);
+    expect(res.body.error).toBe('Game totals do not match the string and extra results (1-3)');
+  });
+});
+
+describe('Fixture calendar', () => {
+  it('dates each round of a team league on the next match night and lists the calendar', async () => {
+    const { tournamentId, matches } = await createAndStart({
+      name: 'Autumn League',
+      format: 'team_round_robin',
+      passphrase: TEST_PASSPHRASE,
+      participants: Array.from({ length: 4 }, (_, i) => ({ name: `Team ${i + 1}`, division_index: 0 })),
+      config: {
+        divisions: { count: 1 },
+        fixture_calendar: { start_date: '2026-09-01', weekday: 2, excluded_dates: ['2026-09-08'] },
+        fixture_dates: { D1F6: '2026-10-06' },
+      },
+    });
+
+    const dateOf = (match) => new Date(match.scheduled_at).toISOString().slice(0, 10);
+    expect(matches.filter((m) => m.round === 1).map(dateOf)).toEqual(['2026-09-01', '2026-09-01']);
+    expect(matches.filter((m) => m.round === 2).map(dateOf)).toEqual(['2026-09-15', '2026-09-15']);
+    expect(dateOf(matches.find((m) => m.match_number === 'D1F5'))).toBe('2026-09-22');
+    expect(dateOf(matches.find((m) => m.match_number === 'D1F6'))).toBe('2026-10-06');
+
+    const res = await request(app).get(`/api/tournaments/${tournamentId}/calendar`).expect(200);
+    expect(res.body.nights.map((night) => [night.date, night.fixtures.length])).toEqual([
+      ['2026-09-01', 2],
+      ['2026-09-15', 2],
+      ['2026-09-22', 1],
+      ['2026-10-06', 1],
+    ]);
+    expect(res.body.unscheduled).toEqual([]);
+  });
+
+  it('rejects a calendar with an invalid start date', async () => {
+    await request(app)
+      .post('/api/tournaments')
+      .send(validPlayoffTournament({ config: { fixture_calendar: { start_date: '2026-02-30' } } }))
+      .expect(400);
+  });
+});
+
+describe('Multi-stage: team league seeds its playoff', () => {
+  it('draws the playoff from the league divisions once every fixture is played', async () => {
+    const teams = Array.from({ length: 8 }, (_, i) => ({
+      name: `Team ${i + 1}`,
+      division_index: i < 4 ? 0 : 1,
+    }));
+    const { tournamentId, matches } = await createAndStart({
+      name: 'Winter League',
+      format: 'team_round_robin',
+      passphrase: TEST_PASSPHRASE,
+      participants: teams,
+      stages: [{ name: 'Playoffs', format: 'team_round_robin_playoff' }],
+    });
+    expect(matches).toHaveLength(12);
+
+    let last;
+    for (const match of matches) {
+      last = await submitFixtureResult(
+        app,
+        tournamentId,
+        match._id,
+        match.participant_a.participant_id,
+        match.participant_a.name,
+        match.participant_b.participant_id,
+        match.participant_b.name
+      ).expect(200);
+    }
+
+    expect(last.body.tournament_complete).toBe(false);
+    expect(last.body.stage_complete).toBe(true);
+    expect(last.body.next_stage.matches).toHaveLength(8);
+    expect(last.body.next_stage.matches.every((m) => m.stage_index === 1)).toBe(true);
+
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    expect(detail.body.tournament).toMatchObject({ status: 'active', current_stage: 1 });
+
+    const playable = await request(app).get(`/api/tournaments/${tournamentId}/matches/playable`).expect(200);
+    expect(playable.body.map((m) => m.match_number).sort()).toEqual(['HP-SF-A', 'HP-SF-B', 'PINT-SF-A', 'PINT-SF-B']);
+
+    const league = await request(app).get(`/api/tournaments/${tournamentId}/standings?stage=0`).expect(200);
+    expect(league.body.type).toBe('team_divisions');
+
+    // League fixtures are locked once the playoff has been drawn
+    await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${matches[0]._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({
+        winner_id: matches[0].participant_b.participant_id,
+        winner_name: matches[0].participant_b.name,
+        loser_id: matches[0].participant_a.participant_id,
+        loser_name: matches[0].participant_a.name,
+        team_a_games_total: 0,
+        team_b_games_total: 3,
+        string_results: [{ string_number: 1, team_a_games: 0, team_b_games: 3 }],
+      })
+      .expect(409);
+  });
+
+  it('draws the next stage when an edit finishes the stage', async () => {
+    const { tournamentId } = await createAndStart(
+      validSETournament({
+        format: 'double_elimination',
+        participants: makeParticipants(4),
+        config: { ...PAR11_CONFIG, knockout: { grand_final_reset: true } },
+        stages: [{ name: 'Play-off', format: 'single_elimination' }],
+      })
+    );
+    const submit = (match, game_scores) =>
+      request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores })
+        .expect(200);
+
+    for (;;) {
+      const playable = await request(app).get(`/api/tournaments/${tournamentId}/matches/playable`).expect(200);
+      const next = playable.body.find((m) => m.match_number !== 'GF1');
+      if (!next) break;
+      await submit(next, STRAIGHT_GAMES);
+    }
+
+    // The losers-bracket player takes the first grand final, so a reset is due...
+    const detail = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const grandFinal = detail.body.matches.find((m) => m.match_number === 'GF1');
+    const lost = await submit(grandFinal, STRAIGHT_GAMES.map((g) => ({ player1: g.player2, player2: g.player1 })));
+    expect(lost.body.stage_complete).toBeUndefined();
+
+    // ...until the result is corrected, which finishes the stage
+    const res = await request(app)
+      .patch(`/api/tournaments/${tournamentId}/matches/${grandFinal._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(200);
+    expect(res.body).toMatchObject({ stage_complete: true, next_stage: { index: 1, name: 'Play-off' } });
+
+    const after = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    expect(after.body.tournament).toMatchObject({ status: 'active', current_stage: 1 });
+    expect(after.body.matches.some((m) => m.stage_index === 1)).toBe(true);
+  });
+
+  it('refuses the result that finishes a stage when the next stage cannot be drawn, saving none of it', async () => {
+    const { tournamentId, matches } = await createAndStart(
+      validSETournament({
+        participants: makeParticipants(4),
+        stages: [{ name: 'Top Two', format: 'monrad', advance: 2 }],
+      })
+    );
+    for (const match of matches.filter((m) => m.round === 1)) {
+      await request(app)
+        .post(`/api/tournaments/${tournamentId}/matches/${match._id}/result`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ game_scores: STRAIGHT_GAMES })
+        .expect(200);
+    }
+
+    const before = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    const final = before.body.matches.find((m) => m.match_number === 'R2M1');
+    const res = await request(app)
+      .post(`/api/tournaments/${tournamentId}/matches/${final._id}/result`)
+      .set('Authorization', ADMIN_AUTH)
+      .send({ game_scores: STRAIGHT_GAMES })
+      .expect(409);
+    expect(res.body.details.length).toBeGreaterThan(0);
+
+    const after = await request(app).get(`/api/tournaments/${tournamentId}`).expect(200);
+    expect(after.body.tournament).toMatchObject({ status: 'active', current_stage: 0 });
+    expect(after.body.matches.find((m) => m._id === final._id).status).toBe('ready');
+    const audit = await request(app).get(`/api/tournaments/${tournamentId}/audit`).set('Authorization', ADMIN_AUTH).expect(200);
+    expect(audit.body.filter((e) => e.action === 'result_submitted')).toHaveLength(2);
+  });
+
+  it('rejects a pipeline that mixes team and individual formats', async () => {
+    await request(app)
+      .post('/api/tournaments')
+      .send(validSETournament({ stages: [{ format: 'team_round_robin_playoff' }] }))
+      .expect(400);
+  });
 });
@@ -0,0 +1,132 @@
+const BoxLeagueFormat = require('../tournament/formats/BoxLeagueFormat');
+const { makeParticipants, startLeague, playGroups } = require('./helpers/formats');
+
+const ids = (list) => list.map((p) => p._id || p.participant_id);
+
+describe('BoxLeagueFormat', () => {
+  let format;
+
+  beforeEach(() => {
+    format = new BoxLeagueFormat();
+  });
+
+  describe('validateConfig', () => {
+    it('rejects fewer than 3 participants', () => {
+      expect(format.validateConfig({}, makeParticipants(2)).valid).toBe(false);
+    });
+
+    it('rejects more movement places than a middle box holds', () => {
+      const config = { box_league: { box_size: 5, promotion: 3, relegation: 3 } };
+      const result = format.validateConfig(config, makeParticipants(15));
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Box 2 has 5 players, fewer than the 6 who would move']);
+    });
+
+    it('only counts relegation for the top box and promotion for the bottom box', () => {
+      // Boxes of 4 and 3: the 3 players of Box 2 only have 2 promotion places to fill
+      expect(format.validateConfig({}, makeParticipants(7))).toEqual({ valid: true, errors: [] });
+
+      const config = { box_league: { promotion: 4 } };
+      expect(format.validateConfig(config, makeParticipants(7)).errors).toEqual([
+        'Box 2 has 3 players, fewer than the 4 who would move',
+      ]);
+    });
+
+    it('rejects carried-over boxes with fewer than 3 players', () => {
+      const participants = makeParticipants(5).map((p, i) => ({ ...p, division_index: i < 3 ? 0 : 1 }));
+      expect(format.validateConfig({}, participants).errors).toContain('Every box must have at least 3 players');
+    });
+  });
+
+  describe('generateInitialState', () => {
+    it('fills boxes from the seed list with the larger boxes at the top', () => {
+      const { groups } = format.generateInitialState({ box_league: { box_size: 5 } }, makeParticipants(11));
+
+      expect(groups.map((g) => g.name)).toEqual(['Box 1', 'Box 2', 'Box 3']);
+      expect(groups.map((g) => ids(g.participants))).toEqual([
+        ['1', '2', '3', '4'],
+        ['5', '6', '7', '8'],
+        ['9', '10', '11'],
+      ]);
+    });
+
+    it('keeps carried-over boxes when every player has one', () => {
+      const participants = makeParticipants(6).map((p, i) => ({ ...p, division_index: i % 2 }));
+      const { groups } = format.generateInitialState({}, participants);
+
+      expect(groups.map((g) => ids(g.participants))).toEqual([
+        ['1', '3', '5'],
+        ['2', '4', '6'],
+      ]);
+    });
+
+    it('schedules everyone in a box to meet once', () => {
+      const { matches } = format.generateInitialState({ box_league: { box_size: 5 } }, makeParticipants(10));
+
+      expect(matches).toHaveLength(20);
+      expect(matches.filter((m) => m.group_id === 'box_1')).toHaveLength(10);
+      expect(matches[0]).toMatchObject({ stage: 'group', match_number: 'B1M1', status: 'ready' });
+    });
+  });
+
+  describe('onMatchResult', () => {
+    it('completes once every box has been played', () => {
+      const league = startLeague(format, makeParticipants(10), { box_league: { box_size: 5 } });
+      playGroups(format, league);
+
+      expect(format.isComplete(league.state)).toBe(true);
+      expect(league.groups.every((g) => g.completed)).toBe(true);
+    });
+  });
+
+  describe('getStandings', () => {
+    it('marks the promotion and relegation places in each box', () => {
+      const config = { box_league: { box_size: 5, promotion: 1, relegation: 2 } };
+      const league = startLeague(format, makeParticipants(15), config);
+      playGroups(format, league);
+      const standings = format.getStandings(league.state, league.groups);
+
+      expect(standings.type).toBe('boxes');
+      expect(standings.groups.map((g) => g.standings.map((s) => s.movement))).toEqual([
+        [null, null, null, 'down', 'down'],
+        ['up', null, null, 'down', 'down'],
+        ['up', null, null, null, null],
+      ]);
+    });
+  });
+
+  describe('getFinalResults', () => {
+    it('ranks players box by box', () => {
+      const league = startLeague(format, makeParticipants(10), { box_league: { box_size: 5 } });
+      playGroups(format, league);
+      const results = format.getFinalResults(league.state, league.groups);
+
+      expect(results.map((r) => r.participant_id)).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9', '10']);
+      expect(results[5]).toMatchObject({ position: 6, group: 'Box 2', group_position: 1, movement: 'up' });
+    });
+  });
+
+  describe('generateNextPeriod', () => {
+    it('moves the top players up and the bottom players down one box', () => {
+      const config = { box_league: { box_size: 5, promotion: 2, relegation: 2 } };
+      const league = startLeague(format, makeParticipants(15), config);
+      playGroups(format, league);
+      const next = format.generateNextPeriod(league.state, league.groups);
+
+      expect(next.map((box) => box.name)).toEqual(['Box 1', 'Box 2', 'Box 3']);
+      expect(next.map((box) => ids(box.participants))).toEqual([
+        ['1', '2', '3', '6', '7'],
+        ['4', '5', '8', '11', '12'],
+        ['9', '10', '13', '14', '15'],
+      ]);
+    });
+
+    it('orders boxes by number rather than by storage order', () => {
+      const league = startLeague(format, makeParticipants(10), { box_league: { box_size: 5 } });
+      playGroups(format, league);
+      const next = format.generateNextPeriod(league.state, [...league.groups].reverse());
+
+      expect(ids(next[0].participants)).toEqual(['1', '2', '3', '6', '7']);
+    });
+  });
+});
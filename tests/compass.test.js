@@ -0,0 +1,176 @@
+/**
+ * Unit tests for CompassFormat.
+ */
+const CompassFormat = require('../tournament/formats/CompassFormat');
+const { makeParticipants, startDraw, play, edit, revert, byNumber, playOut } = require('./helpers/formats');
+
+describe('CompassFormat', () => {
+  let format;
+
+  beforeEach(() => {
+    format = new CompassFormat();
+  });
+
+  describe('validateConfig', () => {
+    it('rejects fewer than 4 participants', () => {
+      expect(format.validateConfig({}, makeParticipants(3)).valid).toBe(false);
+    });
+
+    it('accepts 8 participants', () => {
+      expect(format.validateConfig({}, makeParticipants(8)).valid).toBe(true);
+    });
+  });
+
+  describe('generateInitialState', () => {
+    it('gives every round a match for every pair of players', () => {
+      const { state, matches } = startDraw(format, 8);
+
+      expect(state.totalRounds).toBe(3);
+      [1, 2, 3].forEach((round) => {
+        expect(matches.filter((m) => m.round === round)).toHaveLength(4);
+      });
+      expect(matches.filter((m) => m.round === 2).map((m) => m.match_number)).toEqual([
+        'P1R2M1',
+        'P1R2M2',
+        'P5R2M1',
+        'P5R2M2',
+      ]);
+    });
+
+    it('fixes the path of byes and cancels bye-v-bye matches', () => {
+      const { state, matches } = startDraw(format, 5);
+
+      // Seeds 1-3 have byes in R1M1, R1M3 and R1M4
+      expect(byNumber(matches, 'P1R1M1').status).toBe('completed');
+      expect(byNumber(matches, 'P1R2M1').participant_a.name).toBe('P1');
+      expect(byNumber(matches, 'P5R2M1').participant_a.type).toBe('bye');
+      expect(byNumber(matches, 'P5R2M2').status).toBe('cancelled');
+      expect(state.byePlaces).toEqual([6, 7, 8]);
+    });
+  });
+
+  describe('onMatchResult', () => {
+    it('sends the winner on in the same section and the loser to the next one', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'P1R1M1', 'a');
+
+      expect(byNumber(draw.matches, 'P1R2M1').participant_a.name).toBe('P1');
+      expect(byNumber(draw.matches, 'P5R2M1').participant_a.name).toBe('P8');
+      expect(draw.result.tournamentComplete).toBe(false);
+    });
+
+    it('completes once every section has been played out', () => {
+      const draw = playOut(format, startDraw(format, 8));
+      expect(draw.state.completed).toBe(true);
+      expect(format.isComplete(draw.state)).toBe(true);
+    });
+  });
+
+  describe('revertMatchResult', () => {
+    it('takes the winner and loser back out of both sections', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'P1R1M1', 'a');
+      draw = revert(format, draw, 'P1R1M1');
+
+      expect(byNumber(draw.matches, 'P1R1M1')).toMatchObject({ status: 'ready', result: null });
+      expect(byNumber(draw.matches, 'P1R2M1').participant_a.type).toBe('tbd');
+      expect(byNumber(draw.matches, 'P5R2M1').participant_a.type).toBe('tbd');
+    });
+
+    it('is no longer complete once a last-round result is reverted', () => {
+      let draw = playOut(format, startDraw(format, 8));
+      draw = revert(format, draw, 'P1R3M1');
+      expect(draw.state.completed).toBe(false);
+      expect(draw.state.currentRound).toBe(3);
+    });
+
+    it('throws BRACKET_LOCKED once the next-round match has been played', () => {
+      const draw = playOut(format, startDraw(format, 8));
+      expect(() => revert(format, draw, 'P1R1M1')).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+    });
+  });
+
+  describe('updateMatchResult', () => {
+    it('swaps which sections the players moved on to when the winner changes', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'P1R1M1', 'a');
+      const { participant_a: first, participant_b: second } = byNumber(draw.matches, 'P1R1M1');
+      draw = edit(format, draw, 'P1R1M1', 'b');
+
+      expect(byNumber(draw.matches, 'P1R2M1').participant_a.name).toBe(second.name);
+      expect(byNumber(draw.matches, 'P5R2M1').participant_a.name).toBe(first.name);
+    });
+
+    it('only rewrites the score when the winner stays the same', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'P1R1M1', 'a');
+      draw = edit(format, draw, 'P1R1M1', 'a', { game_scores: [{ game_number: 1, player_a_score: 11, player_b_score: 7 }] });
+
+      expect(draw.result.updatedMatches).toHaveLength(1);
+      expect(byNumber(draw.matches, 'P1R1M1').result.game_scores).toHaveLength(1);
+    });
+
+    it('throws BRACKET_LOCKED once the next-round match has been played', () => {
+      const draw = playOut(format, startDraw(format, 8));
+      expect(() => edit(format, draw, 'P1R1M1', 'b')).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+    });
+  });
+
+  describe('getFinalResults', () => {
+    it('gives every entrant an exact placing', () => {
+      const draw = playOut(format, startDraw(format, 8));
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+
+      expect(results.map((r) => [r.name, r.position, r.joint])).toEqual([
+        ['P1', 1, false],
+        ['P2', 2, false],
+        ['P3', 3, false],
+        ['P4', 4, false],
+        ['P5', 5, false],
+        ['P6', 6, false],
+        ['P7', 7, false],
+        ['P8', 8, false],
+      ]);
+    });
+
+    it('ranks entrants 1..N when the draw had byes', () => {
+      const draw = playOut(format, startDraw(format, 6));
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+
+      expect(draw.state.completed).toBe(true);
+      expect(results.map((r) => r.position)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(results.map((r) => r.name)).toEqual(['P1', 'P2', 'P3', 'P4', 'P5', 'P6']);
+    });
+
+    it('lists only the places decided so far', () => {
+      let draw = startDraw(format, 4);
+      draw = play(format, draw, 'P1R1M1', 'a');
+      draw = play(format, draw, 'P1R1M2', 'b');
+      draw = play(format, draw, 'P3R2M1', 'a');
+
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results.map((r) => [r.name, r.position])).toEqual([
+        ['P4', 3],
+        ['P3', 4],
+      ]);
+    });
+  });
+
+  describe('getStandings', () => {
+    it('names each section of an 8 draw by compass point', () => {
+      const { state, matches } = startDraw(format, 8);
+      const { draws } = format.getStandings(state, [], matches);
+
+      expect(draws.map((d) => [d.name, d.places.from, d.places.to])).toEqual([
+        ['East', 1, 8],
+        ['West', 5, 8],
+        ['North', 3, 4],
+        ['South', 7, 8],
+      ]);
+      const east = draws[0];
+      expect(east.rounds.map((r) => r.matches.length)).toEqual([4, 2, 1]);
+      expect(east.rounds[0].matches[0].loser_feeds_to).toEqual({ match_number: 'P5R2M1', slot: 'a' });
+      expect(east.rounds[2].matches[0].feeds_to).toEqual({ place: 1 });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { courtNames, planOrderOfPlay } = require('../tournament/courtScheduler');
+
+const NOW = new Date('2026-11-07T09:00:00Z');
+const at = (time) => new Date(`2026-11-07T${time}:00Z`);
+const minutesAfterNow = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const player = (id) => ({ type: 'participant', participant_id: id, name: id.toUpperCase() });
+const match = (id, a, b, overrides = {}) => ({
+  _id: id,
+  match_number: id.toUpperCase(),
+  round: 1,
+  status: 'ready',
+  estimated_duration: 45,
+  participant_a: a ? player(a) : { type: 'tbd', name: 'TBD' },
+  participant_b: b ? player(b) : { type: 'tbd', name: 'TBD' },
+  ...overrides,
+});
+
+// Plan with every ready match playable
+const plan = (matches, config = {}, now = NOW) =>
+  planOrderOfPlay(
+    matches,
+    matches.filter((m) => m.status === 'ready').map((m) => m._id),
+    { courts: 2, min_rest_minutes: 20, ...config },
+    now
+  );
+const slots = (result) => result.schedule.map((slot) => [slot.match_number, slot.court, slot.start.toISOString().slice(11, 16)]);
+
+describe('courtNames', () => {
+  it('numbers the courts and adds any the windows name', () => {
+    expect(courtNames({ courts: 2 })).toEqual(['1', '2']);
+    expect(courtNames({ courts: 1, court_windows: [{ court: 'Show court' }, { court: '1' }] })).toEqual(['1', 'Show court']);
+    expect(courtNames()).toEqual(['1']);
+  });
+});
+
+describe('planOrderOfPlay', () => {
+  it('fills every court, then starts each match as a court comes free', () => {
+    const result = plan([match('m1', 'a', 'b'), match('m2', 'c', 'd'), match('m3', 'e', 'f')]);
+
+    expect(slots(result)).toEqual([
+      ['M1', '1', '09:00'],
+      ['M2', '2', '09:00'],
+      ['M3', '1', '09:45'],
+    ]);
+    expect(result.schedule[2].end).toEqual(at('10:30'));
+  });
+
+  it('leaves a player their rest between matches, bringing another match forward', () => {
+    const result = plan([match('m1', 'a', 'b'), match('m2', 'a', 'c'), match('m3', 'd', 'e')], { courts: 1 });
+
+    expect(slots(result)).toEqual([
+      ['M1', '1', '09:00'],
+      ['M3', '1', '09:45'],
+      ['M2', '1', '10:30'],
+    ]);
+  });
+
+  it('rests players from when they finished, but not after a walkover', () => {
+    const result = plan([
+      match('done', 'a', 'b', { status: 'completed', completed_at: minutesAfterNow(-5), result: {} }),
+      match('given', 'c', 'd', { status: 'walkover', completed_at: minutesAfterNow(-1), result: { walkover: true } }),
+      match('m1', 'a', 'e'),
+      match('m2', 'c', 'f'),
+    ]);
+
+    expect(slots(result)).toEqual([
+      ['M2', '1', '09:00'],
+      ['M1', '2', '09:15'],
+    ]);
+  });
+
+  it('keeps a live match on its court, and holds the court while it overruns', () => {
+    const live = match('live', 'a', 'b', { status: 'live', court: '2', live: { started_at: minutesAfterNow(-60) } });
+    const result = plan([live, match('m1', 'c', 'd'), match('m2', 'e', 'f')]);
+
+    expect(result.on_court).toEqual([
+      expect.objectContaining({ match_number: 'LIVE', court: '2', expected_end: NOW, overrunning: true }),
+    ]);
+    expect(slots(result)).toEqual([
+      ['M1', '1', '09:00'],
+      ['M2', '2', '09:00'],
+    ]);
+
+    const onTime = plan([{ ...live, live: { started_at: minutesAfterNow(-15) } }, match('m1', 'c', 'd'), match('m2', 'e', 'f')]);
+    expect(onTime.on_court[0]).toMatchObject({ overrunning: false, expected_end: minutesAfterNow(30) });
+    expect(slots(onTime)).toEqual([
+      ['M1', '1', '09:00'],
+      ['M2', '2', '09:30'],
+    ]);
+  });
+
+  it('keeps to court windows, pinned courts and scheduled times', () => {
+    const result = plan(
+      [match('m1', 'a', 'b'), match('m2', 'c', 'd', { court: '2' }), match('m3', 'e', 'f', { scheduled_at: at('11:00') })],
+      {
+        court_windows: [
+          { court: '2', start: at('10:00'), end: at('12:00') },
+          { court: '1', start: at('08:00'), end: at('10:00') },
+        ],
+      }
+    );
+
+    expect(slots(result)).toEqual([
+      ['M1', '1', '09:00'],
+      ['M2', '2', '10:00'],
+      ['M3', '2', '11:00'],
+    ]);
+  });
+
+  it("lists matches no window fits, and ones whose players aren't known yet", () => {
+    const result = plan([match('m1', 'a', 'b', { estimated_duration: 90 }), match('final', null, null, { round: 2, status: 'pending' })], {
+      courts: 1,
+      court_windows: [{ court: '1', start: at('09:00'), end: at('10:00') }],
+    });
+
+    expect(result.schedule).toEqual([]);
+    expect(result.unplaced.map((m) => m.match_number)).toEqual(['M1']);
+    expect(result.waiting.map((m) => m.match_number)).toEqual(['FINAL']);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Unit tests for DoubleEliminationFormat.
+ */
+const DoubleEliminationFormat = require('../tournament/formats/DoubleEliminationFormat');
+const { makeParticipant, startDraw, play, edit, revert, byNumber, playOut } = require('./helpers/formats');
+
+describe('DoubleEliminationFormat', () => {
+  let format;
+
+  beforeEach(() => {
+    format = new DoubleEliminationFormat();
+  });
+
+  describe('validateConfig', () => {
+    it('rejects fewer than 3 participants', () => {
+      const participants = [makeParticipant('1', 'P1', 1), makeParticipant('2', 'P2', 2)];
+      expect(format.validateConfig({}, participants).valid).toBe(false);
+    });
+
+    it('accepts 8 participants', () => {
+      const participants = Array.from({ length: 8 }, (_, i) => makeParticipant(String(i + 1), `P${i + 1}`, i + 1));
+      expect(format.validateConfig({}, participants).valid).toBe(true);
+    });
+  });
+
+  describe('generateInitialState', () => {
+    it('builds winners, losers and grand final brackets for 8 players', () => {
+      const { state, matches } = startDraw(format, 8);
+
+      expect(state.totalRounds).toBe(3);
+      expect(state.losersRounds).toBe(4);
+      expect(matches.filter((m) => m.stage === 'main')).toHaveLength(7);
+      expect(matches.filter((m) => m.stage === 'losers').map((m) => m.match_number)).toEqual([
+        'LR1M1',
+        'LR1M2',
+        'LR2M1',
+        'LR2M2',
+        'LR3M1',
+        'LR4M1',
+      ]);
+      expect(matches.filter((m) => m.stage === 'final').map((m) => m.match_number)).toEqual(['GF1']);
+    });
+
+    it('drops winners-bracket losers onto the far side of the losers bracket', () => {
+      const { matches } = startDraw(format, 8);
+
+      expect(byNumber(matches, 'LR1M1').participant_a.qualifier).toBe('L:R1M1');
+      expect(byNumber(matches, 'LR1M1').participant_b.qualifier).toBe('L:R1M2');
+      // Round 2 losers are reversed so they don't meet the half they came from
+      expect(byNumber(matches, 'LR2M1').participant_b.qualifier).toBe('L:R2M2');
+      expect(byNumber(matches, 'LR2M2').participant_b.qualifier).toBe('L:R2M1');
+      expect(byNumber(matches, 'LR4M1').participant_b.qualifier).toBe('L:R3M1');
+    });
+
+    it('half-swaps the second drop round in a 16 draw', () => {
+      const { matches } = startDraw(format, 16);
+
+      expect(byNumber(matches, 'LR4M1').participant_b.qualifier).toBe('L:R3M2');
+      expect(byNumber(matches, 'LR4M2').participant_b.qualifier).toBe('L:R3M1');
+    });
+
+    it('turns winners-bracket byes into losers-bracket byes', () => {
+      const { matches } = startDraw(format, 5);
+
+      // Seeds 1-3 have byes: R1M3 and R1M4 are both byes, so LR1M2 is void
+      expect(byNumber(matches, 'LR1M1').participant_a.type).toBe('bye');
+      expect(byNumber(matches, 'LR1M1').participant_b.type).toBe('qualifier');
+      expect(byNumber(matches, 'LR1M2').status).toBe('cancelled');
+      expect(byNumber(matches, 'LR2M2').participant_a.type).toBe('bye');
+    });
+  });
+
+  describe('onMatchResult', () => {
+    it('drops the loser into the losers bracket instead of eliminating them', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'R1M1', 'a');
+
+      const losers = byNumber(draw.matches, 'LR1M1');
+      expect(losers.participant_a).toMatchObject({ type: 'participant', name: 'P8' });
+      expect(byNumber(draw.matches, 'R2M1').participant_a.name).toBe('P1');
+    });
+
+    it('carries a dropped player straight through a losers-bracket bye', () => {
+      let draw = startDraw(format, 6);
+      draw = play(format, draw, 'R1M2', 'b');
+
+      const byeMatch = byNumber(draw.matches, 'LR1M1');
+      expect(byeMatch.status).toBe('completed');
+      expect(byeMatch.result.winner_name).toBe('P5');
+      expect(byNumber(draw.matches, 'LR2M1').participant_a.name).toBe('P5');
+    });
+
+    it('only knocks players out after their second defeat', () => {
+      const draw = playOut(format, startDraw(format, 8));
+      const losses = {};
+      draw.matches
+        .filter((m) => m.result && m.result.loser_participant_id)
+        .forEach((m) => {
+          losses[m.result.loser_name] = (losses[m.result.loser_name] || 0) + 1;
+        });
+
+      expect(draw.state.completed).toBe(true);
+      expect(losses.P1).toBeUndefined();
+      Object.entries(losses)
+        .filter(([name]) => name !== 'P1')
+        .forEach(([, count]) => expect(count).toBe(2));
+    });
+
+    it('finishes after the first grand final when reset is off', () => {
+      let draw = playOut(format, startDraw(format, 4));
+      expect(draw.state.completed).toBe(true);
+
+      draw = startDraw(format, 4);
+      draw = play(format, draw, 'R1M1', 'a');
+      draw = play(format, draw, 'R1M2', 'b');
+      draw = play(format, draw, 'LR1M1', 'a');
+      draw = play(format, draw, 'R2M1', 'a');
+      draw = play(format, draw, 'LR2M1', 'b');
+      draw = play(format, draw, 'GF1', 'b');
+      expect(draw.result.newMatches).toHaveLength(0);
+      expect(draw.state.completed).toBe(true);
+    });
+
+    it('adds a deciding grand final when the losers-bracket player wins and reset is on', () => {
+      let draw = startDraw(format, 4, { knockout: { grand_final_reset: true } });
+      draw = play(format, draw, 'R1M1', 'a');
+      draw = play(format, draw, 'R1M2', 'b');
+      draw = play(format, draw, 'LR1M1', 'a');
+      draw = play(format, draw, 'R2M1', 'a');
+      draw = play(format, draw, 'LR2M1', 'b');
+      draw = play(format, draw, 'GF1', 'b');
+
+      expect(draw.state.completed).toBe(false);
+      const reset = byNumber(draw.matches, 'GF2');
+      expect(reset).toMatchObject({ stage: 'final', round: 2, status: 'ready' });
+      expect([reset.participant_a.name, reset.participant_b.name]).toEqual(['P1', 'P2']);
+
+      draw = play(format, draw, 'GF2', 'a');
+      expect(draw.state.completed).toBe(true);
+      expect(format.getFinalResults(draw.state, [], draw.matches).slice(0, 2).map((r) => r.name)).toEqual([
+        'P1',
+        'P2',
+      ]);
+    });
+  });
+
+  describe('revertMatchResult', () => {
+    it('takes both players back out of the winners and losers brackets', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'R1M1', 'a');
+      draw = revert(format, draw, 'R1M1');
+
+      expect(byNumber(draw.matches, 'R1M1')).toMatchObject({ status: 'ready', result: null });
+      expect(byNumber(draw.matches, 'R2M1').participant_a.type).toBe('tbd');
+      expect(byNumber(draw.matches, 'LR1M1').participant_a).toMatchObject({ type: 'qualifier', qualifier: 'L:R1M1' });
+    });
+
+    it('reopens a losers-bracket bye the dropped player was carried through', () => {
+      let draw = startDraw(format, 6);
+      draw = play(format, draw, 'R1M2', 'b');
+      draw = revert(format, draw, 'R1M2');
+
+      expect(byNumber(draw.matches, 'LR1M1')).toMatchObject({ status: 'pending', result: null });
+      expect(byNumber(draw.matches, 'LR2M1').participant_a.type).toBe('tbd');
+    });
+
+    it('withdraws an unplayed grand final reset with the first grand final', () => {
+      let draw = startDraw(format, 4, { knockout: { grand_final_reset: true } });
+      ['R1M1', 'R1M2', 'LR1M1', 'R2M1', 'LR2M1', 'GF1'].forEach((n) => {
+        draw = play(format, draw, n, n === 'R1M1' || n === 'LR1M1' || n === 'R2M1' ? 'a' : 'b');
+      });
+      const reset = byNumber(draw.matches, 'GF2');
+
+      draw = revert(format, draw, 'GF1');
+      expect(draw.result.deletedMatchIds).toEqual([reset._id]);
+      expect(byNumber(draw.matches, 'GF1').status).toBe('ready');
+    });
+
+    it('throws BRACKET_LOCKED once a match the players moved into has been played', () => {
+      let draw = startDraw(format, 4);
+      ['R1M1', 'R1M2', 'LR1M1'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+
+      expect(() => revert(format, draw, 'R1M1')).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+    });
+  });
+
+  describe('updateMatchResult', () => {
+    it('swaps both players onward when the winner changes', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'R1M1', 'a');
+      const { participant_a: first, participant_b: second } = byNumber(draw.matches, 'R1M1');
+      draw = edit(format, draw, 'R1M1', 'b');
+
+      expect(byNumber(draw.matches, 'R1M1').result.winner_name).toBe(second.name);
+      expect(byNumber(draw.matches, 'R2M1').participant_a.name).toBe(second.name);
+      expect(byNumber(draw.matches, 'LR1M1').participant_a.name).toBe(first.name);
+    });
+
+    it('only rewrites the score when the winner stays the same', () => {
+      let draw = startDraw(format, 8);
+      draw = play(format, draw, 'R1M1', 'a');
+      const scores = [{ game_number: 1, player_a_score: 11, player_b_score: 9 }];
+      draw = edit(format, draw, 'R1M1', 'a', { game_scores: scores });
+
+      expect(draw.result.updatedMatches).toHaveLength(1);
+      expect(byNumber(draw.matches, 'R1M1').result.game_scores).toEqual(scores);
+    });
+
+    it('draws the grand final reset again when the first grand final changes hands', () => {
+      let draw = startDraw(format, 4, { knockout: { grand_final_reset: true } });
+      ['R1M1', 'R1M2', 'LR1M1', 'R2M1', 'LR2M1', 'GF1'].forEach((n) => {
+        draw = play(format, draw, n, n === 'R1M1' || n === 'LR1M1' || n === 'R2M1' ? 'a' : 'b');
+      });
+      const reset = byNumber(draw.matches, 'GF2');
+
+      draw = edit(format, draw, 'GF1', 'a');
+      expect(draw.result.deletedMatchIds).toEqual([reset._id]);
+      expect(byNumber(draw.matches, 'GF2')).toBeUndefined();
+      expect(draw.state.completed).toBe(true);
+    });
+
+    it('throws BRACKET_LOCKED once a later match the result decided has been played', () => {
+      let draw = startDraw(format, 4);
+      ['R1M1', 'R1M2', 'R2M1'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+
+      expect(() => edit(format, draw, 'R1M1', 'b')).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+      expect(() => edit(format, draw, 'R1M1', 'b')).toThrow(/Cannot change this result: R2M1/);
+    });
+  });
+
+  describe('getFinalResults', () => {
+    it('places players by the losers-bracket round they went out in', () => {
+      const draw = playOut(format, startDraw(format, 8));
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+
+      expect(results.map((r) => [r.name, r.position, r.position_to])).toEqual([
+        ['P1', 1, 1],
+        ['P2', 2, 2],
+        ['P3', 3, 3],
+        ['P4', 4, 4],
+        expect.arrayContaining([5, 6]),
+        expect.arrayContaining([5, 6]),
+        expect.arrayContaining([7, 8]),
+        expect.arrayContaining([7, 8]),
+      ]);
+      expect(results.slice(4, 6).map((r) => r.name).sort()).toEqual(['P5', 'P6']);
+    });
+
+    it('plays out a 64 draw of 33 entrants and places every one of them', () => {
+      const draw = playOut(format, startDraw(format, 33));
+      const isBye = (slot) => slot.type === 'bye';
+
+      expect(
+        draw.matches.filter((m) => m.stage !== 'losers' && isBye(m.participant_a) && isBye(m.participant_b))
+      ).toEqual([]);
+      expect(draw.state.completed).toBe(true);
+      expect(draw.matches.filter((m) => m.status === 'pending' || m.status === 'ready')).toEqual([]);
+
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results).toHaveLength(33);
+      expect(new Set(results.map((r) => r.name)).size).toBe(33);
+      expect(results[0]).toMatchObject({ name: 'P1', position: 1 });
+      expect(Math.max(...results.map((r) => r.position_to))).toBe(33);
+    });
+
+    it('does not leave gaps for byes', () => {
+      const draw = playOut(format, startDraw(format, 6));
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+
+      expect(results).toHaveLength(6);
+      expect(Math.max(...results.map((r) => r.position_to))).toBe(6);
+    });
+  });
+
+  describe('getStandings', () => {
+    it('returns winners, losers and grand final sections', () => {
+      const { state, matches } = startDraw(format, 8);
+      const { bracket } = format.getStandings(state, [], matches);
+
+      expect(bracket.rounds.map((r) => r.name)).toEqual(['Quarter-finals', 'Semi-finals', 'Winners Final']);
+      expect(bracket.losers.rounds.map((r) => r.name)).toEqual([
+        'Losers Round 1',
+        'Losers Round 2',
+        'Losers Round 3',
+        'Losers Final',
+      ]);
+      expect(bracket.grand_final.map((n) => n.match_number)).toEqual(['GF1']);
+
+      const r2m1 = bracket.rounds[1].matches[0];
+      expect(r2m1.feeds_to).toEqual({ match_number: 'R3M1', slot: 'a' });
+      expect(r2m1.loser_feeds_to).toEqual({ match_number: 'LR2M2', slot: 'b' });
+      expect(bracket.grand_final[0].feeds_from.map((f) => f.match_number)).toEqual(['R3M1', 'LR4M1']);
+    });
+  });
+});
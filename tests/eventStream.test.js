@@ -0,0 +1,74 @@
+const TournamentEventStream = require('../tournament/TournamentEventStream');
+
+describe('TournamentEventStream', () => {
+  it('sends each event to the tournament subscribers only', () => {
+    const stream = new TournamentEventStream();
+    const received = [];
+    const other = [];
+    stream.subscribe('t1', {}, (event) => received.push(event));
+    stream.subscribe('t2', {}, (event) => other.push(event));
+
+    const event = stream.publish('t1', 'standings', { stage: 0 });
+
+    expect(received).toEqual([event]);
+    expect(other).toEqual([]);
+    expect(event).toMatchObject({ type: 'standings', data: { stage: 0 } });
+  });
+
+  it('filters a match subscription to that match', () => {
+    const stream = new TournamentEventStream();
+    const received = [];
+    stream.subscribe('t1', { matchId: 'm1' }, (event) => received.push(event.type));
+
+    stream.publish('t1', 'rally', { match_id: 'm1' });
+    stream.publish('t1', 'rally', { match_id: 'm2' });
+    stream.publish('t1', 'standings', { stage: 0 });
+
+    expect(received).toEqual(['rally']);
+  });
+
+  it('stops sending once unsubscribed', () => {
+    const stream = new TournamentEventStream();
+    const received = [];
+    const { unsubscribe } = stream.subscribe('t1', {}, (event) => received.push(event));
+
+    unsubscribe();
+    stream.publish('t1', 'result', {});
+
+    expect(received).toEqual([]);
+  });
+
+  describe('Last-Event-ID', () => {
+    it('replays the events published after the last one seen', () => {
+      const stream = new TournamentEventStream();
+      const first = stream.publish('t1', 'rally', { match_id: 'm1' });
+      stream.publish('t2', 'rally', { match_id: 'm9' });
+      const second = stream.publish('t1', 'game', { match_id: 'm1' });
+      const third = stream.publish('t1', 'rally', { match_id: 'm2' });
+
+      expect(stream.subscribe('t1', { lastEventId: first.id }, () => {}).missed).toEqual([second, third]);
+      expect(stream.subscribe('t1', { lastEventId: first.id, matchId: 'm1' }, () => {}).missed).toEqual([second]);
+      expect(stream.subscribe('t1', { lastEventId: third.id }, () => {}).missed).toEqual([]);
+    });
+
+    it('cannot replay ids from another server instance or that are malformed', () => {
+      const stream = new TournamentEventStream();
+      stream.publish('t1', 'rally', {});
+
+      expect(stream.subscribe('t1', { lastEventId: 'deadbeef-1' }, () => {}).missed).toBeNull();
+      expect(stream.subscribe('t1', { lastEventId: 'nonsense' }, () => {}).missed).toBeNull();
+      expect(stream.subscribe('t1', { lastEventId: `${stream.instance}-99` }, () => {}).missed).toBeNull();
+    });
+
+    it('cannot replay once the missed events have left the history', () => {
+      const stream = new TournamentEventStream({ historySize: 2 });
+      const first = stream.publish('t1', 'rally', {});
+      const second = stream.publish('t1', 'rally', {});
+      stream.publish('t1', 'rally', {});
+      stream.publish('t1', 'rally', {});
+
+      expect(stream.subscribe('t1', { lastEventId: first.id }, () => {}).missed).toBeNull();
+      expect(stream.subscribe('t1', { lastEventId: second.id }, () => {}).missed).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { buildFixtureCalendar } = require('../tournament/fixtureCalendar');
+
+// Fixtures for `rounds`, each with `perDivision` fixtures in each of two divisions
+const league = (rounds, perDivision = 1) =>
+  Array.from({ length: rounds }, (_, r) =>
+    ['div_a', 'div_b'].flatMap((group, d) =>
+      Array.from({ length: perDivision }, (_, f) => ({
+        round: r + 1,
+        group_id: group,
+        match_number: `D${d + 1}R${r + 1}F${f + 1}`,
+      }))
+    )
+  ).flat();
+
+describe('buildFixtureCalendar', () => {
+  it('puts each round on the next match night, on the weekday from the start date', () => {
+    // 2026-09-01 is a Tuesday; the first Thursday is the 3rd
+    const dates = buildFixtureCalendar(league(3), { start_date: '2026-09-01', weekday: 4 });
+
+    expect(dates).toEqual({
+      D1R1F1: '2026-09-03',
+      D2R1F1: '2026-09-03',
+      D1R2F1: '2026-09-10',
+      D2R2F1: '2026-09-10',
+      D1R3F1: '2026-09-17',
+      D2R3F1: '2026-09-17',
+    });
+  });
+
+  it('skips excluded dates', () => {
+    const dates = buildFixtureCalendar(league(2), { start_date: '2026-12-17', excluded_dates: ['2026-12-24', '2026-12-31'] });
+
+    expect(dates.D1R1F1).toBe('2026-12-17');
+    expect(dates.D1R2F1).toBe('2027-01-07');
+  });
+
+  it('carries a round over to the next night when the venue is full, divisions taking turns', () => {
+    const dates = buildFixtureCalendar(league(2, 2), { start_date: '2026-09-07', fixtures_per_night: 3 });
+
+    expect(dates).toMatchObject({
+      D1R1F1: '2026-09-07',
+      D2R1F1: '2026-09-07',
+      D1R1F2: '2026-09-07',
+      D2R1F2: '2026-09-14',
+      D1R2F1: '2026-09-21',
+    });
+  });
+
+  it('dates nothing without a start date', () => {
+    expect(buildFixtureCalendar(league(2), {})).toEqual({});
+    expect(buildFixtureCalendar(league(2))).toEqual({});
+  });
+});
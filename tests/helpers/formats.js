@@ -0,0 +1,142 @@
+/**
+ * Helpers shared by the format unit tests: draws and leagues with the shape
+ * they have once the routes have saved them, and results played through a
+ * format with everything it returns applied, the way the result route does.
+ */
+
+const makeParticipant = (id, name, seed, extra = {}) => ({ _id: id, name, seed, ...extra });
+
+const makeParticipants = (count) =>
+  Array.from({ length: count }, (_, i) => makeParticipant(String(i + 1), `Player ${i + 1}`, i + 1));
+
+// A result for `match` won by side 'a' or 'b'
+const resultFor = (match, side, extra = {}) => {
+  const winner = side === 'a' ? match.participant_a : match.participant_b;
+  const loser = side === 'a' ? match.participant_b : match.participant_a;
+  return {
+    winner_id: winner.participant_id,
+    winner_name: winner.name,
+    loser_id: loser.participant_id,
+    loser_name: loser.name,
+    game_scores: [],
+    walkover: false,
+    ...extra,
+  };
+};
+
+// Apply a format's result to a match list: deleted matches go, the last
+// update of each match wins, and new matches are saved under their number
+const applyResult = (matches, result) => {
+  const deleted = result.deletedMatchIds || [];
+  const updates = new Map(result.updatedMatches.map((m) => [m._id, m]));
+  return matches
+    .filter((m) => !deleted.includes(m._id))
+    .map((m) => updates.get(m._id) || m)
+    .concat((result.newMatches || []).map((m) => ({ ...m, _id: m.match_number })));
+};
+
+const byNumber = (matches, matchNumber) => matches.find((m) => m.match_number === matchNumber);
+
+// ─── Bracket draws ────────────────────────────────────────────────────────────
+
+// Generate a draw of players P1..Pn and give every match a string _id
+const startDraw = (format, count, config = {}) => {
+  const participants = Array.from({ length: count }, (_, i) =>
+    makeParticipant({ toString: () => String(i + 1) }, `P${i + 1}`, i + 1)
+  );
+  const { state, matches } = format.generateInitialState(config, participants);
+  return { state, matches: matches.map((m, i) => ({ ...m, _id: `m${i + 1}` })) };
+};
+
+// Submit a result for matchNumber (side 'a' or 'b' wins)
+const play = (format, { state, matches }, matchNumber, side = 'a') => {
+  const match = byNumber(matches, matchNumber);
+  const result = format.onMatchResult(state, match, resultFor(match, side), [], matches);
+  return { state: result.state, matches: applyResult(matches, result), result };
+};
+
+// Replace a played match's result, side 'a' or 'b' now winning
+const edit = (format, { state, matches }, matchNumber, side, extra = {}) => {
+  const match = byNumber(matches, matchNumber);
+  const result = format.updateMatchResult(state, match, resultFor(match, side, extra), matches);
+  return { state: result.state, matches: applyResult(matches, result), result };
+};
+
+const revert = (format, { state, matches }, matchNumber) => {
+  const result = format.revertMatchResult(state, byNumber(matches, matchNumber), matches);
+  return { state: result.state, matches: applyResult(matches, result), result };
+};
+
+const seedOf = (slot) => Number(slot.name.slice(1));
+
+// Play every playable match until none are left, the better seed always winning
+const playOut = (format, draw) => {
+  let current = draw;
+  for (;;) {
+    const [next] = format.getNextPlayableMatches(current.state, current.matches);
+    if (!next) return current;
+    const side = seedOf(next.participant_a) < seedOf(next.participant_b) ? 'a' : 'b';
+    current = play(format, current, next.match_number, side);
+  }
+};
+
+// ─── Grouped leagues ──────────────────────────────────────────────────────────
+
+// Generate the groups (pools, boxes) and give matches/groups their saved shape
+const startLeague = (format, participants, config = {}) => {
+  const { state, matches, groups } = format.generateInitialState(config, participants);
+  return {
+    state,
+    matches: matches.map((m) => ({ ...m, _id: m.match_number })),
+    groups: groups.map((g) => ({
+      _id: g._id,
+      name: g.name,
+      participant_ids: g.participants.map((p) => p._id),
+      standings: g.participants.map((p) => ({ participant_id: p._id, name: p.name })),
+    })),
+  };
+};
+
+// Record a result in the league (side 'a' or 'b' wins), updating its state,
+// matches and group standings in place
+const record = (format, league, match, side, extra = {}) => {
+  const result = format.onMatchResult(league.state, match, resultFor(match, side, extra), league.groups, league.matches);
+  league.state = result.state;
+  league.matches = applyResult(league.matches, result);
+  (result.standingsUpdates || []).forEach((update) => {
+    league.groups = league.groups.map((g) =>
+      g._id === update.group_id ? { ...g, standings: update.standings, completed: update.completed } : g
+    );
+  });
+  return result;
+};
+
+// Play every group match, the lower-numbered player always winning. Returns
+// the last result.
+const playGroups = (format, league, extra = {}) => {
+  let result;
+  league.matches
+    .filter((m) => m.stage === 'group')
+    .forEach((m) => {
+      const current = league.matches.find((x) => x._id === m._id);
+      const aWins = Number(current.participant_a.participant_id) < Number(current.participant_b.participant_id);
+      result = record(format, league, current, aWins ? 'a' : 'b', extra);
+    });
+  return result;
+};
+
+module.exports = {
+  makeParticipant,
+  makeParticipants,
+  resultFor,
+  byNumber,
+  startDraw,
+  play,
+  edit,
+  revert,
+  seedOf,
+  playOut,
+  startLeague,
+  record,
+  playGroups,
+};
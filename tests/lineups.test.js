@@ -0,0 +1,123 @@
+const { lineupsRevealed, teamSide, hideLineups, getLineupRules, validateLineup } = require('../tournament/lineups');
+
+const fixture = (overrides = {}) => ({
+  participant_a: { type: 'participant', participant_id: 'team-a', name: 'Alpha' },
+  participant_b: { type: 'participant', participant_id: 'team-b', name: 'Beta' },
+  team_a_confirmed: true,
+  team_b_confirmed: false,
+  team_a_lineup: [{ string_number: 1, player_name: 'Ann' }],
+  team_b_lineup: [{ string_number: 1, player_name: 'Bob' }],
+  team_a_racketball_player: 'Ari',
+  team_b_racketball_player: 'TBC',
+  ...overrides,
+});
+
+describe('lineupsRevealed', () => {
+  it('is true only once both teams have confirmed', () => {
+    expect(lineupsRevealed(fixture())).toBe(false);
+    expect(lineupsRevealed(fixture({ team_b_confirmed: true }))).toBe(true);
+  });
+});
+
+describe('teamSide', () => {
+  it('finds the side a team plays on', () => {
+    expect(teamSide(fixture(), 'team-a')).toBe('a');
+    expect(teamSide(fixture(), 'team-b')).toBe('b');
+    expect(teamSide(fixture(), 'team-c')).toBeNull();
+    expect(teamSide(fixture(), null)).toBeNull();
+  });
+});
+
+describe('hideLineups', () => {
+  it('hides both lineups from everyone until both are confirmed', () => {
+    const view = hideLineups(fixture());
+
+    expect(view.team_a_lineup).toEqual([]);
+    expect(view.team_b_lineup).toEqual([]);
+    expect(view.team_a_racketball_player).toBe('TBC');
+    expect(view.team_a_confirmed).toBe(true);
+  });
+
+  it("shows a captain their own team's lineup only", () => {
+    const view = hideLineups(fixture(), { side: 'a' });
+
+    expect(view.team_a_lineup).toEqual([{ string_number: 1, player_name: 'Ann' }]);
+    expect(view.team_a_racketball_player).toBe('Ari');
+    expect(view.team_b_lineup).toEqual([]);
+  });
+
+  it('shows everything to the organiser, and to everyone once revealed', () => {
+    expect(hideLineups(fixture(), { all: true }).team_b_lineup).toHaveLength(1);
+    const revealed = hideLineups(fixture({ team_b_confirmed: true }));
+    expect(revealed.team_a_lineup).toHaveLength(1);
+    expect(revealed.team_b_lineup).toHaveLength(1);
+  });
+
+  it('leaves the match itself untouched', () => {
+    const match = fixture();
+    hideLineups(match);
+    expect(match.team_b_lineup).toHaveLength(1);
+  });
+});
+
+describe('validateLineup', () => {
+  const team = {
+    _id: 'team-a',
+    name: 'Alpha',
+    roster: [
+      { player_name: 'Ann', string_number: 1 },
+      { player_name: 'Amy', string_number: 2 },
+      { player_name: 'Abe', string_number: 3 },
+    ],
+  };
+  const rules = getLineupRules();
+  const check = (names, context = {}) =>
+    validateLineup(
+      names.map((player_name, i) => ({ string_number: i + 1, player_name })),
+      { team, poolPlayers: ['Pat', 'Pip'], rules, ...context }
+    );
+  const codes = (errors) => errors.map((error) => error.code);
+
+  it('accepts roster players in order, playing down, and pool players', () => {
+    expect(check(['Ann', 'Amy', 'Abe'])).toEqual([]);
+    expect(check(['Ann', 'Pat', 'Amy'])).toEqual([]);
+  });
+
+  it('refuses players off the roster, above their string or out of order', () => {
+    expect(check(['Ann', 'Zed'])).toEqual([
+      { code: 'NOT_ON_ROSTER', string_number: 2, player_name: 'Zed', message: expect.stringMatching(/Alpha's roster/) },
+    ]);
+    expect(codes(check(['Pat', 'Abe']))).toEqual(['ABOVE_REGISTERED_STRING']);
+    expect(codes(check(['Ann', 'Abe', 'Amy']))).toEqual(['ABOVE_REGISTERED_STRING', 'STRING_ORDER']);
+  });
+
+  it('always refuses a player or string named twice', () => {
+    const lineup = [
+      { string_number: 1, player_name: 'Ann' },
+      { string_number: 1, player_name: 'Amy' },
+      { string_number: 2, player_name: 'ann' },
+    ];
+    const off = getLineupRules({ lineup_rules: { roster_only: false, play_down_only: false, keep_string_order: false } });
+    expect(codes(validateLineup(lineup, { team, rules: off }))).toEqual(['DUPLICATE_STRING', 'DUPLICATE_PLAYER']);
+  });
+
+  it('caps pool players when the league sets a limit', () => {
+    const capped = getLineupRules({ lineup_rules: { max_pool_players: 1 } });
+    expect(check(['Ann', 'Pat'], { rules: capped })).toEqual([]);
+    expect(codes(check(['Ann', 'Pat', 'Pip'], { rules: capped }))).toEqual(['TOO_MANY_POOL_PLAYERS']);
+  });
+
+  it('refuses a player already named for another team in the round', () => {
+    const roundLineups = [
+      { team: { participant_id: 'team-b', name: 'Beta' }, lineup: [{ string_number: 2, player_name: 'Pat' }] },
+      { team: { participant_id: 'team-a', name: 'Alpha' }, lineup: [{ string_number: 1, player_name: 'Ann' }] },
+    ];
+    expect(check(['Ann', 'Pat'], { roundLineups })).toEqual([
+      { code: 'PLAYS_FOR_OTHER_TEAM', string_number: 2, player_name: 'Pat', message: 'Pat is already playing for Beta this round' },
+    ]);
+  });
+
+  it('skips the roster rules for a team without a roster', () => {
+    expect(check(['Zed', 'Yan'], { team: { _id: 'team-c', name: 'Gamma', roster: [] } })).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+const { replayRallies, prepareRally, summarizeLive, liveMatchResult } = require('../tournament/liveScoring');
+const { getScoringRules } = require('../tournament/scoringRules');
+
+const par11 = getScoringRules({ match: { scoring: 'PAR11', best_of: 3, clear_points: 2 } });
+
+// Record rallies the way the route does, letting the replay fill in server and side
+const play = (live, ...winners) =>
+  winners.reduce((current, winner) => {
+    const { rally, error } = prepareRally(current, { winner }, par11);
+    if (error) throw new Error(error);
+    return { ...current, rallies: [...current.rallies, rally] };
+  }, live);
+
+const start = (extra = {}) => ({ started_at: new Date(), first_server: 'a', rallies: [], ...extra });
+const repeat = (winner, count) => Array(count).fill(winner);
+
+describe('replayRallies', () => {
+  it('gives each rally to its winner and keeps the serve with them, changing sides', () => {
+    const state = replayRallies(play(start(), 'a', 'a'), par11);
+
+    expect(state.score).toEqual({ player1: 2, player2: 0 });
+    expect(state.server).toBe('a');
+    expect(state.side).toBe('right');
+  });
+
+  it('passes the serve to the receiver on a hand-out, serving from the right', () => {
+    const live = play(start(), 'a');
+    const state = replayRallies(play(live, 'b'), par11);
+
+    expect(state.server).toBe('b');
+    expect(state.side).toBe('right');
+    expect(replayRallies(live, par11).side).toBe('left');
+  });
+
+  it('replays a let without scoring', () => {
+    const live = play(start(), 'a');
+    const { rally } = prepareRally(live, { decision: 'let' }, par11);
+    const state = replayRallies({ ...live, rallies: [...live.rallies, rally] }, par11);
+
+    expect(state.score).toEqual({ player1: 1, player2: 0 });
+    expect(state.server).toBe('a');
+    expect(state.side).toBe('left');
+  });
+
+  it('needs a clear two points at 10-10', () => {
+    const live = play(start(), ...repeat('a', 10), ...repeat('b', 10), 'a');
+    expect(replayRallies(live, par11).games).toEqual([]);
+
+    const state = replayRallies(play(live, 'a'), par11);
+    expect(state.games).toEqual([{ player1: 12, player2: 10 }]);
+    expect(state.score).toEqual({ player1: 0, player2: 0 });
+  });
+
+  it('has the game winner serve first in the next game', () => {
+    const state = replayRallies(play(start(), ...repeat('b', 11)), par11);
+
+    expect(state.games_won).toEqual({ a: 0, b: 1 });
+    expect(state.server).toBe('b');
+  });
+
+  it('starts every game from the handicap starts', () => {
+    const live = play(start({ handicap_starts: { player1: 0, player2: 5 } }), ...repeat('b', 6));
+    const state = replayRallies(live, par11);
+
+    expect(state.games).toEqual([{ player1: 0, player2: 11 }]);
+    expect(state.score).toEqual({ player1: 0, player2: 5 });
+  });
+});
+
+describe('prepareRally', () => {
+  it('requires a winner unless the rally is a let', () => {
+    expect(prepareRally(start(), {}, par11).error).toMatch(/winner is required/);
+    expect(prepareRally(start(), { decision: 'let', winner: 'a' }, par11).error).toMatch(/no winner/);
+    expect(prepareRally(start(), { decision: 'stroke', winner: 'b' }, par11).rally).toMatchObject({
+      winner: 'b',
+      server: 'a',
+      side: 'right',
+      decision: 'stroke',
+    });
+  });
+
+  it('refuses rallies once the match is over', () => {
+    const live = play(start(), ...repeat('a', 22));
+    expect(prepareRally(live, { winner: 'a' }, par11).error).toBe('The match is already over');
+  });
+});
+
+describe('liveMatchResult', () => {
+  it('returns the games once a player has won the match', () => {
+    const live = play(start(), ...repeat('a', 11), ...repeat('b', 11), ...repeat('a', 11));
+
+    expect(summarizeLive(live, par11)).toMatchObject({ winner: 'a', games_won: { a: 2, b: 1 }, server: null });
+    expect(liveMatchResult(live, par11)).toEqual({
+      game_scores: [
+        { player1: 11, player2: 0 },
+        { player1: 0, player2: 11 },
+        { player1: 11, player2: 0 },
+      ],
+    });
+  });
+
+  it('is null while the match is in play', () => {
+    expect(liveMatchResult(play(start(), 'a'), par11)).toBeNull();
+  });
+});
@@ -498,6 +498,132 @@ describe('MonradFormat', () => {
     });
   });
 
+  // ─── Editing results ──────────────────────────────────────────────────────
+
+  describe('updateMatchResult', () => {
+    // Play every real match of the current round (side A winning 11-5 x3),
+    // returning the state and the match list as the route would store it
+    const playRound = (state, matches) => {
+      let current = { state, matches };
+      current.matches
+        .filter((m) => m.status === 'ready' && m.round === state.currentRound)
+        .forEach((m) => {
+          const result = format.onMatchResult(
+            current.state,
+            m,
+            makeResult(m.participant_a.participant_id, m.participant_b.participant_id, 'W', 'L', [
+              { player1: 11, player2: 5 },
+            ]),
+            [],
+            current.matches
+          );
+          const matches = current.matches.map((am) => result.updatedMatches.find((u) => u._id === am._id) || am);
+          const added = result.newMatches.map((nm, i) => ({ ...nm, _id: `r${nm.round}m${i + 1}` }));
+          current = { state: result.state, matches: [...matches, ...added] };
+        });
+      return current;
+    };
+
+    const start = (count) => {
+      const participants = Array.from({ length: count }, (_, i) =>
+        makeParticipant(String(i + 1), `Player ${i + 1}`, i + 1)
+      );
+      const { state, matches } = format.generateInitialState({}, participants);
+      return { state, matches: matches.map((m, i) => ({ ...m, _id: `r1m${i + 1}` })) };
+    };
+
+    const playerById = (state, id) => state.players.find((p) => p.id === id);
+
+    it('reverses the old result instead of counting the match twice', () => {
+      const { state, matches } = playRound(...Object.values(start(4)));
+      const edited = matches.find((m) => m.match_number === 'R1M1');
+      const winnerId = edited.participant_a.participant_id;
+      const loserId = edited.participant_b.participant_id;
+
+      const result = format.updateMatchResult(state, edited, makeResult(loserId, winnerId), matches);
+
+      expect(playerById(result.state, winnerId)).toMatchObject({ wins: 0, losses: 1 });
+      expect(playerById(result.state, loserId)).toMatchObject({ wins: 1, losses: 0 });
+      expect(result.updatedMatch.result.winner_participant_id).toBe(loserId);
+    });
+
+    it('re-pairs an unplayed later round, taking back its bye', () => {
+      const { state, matches } = playRound(...Object.values(start(5)));
+      const round2 = matches.filter((m) => m.round === 2);
+      const r2Bye = round2.find((m) => m.participant_b.type === 'bye');
+      expect(playerById(state, r2Bye.participant_a.participant_id).byes).toBe(1);
+
+      const edited = matches.find((m) => m.round === 1 && m.participant_b.type === 'participant');
+      const result = format.updateMatchResult(
+        state,
+        edited,
+        makeResult(edited.participant_b.participant_id, edited.participant_a.participant_id),
+        matches
+      );
+
+      expect(result.deletedMatchIds.sort()).toEqual(round2.map((m) => m._id).sort());
+      expect(result.newMatches.filter((m) => m.round === 2)).toHaveLength(3);
+      expect(result.state.currentRound).toBe(2);
+      const totalByes = result.state.players.reduce((sum, p) => sum + p.byes, 0);
+      expect(totalByes).toBe(2);
+    });
+
+    it('keeps later rounds once one of their matches has been played', () => {
+      let draw = playRound(...Object.values(start(4)));
+      const round2Match = draw.matches.find((m) => m.round === 2);
+      const played = format.onMatchResult(
+        draw.state,
+        round2Match,
+        makeResult(round2Match.participant_a.participant_id, round2Match.participant_b.participant_id),
+        [],
+        draw.matches
+      );
+      draw = {
+        state: played.state,
+        matches: draw.matches.map((m) => played.updatedMatches.find((u) => u._id === m._id) || m),
+      };
+
+      const edited = draw.matches.find((m) => m.match_number === 'R1M1');
+      const result = format.updateMatchResult(
+        draw.state,
+        edited,
+        makeResult(edited.participant_b.participant_id, edited.participant_a.participant_id),
+        draw.matches
+      );
+
+      expect(result.deletedMatchIds).toEqual([]);
+      expect(result.newMatches).toEqual([]);
+    });
+
+    describe('revertMatchResult', () => {
+      it('reverses the result and withdraws the unplayed later round', () => {
+        const { state, matches } = playRound(...Object.values(start(5)));
+        const round2 = matches.filter((m) => m.round === 2);
+        const edited = matches.find((m) => m.round === 1 && m.participant_b.type === 'participant');
+        const winnerId = edited.participant_a.participant_id;
+
+        const result = format.revertMatchResult(state, edited, matches);
+
+        expect(result.updatedMatches[0]).toMatchObject({ status: 'ready', result: null });
+        expect(result.deletedMatchIds.sort()).toEqual(round2.map((m) => m._id).sort());
+        expect(result.state.currentRound).toBe(1);
+        expect(playerById(result.state, winnerId).wins).toBe(0);
+        const totalByes = result.state.players.reduce((sum, p) => sum + p.byes, 0);
+        expect(totalByes).toBe(1);
+      });
+
+      it('throws a BRACKET_LOCKED error once a later round has been played', () => {
+        let draw = playRound(...Object.values(start(4)));
+        draw = playRound(draw.state, draw.matches);
+        const edited = draw.matches.find((m) => m.match_number === 'R1M1');
+
+        expect(() => format.revertMatchResult(draw.state, edited, draw.matches)).toThrow(
+          expect.objectContaining({ code: 'BRACKET_LOCKED' })
+        );
+      });
+    });
+  });
+
   // ─── Standings ────────────────────────────────────────────────────────────
 
   describe('standings sorting', () => {
@@ -0,0 +1,260 @@
+const PoolsKnockoutFormat = require('../tournament/formats/PoolsKnockoutFormat');
+const { makeParticipants, byNumber, startLeague, record, playGroups } = require('./helpers/formats');
+
+const poolOf = (event, id) => event.groups.find((g) => g.participant_ids.includes(id)).name;
+
+describe('PoolsKnockoutFormat', () => {
+  let format;
+
+  beforeEach(() => {
+    format = new PoolsKnockoutFormat();
+  });
+
+  describe('validateConfig', () => {
+    it('accepts 8 players in two pools of 4', () => {
+      expect(format.validateConfig({}, makeParticipants(8)).valid).toBe(true);
+    });
+
+    it('rejects pools that would end up with fewer than 3 players', () => {
+      const result = format.validateConfig({ groups: { target_size: 3 } }, makeParticipants(8));
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Every pool must have at least 3 participants');
+    });
+
+    it('rejects advancing a whole pool', () => {
+      const result = format.validateConfig({ groups: { target_size: 3, advance_per_group: 3 } }, makeParticipants(9));
+      expect(result.errors).toContain('Advance count must be less than pool size');
+    });
+  });
+
+  describe('pool phase', () => {
+    it('schedules each pool with the circle method', () => {
+      const { matches, groups } = format.generateInitialState({}, makeParticipants(8));
+      expect(groups).toHaveLength(2);
+      expect(matches).toHaveLength(12);
+      expect(new Set(matches.map((m) => m.round))).toEqual(new Set([1, 2, 3]));
+    });
+
+    it('recalculates pool standings after each result', () => {
+      const event = startLeague(format, makeParticipants(8));
+      const first = event.matches[0];
+      const { standingsUpdates, newMatches } = record(format, event, first, 'a');
+
+      expect(newMatches).toHaveLength(0);
+      expect(standingsUpdates).toHaveLength(1);
+      expect(standingsUpdates[0].standings[0]).toMatchObject({
+        participant_id: first.participant_a.participant_id,
+        played: 1,
+        wins: 1,
+      });
+    });
+  });
+
+  describe('knockout generation', () => {
+    it('draws the knockout automatically when the last pool match completes', () => {
+      const event = startLeague(format, makeParticipants(8));
+      const result = playGroups(format, event);
+
+      expect(result.state.phase).toBe('knockout');
+      expect(result.state.poolsComplete).toBe(true);
+      expect(result.newMatches.map((m) => m.match_number)).toEqual(['R1M1', 'R1M2', 'R2M1']);
+      result.newMatches.forEach((m) => expect(m.stage).toBe('main'));
+    });
+
+    it('crosses pool winners with the other pool runner-up', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+
+      // Pool A = 1, 4, 5, 8; Pool B = 2, 3, 6, 7
+      const r1 = [byNumber(event.matches, 'R1M1'), byNumber(event.matches, 'R1M2')].map((m) => [
+        m.participant_a.name,
+        m.participant_b.name,
+      ]);
+      expect(r1).toEqual([
+        ['Player 1', 'Player 3'],
+        ['Player 4', 'Player 2'],
+      ]);
+    });
+
+    it('keeps same-pool qualifiers in opposite halves of an eight-player knockout', () => {
+      const event = startLeague(format, makeParticipants(16));
+      playGroups(format, event);
+
+      const firstRound = event.matches.filter((m) => m.stage === 'main' && m.round === 1);
+      expect(firstRound).toHaveLength(4);
+      const half = (m) => Number(m.match_number.match(/M(\d+)$/)[1]) <= 2;
+      firstRound.forEach((m) => {
+        expect(poolOf(event, m.participant_a.participant_id)).not.toBe(poolOf(event, m.participant_b.participant_id));
+      });
+      ['Pool A', 'Pool B', 'Pool C', 'Pool D'].forEach((pool) => {
+        const halves = firstRound.flatMap((m) =>
+          [m.participant_a, m.participant_b]
+            .filter((p) => poolOf(event, p.participant_id) === pool)
+            .map(() => half(m))
+        );
+        expect(halves).toHaveLength(2);
+        expect(halves[0]).not.toBe(halves[1]);
+      });
+    });
+
+    it('gives byes to pool winners when the qualifiers do not fill the draw', () => {
+      const event = startLeague(format, makeParticipants(9), { groups: { target_size: 3 } });
+      const result = playGroups(format, event);
+
+      const byes = result.newMatches.filter((m) => m.round === 1 && m.status === 'completed');
+      expect(byes).toHaveLength(2);
+      byes.forEach((m) => expect(['Player 1', 'Player 2']).toContain(m.result.winner_name));
+    });
+  });
+
+  describe('knockout phase', () => {
+    it('advances winners through to the final and completes the tournament', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+
+      record(format, event, byNumber(event.matches, 'R1M1'), 'a');
+      const semi = record(format, event, byNumber(event.matches, 'R1M2'), 'b');
+      expect(semi.tournamentComplete).toBe(false);
+
+      const final = byNumber(event.matches, 'R2M1');
+      expect([final.participant_a.name, final.participant_b.name]).toEqual(['Player 1', 'Player 2']);
+      expect(format.getNextPlayableMatches(event.state, event.matches).map((m) => m.match_number)).toEqual(['R2M1']);
+
+      const result = record(format, event, final, 'a');
+      expect(result.tournamentComplete).toBe(true);
+      expect(format.isComplete(result.state)).toBe(true);
+    });
+  });
+
+  describe('revertMatchResult', () => {
+    it('withdraws an unplayed knockout draw when a pool match is reverted', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      const poolMatch = event.matches.find((m) => m.stage === 'group');
+
+      const result = format.revertMatchResult(event.state, poolMatch, event.matches, event.groups);
+
+      expect(result.deletedMatchIds.sort()).toEqual(['R1M1', 'R1M2', 'R2M1']);
+      expect(result.state.phase).toBe('pools');
+      expect(result.updatedMatches[0]).toMatchObject({ status: 'ready', result: null });
+      expect(result.standingsUpdates).toHaveLength(1);
+      expect(result.standingsUpdates[0].completed).toBe(false);
+    });
+
+    it('locks the pools once a knockout match has been played', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      record(format, event, byNumber(event.matches, 'R1M1'), 'a');
+      const poolMatch = event.matches.find((m) => m.stage === 'group');
+
+      expect(() => format.revertMatchResult(event.state, poolMatch, event.matches, event.groups)).toThrow(
+        expect.objectContaining({ code: 'BRACKET_LOCKED' })
+      );
+    });
+
+    it('reverts a knockout match through the bracket', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      record(format, event, byNumber(event.matches, 'R1M1'), 'a');
+
+      const result = format.revertMatchResult(event.state, byNumber(event.matches, 'R1M1'), event.matches, event.groups);
+
+      const final = result.updatedMatches.find((m) => m.match_number === 'R2M1');
+      expect(final.participant_a.type).toBe('tbd');
+      expect(result.state.phase).toBe('knockout');
+    });
+  });
+
+  describe('updateMatchResult', () => {
+    // The result of `match` with the other player winning
+    const reversed = (match) => ({
+      winner_id: match.result.loser_participant_id,
+      winner_name: match.result.loser_name,
+      loser_id: match.result.winner_participant_id,
+      loser_name: match.result.winner_name,
+      game_scores: [],
+    });
+
+    it('draws the knockout again when a pool result is edited before it is played', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      const poolMatch = event.matches.find((m) => m.stage === 'group');
+
+      const result = format.updateMatchResult(event.state, poolMatch, reversed(poolMatch), event.matches, event.groups);
+
+      expect(result.deletedMatchIds.sort()).toEqual(['R1M1', 'R1M2', 'R2M1']);
+      expect(result.newMatches.map((m) => m.match_number).sort()).toEqual(['R1M1', 'R1M2', 'R2M1']);
+      expect(result.state.knockoutGenerated).toBe(true);
+      expect(result.updatedMatches.at(-1).result.winner_participant_id).toBe(poolMatch.result.loser_participant_id);
+    });
+
+    it('locks the pools once a knockout match has been played', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      record(format, event, byNumber(event.matches, 'R1M1'), 'a');
+      const poolMatch = event.matches.find((m) => m.stage === 'group');
+
+      expect(() =>
+        format.updateMatchResult(event.state, poolMatch, reversed(poolMatch), event.matches, event.groups)
+      ).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+    });
+
+    it('locks a knockout result once the next round has been played', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      ['R1M1', 'R1M2', 'R2M1'].forEach((n) => record(format, event, byNumber(event.matches, n), 'a'));
+      const semi = byNumber(event.matches, 'R1M1');
+
+      expect(() => format.updateMatchResult(event.state, semi, reversed(semi), event.matches, event.groups)).toThrow(
+        expect.objectContaining({ code: 'BRACKET_LOCKED' })
+      );
+    });
+  });
+
+  describe('getFinalResults', () => {
+    it('places knockout players first, then non-qualifiers by pool finish', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+      record(format, event, byNumber(event.matches, 'R1M1'), 'a');
+      record(format, event, byNumber(event.matches, 'R1M2'), 'b');
+      record(format, event, byNumber(event.matches, 'R2M1'), 'a');
+
+      const results = format.getFinalResults(event.state, event.groups, event.matches);
+      expect(results.map((r) => [r.name, r.position, r.position_to])).toEqual([
+        ['Player 1', 1, 1],
+        ['Player 2', 2, 2],
+        ['Player 3', 3, 4],
+        ['Player 4', 3, 4],
+        ['Player 5', 5, 6],
+        ['Player 6', 5, 6],
+        ['Player 8', 7, 8],
+        ['Player 7', 7, 8],
+      ]);
+    });
+
+    it('caps knockout bands at the number of qualifiers when the draw had byes', () => {
+      const event = startLeague(format, makeParticipants(9), { groups: { target_size: 3 } });
+      playGroups(format, event);
+      event.matches
+        .filter((m) => m.stage === 'main' && m.round === 1 && m.status === 'ready')
+        .forEach((m) => record(format, event, m, 'a'));
+
+      const losers = format.getFinalResults(event.state, event.groups, event.matches).filter((r) => r.position === 5);
+      expect(losers).toHaveLength(2);
+      losers.forEach((r) => expect(r.position_to).toBe(6));
+    });
+  });
+
+  describe('getStandings', () => {
+    it('returns pools alongside the bracket once the knockout is drawn', () => {
+      const event = startLeague(format, makeParticipants(8));
+      playGroups(format, event);
+
+      const standings = format.getStandings(event.state, event.groups, event.matches);
+      expect(standings.type).toBe('knockout');
+      expect(standings.groups).toHaveLength(2);
+      expect(standings.groups[0].standings.filter((s) => s.qualified)).toHaveLength(2);
+      expect(standings.bracket.rounds.map((r) => r.name)).toEqual(['Semi-finals', 'Final']);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { issueToken, verifyToken, requireRole } = require('../middleware/roles');
+
+describe('role tokens', () => {
+  it('carries the tournament, role and team', () => {
+    const { token, expires_at } = issueToken({ tournamentId: 't1', role: 'captain', participantId: 'p1' });
+
+    expect(verifyToken(token)).toEqual({ tournamentId: 't1', role: 'captain', participantId: 'p1' });
+    expect(expires_at.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('rejects an expired token', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T09:00:00Z') });
+    try {
+      const { token } = issueToken({ tournamentId: 't1', role: 'referee', hours: 2 });
+      jest.setSystemTime(new Date('2026-01-01T11:00:01Z'));
+      expect(verifyToken(token)).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('caps the lifetime', () => {
+    const { expires_at } = issueToken({ tournamentId: 't1', role: 'viewer', hours: 1000 });
+    expect(expires_at.getTime() - Date.now()).toBeLessThanOrEqual(72 * 3600 * 1000);
+  });
+
+  it('rejects tokens that were altered or are not tokens', () => {
+    const { token } = issueToken({ tournamentId: 't1', role: 'referee' });
+    const [header, payload] = token.split('.');
+    const { token: other } = issueToken({ tournamentId: 't2', role: 'organiser' });
+
+    expect(verifyToken(`${header}.${other.split('.')[1]}.${token.split('.')[2]}`)).toBeNull();
+    expect(verifyToken(`${header}.${payload}.`)).toBeNull();
+    expect(verifyToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('requireRole', () => {
+  const respond = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it('returns 404 for a malformed tournament id, whatever the credential', async () => {
+    const next = jest.fn();
+    for (const credentials of [{ body: { passphrase: 'secret' } }, { headers: { authorization: 'Bearer admin' } }]) {
+      const res = respond();
+      await requireRole('organiser')({ params: { id: 'not-an-id' }, headers: {}, ...credentials }, res, next);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Tournament not found' });
+    }
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+const RoundRobinFormat = require('../tournament/formats/RoundRobinFormat');
+const { makeParticipants, startLeague, record } = require('./helpers/formats');
+
+const findMatch = (league, aId, bId) =>
+  league.matches.find((m) => {
+    const ids = [m.participant_a.participant_id, m.participant_b.participant_id];
+    return ids.includes(aId) && ids.includes(bId);
+  });
+
+// Record a result between two players; scores are given from the winner's side
+const play = (format, league, winnerId, loserId, scores = [[11, 5], [11, 5], [11, 5]], extra = {}) => {
+  const match = findMatch(league, winnerId, loserId);
+  const winnerIsA = match.participant_a.participant_id === winnerId;
+  return record(format, league, match, winnerIsA ? 'a' : 'b', {
+    game_scores: scores.map(([w, l]) => (winnerIsA ? { player1: w, player2: l } : { player1: l, player2: w })),
+    ...extra,
+  });
+};
+
+const order = (standings) => standings.map((s) => s.participant_id);
+
+describe('RoundRobinFormat', () => {
+  let format;
+
+  beforeEach(() => {
+    format = new RoundRobinFormat();
+  });
+
+  describe('validateConfig', () => {
+    it('rejects fewer than 3 participants', () => {
+      expect(format.validateConfig({}, makeParticipants(2)).valid).toBe(false);
+    });
+
+    it('rejects groups that would end up with fewer than 3 players', () => {
+      const result = format.validateConfig({ groups: { target_size: 4 } }, makeParticipants(5));
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Every group must have at least 3 participants');
+    });
+
+    it('accepts a single group when no target size is configured', () => {
+      expect(format.validateConfig({}, makeParticipants(8)).valid).toBe(true);
+    });
+  });
+
+  describe('generateInitialState', () => {
+    it.each([4, 5, 6, 7])('schedules %i players so everyone meets once and plays at most once per round', (count) => {
+      const { state, matches } = format.generateInitialState({}, makeParticipants(count));
+
+      expect(matches).toHaveLength((count * (count - 1)) / 2);
+      expect(state.totalRounds).toBe(count % 2 === 0 ? count - 1 : count);
+
+      const pairs = new Set();
+      const byRound = {};
+      matches.forEach((m) => {
+        const a = m.participant_a.participant_id;
+        const b = m.participant_b.participant_id;
+        pairs.add([a, b].sort().join('-'));
+        byRound[m.round] = byRound[m.round] || [];
+        byRound[m.round].push(a, b);
+      });
+      expect(pairs.size).toBe(matches.length);
+      Object.values(byRound).forEach((ids) => expect(new Set(ids).size).toBe(ids.length));
+      expect(Object.keys(byRound)).toHaveLength(state.totalRounds);
+    });
+
+    it('numbers matches in round order', () => {
+      const { matches } = format.generateInitialState({}, makeParticipants(4));
+      expect(matches.map((m) => m.match_number)).toEqual(['G1M1', 'G1M2', 'G1M3', 'G1M4', 'G1M5', 'G1M6']);
+      expect(matches.map((m) => m.round)).toEqual([1, 1, 2, 2, 3, 3]);
+    });
+
+    it('splits into snake-seeded groups when a target size is set', () => {
+      const { groups } = format.generateInitialState({ groups: { target_size: 3 } }, makeParticipants(6));
+      expect(groups.map((g) => g.participants.map((p) => p._id))).toEqual([
+        ['1', '4', '5'],
+        ['2', '3', '6'],
+      ]);
+    });
+
+    it('uses the configured tiebreaker order', () => {
+      const { state } = format.generateInitialState({ tiebreakers: ['game_diff', 'wins'] }, makeParticipants(4));
+      expect(state.tiebreakers).toEqual(['game_diff', 'wins']);
+    });
+  });
+
+  describe('onMatchResult', () => {
+    it('recalculates standings from every completed match in the group', () => {
+      const league = startLeague(format, makeParticipants(4));
+      play(format, league, '1', '2', [[11, 9], [9, 11], [11, 7], [11, 2]]);
+      const { standingsUpdates } = play(format, league, '1', '3');
+
+      expect(standingsUpdates).toHaveLength(1);
+      const leader = standingsUpdates[0].standings[0];
+      expect(leader).toMatchObject({
+        participant_id: '1',
+        name: 'Player 1',
+        position: 1,
+        played: 2,
+        wins: 2,
+        losses: 0,
+        games_won: 6,
+        games_lost: 1,
+        points_won: 75,
+        points_lost: 44,
+      });
+      expect(leader.head_to_head['2']).toEqual({ wins: 1, losses: 0 });
+    });
+
+    it('falls back to game difference when a three-way tie is level on head-to-head', () => {
+      const league = startLeague(format, makeParticipants(3));
+      play(format, league, '2', '3');
+      play(format, league, '3', '1');
+      const { standingsUpdates } = play(format, league, '1', '2', [[11, 9], [9, 11], [11, 9], [9, 11], [11, 9]]);
+      expect(order(standingsUpdates[0].standings)).toEqual(['2', '3', '1']);
+    });
+
+    it('uses head-to-head between two players level on wins', () => {
+      const league = startLeague(format, makeParticipants(4));
+      play(format, league, '4', '1', [[11, 9], [11, 9], [11, 9]]);
+      play(format, league, '1', '2', [[11, 0], [11, 0], [11, 0]]);
+      play(format, league, '1', '3', [[11, 0], [11, 0], [11, 0]]);
+      play(format, league, '4', '2', [[11, 9], [9, 11], [11, 9], [11, 9]]);
+      play(format, league, '3', '4');
+      const { standingsUpdates } = play(format, league, '2', '3');
+
+      // 1 and 4 both have two wins and 1 has the better game difference,
+      // but 4 won their meeting
+      expect(order(standingsUpdates[0].standings).slice(0, 2)).toEqual(['4', '1']);
+    });
+
+    it('honours a custom tiebreaker order', () => {
+      const league = startLeague(format, makeParticipants(4), { tiebreakers: ['wins', 'game_diff', 'h2h'] });
+      play(format, league, '4', '1', [[11, 9], [11, 9], [11, 9]]);
+      play(format, league, '1', '2', [[11, 0], [11, 0], [11, 0]]);
+      play(format, league, '1', '3', [[11, 0], [11, 0], [11, 0]]);
+      play(format, league, '4', '2', [[11, 9], [9, 11], [11, 9], [11, 9]]);
+      play(format, league, '3', '4');
+      const { standingsUpdates } = play(format, league, '2', '3');
+
+      expect(order(standingsUpdates[0].standings).slice(0, 2)).toEqual(['1', '4']);
+    });
+
+    it('separates players on fewest walkovers conceded', () => {
+      const league = startLeague(format, makeParticipants(4), { tiebreakers: ['wins', 'fewest_walkovers'] });
+      play(format, league, '1', '2', [], { walkover: true });
+      const { standingsUpdates } = play(format, league, '3', '4', []);
+
+      const standings = standingsUpdates[0].standings;
+      expect(standings.find((s) => s.participant_id === '2').walkovers_given).toBe(1);
+      expect(standings.find((s) => s.participant_id === '1').walkovers_received).toBe(1);
+      expect(order(standings).slice(2)).toEqual(['4', '2']);
+    });
+
+    it('completes the tournament only when every group has finished', () => {
+      const league = startLeague(format, makeParticipants(6), { groups: { target_size: 3 } });
+      const pairs = league.matches.map((m) => [m.participant_a.participant_id, m.participant_b.participant_id]);
+
+      pairs.slice(0, -1).forEach(([a, b]) => {
+        expect(play(format, league, a, b).tournamentComplete).toBe(false);
+      });
+      expect(league.groups.filter((g) => g.completed)).toHaveLength(1);
+
+      const [a, b] = pairs[pairs.length - 1];
+      const result = play(format, league, a, b);
+      expect(result.tournamentComplete).toBe(true);
+      expect(format.isComplete(result.state)).toBe(true);
+    });
+
+    it('advances the current round once a round has been played', () => {
+      const league = startLeague(format, makeParticipants(4));
+      const roundOne = league.matches.filter((m) => m.round === 1);
+      roundOne.forEach((m) => play(format, league, m.participant_a.participant_id, m.participant_b.participant_id));
+      expect(league.state.currentRound).toBe(2);
+    });
+  });
+
+  describe('revertMatchResult', () => {
+    it('reopens the match and recalculates the group without it', () => {
+      const league = startLeague(format, makeParticipants(4));
+      play(format, league, '1', '2');
+      play(format, league, '1', '3');
+
+      const result = format.revertMatchResult(league.state, findMatch(league, '1', '2'), league.matches, league.groups);
+
+      expect(result.updatedMatches[0]).toMatchObject({ status: 'ready', result: null });
+      const standings = result.standingsUpdates[0].standings;
+      expect(standings.find((s) => s.participant_id === '1')).toMatchObject({ played: 1, wins: 1 });
+      expect(standings.find((s) => s.participant_id === '2')).toMatchObject({ played: 0, losses: 0 });
+      expect(result.tournamentComplete).toBe(false);
+    });
+  });
+});
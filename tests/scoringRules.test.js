@@ -0,0 +1,162 @@
+const {
+  getScoringRules,
+  validateGame,
+  validateMatchScores,
+  validateFixtureScores,
+  deriveMatchWinner,
+} = require('../tournament/scoringRules');
+
+const match = {
+  participant_a: { participant_id: 'a' },
+  participant_b: { participant_id: 'b' },
+};
+
+const games = (...scores) => scores.map(([player1, player2]) => ({ player1, player2 }));
+
+describe('getScoringRules', () => {
+  it('uses points_to_win for traditional scoring and 11 for PAR11', () => {
+    expect(getScoringRules({ match: { points_to_win: 15 } }).pointsToWin).toBe(15);
+    expect(getScoringRules({ match: { points_to_win: 15, scoring: 'PAR11' } }).pointsToWin).toBe(11);
+  });
+
+  it('treats clear_points of 0 as sudden death', () => {
+    expect(getScoringRules({ match: { clear_points: 0 } }).clearPoints).toBe(1);
+  });
+});
+
+describe('validateGame', () => {
+  const par11 = getScoringRules({ match: { scoring: 'PAR11', clear_points: 2 } });
+
+  it.each([
+    [11, 9],
+    [12, 10],
+    [5, 11],
+    [15, 13],
+  ])('accepts %i-%i', (a, b) => {
+    expect(validateGame({ player1: a, player2: b }, par11)).toBeNull();
+  });
+
+  it.each([
+    [11, 10],
+    [10, 8],
+    [12, 9],
+    [14, 10],
+  ])('rejects %i-%i', (a, b) => {
+    expect(validateGame({ player1: a, player2: b }, par11)).toMatch('not a finished game');
+  });
+
+  it('ends a sudden-death game at the target', () => {
+    const rules = getScoringRules({ match: { points_to_win: 15, clear_points: 1 } });
+    expect(validateGame({ player1: 15, player2: 14 }, rules)).toBeNull();
+    expect(validateGame({ player1: 16, player2: 14 }, rules)).not.toBeNull();
+  });
+
+  it('rejects scores below the handicap start', () => {
+    expect(validateGame({ player1: 11, player2: 2 }, par11, { player1: 0, player2: 3 })).toMatch('handicap start');
+    expect(validateGame({ player1: 11, player2: 3 }, par11, { player1: -2, player2: 3 })).toBeNull();
+  });
+
+  it('allows an unfinished game only when asked to', () => {
+    expect(validateGame({ player1: 7, player2: 4 }, par11, {}, true)).toBeNull();
+    expect(validateGame({ player1: 13, player2: 4 }, par11, {}, true)).not.toBeNull();
+  });
+});
+
+describe('validateMatchScores', () => {
+  const rules = getScoringRules({ match: { scoring: 'PAR11', best_of: 5 } });
+  const result = (winner, gameScores, extra = {}) => ({
+    winner_id: winner,
+    loser_id: winner === 'a' ? 'b' : 'a',
+    game_scores: gameScores,
+    ...extra,
+  });
+
+  it('accepts a valid five-game match', () => {
+    expect(validateMatchScores(match, result('b', games([11, 9], [9, 11], [11, 7], [5, 11], [10, 12])), rules)).toEqual([]);
+  });
+
+  it('rejects a winner who lost the majority of games', () => {
+    expect(validateMatchScores(match, result('b', games([11, 9], [11, 9], [11, 9])), rules)).toEqual([
+      'winner_id did not win the majority of games',
+    ]);
+  });
+
+  it('rejects unfinished matches and games after the match was won', () => {
+    expect(validateMatchScores(match, result('a', games([11, 9], [11, 9])), rules)).toEqual([
+      'Nobody has won 3 games (2-0)',
+    ]);
+    expect(validateMatchScores(match, result('a', games([11, 9], [11, 9], [11, 9], [11, 9])), rules)).toEqual([
+      'Game 4 was played after the match was already won',
+    ]);
+  });
+
+  it('rejects more games than best_of allows', () => {
+    const bestOf3 = getScoringRules({ match: { scoring: 'PAR11', best_of: 3 } });
+    expect(validateMatchScores(match, result('a', games([11, 9], [9, 11], [9, 11], [11, 9])), bestOf3)).toContain(
+      'Best of 3 cannot have 4 games'
+    );
+  });
+
+  it('checks handicap games against each player\'s start', () => {
+    const handicap = getScoringRules({ match: { points_to_win: 15 } });
+    const starts = { handicap_starts: { player1: 4, player2: 0 } };
+    expect(validateMatchScores(match, result('a', games([15, 9], [15, 3], [15, 0]), starts), handicap)).toEqual([]);
+    expect(validateMatchScores(match, result('a', games([15, 9], [15, 3], [3, 15]), starts), handicap)).toEqual([
+      'Game 3: 3-15 is below the handicap start of 4-0',
+    ]);
+  });
+
+  it('lets a retirement end part-way through a game', () => {
+    const retired = { retired: true };
+    expect(validateMatchScores(match, result('a', games([11, 9], [4, 2]), retired), rules)).toEqual([]);
+    expect(validateMatchScores(match, result('a', games([11, 9], [11, 9], [11, 9]), retired), rules)).toEqual([
+      'The match was already won before the retirement',
+    ]);
+  });
+
+  it('skips walkovers and results without game scores', () => {
+    expect(validateMatchScores(match, result('a', undefined), rules)).toEqual([]);
+    expect(validateMatchScores(match, result('a', [], { walkover: true }), rules)).toEqual([]);
+  });
+});
+
+describe('validateFixtureScores', () => {
+  const rules = getScoringRules({ match: { scoring: 'PAR11' } });
+
+  it('checks string games and their counts', () => {
+    const fixture = {
+      string_results: [
+        { string_number: 1, team_a_games: 3, team_b_games: 0 },
+        {
+          string_number: 2,
+          team_a_games: 3,
+          team_b_games: 1,
+          game_scores: [
+            { team_a: 11, team_b: 4 },
+            { team_a: 11, team_b: 10 },
+            { team_a: 11, team_b: 6 },
+          ],
+        },
+      ],
+    };
+    expect(validateFixtureScores(fixture, rules)).toEqual([
+      'String 2, game 2: 11-10 is not a finished game (first to 11, clear by 2)',
+    ]);
+
+    fixture.string_results[1].game_scores[1] = { team_a: 12, team_b: 10 };
+    expect(validateFixtureScores(fixture, rules)).toEqual(['String 2: game scores give 3-0, not 3-1']);
+  });
+});
+
+describe('deriveMatchWinner', () => {
+  it('gives the match to whoever won more games', () => {
+    expect(deriveMatchWinner({ game_scores: games([11, 4], [8, 11], [11, 9], [11, 2]) })).toBe('a');
+    expect(deriveMatchWinner({ game_scores: games([3, 11], [8, 11], [4, 11]) })).toBe('b');
+  });
+
+  it('leaves walkovers, retirements and level scores undecided', () => {
+    expect(deriveMatchWinner({ walkover: true })).toBeNull();
+    expect(deriveMatchWinner({ retired: true, game_scores: games([11, 4], [3, 1]) })).toBeNull();
+    expect(deriveMatchWinner({ game_scores: games([11, 4], [8, 11]) })).toBeNull();
+  });
+});
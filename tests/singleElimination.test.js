@@ -2,6 +2,7 @@
  * Unit tests for SingleEliminationFormat.
  */
 const SingleEliminationFormat = require('../tournament/formats/SingleEliminationFormat');
+const { startDraw, play, edit, revert, byNumber, playOut } = require('./helpers/formats');
 
 const makeParticipant = (id, name, seed) => ({
   _id: { toString: () => id },
@@ -193,6 +194,41 @@ describe('SingleEliminationFormat', () => {
       expect(completedMatch.result.winner_participant_id).toBe('1');
     });
 
+    it('records a walkover with its reason and still advances the winner', () => {
+      let draw = startDraw(format, 8);
+      const match = byNumber(draw.matches, 'R1M1');
+      const result = format.onMatchResult(
+        draw.state,
+        match,
+        { ...makeResult('1', '8', 'P1', 'P8'), walkover: true, walkover_reason: 'Injured' },
+        [],
+        draw.matches
+      );
+
+      const walkover = result.updatedMatches.find((m) => m._id === match._id);
+      expect(walkover.status).toBe('walkover');
+      expect(walkover.result).toMatchObject({ walkover: true, walkover_reason: 'Injured' });
+      draw = { matches: draw.matches.map((m) => result.updatedMatches.find((u) => u._id === m._id) || m) };
+      expect(byNumber(draw.matches, 'R2M1').participant_a.name).toBe('P1');
+    });
+
+    it('keeps the scores and reason of a retirement', () => {
+      const draw = startDraw(format, 8);
+      const match = byNumber(draw.matches, 'R1M1');
+      const scores = [{ player1: 11, player2: 9 }, { player1: 4, player2: 2 }];
+      const result = format.onMatchResult(
+        draw.state,
+        match,
+        { ...makeResult('1', '8', 'P1', 'P8'), game_scores: scores, retired: true, retirement_reason: 'Cramp' },
+        [],
+        draw.matches
+      );
+
+      const retired = result.updatedMatches.find((m) => m._id === match._id);
+      expect(retired.status).toBe('completed');
+      expect(retired.result).toMatchObject({ retired: true, retirement_reason: 'Cramp', game_scores: scores });
+    });
+
     it('does not advance currentRound when round is not complete', () => {
       const participants = Array.from({ length: 8 }, (_, i) =>
         makeParticipant(String(i + 1), `P${i + 1}`, i + 1)
@@ -260,4 +296,400 @@ describe('SingleEliminationFormat', () => {
       expect(lastResult.state.currentRound).toBe(2);
     });
   });
+
+  // ─── Byes ─────────────────────────────────────────────────────────────────
+
+  describe('first-round byes', () => {
+    it('puts bye recipients straight into their Round 2 slot', () => {
+      const { matches } = startDraw(format, 6);
+
+      const r2m1 = byNumber(matches, 'R2M1');
+      const r2m2 = byNumber(matches, 'R2M2');
+      expect(r2m1.participant_a.name).toBe('P1');
+      expect(r2m2.participant_b.name).toBe('P2');
+      expect(byNumber(matches, 'R1M1').result.walkover_reason).toBe('Bye');
+    });
+
+    it('never draws BYE against BYE when participants are unseeded', () => {
+      const participants = Array.from({ length: 6 }, (_, i) => ({
+        _id: { toString: () => String(i + 1) },
+        name: `P${i + 1}`,
+      }));
+      const { matches } = format.generateInitialState({}, participants);
+      const r1 = matches.filter((m) => m.round === 1);
+      r1.forEach((m) =>
+        expect(m.participant_a.type === 'bye' && m.participant_b.type === 'bye').toBe(false)
+      );
+      expect(r1.filter((m) => m.status === 'completed')).toHaveLength(2);
+    });
+  });
+
+  // ─── Consolation bracket ──────────────────────────────────────────────────
+
+  describe('consolation bracket', () => {
+    it('is not generated unless config.knockout.consolation is set', () => {
+      const { state, matches } = startDraw(format, 8);
+      expect(state.consolation).toBeNull();
+      expect(matches.some((m) => m.stage === 'consolation')).toBe(false);
+    });
+
+    it('pre-allocates a seeded consolation draw for the 4 first-round losers of an 8 draw', () => {
+      const { state, matches } = startDraw(format, 8, { knockout: { consolation: true } });
+      const consolation = matches.filter((m) => m.stage === 'consolation');
+
+      expect(consolation.map((m) => m.match_number)).toEqual(['CR1M1', 'CR1M2', 'CR2M1']);
+      expect(state.consolation.totalRounds).toBe(2);
+
+      // Loser of the match containing seed 1 is consolation seed 1, and meets
+      // the loser of the match containing seed 4
+      const c1 = byNumber(matches, 'CR1M1');
+      expect(c1.participant_a).toMatchObject({ type: 'qualifier', qualifier: 'L:R1M1' });
+      expect(c1.participant_b).toMatchObject({ type: 'qualifier', qualifier: 'L:R1M2' });
+      expect(c1.status).toBe('pending');
+      expect(state.consolation.feeds.R1M4).toEqual({ match_number: 'CR1M2', slot: 'participant_b' });
+    });
+
+    it('feeds first-round losers into their slot and readies the match once both arrive', () => {
+      let draw = startDraw(format, 8, { knockout: { consolation: true } });
+      draw = play(format, draw, 'R1M1');
+
+      let c1 = byNumber(draw.matches, 'CR1M1');
+      expect(c1.participant_a).toMatchObject({ type: 'participant', name: 'P8' });
+      expect(c1.participant_a.participant_id.toString()).toBe('8');
+      expect(c1.status).toBe('pending');
+
+      draw = play(format, draw, 'R1M2');
+      c1 = byNumber(draw.matches, 'CR1M1');
+      expect(c1.participant_b.type).toBe('participant');
+      expect(c1.status).toBe('ready');
+      expect(format.getNextPlayableMatches(draw.state, draw.matches)).toContainEqual(c1);
+    });
+
+    it('does not feed losers from Round 2 onwards', () => {
+      let draw = startDraw(format, 4, { knockout: { consolation: true } });
+      draw = play(format, draw, 'R1M1');
+      draw = play(format, draw, 'R1M2');
+      const before = byNumber(draw.matches, 'CR1M1');
+      draw = play(format, draw, 'R2M1');
+      expect(byNumber(draw.matches, 'CR1M1')).toEqual(before);
+    });
+
+    it('advances consolation winners and only completes after the consolation final', () => {
+      let draw = startDraw(format, 8, { knockout: { consolation: true } });
+      ['R1M1', 'R1M2', 'R1M3', 'R1M4', 'R2M1', 'R2M2', 'R3M1'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+      expect(draw.state.currentRound).toBe(4);
+      expect(draw.state.completed).toBe(false);
+
+      draw = play(format, draw, 'CR1M1', 'b');
+      draw = play(format, draw, 'CR1M2');
+      const final = byNumber(draw.matches, 'CR2M1');
+      expect(final.status).toBe('ready');
+      expect(final.participant_a.participant_id).toBe(byNumber(draw.matches, 'CR1M1').participant_b.participant_id);
+      expect(draw.state.consolation.currentRound).toBe(2);
+
+      draw = play(format, draw, 'CR2M1');
+      expect(draw.state.completed).toBe(true);
+      expect(draw.result.tournamentComplete).toBe(true);
+    });
+
+    it('gives consolation byes to the top consolation seeds and auto-advances them', () => {
+      // 7 players: seed 1 has a main-draw bye, leaving 3 first-round losers
+      let draw = startDraw(format, 7, { knockout: { consolation: true } });
+      expect(draw.state.consolation.drawSize).toBe(4);
+      expect(draw.state.consolation.byeCount).toBe(1);
+
+      // Match with seed 2 (R1M4) feeds consolation seed 1, who has the bye
+      const c1 = byNumber(draw.matches, 'CR1M1');
+      expect(c1.participant_a.qualifier).toBe('L:R1M4');
+      expect(c1.participant_b.type).toBe('bye');
+
+      draw = play(format, draw, 'R1M4', 'b');
+      const completedBye = byNumber(draw.matches, 'CR1M1');
+      expect(completedBye.status).toBe('completed');
+      expect(completedBye.result.walkover_reason).toBe('Bye');
+      expect(byNumber(draw.matches, 'CR2M1').participant_a.name).toBe('P7');
+    });
+
+    it('is skipped when fewer than two first-round matches are played', () => {
+      const { state, matches } = startDraw(format, 3, { knockout: { consolation: true } });
+      expect(state.consolationEnabled).toBe(true);
+      expect(state.consolation).toBeNull();
+      expect(matches.some((m) => m.stage === 'consolation')).toBe(false);
+    });
+  });
+
+  // ─── Editing results ──────────────────────────────────────────────────────
+
+  describe('updateMatchResult', () => {
+    it('swaps the advanced player when the next match has not been played', () => {
+      let draw = startDraw(format, 4);
+      draw = play(format, draw, 'R1M1');
+      draw = play(format, draw, 'R1M2');
+      expect(byNumber(draw.matches, 'R2M1').participant_a.name).toBe('P1');
+
+      draw = edit(format, draw, 'R1M1', 'b');
+      const final = byNumber(draw.matches, 'R2M1');
+      expect(final.participant_a.name).toBe('P4');
+      expect(final.status).toBe('ready');
+      expect(byNumber(draw.matches, 'R1M1').result.winner_name).toBe('P4');
+    });
+
+    it('moves the new loser into the consolation and play-off slots', () => {
+      let draw = startDraw(format, 8, { knockout: { consolation: true, playoffs: { third_place: true } } });
+      ['R1M1', 'R1M2', 'R1M3', 'R1M4'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+
+      draw = edit(format, draw, 'R1M1', 'b');
+      expect(byNumber(draw.matches, 'CR1M1').participant_a.name).toBe('P1');
+
+      draw = play(format, draw, 'R2M1');
+      draw = edit(format, draw, 'R2M1', 'b');
+      expect(byNumber(draw.matches, '3V4').participant_a.participant_id).toBe(
+        byNumber(draw.matches, 'R2M1').participant_a.participant_id
+      );
+    });
+
+    it('throws BRACKET_LOCKED once the next match has been played', () => {
+      let draw = startDraw(format, 4);
+      ['R1M1', 'R1M2', 'R2M1'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+
+      expect(() => edit(format, draw, 'R1M1', 'b')).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+    });
+
+    it('allows a new score with the same winner even after the bracket has moved on', () => {
+      let draw = startDraw(format, 4);
+      ['R1M1', 'R1M2', 'R2M1'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+
+      draw = edit(format, draw, 'R1M1', 'a');
+      expect(draw.state.completed).toBe(true);
+      expect(draw.result.tournamentComplete).toBe(true);
+      expect(byNumber(draw.matches, 'R2M1').status).toBe('completed');
+    });
+  });
+
+  describe('revertMatchResult', () => {
+    it('clears the result and takes the winner back out of the next round', () => {
+      let draw = startDraw(format, 4);
+      draw = play(format, draw, 'R1M1');
+      draw = play(format, draw, 'R1M2');
+
+      draw = revert(format, draw, 'R1M1');
+      const reverted = byNumber(draw.matches, 'R1M1');
+      expect(reverted).toMatchObject({ status: 'ready', result: null });
+      const final = byNumber(draw.matches, 'R2M1');
+      expect(final.participant_a).toEqual({ type: 'tbd', name: 'TBD' });
+      expect(final.status).toBe('pending');
+      expect(draw.state.currentRound).toBe(1);
+    });
+
+    it('restores the consolation qualifier and reopens a consolation bye', () => {
+      let draw = startDraw(format, 7, { knockout: { consolation: true } });
+      draw = play(format, draw, 'R1M4', 'b');
+      expect(byNumber(draw.matches, 'CR1M1').status).toBe('completed');
+
+      draw = revert(format, draw, 'R1M4');
+      const consolation = byNumber(draw.matches, 'CR1M1');
+      expect(consolation.participant_a).toMatchObject({ type: 'qualifier', qualifier: 'L:R1M4' });
+      expect(consolation).toMatchObject({ status: 'pending', result: null });
+      expect(byNumber(draw.matches, 'CR2M1').participant_a.type).toBe('tbd');
+    });
+
+    it('throws BRACKET_LOCKED once the next match has been played', () => {
+      let draw = startDraw(format, 4);
+      ['R1M1', 'R1M2', 'R2M1'].forEach((n) => {
+        draw = play(format, draw, n);
+      });
+
+      expect(() => revert(format, draw, 'R1M1')).toThrow(expect.objectContaining({ code: 'BRACKET_LOCKED' }));
+      draw = revert(format, draw, 'R2M1');
+      expect(draw.state.completed).toBe(false);
+      expect(draw.result.tournamentComplete).toBe(false);
+    });
+  });
+
+  // ─── Final placements ─────────────────────────────────────────────────────
+
+  describe('getFinalResults', () => {
+    const playAll = (draw, matchNumbers) =>
+      matchNumbers.reduce((d, n) => play(format, d, n), draw);
+
+    const positionsByName = (results) =>
+      Object.fromEntries(results.map((r) => [r.name, [r.position, r.position_to]]));
+
+    it('plays out a 64 draw of 33 entrants with byes only against seeds', () => {
+      const draw = playOut(format, startDraw(format, 33));
+      const isBye = (slot) => slot.type === 'bye';
+
+      expect(draw.matches.filter((m) => isBye(m.participant_a) && isBye(m.participant_b))).toEqual([]);
+      expect(draw.state.completed).toBe(true);
+
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results).toHaveLength(33);
+      expect(new Set(results.map((r) => r.name)).size).toBe(33);
+      expect(results.slice(0, 2).map((r) => [r.name, r.position])).toEqual([
+        ['P1', 1],
+        ['P2', 2],
+      ]);
+      expect(Math.max(...results.map((r) => r.position_to))).toBe(33);
+    });
+
+    it('returns bands by round of elimination for a completed 8 draw', () => {
+      const draw = playAll(startDraw(format, 8), [
+        'R1M1', 'R1M2', 'R1M3', 'R1M4', 'R2M1', 'R2M2', 'R3M1',
+      ]);
+      expect(draw.state.completed).toBe(true);
+
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results).toHaveLength(8);
+      expect(positionsByName(results)).toEqual({
+        P1: [1, 1],
+        P3: [2, 2],
+        P5: [3, 4],
+        P7: [3, 4],
+        P8: [5, 8],
+        P4: [5, 8],
+        P6: [5, 8],
+        P2: [5, 8],
+      });
+      expect(results[0].joint).toBe(false);
+      expect(results[2].joint).toBe(true);
+    });
+
+    it('lists only eliminated players while the draw is in progress', () => {
+      const draw = playAll(startDraw(format, 8), ['R1M1', 'R1M2']);
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results.map((r) => r.name)).toEqual(['P8', 'P4']);
+      results.forEach((r) => expect([r.position, r.position_to]).toEqual([5, 8]));
+    });
+
+    it('does not place byes', () => {
+      const draw = playAll(startDraw(format, 6), ['R1M2', 'R1M3', 'R2M1', 'R2M2', 'R3M1']);
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results).toHaveLength(6);
+      expect(results.every((r) => r.participant_id)).toBe(true);
+    });
+
+    it('ends the last band at the number of entrants in an uneven draw', () => {
+      const five = playOut(format, startDraw(format, 5));
+      expect(positionsByName(format.getFinalResults(five.state, [], five.matches))).toEqual({
+        P1: [1, 1],
+        P2: [2, 2],
+        P3: [3, 4],
+        P4: [3, 4],
+        P5: [5, 5],
+      });
+
+      const six = playOut(format, startDraw(format, 6));
+      const results = format.getFinalResults(six.state, [], six.matches);
+      expect(results.filter((r) => r.position === 5).map((r) => [r.position_to, r.joint])).toEqual([
+        [6, true],
+        [6, true],
+      ]);
+    });
+
+    it('settles exact 3rd to 8th places through positional play-offs', () => {
+      const config = { knockout: { playoffs: { third_place: true, fifth_to_eighth: true } } };
+      let draw = startDraw(format, 8, config);
+      expect(
+        draw.matches.filter((m) => m.stage === 'playoff').map((m) => m.match_number)
+      ).toEqual(['3V4', '5-8-SF1', '5-8-SF2', '5V6', '7V8']);
+
+      draw = playAll(draw, ['R1M1', 'R1M2', 'R1M3', 'R1M4']);
+      const sf1 = byNumber(draw.matches, '5-8-SF1');
+      expect([sf1.participant_a.name, sf1.participant_b.name]).toEqual(['P8', 'P4']);
+      expect(sf1.status).toBe('ready');
+
+      draw = playAll(draw, ['R2M1', 'R2M2', 'R3M1', '5-8-SF1', '5-8-SF2']);
+      expect(byNumber(draw.matches, '3V4').status).toBe('ready');
+      expect(draw.state.completed).toBe(false);
+
+      draw = playAll(draw, ['3V4', '5V6', '7V8']);
+      expect(draw.state.completed).toBe(true);
+
+      const results = format.getFinalResults(draw.state, [], draw.matches);
+      expect(results.map((r) => r.position)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+      expect(results.map((r) => r.name)).toEqual(['P1', 'P3', 'P5', 'P7', 'P8', 'P6', 'P4', 'P2']);
+      expect(results.some((r) => r.joint)).toBe(false);
+    });
+
+    it('rejects play-offs the draw is too small to fill', () => {
+      const participants = Array.from({ length: 6 }, (_, i) =>
+        makeParticipant(String(i + 1), `P${i + 1}`, i + 1)
+      );
+      expect(
+        format.validateConfig({ knockout: { playoffs: { third_place: true } } }, participants).valid
+      ).toBe(true);
+      expect(
+        format.validateConfig({ knockout: { playoffs: { fifth_to_eighth: true } } }, participants).valid
+      ).toBe(false);
+    });
+  });
+
+  // ─── Bracket view ─────────────────────────────────────────────────────────
+
+  describe('getStandings bracket view', () => {
+    it('lists every round and slot with round names, seeds and feeds', () => {
+      const draw = startDraw(format, 8);
+      const { bracket } = format.getStandings(draw.state, [], draw.matches);
+
+      expect(bracket.rounds.map((r) => r.name)).toEqual(['Quarter-finals', 'Semi-finals', 'Final']);
+      expect(bracket.rounds.map((r) => r.matches.length)).toEqual([4, 2, 1]);
+
+      const r1m2 = bracket.rounds[0].matches[1];
+      expect(r1m2.match_number).toBe('R1M2');
+      expect(r1m2.participant_a).toMatchObject({ name: 'P5', seed: 5, bye: false });
+      expect(r1m2.participant_b).toMatchObject({ name: 'P4', seed: 4 });
+      expect(r1m2.feeds_to).toEqual({ match_number: 'R2M1', slot: 'b' });
+
+      const semi = bracket.rounds[1].matches[0];
+      expect(semi.participant_a).toMatchObject({ type: 'tbd', name: 'TBD', seed: null });
+      expect(semi.feeds_from).toEqual([
+        { match_number: 'R1M1', slot: 'a', takes: 'winner' },
+        { match_number: 'R1M2', slot: 'b', takes: 'winner' },
+      ]);
+      expect(bracket.rounds[2].matches[0].feeds_to).toBeNull();
+      expect(bracket.consolation).toBeNull();
+      expect(bracket.playoffs).toEqual([]);
+    });
+
+    it('shows scores, winner and bye markers', () => {
+      let draw = startDraw(format, 6);
+      draw = play(format, draw, 'R1M2', 'b');
+      const { bracket } = format.getStandings(draw.state, [], draw.matches);
+
+      const byeMatch = bracket.rounds[0].matches[0];
+      expect(byeMatch.bye).toBe(true);
+      expect(byeMatch.participant_b.bye).toBe(true);
+      expect(byeMatch.winner).toBe('a');
+
+      const played = bracket.rounds[0].matches[1];
+      expect(played.winner).toBe('b');
+      expect(played.status).toBe('completed');
+      expect(played.game_scores).toEqual([]);
+      expect(bracket.rounds[1].matches[0].participant_b.name).toBe('P4');
+    });
+
+    it('includes the consolation draw and loser routes when enabled', () => {
+      const config = { knockout: { consolation: true, playoffs: { third_place: true } } };
+      const draw = startDraw(format, 8, config);
+      const { bracket } = format.getStandings(draw.state, [], draw.matches);
+
+      expect(bracket.rounds[0].matches[0].loser_feeds_to).toEqual({ match_number: 'CR1M1', slot: 'a' });
+      expect(bracket.rounds[1].matches[1].loser_feeds_to).toEqual({ match_number: '3V4', slot: 'b' });
+      expect(bracket.consolation.rounds.map((r) => r.name)).toEqual(['Semi-finals', 'Final']);
+      expect(bracket.consolation.rounds[0].matches[0].feeds_from).toEqual([
+        { match_number: 'R1M1', slot: 'a', takes: 'loser' },
+        { match_number: 'R1M2', slot: 'b', takes: 'loser' },
+      ]);
+      expect(bracket.playoffs.map((m) => m.match_number)).toEqual(['3V4']);
+      expect(bracket.playoffs[0].feeds_from).toHaveLength(2);
+    });
+  });
 });
@@ -0,0 +1,160 @@
+const { getStage, hasNextStage, validateStages, seedStage, mergeStageResults } = require('../tournament/stages');
+const TeamRoundRobinPlayoffFormat = require('../tournament/formats/TeamRoundRobinPlayoffFormat');
+const RoundRobinFormat = require('../tournament/formats/RoundRobinFormat');
+const SingleEliminationFormat = require('../tournament/formats/SingleEliminationFormat');
+
+const makeTeams = (count) =>
+  Array.from({ length: count }, (_, i) => ({ _id: `t${i + 1}`, name: `Team ${i + 1}`, seed: i + 1 }));
+
+// Team round robin final results: two divisions, listed division by division
+const leagueResults = (divisionA, divisionB) => [
+  ...divisionA.map((id, i) => ({ participant_id: id, name: id, group: 'Division A', group_position: i + 1 })),
+  ...divisionB.map((id, i) => ({ participant_id: id, name: id, group: 'Division B', group_position: i + 1 })),
+];
+
+describe('getStage', () => {
+  const tournament = {
+    name: 'Winter League',
+    format: 'team_round_robin',
+    config: {
+      match: { best_of: 5 },
+      divisions: { count: 2 },
+      fixture_calendar: { start_date: '2026-01-05' },
+      fixture_dates: { D1F1: '2026-01-01' },
+    },
+    stages: [{ name: 'Playoffs', format: 'team_round_robin_playoff', config: { divisions: { count: 1 } } }],
+    current_stage: 0,
+  };
+
+  it('treats the tournament itself as the first stage', () => {
+    expect(getStage(tournament)).toMatchObject({ index: 0, format: 'team_round_robin', config: tournament.config });
+  });
+
+  it('lets later stages inherit match config and override the rest', () => {
+    const stage = getStage(tournament, 1);
+    expect(stage).toMatchObject({ index: 1, name: 'Playoffs', format: 'team_round_robin_playoff' });
+    expect(stage.config.match).toEqual({ best_of: 5 });
+    expect(stage.config.divisions).toEqual({ count: 1 });
+    expect(stage.config.fixture_dates).toEqual({});
+    expect(stage.config.fixture_calendar).toEqual({});
+  });
+
+  it('knows when another stage follows', () => {
+    expect(hasNextStage(tournament)).toBe(true);
+    expect(hasNextStage({ ...tournament, current_stage: 1 })).toBe(false);
+    expect(getStage(tournament, 2)).toBeNull();
+  });
+});
+
+describe('validateStages', () => {
+  it('rejects mixing team and individual formats', () => {
+    expect(validateStages('team_round_robin', [{ format: 'single_elimination' }])).toHaveLength(1);
+    expect(validateStages('round_robin', [{ format: 'single_elimination' }])).toEqual([]);
+  });
+});
+
+describe('seedStage', () => {
+  it('seeds a team playoff from the league divisions', () => {
+    const teams = makeTeams(8);
+    const results = leagueResults(['t2', 't1', 't4', 't3'], ['t8', 't5', 't6', 't7']);
+    const seeded = seedStage(results, teams, { format: 'team_round_robin_playoff' });
+
+    expect(seeded.map((p) => [p._id, p.division_index, p.seed])).toEqual([
+      ['t2', 0, 1],
+      ['t1', 0, 2],
+      ['t4', 0, 3],
+      ['t3', 0, 4],
+      ['t8', 1, 1],
+      ['t5', 1, 2],
+      ['t6', 1, 3],
+      ['t7', 1, 4],
+    ]);
+    expect(new TeamRoundRobinPlayoffFormat().validateConfig({}, seeded).valid).toBe(true);
+  });
+
+  it('takes the top finishers from each group', () => {
+    const teams = makeTeams(12);
+    const results = leagueResults(['t1', 't2', 't3', 't4', 't5', 't6'], ['t7', 't8', 't9', 't10', 't11', 't12']);
+    const seeded = seedStage(results, teams, { advance_per_group: 4 });
+
+    expect(seeded).toHaveLength(8);
+    expect(seeded.map((p) => p._id)).not.toContain('t5');
+  });
+
+  it('interleaves round robin groups into one run of seeds for a knockout', () => {
+    const players = makeTeams(8);
+    const groups = [
+      { name: 'Group A', standings: ['t1', 't4', 't5', 't8'].map((id) => ({ participant_id: id, name: id })) },
+      { name: 'Group B', standings: ['t2', 't3', 't6', 't7'].map((id) => ({ participant_id: id, name: id })) },
+    ];
+    const results = new RoundRobinFormat().getFinalResults({}, groups);
+    const seeded = seedStage(results, players, { format: 'single_elimination', advance_per_group: 2 });
+
+    expect(seeded.map((p) => [p._id, p.seed])).toEqual([
+      ['t1', 1],
+      ['t2', 2],
+      ['t4', 3],
+      ['t3', 4],
+    ]);
+    expect(seeded.every((p) => p.division_index === undefined)).toBe(true);
+
+    // Group winners meet the other group's runner-up
+    const { matches } = new SingleEliminationFormat().generateInitialState({}, seeded);
+    const firstRound = matches
+      .filter((m) => m.round === 1)
+      .map((m) => [m.participant_a.name, m.participant_b.name].sort());
+    expect(firstRound).toEqual(
+      expect.arrayContaining([
+        ['Team 1', 'Team 3'],
+        ['Team 2', 'Team 4'],
+      ])
+    );
+  });
+
+  it('re-seeds ranked results in finishing order', () => {
+    const players = makeTeams(6);
+    const results = [3, 1, 6, 2, 5, 4].map((n, i) => ({ participant_id: `t${n}`, name: `Team ${n}`, position: i + 1 }));
+    const seeded = seedStage(results, players, { advance: 4 });
+
+    expect(seeded.map((p) => [p._id, p.seed])).toEqual([
+      ['t3', 1],
+      ['t1', 2],
+      ['t6', 3],
+      ['t2', 4],
+    ]);
+    expect(seeded.every((p) => p.division_index === undefined)).toBe(true);
+  });
+
+  it('leaves withdrawn participants behind', () => {
+    const teams = makeTeams(4).map((t) => (t._id === 't2' ? { ...t, withdrawn: true } : t));
+    const results = ['t1', 't2', 't3', 't4'].map((id, i) => ({ participant_id: id, position: i + 1 }));
+
+    expect(seedStage(results, teams).map((p) => [p._id, p.seed])).toEqual([
+      ['t1', 1],
+      ['t3', 2],
+      ['t4', 3],
+    ]);
+  });
+});
+
+describe('mergeStageResults', () => {
+  it('ranks earlier-stage finishers below the last stage in joint bands', () => {
+    const league = leagueResults(['a1', 'a2', 'a3'], ['b1', 'b2', 'b3']);
+    const playoff = [
+      { participant_id: 'b1', position: 1 },
+      { participant_id: 'a1', position: 2 },
+      { participant_id: 'a2', position: 3 },
+      { participant_id: 'b2', position: 4 },
+    ];
+    const merged = mergeStageResults([league, playoff]);
+
+    expect(merged.map((r) => [r.participant_id, r.position, r.position_to])).toEqual([
+      ['b1', 1, undefined],
+      ['a1', 2, undefined],
+      ['a2', 3, undefined],
+      ['b2', 4, undefined],
+      ['a3', 5, 6],
+      ['b3', 5, 6],
+    ]);
+  });
+});
@@ -2,7 +2,7 @@
  * Unit tests for the shared team-fixture scoring helper, extracted from
  * TeamRoundRobinFormat so it can be reused by TeamRoundRobinPlayoffFormat.
  */
-const { computeFixtureScoring, buildFixtureResult } = require('../tournament/formats/teamFixtureScoring');
+const { computeFixtureScoring, buildFixtureResult, deriveFixtureWinner } = require('../tournament/formats/teamFixtureScoring');
 
 const makeMatch = (overrides = {}) => ({
   participant_a: { type: 'participant', participant_id: 'teamA', name: 'Team A' },
@@ -146,3 +146,23 @@ describe('buildFixtureResult', () => {
     expect(result.walkover).toBe(false);
   });
 });
+
+describe('deriveFixtureWinner', () => {
+  it('totals string games and extras to decide the winner', () => {
+    const match = makeMatch({ racketball_result: { team_a_games: 0, team_b_games: 3 } });
+    const matchResult = {
+      string_results: [
+        { string_number: 1, team_a_games: 3, team_b_games: 1 },
+        { string_number: 2, team_a_games: 2, team_b_games: 3 },
+      ],
+    };
+
+    expect(deriveFixtureWinner(match, matchResult)).toEqual({ aTotal: 5, bTotal: 7, winner: 'b' });
+  });
+
+  it('returns no winner when the totals are level', () => {
+    const matchResult = { string_results: [{ string_number: 1, team_a_games: 2, team_b_games: 2 }] };
+
+    expect(deriveFixtureWinner(makeMatch(), matchResult).winner).toBeNull();
+  });
+});
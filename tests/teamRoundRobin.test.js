@@ -48,6 +48,35 @@ describe('TeamRoundRobinFormat', () => {
       expect(matches).toHaveLength(2); // 1 fixture per 2-team division x 2 divisions
       matches.forEach((m) => expect(m.status).toBe('ready'));
     });
+
+    it.each([6, 7])('plays each team once a round with home and away balanced (%i teams)', (count) => {
+      const participants = Array.from({ length: count }, (_, i) => makeTeam(String(i + 1), `Team ${i + 1}`, 0));
+      const { matches } = format.generateInitialState({ divisions: { count: 1 } }, participants);
+      const idOf = (side) => side.participant_id.toString();
+
+      expect(matches).toHaveLength((count * (count - 1)) / 2);
+      const pairs = new Set(matches.map((m) => [idOf(m.participant_a), idOf(m.participant_b)].sort().join('-')));
+      expect(pairs.size).toBe(matches.length);
+
+      const rounds = [...new Set(matches.map((m) => m.round))];
+      expect(rounds).toHaveLength(count % 2 === 0 ? count - 1 : count);
+      rounds.forEach((round) => {
+        const teams = matches.filter((m) => m.round === round).flatMap((m) => [idOf(m.participant_a), idOf(m.participant_b)]);
+        expect(new Set(teams).size).toBe(teams.length);
+      });
+
+      participants.forEach((team) => {
+        const id = team._id.toString();
+        const venues = matches
+          .filter((m) => [idOf(m.participant_a), idOf(m.participant_b)].includes(id))
+          .sort((x, y) => x.round - y.round)
+          .map((m) => (idOf(m.participant_a) === id ? 'H' : 'A'))
+          .join('');
+        const home = venues.split('H').length - 1;
+        expect(Math.abs(home * 2 - venues.length)).toBeLessThanOrEqual(1);
+        expect(venues).not.toMatch(/HHH|AAA/);
+      });
+    });
   });
 
   describe('onMatchResult', () => {
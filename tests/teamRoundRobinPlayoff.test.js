@@ -326,6 +326,56 @@ describe('TeamRoundRobinPlayoffFormat', () => {
     });
   });
 
+  // ─── revertMatchResult ─────────────────────────────────────────────────────
+
+  describe('revertMatchResult', () => {
+    let state, allMatches;
+
+    const apply = (outcome) => {
+      allMatches = allMatches.map((m) => {
+        const updated = outcome.updatedMatches.find((u) => u.match_number === m.match_number);
+        return updated ? { ...m, ...updated } : m;
+      });
+      state = outcome.state;
+    };
+    const byNumber = (matchNumber) => allMatches.find((m) => m.match_number === matchNumber);
+
+    beforeEach(() => {
+      const initial = format.generateInitialState({}, makeParticipants());
+      state = initial.state;
+      allMatches = initial.matches.map((m, i) => makeMatch({ ...m, _id: `m${i + 1}` }));
+      apply(
+        format.onMatchResult(state, byNumber('PINT-SF-A'), makeFixtureResult('A1', 'Alpha 1st', 'B2', 'Beta 2nd'), [], allMatches)
+      );
+    });
+
+    it('clears the fixture and takes both teams back out of the final and 3rd/4th match', () => {
+      const outcome = format.revertMatchResult(state, byNumber('PINT-SF-A'), allMatches);
+
+      const sfA = outcome.updatedMatches.find((m) => m.match_number === 'PINT-SF-A');
+      expect(sfA).toMatchObject({ status: 'ready', result: null });
+      ['PINT-F', 'PINT-3V4'].forEach((matchNumber) => {
+        const target = outcome.updatedMatches.find((m) => m.match_number === matchNumber);
+        expect(target.participant_a).toEqual({ type: 'tbd', name: 'TBD' });
+        expect(target.status).toBe('pending');
+        expect(target.dependency_matches).not.toContain('m1');
+      });
+    });
+
+    it('throws a BRACKET_LOCKED error once the final has been played', () => {
+      apply(
+        format.onMatchResult(state, byNumber('PINT-SF-B'), makeFixtureResult('B1', 'Beta 1st', 'A2', 'Alpha 2nd'), [], allMatches)
+      );
+      apply(
+        format.onMatchResult(state, byNumber('PINT-F'), makeFixtureResult('A1', 'Alpha 1st', 'B1', 'Beta 1st'), [], allMatches)
+      );
+
+      expect(() => format.revertMatchResult(state, byNumber('PINT-SF-A'), allMatches)).toThrow(
+        expect.objectContaining({ code: 'BRACKET_LOCKED' })
+      );
+    });
+  });
+
   // ─── getNextPlayableMatches / isComplete ───────────────────────────────────
 
   describe('getNextPlayableMatches', () => {
@@ -65,13 +65,46 @@ class ITournamentFormat {
     throw new Error('Must implement onMatchResult method');
   }
 
+  /**
+   * Replace the result of a completed match. Formats that move players on
+   * or pair later rounds from results override this; by default the new
+   * result is simply processed again.
+   * @param {Object} state - Current tournament state
+   * @param {Object} tournamentMatch - The completed match, with its old result
+   * @param {Object} newMatchResult - Replacement result
+   * @param {Array} allMatches - All tournament matches
+   * @param {Array} groups - Tournament groups (if applicable)
+   * @returns {Object} Same shape as onMatchResult, optionally with
+   *   deletedMatchIds for matches the edit invalidated
+   */
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches = [], groups = []) {
+    return this.onMatchResult(state, tournamentMatch, newMatchResult, groups, allMatches);
+  }
+
+  /**
+   * Clear a completed match back to unplayed, reversing its effect on the
+   * state and standings and taking players back out of any slots it filled.
+   * Throws an error with code BRACKET_LOCKED when a later match that depends
+   * on it has already been played.
+   * @param {Object} state - Current tournament state
+   * @param {Object} tournamentMatch - The completed match
+   * @param {Array} allMatches - All tournament matches
+   * @param {Array} groups - Tournament groups (if applicable)
+   * @returns {Object} Same shape as onMatchResult, optionally with
+   *   deletedMatchIds for matches drawn from the result
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = [], groups = []) {
+    throw new Error('Must implement revertMatchResult method');
+  }
+
   /**
    * Get current standings/bracket view
    * @param {Object} state - Current tournament state
    * @param {Array} groups - Tournament groups (if applicable)
+   * @param {Array} allMatches - All tournament matches (if applicable)
    * @returns {Object} Format-appropriate standings data
    */
-  getStandings(state, groups = []) {
+  getStandings(state, groups = [], allMatches = []) {
     throw new Error('Must implement getStandings method');
   }
 
@@ -122,9 +155,10 @@ class ITournamentFormat {
    * Get final results/placements
    * @param {Object} state - Final tournament state
    * @param {Array} groups - Tournament groups (if applicable)
+   * @param {Array} allMatches - All tournament matches (if applicable)
    * @returns {Array} Final placements with participant details
    */
-  getFinalResults(state, groups = []) {
+  getFinalResults(state, groups = [], allMatches = []) {
     throw new Error('Must implement getFinalResults method');
   }
 }
@@ -1,7 +1,10 @@
 const SingleEliminationFormat = require('./formats/SingleEliminationFormat');
+const DoubleEliminationFormat = require('./formats/DoubleEliminationFormat');
+const CompassFormat = require('./formats/CompassFormat');
 const RoundRobinFormat = require('./formats/RoundRobinFormat');
 const MonradFormat = require('./formats/MonradFormat');
 const PoolsKnockoutFormat = require('./formats/PoolsKnockoutFormat');
+const BoxLeagueFormat = require('./formats/BoxLeagueFormat');
 const TeamRoundRobinFormat = require('./formats/TeamRoundRobinFormat');
 const TeamRoundRobinPlayoffFormat = require('./formats/TeamRoundRobinPlayoffFormat');
 
@@ -21,9 +24,12 @@ class TournamentEngine {
   _registerFormats() {
     const formats = [
       new SingleEliminationFormat(),
+      new DoubleEliminationFormat(),
+      new CompassFormat(),
       new RoundRobinFormat(),
       new MonradFormat(),
       new PoolsKnockoutFormat(),
+      new BoxLeagueFormat(),
       new TeamRoundRobinFormat(),
       new TeamRoundRobinPlayoffFormat(),
     ];
@@ -38,7 +44,17 @@ class TournamentEngine {
    * @returns {Array} Array of format objects with id and name
    */
   getAvailableFormats() {
-    const supported = new Set(['single_elimination', 'monrad', 'team_round_robin', 'team_round_robin_playoff']);
+    const supported = new Set([
+      'single_elimination',
+      'double_elimination',
+      'compass',
+      'round_robin',
+      'pools_knockout',
+      'box_league',
+      'monrad',
+      'team_round_robin',
+      'team_round_robin_playoff',
+    ]);
     return Array.from(this.formats.values())
       .filter((format) => supported.has(format.id))
       .map((format) => ({
@@ -114,9 +130,34 @@ class TournamentEngine {
     return format.onMatchResult(state, tournamentMatch, matchResult, groups, allMatches);
   }
 
-  updateMatchResult(formatId, state, tournamentMatch, newMatchResult, allMatches = []) {
+  /**
+   * Edit a completed match result
+   * @param {string} formatId - Tournament format ID
+   * @param {Object} state - Current tournament state
+   * @param {Object} tournamentMatch - The completed match, with its old result
+   * @param {Object} newMatchResult - Replacement result
+   * @param {Array} allMatches - All matches in the current stage
+   * @param {Array} groups - Tournament groups (if applicable)
+   * @returns {Object} Same shape as processMatchResult, plus deletedMatchIds
+   *   for matches the edit invalidated (Monrad returns updatedMatch on its own)
+   */
+  updateMatchResult(formatId, state, tournamentMatch, newMatchResult, allMatches = [], groups = []) {
     const format = this.getFormat(formatId);
-    return format.updateMatchResult(state, tournamentMatch, newMatchResult, allMatches);
+    return format.updateMatchResult(state, tournamentMatch, newMatchResult, allMatches, groups);
+  }
+
+  /**
+   * Clear a completed match result back to unplayed
+   * @param {string} formatId - Tournament format ID
+   * @param {Object} state - Current tournament state
+   * @param {Object} tournamentMatch - The completed match
+   * @param {Array} allMatches - All matches in the current stage
+   * @param {Array} groups - Tournament groups (if applicable)
+   * @returns {Object} Same shape as updateMatchResult
+   */
+  revertMatchResult(formatId, state, tournamentMatch, allMatches = [], groups = []) {
+    const format = this.getFormat(formatId);
+    return format.revertMatchResult(state, tournamentMatch, allMatches, groups);
   }
 
   /**
@@ -124,11 +165,12 @@ class TournamentEngine {
    * @param {string} formatId - Tournament format ID
    * @param {Object} state - Current tournament state
    * @param {Array} groups - Tournament groups (if applicable)
+   * @param {Array} allMatches - All tournament matches (bracket formats)
    * @returns {Object} Tournament standings
    */
-  getStandings(formatId, state, groups = []) {
+  getStandings(formatId, state, groups = [], allMatches = []) {
     const format = this.getFormat(formatId);
-    return format.getStandings(state, groups);
+    return format.getStandings(state, groups, allMatches);
   }
 
   /**
@@ -159,11 +201,27 @@ class TournamentEngine {
    * @param {string} formatId - Tournament format ID
    * @param {Object} state - Final tournament state
    * @param {Array} groups - Tournament groups (if applicable)
+   * @param {Array} allMatches - All tournament matches (bracket formats)
    * @returns {Array} Final results
    */
-  getFinalResults(formatId, state, groups = []) {
+  getFinalResults(formatId, state, groups = [], allMatches = []) {
+    const format = this.getFormat(formatId);
+    return format.getFinalResults(state, groups, allMatches);
+  }
+
+  /**
+   * Generate the next period's boxes from a finished box league
+   * @param {string} formatId - Tournament format ID
+   * @param {Object} state - Final tournament state
+   * @param {Array} groups - Tournament groups with final standings
+   * @returns {Array} Boxes for the next period, top box first
+   */
+  generateNextPeriod(formatId, state, groups = []) {
     const format = this.getFormat(formatId);
-    return format.getFinalResults(state, groups);
+    if (typeof format.generateNextPeriod !== 'function') {
+      throw new Error(`Format ${formatId} does not support periods`);
+    }
+    return format.generateNextPeriod(state, groups);
   }
 
   /**
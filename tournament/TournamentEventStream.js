@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+/**
+ * Tournament Event Stream - fans tournament changes out to Server-Sent Events
+ * subscribers and keeps a short history of each tournament's events so a
+ * client that reconnects with Last-Event-ID is sent what it missed.
+ *
+ * Event ids are "<instance>-<sequence>". The instance changes whenever the
+ * server restarts, so an id from before a restart (or one that has fallen
+ * out of the history) can't be replayed; the subscriber is told to resync
+ * (fetch the tournament again) instead.
+ */
+class TournamentEventStream {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.historySize=500] - events kept per tournament
+   */
+  constructor({ historySize = 500 } = {}) {
+    this.historySize = historySize;
+    this.instance = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.history = new Map(); // tournamentId → { events, dropped: last sequence shifted out }
+    this.subscribers = new Map(); // tournamentId → Set of { matchId, send }
+  }
+
+  /**
+   * Record an event for a tournament and send it to its subscribers
+   * @param {string} tournamentId
+   * @param {string} type - event name, e.g. 'rally', 'result', 'standings'
+   * @param {object} data - JSON payload; a `match_id` ties it to one match
+   * @returns {object} The event: { id, type, data }
+   */
+  publish(tournamentId, type, data) {
+    const key = tournamentId.toString();
+    this.sequence += 1;
+    const event = { id: `${this.instance}-${this.sequence}`, type, data };
+
+    const history = this.history.get(key) || { events: [], dropped: 0 };
+    history.events.push(event);
+    if (history.events.length > this.historySize) history.dropped = this._sequenceOf(history.events.shift());
+    this.history.set(key, history);
+
+    (this.subscribers.get(key) || new Set()).forEach((subscriber) => {
+      if (this._matches(subscriber, event)) subscriber.send(event);
+    });
+    return event;
+  }
+
+  /**
+   * Subscribe to a tournament's events, or only one match's
+   * @param {string} tournamentId
+   * @param {object} options
+   * @param {string} [options.matchId] - only events for this match
+   * @param {string} [options.lastEventId] - the last event the client saw
+   * @param {Function} send - called with each event
+   * @returns {{ missed: Array|null, unsubscribe: Function }} Events after
+   *   lastEventId, or null when they can no longer be replayed
+   */
+  subscribe(tournamentId, { matchId, lastEventId } = {}, send) {
+    const key = tournamentId.toString();
+    const subscriber = { matchId: matchId ? matchId.toString() : null, send };
+
+    const missed = lastEventId ? this._eventsAfter(key, lastEventId) : [];
+    if (!this.subscribers.has(key)) this.subscribers.set(key, new Set());
+    this.subscribers.get(key).add(subscriber);
+
+    return {
+      missed: missed && missed.filter((event) => this._matches(subscriber, event)),
+      unsubscribe: () => {
+        const subscribers = this.subscribers.get(key);
+        if (!subscribers) return;
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) this.subscribers.delete(key);
+      },
+    };
+  }
+
+  /**
+   * Forget a tournament's history (it has been deleted)
+   * @param {string} tournamentId
+   */
+  clear(tournamentId) {
+    this.history.delete(tournamentId.toString());
+  }
+
+  /**
+   * Events published after lastEventId, or null if it isn't in the history
+   * @private
+   */
+  _eventsAfter(key, lastEventId) {
+    const [instance, sequence] = String(lastEventId).split('-');
+    if (instance !== this.instance || !/^\d+$/.test(sequence || '')) return null;
+
+    const seen = Number(sequence);
+    const history = this.history.get(key) || { events: [], dropped: 0 };
+    // Some of what was missed has already been dropped from the history
+    if (seen > this.sequence || seen < history.dropped) return null;
+    return history.events.filter((event) => this._sequenceOf(event) > seen);
+  }
+
+  /**
+   * The sequence part of an event id
+   * @private
+   */
+  _sequenceOf(event) {
+    return Number(event.id.split('-')[1]);
+  }
+
+  /**
+   * Whether an event belongs on a subscriber's stream
+   * @private
+   */
+  _matches(subscriber, event) {
+    return !subscriber.matchId || (event.data && String(event.data.match_id) === subscriber.matchId);
+  }
+}
+
+module.exports = TournamentEventStream;
@@ -0,0 +1,148 @@
+/**
+ * Court scheduler: the order of play for a tournament day.
+ *
+ * The plan is worked out from the current state of play each time it's
+ * asked for, so it follows the day as it goes: results free players and
+ * courts, matches go live, and a live match that runs past its
+ * estimated_duration keeps its court until it finishes, pushing back what
+ * follows. Only playable matches are planned; a match still waiting on the
+ * bracket matches that decide its players is listed as waiting until the
+ * format makes it playable.
+ *
+ * Each match goes wherever it can start earliest: no sooner than now, its
+ * scheduled_at, or min_rest_minutes after either player last finished; on
+ * its pinned court if it has one; and within the court's availability
+ * windows (config.court_windows - a court without windows is always open).
+ * Courts are named '1' to config.courts, plus any others the windows name.
+ */
+
+const { isBye } = require('./formats/resultRevert');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_DURATION_MINUTES = 45;
+const FINISHED = ['completed', 'walkover', 'cancelled'];
+
+function courtNames(config = {}) {
+  const names = Array.from({ length: config.courts || 1 }, (_, i) => String(i + 1));
+  (config.court_windows || []).forEach(({ court }) => {
+    if (!names.includes(court)) names.push(court);
+  });
+  return names;
+}
+
+const participantIds = (match) =>
+  [match.participant_a, match.participant_b].map((side) => side?.participant_id?.toString()).filter(Boolean);
+
+const durationOf = (match) => (match.estimated_duration || DEFAULT_DURATION_MINUTES) * MINUTE_MS;
+
+const summary = (match) => ({
+  match_id: match._id,
+  match_number: match.match_number,
+  round: match.round,
+  participant_a: match.participant_a?.name,
+  participant_b: match.participant_b?.name,
+  estimated_duration: match.estimated_duration || DEFAULT_DURATION_MINUTES,
+});
+
+// The earliest start at or after `from` that fits a whole match into one of
+// the court's windows, or null if none is long enough
+function fitWindow(windows, from, duration) {
+  if (windows.length === 0) return from;
+  for (const window of windows) {
+    const start = Math.max(from, window.start);
+    if (start + duration <= window.end) return start;
+  }
+  return null;
+}
+
+/**
+ * Plan the order of play
+ * @param {Array} matches - the stage's matches (documents or plain objects)
+ * @param {Array} playableIds - ids of the matches the format says are playable
+ * @param {Object} config - stage config: courts, min_rest_minutes, court_windows
+ * @param {Date} [now]
+ * @returns {{ courts: string[], on_court: Array, schedule: Array, unplaced: Array, waiting: Array }}
+ *   on_court: live matches with their expected end (`overrunning` once past
+ *   it); schedule: planned matches by start time; unplaced: playable matches
+ *   no court window fits; waiting: matches whose players aren't known yet
+ */
+function planOrderOfPlay(matches, playableIds, config = {}, now = new Date()) {
+  const nowMs = now.getTime();
+  const restMs = (config.min_rest_minutes ?? 20) * MINUTE_MS;
+  const courts = courtNames(config);
+
+  const windows = new Map(courts.map((court) => [court, []]));
+  (config.court_windows || []).forEach((window) => {
+    windows.get(window.court).push({ start: new Date(window.start).getTime(), end: new Date(window.end).getTime() });
+  });
+  windows.forEach((list) => list.sort((x, y) => x.start - y.start));
+
+  const courtFree = new Map(courts.map((court) => [court, nowMs]));
+  const playerFree = new Map();
+  const rest = (match, end) =>
+    participantIds(match).forEach((id) => playerFree.set(id, Math.max(playerFree.get(id) || 0, end + restMs)));
+
+  // Players rest after the matches they've played (not byes or walkovers)
+  matches
+    .filter((match) => match.status === 'completed' && match.completed_at && !match.result?.walkover && !isBye(match))
+    .forEach((match) => rest(match, new Date(match.completed_at).getTime()));
+
+  // Live matches hold their court until they're expected to finish, or until
+  // now once they've overrun. One without a court takes the first free one.
+  const live = matches
+    .filter((match) => match.status === 'live')
+    .sort((x, y) => Number(!courts.includes(x.court)) - Number(!courts.includes(y.court)));
+  const onCourt = live.map((match) => {
+    const court = courts.includes(match.court)
+      ? match.court
+      : courts.reduce((best, name) => (courtFree.get(name) < courtFree.get(best) ? name : best));
+    const start = new Date(match.live?.started_at || nowMs).getTime();
+    const expectedEnd = start + durationOf(match);
+    const end = Math.max(expectedEnd, nowMs);
+    courtFree.set(court, Math.max(courtFree.get(court), end));
+    rest(match, end);
+    return { ...summary(match), court, start: new Date(start), expected_end: new Date(end), overrunning: expectedEnd < nowMs };
+  });
+
+  const playable = new Set(playableIds.map(String));
+  const queue = matches
+    .filter((match) => playable.has(match._id.toString()) && match.status !== 'live' && !FINISHED.includes(match.status))
+    .sort((x, y) => (x.stage_index || 0) - (y.stage_index || 0) || x.round - y.round);
+
+  // Greedy: keep placing whichever match can start soonest, earlier rounds first on a tie
+  const schedule = [];
+  while (queue.length > 0) {
+    let best = null;
+    queue.forEach((match, index) => {
+      const ready = Math.max(
+        nowMs,
+        match.scheduled_at ? new Date(match.scheduled_at).getTime() : 0,
+        ...participantIds(match).map((id) => playerFree.get(id) || 0)
+      );
+      const options = courts.includes(match.court) ? [match.court] : courts;
+      options.forEach((court) => {
+        const start = fitWindow(windows.get(court), Math.max(ready, courtFree.get(court)), durationOf(match));
+        if (start !== null && (!best || start < best.start)) best = { match, index, court, start };
+      });
+    });
+    if (!best) break;
+
+    const end = best.start + durationOf(best.match);
+    queue.splice(best.index, 1);
+    courtFree.set(best.court, end);
+    rest(best.match, end);
+    schedule.push({ ...summary(best.match), court: best.court, start: new Date(best.start), end: new Date(end) });
+  }
+
+  return {
+    courts,
+    on_court: onCourt,
+    schedule: schedule.sort((x, y) => x.start - y.start || courts.indexOf(x.court) - courts.indexOf(y.court)),
+    unplaced: queue.map(summary),
+    waiting: matches
+      .filter((match) => !playable.has(match._id.toString()) && match.status !== 'live' && !FINISHED.includes(match.status))
+      .map(summary),
+  };
+}
+
+module.exports = { courtNames, planOrderOfPlay };
@@ -0,0 +1,71 @@
+/**
+ * Fixture calendar: puts a league's rounds on weekly match nights.
+ *
+ * Match nights fall on one weekday each week from the season's start date
+ * (config.fixture_calendar), skipping excluded dates such as holidays. Each
+ * round starts on a night of its own, so no team plays twice in a night; a
+ * round with more fixtures than the venue can host (fixtures_per_night)
+ * carries on over the following nights. Divisions take turns within a round
+ * so none of them is always the one left over.
+ *
+ * Dates are calendar dates ('YYYY-MM-DD'), the same as config.fixture_dates,
+ * which still wins for any fixture it names.
+ */
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Every match night from the start date on, in order
+function* matchNights({ start_date: startDate, weekday, excluded_dates: excludedDates = [] }) {
+  const excluded = new Set(excludedDates);
+  const night = new Date(`${startDate}T00:00:00Z`);
+  const day = weekday ?? night.getUTCDay();
+  night.setUTCDate(night.getUTCDate() + ((day - night.getUTCDay() + 7) % 7));
+
+  for (;;) {
+    if (!excluded.has(isoDate(night))) yield isoDate(night);
+    night.setUTCDate(night.getUTCDate() + 7);
+  }
+}
+
+// A round's fixtures with the divisions (groups) taking turns
+function interleaveGroups(fixtures) {
+  const seen = {};
+  return fixtures
+    .map((fixture) => {
+      const group = String(fixture.group_id ?? '');
+      seen[group] = (seen[group] || 0) + 1;
+      return { fixture, turn: seen[group] };
+    })
+    .sort((x, y) => x.turn - y.turn)
+    .map(({ fixture }) => fixture);
+}
+
+/**
+ * Date every fixture from the season calendar
+ * @param {Array} matches - generated matches ({ round, match_number, group_id })
+ * @param {Object} [calendar] - config.fixture_calendar: { start_date, weekday
+ *   (0 Sunday - 6 Saturday, default the start date's), excluded_dates,
+ *   fixtures_per_night (default no limit) }
+ * @returns {Object} match_number → 'YYYY-MM-DD'; empty without a start_date
+ */
+function buildFixtureCalendar(matches, calendar = {}) {
+  if (!calendar || !calendar.start_date) return {};
+
+  const perNight = calendar.fixtures_per_night || Infinity;
+  const nights = matchNights(calendar);
+  const rounds = [...new Set(matches.map((match) => match.round))].sort((a, b) => a - b);
+
+  const dates = {};
+  rounds.forEach((round) => {
+    const fixtures = interleaveGroups(matches.filter((match) => match.round === round && match.match_number));
+    for (let i = 0; i < fixtures.length; i += perNight) {
+      const night = nights.next().value;
+      fixtures.slice(i, i + perNight).forEach((fixture) => {
+        dates[fixture.match_number] = night;
+      });
+    }
+  });
+  return dates;
+}
+
+module.exports = { buildFixtureCalendar };
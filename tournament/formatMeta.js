@@ -2,8 +2,16 @@
 // extras) rather than individual player matches.
 const TEAM_FORMATS = new Set(['team_round_robin', 'team_round_robin_playoff']);
 
+// Formats where a fixture level on games can stand as a draw; everywhere else
+// the scores (or winner_id) must decide a winner.
+const DRAW_FORMATS = new Set(['team_round_robin']);
+
+// Formats that place carried-over participants into divisions (or boxes) by
+// their division_index; any other format gets a single run of seeds.
+const DIVISION_FORMATS = new Set(['team_round_robin', 'team_round_robin_playoff', 'box_league']);
+
 function deriveTournamentType(format) {
   return TEAM_FORMATS.has(format) ? 'team' : 'individual';
 }
 
-module.exports = { TEAM_FORMATS, deriveTournamentType };
+module.exports = { TEAM_FORMATS, DRAW_FORMATS, DIVISION_FORMATS, deriveTournamentType };
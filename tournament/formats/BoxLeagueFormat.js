@@ -0,0 +1,340 @@
+const ITournamentFormat = require('../ITournamentFormat');
+const {
+  DEFAULT_TIEBREAKERS,
+  generateCircleRounds,
+  calculateGroupStandings,
+  isGroupComplete,
+} = require('./groupStandings');
+const { clearResult } = require('./resultRevert');
+
+const DEFAULT_BOX_SIZE = 6;
+const DEFAULT_PROMOTION = 2;
+const DEFAULT_RELEGATION = 2;
+
+/**
+ * Box League Tournament Format
+ *
+ * Features:
+ * - Players split into ranked boxes (Box 1 is the top box), everyone plays
+ *   everyone in their box once per period
+ * - Boxes filled from the seed list, or taken from each participant's
+ *   division_index when every participant has one (as carried over from
+ *   the previous period)
+ * - Box standings ranked exactly like round robin groups
+ * - Configurable promotion/relegation: the top N of each box move up and the
+ *   bottom N move down when the next period's boxes are generated
+ */
+class BoxLeagueFormat extends ITournamentFormat {
+  get id() {
+    return 'box_league';
+  }
+
+  get name() {
+    return 'Box League';
+  }
+
+  validateConfig(config, participants) {
+    const errors = [];
+    const list = participants || [];
+
+    if (list.length < 3) {
+      errors.push('At least 3 participants required for a box league');
+    }
+
+    const { promotion, relegation } = this._getMovement(config);
+    const boxes = this._createBoxes(config, list);
+    const smallestBox = Math.min(...boxes.map((box) => box.participants.length));
+
+    if (boxes.length > 0 && smallestBox < 3) {
+      errors.push('Every box must have at least 3 players');
+    }
+
+    // The top box only relegates and the bottom box only promotes
+    if (boxes.length > 1) {
+      boxes.forEach((box, index) => {
+        const moving = (index > 0 ? promotion : 0) + (index < boxes.length - 1 ? relegation : 0);
+        if (moving > box.participants.length) {
+          errors.push(`${box.name} has ${box.participants.length} players, fewer than the ${moving} who would move`);
+        }
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  generateInitialState(config = {}, participants) {
+    const boxes = this._createBoxes(config, participants);
+    const { promotion, relegation } = this._getMovement(config);
+
+    const matches = [];
+    boxes.forEach((box, boxIndex) => {
+      matches.push(...this._generateBoxMatches(box, boxIndex));
+    });
+
+    const state = {
+      format: 'box_league',
+      boxCount: boxes.length,
+      promotion,
+      relegation,
+      tiebreakers:
+        config.tiebreakers && config.tiebreakers.length > 0
+          ? [...config.tiebreakers]
+          : DEFAULT_TIEBREAKERS,
+      completed: false,
+    };
+
+    return { state, matches, groups: boxes };
+  }
+
+  onMatchResult(state, tournamentMatch, matchResult, groups = [], allMatches = []) {
+    // Update current match with result
+    const updatedMatch = {
+      ...tournamentMatch,
+      status: matchResult.walkover ? 'walkover' : 'completed',
+      completed_at: new Date(),
+      result: {
+        winner_participant_id: matchResult.winner_id,
+        winner_name: matchResult.winner_name,
+        loser_participant_id: matchResult.loser_id,
+        loser_name: matchResult.loser_name,
+        game_scores: matchResult.game_scores || [],
+        walkover: matchResult.walkover || false,
+        retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
+        ...(matchResult.handicap_starts && { handicap_starts: matchResult.handicap_starts }),
+      },
+    };
+
+    return this._buildResult(state, updatedMatch, groups, allMatches);
+  }
+
+  /**
+   * Clear a result back to unplayed and re-rank its group without it.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = [], groups = []) {
+    return this._buildResult(state, clearResult(tournamentMatch), groups, allMatches);
+  }
+
+  getStandings(state, groups = []) {
+    const boxes = this._sortBoxes(groups);
+    return {
+      type: 'boxes',
+      promotion: state.promotion,
+      relegation: state.relegation,
+      groups: boxes.map((group, boxIndex) => ({
+        id: group._id,
+        name: group.name,
+        completed: group.completed,
+        standings: group.standings.map((standing, index) => ({
+          position: index + 1,
+          participant_id: standing.participant_id,
+          name: standing.name,
+          played: standing.played,
+          wins: standing.wins,
+          losses: standing.losses,
+          games_won: standing.games_won,
+          games_lost: standing.games_lost,
+          game_differential: standing.games_won - standing.games_lost,
+          points_won: standing.points_won,
+          points_lost: standing.points_lost,
+          point_differential: standing.points_won - standing.points_lost,
+          movement: this._getMovementFor(state, boxIndex, boxes.length, index, group.standings.length),
+        })),
+      })),
+    };
+  }
+
+  getNextPlayableMatches(state, matches) {
+    return matches.filter(
+      (match) => match.status === 'ready' || match.status === 'pending'
+    );
+  }
+
+  isComplete(state) {
+    return state.completed;
+  }
+
+  getFinalResults(state, groups = []) {
+    // Overall ladder: every player in Box 1, then Box 2, …
+    const boxes = this._sortBoxes(groups);
+    const results = [];
+    boxes.forEach((group, boxIndex) => {
+      group.standings.forEach((standing, index) => {
+        results.push({
+          position: results.length + 1,
+          participant_id: standing.participant_id,
+          name: standing.name,
+          group: group.name,
+          group_position: index + 1,
+          wins: standing.wins,
+          losses: standing.losses,
+          movement: this._getMovementFor(state, boxIndex, boxes.length, index, group.standings.length),
+        });
+      });
+    });
+    return results;
+  }
+
+  /**
+   * Next period's boxes from this period's final standings. The top
+   * `promotion` players of every box but the first move up one box, the
+   * bottom `relegation` of every box but the last move down one.
+   * Returns [{ name, participants: [{ participant_id, name, movement }] }]
+   * in box order; within a box, players coming down are listed first.
+   */
+  generateNextPeriod(state, groups = []) {
+    const boxes = this._sortBoxes(groups);
+    const next = boxes.map(() => ({ down: [], stay: [], up: [] }));
+
+    boxes.forEach((group, boxIndex) => {
+      group.standings.forEach((standing, index) => {
+        const movement = this._getMovementFor(state, boxIndex, boxes.length, index, group.standings.length);
+        const entry = { participant_id: standing.participant_id, name: standing.name, movement };
+        if (movement === 'up') next[boxIndex - 1].up.push(entry);
+        else if (movement === 'down') next[boxIndex + 1].down.push(entry);
+        else next[boxIndex].stay.push(entry);
+      });
+    });
+
+    return next.map((box, boxIndex) => ({
+      name: `Box ${boxIndex + 1}`,
+      participants: [...box.down, ...box.stay, ...box.up],
+    }));
+  }
+
+  // Private helper methods
+
+  // Merge the changed match into allMatches and recalculate its group's standings
+  _buildResult(state, updatedMatch, groups, allMatches) {
+    const matchId = updatedMatch._id?.toString();
+    const mergedMatches = allMatches.map((m) =>
+      m._id?.toString() === matchId ? updatedMatch : m
+    );
+
+    // Only the match's own box changes
+    const groupId = updatedMatch.group_id?.toString();
+    const standingsUpdates = groups
+      .filter((group) => group._id.toString() === groupId)
+      .map((group) => ({
+        group_id: group._id,
+        standings: calculateGroupStandings(group, mergedMatches, state.tiebreakers),
+        completed: isGroupComplete(group, mergedMatches),
+      }));
+
+    const newState = {
+      ...state,
+      completed:
+        groups.length > 0 && groups.every((group) => isGroupComplete(group, mergedMatches)),
+    };
+
+    return {
+      state: newState,
+      updatedMatches: [updatedMatch],
+      newMatches: [],
+      standingsUpdates,
+      tournamentComplete: newState.completed,
+    };
+  }
+
+  _getMovement(config = {}) {
+    return {
+      promotion: config.box_league?.promotion ?? DEFAULT_PROMOTION,
+      relegation: config.box_league?.relegation ?? DEFAULT_RELEGATION,
+    };
+  }
+
+  _getMovementFor(state, boxIndex, boxCount, position, boxSize) {
+    if (boxIndex > 0 && position < state.promotion) return 'up';
+    if (boxIndex < boxCount - 1 && position >= boxSize - state.relegation) return 'down';
+    return null;
+  }
+
+  _createBoxes(config, participants) {
+    const sorted = this._sortParticipants([...participants]);
+    const boxes = [];
+    const makeBox = (index) => ({
+      name: `Box ${index + 1}`,
+      participants: [],
+      _id: `box_${index + 1}`,
+    });
+
+    // Carried-over boxes: respect each participant's assigned box
+    if (sorted.length > 0 && sorted.every((p) => Number.isInteger(p.division_index))) {
+      const indexes = [...new Set(sorted.map((p) => p.division_index))].sort((a, b) => a - b);
+      indexes.forEach((divisionIndex, boxIndex) => {
+        const box = makeBox(boxIndex);
+        box.participants = sorted.filter((p) => p.division_index === divisionIndex);
+        boxes.push(box);
+      });
+      return boxes;
+    }
+
+    // Fresh league: fill boxes from the seed list, larger boxes at the top
+    const boxSize = config.box_league?.box_size || DEFAULT_BOX_SIZE;
+    const boxCount = Math.max(1, Math.ceil(sorted.length / boxSize));
+    const baseSize = Math.floor(sorted.length / boxCount);
+    const extra = sorted.length % boxCount;
+    let next = 0;
+    for (let i = 0; i < boxCount; i++) {
+      const box = makeBox(i);
+      const size = baseSize + (i < extra ? 1 : 0);
+      box.participants = sorted.slice(next, next + size);
+      next += size;
+      boxes.push(box);
+    }
+    return boxes;
+  }
+
+  _sortParticipants(participants) {
+    return participants.sort((a, b) => {
+      if (a.seed && b.seed) return a.seed - b.seed;
+      if (a.seed && !b.seed) return -1;
+      if (!a.seed && b.seed) return 1;
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  // Boxes are named "Box 1", "Box 2", … top to bottom
+  _sortBoxes(groups) {
+    const boxNumber = (group) => parseInt(/(\d+)$/.exec(group.name || '')?.[1] || '0');
+    return [...groups].sort((a, b) => boxNumber(a) - boxNumber(b));
+  }
+
+  _generateBoxMatches(box, boxIndex) {
+    const matches = [];
+    let matchNumber = 1;
+
+    generateCircleRounds(box.participants).forEach((pairs, roundIndex) => {
+      pairs.forEach(([participantA, participantB]) => {
+        matches.push({
+          round: roundIndex + 1,
+          stage: 'group',
+          match_number: `B${boxIndex + 1}M${matchNumber}`,
+          group_id: box._id,
+          participant_a: {
+            type: 'participant',
+            participant_id: participantA._id,
+            name: participantA.name,
+          },
+          participant_b: {
+            type: 'participant',
+            participant_id: participantB._id,
+            name: participantB.name,
+          },
+          status: 'ready',
+          dependency_matches: [],
+          feeds_to_matches: [],
+        });
+        matchNumber++;
+      });
+    });
+
+    return matches;
+  }
+}
+
+module.exports = BoxLeagueFormat;
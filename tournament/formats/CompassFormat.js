@@ -0,0 +1,471 @@
+const ITournamentFormat = require('../ITournamentFormat');
+const SingleEliminationFormat = require('./SingleEliminationFormat');
+const { TBD, clearResult, unadvance, replaceResult } = require('./resultRevert');
+
+// Compass names for each section of the draw, keyed by draw size and by the
+// best place the section plays for. East is the main draw; East R1 losers
+// go West, East R2 losers North, West R1 losers South, and so on.
+const DIRECTIONS = {
+  4: { 1: 'East', 3: 'West' },
+  8: { 1: 'East', 5: 'West', 3: 'North', 7: 'South' },
+  16: {
+    1: 'East',
+    9: 'West',
+    5: 'North',
+    13: 'South',
+    3: 'Northeast',
+    7: 'Northwest',
+    11: 'Southwest',
+    15: 'Southeast',
+  },
+};
+
+/**
+ * Compass Draw (full feed-in consolation) Tournament Format
+ *
+ * Features:
+ * - First round seeded exactly like single elimination, byes to top seeds
+ * - Every match splits its section of the draw in two: the winner plays on
+ *   for the upper half of the section's places, the loser for the lower half
+ * - Nobody is knocked out; every entrant finishes with an exact placing
+ * - Sections are named East/West/North/South/… for draws of up to 16
+ *
+ * Matches are numbered by the best place their section plays for, e.g.
+ * P5R2M1 is round 2, match 1 of the section playing for places 5-8.
+ * Byes always lose, so their path through the draw is fixed up front and
+ * the places they would take are skipped when ranking real entrants.
+ */
+class CompassFormat extends ITournamentFormat {
+  constructor() {
+    super();
+    // Seeding, bye placement and bracket helpers are shared with single elimination
+    this.bracket = new SingleEliminationFormat();
+  }
+
+  get id() {
+    return 'compass';
+  }
+
+  get name() {
+    return 'Compass Draw';
+  }
+
+  validateConfig(config, participants) {
+    const errors = [];
+
+    if (!participants || participants.length < 4) {
+      errors.push('At least 4 participants required for a compass draw');
+    }
+
+    if (participants && participants.length > 64) {
+      errors.push('Maximum 64 participants supported');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  generateInitialState(config = {}, participants) {
+    const drawSize = this.bracket._getDrawSize(participants.length);
+    const byeCount = drawSize - participants.length;
+    const totalRounds = Math.log2(drawSize);
+
+    const sortedParticipants = this.bracket._sortParticipants(participants);
+    const bracketPositions = this.bracket._generateBracketPositions(drawSize);
+    const seededDraw = this.bracket._placeSeedsInBracket(
+      sortedParticipants,
+      bracketPositions,
+      byeCount
+    );
+
+    const state = {
+      format: 'compass',
+      drawSize,
+      byeCount,
+      bracketPositions: seededDraw,
+      currentRound: 1,
+      totalRounds,
+      byePlaces: [],
+      completed: false,
+    };
+
+    const matches = this._generateMatches(state, seededDraw);
+    state.byePlaces = this._resolveByes(state, matches);
+
+    return { state, matches, groups: [] };
+  }
+
+  onMatchResult(state, tournamentMatch, matchResult, groups = [], allMatches = []) {
+    // Update current match with result
+    const updatedMatch = {
+      ...tournamentMatch,
+      status: matchResult.walkover ? 'walkover' : 'completed',
+      completed_at: new Date(),
+      result: {
+        winner_participant_id: matchResult.winner_id,
+        winner_name: matchResult.winner_name,
+        loser_participant_id: matchResult.loser_id,
+        loser_name: matchResult.loser_name,
+        game_scores: matchResult.game_scores,
+        walkover: matchResult.walkover || false,
+        retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
+      },
+    };
+
+    // Working copy of the draw, keyed by match number, that collects every change
+    const working = new Map(allMatches.map((m) => [m.match_number, m]));
+    const changed = new Map([[updatedMatch.match_number, updatedMatch]]);
+    working.set(updatedMatch.match_number, updatedMatch);
+
+    const { winner, loser } = this._getRoute(state, tournamentMatch);
+    if (winner) {
+      this._advance(state, working, changed, winner, matchResult.winner_id, matchResult.winner_name);
+    }
+    if (loser) {
+      this._advance(state, working, changed, loser, matchResult.loser_id, matchResult.loser_name);
+    }
+
+    const effectiveMatches = Array.from(working.values());
+    const newState = {
+      ...state,
+      currentRound: this._getCurrentRound(effectiveMatches, state.totalRounds),
+      completed: effectiveMatches.every((m) => this._isDone(m)),
+    };
+
+    return {
+      state: newState,
+      updatedMatches: Array.from(changed.values()),
+      newMatches: [],
+      tournamentComplete: newState.completed,
+    };
+  }
+
+  /**
+   * Replace a result. A new winner swaps which sections the two players
+   * moved on to, which is only allowed while those matches are unplayed;
+   * otherwise BRACKET_LOCKED.
+   */
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches = []) {
+    return replaceResult(this, state, tournamentMatch, newMatchResult, allMatches);
+  }
+
+  /**
+   * Clear a result back to unplayed, taking both players back out of the
+   * sections they were moved into.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = []) {
+    const working = new Map(allMatches.map((m) => [m.match_number, m]));
+    const changed = unadvance(tournamentMatch, working, (m) => this._getResultFeeds(state, m));
+
+    const updatedMatches = [clearResult(tournamentMatch), ...changed.values()];
+    updatedMatches.forEach((m) => working.set(m.match_number, m));
+    const effectiveMatches = Array.from(working.values());
+    const newState = {
+      ...state,
+      currentRound: this._getCurrentRound(effectiveMatches, state.totalRounds),
+      completed: false,
+    };
+
+    return {
+      state: newState,
+      updatedMatches,
+      newMatches: [],
+      tournamentComplete: false,
+    };
+  }
+
+  getStandings(state, groups = [], allMatches = []) {
+    return {
+      type: 'compass',
+      drawSize: state.drawSize,
+      currentRound: state.currentRound,
+      totalRounds: state.totalRounds,
+      draws: this._generateDrawView(state, allMatches),
+    };
+  }
+
+  getNextPlayableMatches(state, matches) {
+    return this.bracket.getNextPlayableMatches(state, matches);
+  }
+
+  isComplete(state) {
+    return state.completed;
+  }
+
+  getFinalResults(state, groups = [], allMatches = []) {
+    return this._extractFinalPlacements(state, allMatches);
+  }
+
+  // Private helper methods
+
+  _parseMatchNumber(matchNumber) {
+    // "P{bestPlace}R{round}M{number}" → { place, round, number }
+    const parts = /^P(\d+)R(\d+)M(\d+)$/.exec(matchNumber || '');
+    if (!parts) return null;
+    return {
+      place: parseInt(parts[1]),
+      round: parseInt(parts[2]),
+      number: parseInt(parts[3]),
+    };
+  }
+
+  // Number of places a section covers in a given round
+  _getSectionSize(state, round) {
+    return state.drawSize / Math.pow(2, round - 1);
+  }
+
+  _generateMatches(state, seededDraw) {
+    const matches = [];
+
+    for (let i = 0; i < state.drawSize / 2; i++) {
+      const participantA = seededDraw[i * 2];
+      const participantB = seededDraw[i * 2 + 1];
+      matches.push({
+        round: 1,
+        stage: 'main',
+        match_number: `P1R1M${i + 1}`,
+        participant_a: this.bracket._createMatchParticipant(participantA),
+        participant_b: this.bracket._createMatchParticipant(participantB),
+        status: this.bracket._getInitialMatchStatus(participantA, participantB),
+        dependency_matches: [],
+        feeds_to_matches: [],
+      });
+    }
+
+    for (let round = 2; round <= state.totalRounds; round++) {
+      const sectionSize = this._getSectionSize(state, round);
+      for (let place = 1; place <= state.drawSize; place += sectionSize) {
+        for (let i = 0; i < sectionSize / 2; i++) {
+          matches.push({
+            round,
+            stage: 'main',
+            match_number: `P${place}R${round}M${i + 1}`,
+            participant_a: { type: 'tbd', name: 'TBD' },
+            participant_b: { type: 'tbd', name: 'TBD' },
+            status: 'pending',
+            dependency_matches: [],
+            feeds_to_matches: [],
+          });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Walk the draw in round order pushing byes along their fixed path: a bye
+   * loses to anyone, and bye-v-bye matches are cancelled with a bye sent both
+   * ways. First-round bye matches are completed and their winner advanced.
+   * Returns the nominal places that end up taken by byes.
+   */
+  _resolveByes(state, matches) {
+    const byNumber = new Map(matches.map((m) => [m.match_number, m]));
+    const byePlaces = [];
+    const bye = { type: 'bye', name: 'BYE' };
+
+    const sendBye = (target) => {
+      if (target.place) byePlaces.push(target.place);
+      else byNumber.get(target.match_number)[target.slot] = { ...bye };
+    };
+
+    matches.forEach((match) => {
+      const aBye = match.participant_a.type === 'bye';
+      const bBye = match.participant_b.type === 'bye';
+      if (!aBye && !bBye) return;
+
+      const { winner, loser } = this._getRoute(state, match);
+      sendBye(loser);
+      if (aBye && bBye) {
+        match.status = 'cancelled';
+        sendBye(winner);
+        return;
+      }
+
+      const player = aBye ? match.participant_b : match.participant_a;
+      if (player.type !== 'participant') return;
+      match.status = 'completed';
+      match.result = this.bracket._createByeResult(player);
+      if (!winner.place) {
+        const target = byNumber.get(winner.match_number);
+        Object.assign(target, this.bracket._fillSlot(target, winner.slot, player.participant_id, player.name));
+      }
+    });
+
+    return byePlaces.sort((a, b) => a - b);
+  }
+
+  /**
+   * Where a match's winner and loser go next: each either
+   * { match_number, slot } or, after a section's last round, { place }.
+   */
+  _getRoute(state, match) {
+    const parsed = this._parseMatchNumber(match.match_number);
+    if (!parsed) return { winner: null, loser: null };
+    const { place, round, number } = parsed;
+
+    const sectionSize = this._getSectionSize(state, round);
+    const loserPlace = place + sectionSize / 2;
+    if (round === state.totalRounds) {
+      return { winner: { place }, loser: { place: loserPlace } };
+    }
+
+    const slot = number % 2 === 1 ? 'participant_a' : 'participant_b';
+    const nextNumber = Math.ceil(number / 2);
+    return {
+      winner: { match_number: `P${place}R${round + 1}M${nextNumber}`, slot },
+      loser: { match_number: `P${loserPlace}R${round + 1}M${nextNumber}`, slot },
+    };
+  }
+
+  // Every slot a result fills (places after a section's last round aren't slots)
+  _getResultFeeds(state, match) {
+    const { winner, loser } = this._getRoute(state, match);
+    return [
+      { ...winner, takes: 'winner' },
+      { ...loser, takes: 'loser' },
+    ]
+      .filter((feed) => feed.match_number)
+      .map((feed) => ({ ...feed, placeholder: TBD }));
+  }
+
+  /**
+   * Put a participant into their next slot. A slot drawn against a bye is
+   * completed straight away and the participant carried on.
+   * Every touched match is recorded in `changed` and `working`.
+   */
+  _advance(state, working, changed, target, participantId, name) {
+    if (target.place || !participantId) return;
+    const match = working.get(target.match_number);
+    if (!match) return;
+
+    let updated = this.bracket._fillSlot(match, target.slot, participantId, name);
+    const otherSlot = target.slot === 'participant_a' ? 'participant_b' : 'participant_a';
+    const byeWin = updated[otherSlot]?.type === 'bye';
+    if (byeWin) {
+      updated = {
+        ...updated,
+        status: 'completed',
+        result: this.bracket._createByeResult(updated[target.slot]),
+      };
+    }
+
+    working.set(updated.match_number, updated);
+    changed.set(updated.match_number, updated);
+
+    if (byeWin) {
+      const { winner } = this._getRoute(state, updated);
+      this._advance(state, working, changed, winner, participantId, name);
+    }
+  }
+
+  _isDone(match) {
+    return (
+      match.status === 'completed' || match.status === 'walkover' || match.status === 'cancelled'
+    );
+  }
+
+  _getCurrentRound(allMatches, totalRounds) {
+    for (let round = 1; round <= totalRounds; round++) {
+      const roundMatches = allMatches.filter((m) => m.round === round);
+      if (roundMatches.length === 0 || !roundMatches.every((m) => this._isDone(m))) return round;
+    }
+    return totalRounds + 1;
+  }
+
+  _getSectionName(state, place, lastPlace) {
+    return DIRECTIONS[state.drawSize]?.[place] || `Places ${place}-${lastPlace}`;
+  }
+
+  /**
+   * One draw per section, from the round it is formed in: East (every place)
+   * from round 1, West (the bottom half) from round 2, and so on.
+   */
+  _generateDrawView(state, allMatches = []) {
+    const seeds = this.bracket._getSeedLookup(state);
+    const slotName = (slot) => (slot === 'participant_a' ? 'a' : 'b');
+
+    const draws = new Map();
+    allMatches.forEach((match) => {
+      const parsed = this._parseMatchNumber(match.match_number);
+      if (!parsed) return;
+
+      if (!draws.has(parsed.place)) {
+        // The first match seen for a section may not be from its first round
+        let firstRound = 1;
+        while ((parsed.place - 1) % this._getSectionSize(state, firstRound) !== 0) firstRound++;
+        const lastPlace = parsed.place + this._getSectionSize(state, firstRound) - 1;
+        draws.set(parsed.place, {
+          name: this._getSectionName(state, parsed.place, lastPlace),
+          places: { from: parsed.place, to: lastPlace },
+          firstRound,
+          rounds: new Map(),
+        });
+      }
+
+      const node = this.bracket._toBracketNode(state, match, seeds);
+      const { winner, loser } = this._getRoute(state, match);
+      const toFeed = (target) =>
+        target.place
+          ? { place: target.place }
+          : { match_number: target.match_number, slot: slotName(target.slot) };
+      node.position = parsed.number;
+      node.feeds_to = toFeed(winner);
+      node.loser_feeds_to = toFeed(loser);
+
+      const rounds = draws.get(parsed.place).rounds;
+      if (!rounds.has(parsed.round)) rounds.set(parsed.round, []);
+      rounds.get(parsed.round).push(node);
+    });
+
+    return Array.from(draws.values())
+      .sort((a, b) => a.firstRound - b.firstRound || a.places.from - b.places.from)
+      .map(({ rounds, ...draw }) => ({
+        ...draw,
+        rounds: Array.from(rounds.entries())
+          .sort(([a], [b]) => a - b)
+          .map(([round, matches]) => ({
+            round,
+            matches: matches.sort((a, b) => a.position - b.position),
+          })),
+      }));
+  }
+
+  /**
+   * Exact placings from the last-round matches of every section. Places
+   * taken by byes are skipped, so real entrants are ranked 1..N.
+   */
+  _extractFinalPlacements(state, allMatches = []) {
+    const placements = [];
+    const byePlaces = state.byePlaces || [];
+    const toPosition = (place) => place - byePlaces.filter((p) => p < place).length;
+
+    allMatches
+      .filter((m) => m.round === state.totalRounds && m.result && this._isDone(m))
+      .forEach((match) => {
+        const { winner, loser } = this._getRoute(state, match);
+        [
+          [match.result.winner_participant_id, match.result.winner_name, winner.place],
+          [match.result.loser_participant_id, match.result.loser_name, loser.place],
+        ].forEach(([participantId, name, place]) => {
+          if (!participantId) return; // bye
+          const position = toPosition(place);
+          placements.push({
+            position,
+            position_to: position,
+            joint: false,
+            participant_id: participantId,
+            name,
+          });
+        });
+      });
+
+    return placements.sort((a, b) => a.position - b.position);
+  }
+}
+
+module.exports = CompassFormat;
@@ -0,0 +1,518 @@
+const ITournamentFormat = require('../ITournamentFormat');
+const SingleEliminationFormat = require('./SingleEliminationFormat');
+const { TBD, loserQualifier, isPlayed, clearResult, lockedError, unadvance, replaceResult } = require('./resultRevert');
+
+/**
+ * Double Elimination Tournament Format
+ *
+ * Features:
+ * - Winners bracket seeded exactly like single elimination (R1M1, R2M1, …)
+ * - Losers bracket (stage 'losers', LR1M1, …): nobody is knocked out until
+ *   they have lost twice
+ * - Winners-bracket losers drop into alternating (reversed / half-swapped)
+ *   losers-bracket lines so they avoid an early rematch
+ * - Grand final (stage 'final', GF1) between the two bracket winners, with an
+ *   optional reset (GF2) when the losers-bracket player wins the first one
+ *
+ * Losers bracket shape for a draw of 2^k: 2(k-1) rounds. Odd rounds pair up
+ * the survivors (round 1 pairs first-round losers); even rounds bring in the
+ * losers of the next winners round. Winners-bracket byes become byes in the
+ * losers bracket, so a bye-v-bye losers match is cancelled up front.
+ */
+class DoubleEliminationFormat extends ITournamentFormat {
+  constructor() {
+    super();
+    // Seeding, bye placement and bracket helpers are shared with single elimination
+    this.bracket = new SingleEliminationFormat();
+  }
+
+  get id() {
+    return 'double_elimination';
+  }
+
+  get name() {
+    return 'Double Elimination';
+  }
+
+  validateConfig(config, participants) {
+    const errors = [];
+
+    if (!participants || participants.length < 3) {
+      errors.push('At least 3 participants required for double elimination');
+    }
+
+    if (participants && participants.length > 64) {
+      errors.push('Maximum 64 participants supported');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  generateInitialState(config = {}, participants) {
+    const drawSize = this.bracket._getDrawSize(participants.length);
+    const byeCount = drawSize - participants.length;
+    const totalRounds = Math.log2(drawSize);
+
+    const sortedParticipants = this.bracket._sortParticipants(participants);
+    const bracketPositions = this.bracket._generateBracketPositions(drawSize);
+    const seededDraw = this.bracket._placeSeedsInBracket(
+      sortedParticipants,
+      bracketPositions,
+      byeCount
+    );
+
+    const state = {
+      format: 'double_elimination',
+      drawSize,
+      byeCount,
+      bracketPositions: seededDraw,
+      currentRound: 1,
+      totalRounds,
+      losersCurrentRound: 1,
+      losersRounds: 2 * (totalRounds - 1),
+      grandFinalReset: !!config.knockout?.grand_final_reset,
+      completed: false,
+    };
+
+    const winnersMatches = this.bracket._generateInitialMatches(seededDraw, drawSize);
+    const losersMatches = this._generateLosersBracket(state, winnersMatches);
+    const grandFinal = {
+      round: 1,
+      stage: 'final',
+      match_number: 'GF1',
+      participant_a: { type: 'tbd', name: 'TBD' },
+      participant_b: { type: 'tbd', name: 'TBD' },
+      status: 'pending',
+      dependency_matches: [],
+      feeds_to_matches: [],
+    };
+
+    return {
+      state,
+      matches: [...winnersMatches, ...losersMatches, grandFinal],
+      groups: [],
+    };
+  }
+
+  onMatchResult(state, tournamentMatch, matchResult, groups = [], allMatches = []) {
+    const newMatches = [];
+
+    // Update current match with result
+    const updatedMatch = {
+      ...tournamentMatch,
+      status: matchResult.walkover ? 'walkover' : 'completed',
+      completed_at: new Date(),
+      result: {
+        winner_participant_id: matchResult.winner_id,
+        winner_name: matchResult.winner_name,
+        loser_participant_id: matchResult.loser_id,
+        loser_name: matchResult.loser_name,
+        game_scores: matchResult.game_scores,
+        walkover: matchResult.walkover || false,
+        retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
+      },
+    };
+
+    // Working copy of the draw, keyed by match number, that collects every change
+    const working = new Map(allMatches.map((m) => [m.match_number, m]));
+    const changed = new Map([[updatedMatch.match_number, updatedMatch]]);
+    working.set(updatedMatch.match_number, updatedMatch);
+
+    const { winner, loser } = this._getRoute(state, tournamentMatch);
+    if (winner) {
+      this._advance(state, working, changed, winner, matchResult.winner_id, matchResult.winner_name);
+    }
+    if (loser && matchResult.loser_id) {
+      this._advance(state, working, changed, loser, matchResult.loser_id, matchResult.loser_name);
+    }
+
+    // Grand final reset: the losers-bracket player has only inflicted a first defeat
+    if (
+      tournamentMatch.match_number === 'GF1' &&
+      state.grandFinalReset &&
+      this._wonBySlot(updatedMatch, 'participant_b')
+    ) {
+      newMatches.push({
+        round: 2,
+        stage: 'final',
+        match_number: 'GF2',
+        participant_a: { ...tournamentMatch.participant_a },
+        participant_b: { ...tournamentMatch.participant_b },
+        status: 'ready',
+        dependency_matches: [],
+        feeds_to_matches: [],
+      });
+    }
+
+    const newState = this._recalculateProgress(state, Array.from(working.values()));
+
+    return {
+      state: newState,
+      updatedMatches: Array.from(changed.values()),
+      newMatches,
+      tournamentComplete: newState.completed,
+    };
+  }
+
+  /**
+   * Replace a result. A new winner swaps both players' onward places, which
+   * is only allowed while the matches they were moved into (and any grand
+   * final reset) are unplayed; otherwise BRACKET_LOCKED.
+   */
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches = []) {
+    return replaceResult(this, state, tournamentMatch, newMatchResult, allMatches);
+  }
+
+  /**
+   * Clear a result back to unplayed, taking both players back out of the
+   * winners/losers/grand-final slots they were moved into. An unplayed grand
+   * final reset is withdrawn with the first grand final's result.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = []) {
+    const working = new Map(allMatches.map((m) => [m.match_number, m]));
+    const changed = unadvance(tournamentMatch, working, (m) => this._getResultFeeds(state, m));
+
+    const deletedMatchIds = [];
+    const reset = working.get('GF2');
+    if (tournamentMatch.match_number === 'GF1' && reset) {
+      if (isPlayed(reset)) throw lockedError(['GF2']);
+      deletedMatchIds.push(reset._id?.toString());
+      working.delete('GF2');
+    }
+
+    const cleared = clearResult(tournamentMatch);
+    [cleared, ...changed.values()].forEach((m) => working.set(m.match_number, m));
+    const newState = this._recalculateProgress(state, Array.from(working.values()));
+
+    return {
+      state: newState,
+      updatedMatches: [cleared, ...changed.values()],
+      newMatches: [],
+      deletedMatchIds,
+      tournamentComplete: newState.completed,
+    };
+  }
+
+  getStandings(state, groups = [], allMatches = []) {
+    return {
+      type: 'bracket',
+      drawSize: state.drawSize,
+      currentRound: state.currentRound,
+      totalRounds: state.totalRounds,
+      bracket: this._generateBracketView(state, allMatches),
+    };
+  }
+
+  getNextPlayableMatches(state, matches) {
+    return this.bracket.getNextPlayableMatches(state, matches);
+  }
+
+  isComplete(state) {
+    return state.completed;
+  }
+
+  getFinalResults(state, groups = [], allMatches = []) {
+    return this._extractFinalPlacements(state, allMatches);
+  }
+
+  // Private helper methods
+
+  /**
+   * Pre-allocate every losers-bracket match. Slots fed by a winners-bracket
+   * loser are labelled as qualifiers ("Loser R2M1"); slots fed by a
+   * first-round bye are byes, and bye-v-bye matches are cancelled with the
+   * bye carried on to the next losers round.
+   */
+  _generateLosersBracket(state, winnersMatches) {
+    const matches = [];
+    for (let round = 1; round <= state.losersRounds; round++) {
+      const count = state.drawSize / Math.pow(2, Math.ceil(round / 2) + 1);
+      for (let i = 0; i < count; i++) {
+        matches.push({
+          round,
+          stage: 'losers',
+          match_number: `LR${round}M${i + 1}`,
+          participant_a: { type: 'tbd', name: 'TBD' },
+          participant_b: { type: 'tbd', name: 'TBD' },
+          status: 'pending',
+          dependency_matches: [],
+          feeds_to_matches: [],
+        });
+      }
+    }
+    const byNumber = new Map(matches.map((m) => [m.match_number, m]));
+
+    winnersMatches.forEach((match) => {
+      const { loser } = this._getRoute(state, match);
+      const target = loser && byNumber.get(loser.match_number);
+      if (!target) return;
+      target[loser.slot] =
+        match.status === 'completed' && !match.result?.loser_participant_id
+          ? { type: 'bye', name: 'BYE' }
+          : {
+              type: 'qualifier',
+              qualifier: `L:${match.match_number}`,
+              name: `Loser ${match.match_number}`,
+            };
+    });
+
+    // Rounds are in order, so a cancelled match's bye lands before its target is checked
+    matches.forEach((match) => {
+      if (match.participant_a.type !== 'bye' || match.participant_b.type !== 'bye') return;
+      match.status = 'cancelled';
+      const { winner } = this._getRoute(state, match);
+      const target = winner && byNumber.get(winner.match_number);
+      if (target) target[winner.slot] = { type: 'bye', name: 'BYE' };
+    });
+
+    return matches;
+  }
+
+  /**
+   * Where a match's winner and loser go next: { winner, loser }, each either
+   * null or { match_number, slot }.
+   */
+  _getRoute(state, match) {
+    const parsed = this.bracket._parseMatchNumber(match.match_number);
+    if (!parsed) return { winner: null, loser: null };
+    const { round, number } = parsed;
+    const slotFor = (n) => (n % 2 === 1 ? 'participant_a' : 'participant_b');
+
+    if (match.stage === 'main') {
+      const winner =
+        round < state.totalRounds
+          ? { match_number: `R${round + 1}M${Math.ceil(number / 2)}`, slot: slotFor(number) }
+          : { match_number: 'GF1', slot: 'participant_a' };
+      const loser =
+        round === 1
+          ? { match_number: `LR1M${Math.ceil(number / 2)}`, slot: slotFor(number) }
+          : {
+              match_number: `LR${2 * (round - 1)}M${this._getDropPosition(state, round, number)}`,
+              slot: 'participant_b',
+            };
+      return { winner, loser };
+    }
+
+    if (match.stage === 'losers') {
+      let winner;
+      if (round === state.losersRounds) {
+        winner = { match_number: 'GF1', slot: 'participant_b' };
+      } else if (round % 2 === 1) {
+        winner = { match_number: `LR${round + 1}M${number}`, slot: 'participant_a' };
+      } else {
+        winner = { match_number: `LR${round + 1}M${Math.ceil(number / 2)}`, slot: slotFor(number) };
+      }
+      return { winner, loser: null };
+    }
+
+    return { winner: null, loser: null };
+  }
+
+  // Every slot a result fills, with the placeholder it was drawn with
+  _getResultFeeds(state, match) {
+    const { winner, loser } = this._getRoute(state, match);
+    const feeds = [];
+    if (winner) feeds.push({ ...winner, takes: 'winner', placeholder: TBD });
+    if (loser) {
+      feeds.push({ ...loser, takes: 'loser', placeholder: loserQualifier(match.match_number) });
+    }
+    return feeds;
+  }
+
+  /**
+   * Losers-bracket line for the loser of winners match `number` in `round`
+   * (round ≥ 2). Successive drop rounds alternate between reversing the order
+   * and swapping halves, so dropped players meet opponents from the far side
+   * of the draw rather than someone they have just played.
+   */
+  _getDropPosition(state, round, number) {
+    const count = state.drawSize / Math.pow(2, round);
+    if (count === 1) return 1;
+    const dropRound = round - 1;
+    return dropRound % 2 === 1
+      ? count + 1 - number
+      : ((number - 1 + count / 2) % count) + 1;
+  }
+
+  /**
+   * Put a participant into their next slot. A losers-bracket slot drawn
+   * against a bye is completed straight away and the participant carried on.
+   * Every touched match is recorded in `changed` and `working`.
+   */
+  _advance(state, working, changed, target, participantId, name) {
+    const match = working.get(target.match_number);
+    if (!match) return;
+
+    let updated = this.bracket._fillSlot(match, target.slot, participantId, name);
+    const otherSlot = target.slot === 'participant_a' ? 'participant_b' : 'participant_a';
+    const byeWin = updated[otherSlot]?.type === 'bye';
+    if (byeWin) {
+      updated = {
+        ...updated,
+        status: 'completed',
+        result: this.bracket._createByeResult(updated[target.slot]),
+      };
+    }
+
+    working.set(updated.match_number, updated);
+    changed.set(updated.match_number, updated);
+
+    if (byeWin) {
+      const { winner } = this._getRoute(state, updated);
+      if (winner) this._advance(state, working, changed, winner, participantId, name);
+    }
+  }
+
+  _wonBySlot(match, slot) {
+    const winnerId = match.result?.winner_participant_id?.toString();
+    return !!winnerId && winnerId === match[slot]?.participant_id?.toString();
+  }
+
+  _isDone(match) {
+    return (
+      !!match &&
+      (match.status === 'completed' || match.status === 'walkover' || match.status === 'cancelled')
+    );
+  }
+
+  _getCurrentRound(allMatches, stage, totalRounds) {
+    for (let round = 1; round <= totalRounds; round++) {
+      const roundMatches = allMatches.filter((m) => m.stage === stage && m.round === round);
+      if (roundMatches.length === 0 || !roundMatches.every((m) => this._isDone(m))) return round;
+    }
+    return totalRounds + 1;
+  }
+
+  // The grand final that decides the title, once it has been played
+  _getDecidingFinal(state, allMatches) {
+    const gf1 = allMatches.find((m) => m.match_number === 'GF1');
+    const gf2 = allMatches.find((m) => m.match_number === 'GF2');
+    if (gf2) return this._isDone(gf2) ? gf2 : null;
+    if (!this._isDone(gf1) || !gf1.result) return null;
+    if (state.grandFinalReset && this._wonBySlot(gf1, 'participant_b')) return null;
+    return gf1;
+  }
+
+  _recalculateProgress(state, allMatches) {
+    return {
+      ...state,
+      currentRound: this._getCurrentRound(allMatches, 'main', state.totalRounds),
+      losersCurrentRound: this._getCurrentRound(allMatches, 'losers', state.losersRounds),
+      completed: !!this._getDecidingFinal(state, allMatches),
+    };
+  }
+
+  /**
+   * Winners, losers and grand-final sections of the draw sheet, using the
+   * single elimination node shape with double elimination routing.
+   */
+  _generateBracketView(state, allMatches = []) {
+    const seeds = this.bracket._getSeedLookup(state);
+    const slotName = (slot) => (slot === 'participant_a' ? 'a' : 'b');
+    const nodes = allMatches.map((match) => {
+      const node = this.bracket._toBracketNode(state, match, seeds);
+      const { winner, loser } = this._getRoute(state, match);
+      node.feeds_to = winner ? { match_number: winner.match_number, slot: slotName(winner.slot) } : null;
+      node.loser_feeds_to = loser ? { match_number: loser.match_number, slot: slotName(loser.slot) } : null;
+      return node;
+    });
+
+    const nodesByNumber = new Map(nodes.map((node) => [node.match_number, node]));
+    nodes.forEach((node) => {
+      [
+        { target: node.feeds_to, takes: 'winner' },
+        { target: node.loser_feeds_to, takes: 'loser' },
+      ].forEach(({ target, takes }) => {
+        const targetNode = target && nodesByNumber.get(target.match_number);
+        if (!targetNode) return;
+        targetNode.feeds_from.push({ match_number: node.match_number, slot: target.slot, takes });
+      });
+    });
+    nodes.forEach((node) => {
+      node.feeds_from.sort((a, b) => a.slot.localeCompare(b.slot));
+    });
+
+    const buildRounds = (stage, totalRounds, nameFor) =>
+      Array.from({ length: totalRounds }, (_, i) => ({
+        round: i + 1,
+        name: nameFor(i + 1),
+        matches: nodes
+          .filter((node) => node.stage === stage && node.round === i + 1)
+          .sort((a, b) => a.position - b.position),
+      }));
+
+    return {
+      rounds: buildRounds('main', state.totalRounds, (round) =>
+        round === state.totalRounds
+          ? 'Winners Final'
+          : this.bracket._getRoundName(round, state.totalRounds)
+      ),
+      losers: {
+        currentRound: state.losersCurrentRound,
+        totalRounds: state.losersRounds,
+        rounds: buildRounds('losers', state.losersRounds, (round) =>
+          round === state.losersRounds ? 'Losers Final' : `Losers Round ${round}`
+        ),
+      },
+      grand_final: nodes
+        .filter((node) => node.stage === 'final')
+        .sort((a, b) => a.round - b.round),
+    };
+  }
+
+  /**
+   * Grand final → 1st/2nd, losers final → 3rd, and so on back through the
+   * losers bracket: everyone knocked out in the same losers round shares
+   * that round's band. Byes and cancelled matches don't take up places.
+   */
+  _extractFinalPlacements(state, allMatches = []) {
+    const placements = [];
+    const placed = new Set();
+
+    const place = (participantId, name, position, positionTo = position) => {
+      if (!participantId) return; // bye
+      const key = participantId.toString();
+      if (placed.has(key)) return;
+      placed.add(key);
+      placements.push({
+        position,
+        position_to: positionTo,
+        joint: positionTo > position,
+        participant_id: participantId,
+        name,
+      });
+    };
+
+    const final = this._getDecidingFinal(state, allMatches);
+    if (final) {
+      place(final.result.winner_participant_id, final.result.winner_name, 1);
+      place(final.result.loser_participant_id, final.result.loser_name, 2);
+    }
+
+    let position = 3;
+    for (let round = state.losersRounds; round >= 1; round--) {
+      const eliminating = allMatches.filter(
+        (m) =>
+          m.stage === 'losers' &&
+          m.round === round &&
+          m.status !== 'cancelled' &&
+          m.participant_a?.type !== 'bye' &&
+          m.participant_b?.type !== 'bye'
+      );
+      const positionTo = position + eliminating.length - 1;
+      eliminating
+        .filter((m) => this._isDone(m) && m.result)
+        .forEach((m) => place(m.result.loser_participant_id, m.result.loser_name, position, positionTo));
+      position += eliminating.length;
+    }
+
+    return placements.sort((a, b) => a.position - b.position);
+  }
+}
+
+module.exports = DoubleEliminationFormat;
@@ -1,4 +1,5 @@
 const ITournamentFormat = require('../ITournamentFormat');
+const { isBye, isPlayed, clearResult, lockedError } = require('./resultRevert');
 
 /**
  * Monrad (Swiss) Tournament Format
@@ -102,7 +103,7 @@ class MonradFormat extends ITournamentFormat {
 
     const updatedMatch = {
       ...matchData,
-      status: 'completed',
+      status: matchResult.walkover ? 'walkover' : 'completed',
       completed_at: new Date(),
       result: {
         winner_participant_id: matchResult.winner_id,
@@ -112,6 +113,8 @@ class MonradFormat extends ITournamentFormat {
         game_scores: matchResult.game_scores || [],
         walkover: matchResult.walkover || false,
         retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
         ...(matchResult.handicap_starts && { handicap_starts: matchResult.handicap_starts }),
       },
     };
@@ -329,9 +332,10 @@ class MonradFormat extends ITournamentFormat {
   /**
    * Re-process a match result (edit scenario).
    * Reverses old stats, applies new stats, and optionally regenerates
-   * subsequent rounds if none of their matches have been completed yet.
+   * subsequent rounds if none of their matches have been completed yet
+   * (automatic byes don't count as played, and their wins are taken back).
    */
-  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches) {
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches = []) {
     const matchData = tournamentMatch.toObject
       ? tournamentMatch.toObject()
       : { ...tournamentMatch };
@@ -346,6 +350,7 @@ class MonradFormat extends ITournamentFormat {
 
     const updatedMatch = {
       ...matchData,
+      status: newMatchResult.walkover ? 'walkover' : 'completed',
       result: {
         winner_participant_id: newMatchResult.winner_id,
         winner_name: newMatchResult.winner_name,
@@ -354,6 +359,8 @@ class MonradFormat extends ITournamentFormat {
         game_scores: newMatchResult.game_scores || [],
         walkover: newMatchResult.walkover || false,
         retired: newMatchResult.retired || false,
+        ...(newMatchResult.walkover_reason && { walkover_reason: newMatchResult.walkover_reason }),
+        ...(newMatchResult.retirement_reason && { retirement_reason: newMatchResult.retirement_reason }),
         ...(newMatchResult.handicap_starts && {
           handicap_starts: newMatchResult.handicap_starts,
         }),
@@ -362,9 +369,7 @@ class MonradFormat extends ITournamentFormat {
 
     const editedRound = matchData.round;
     const laterMatches = allMatches.filter((m) => m.round > editedRound);
-    const hasCompletedLaterMatch = laterMatches.some(
-      (m) => m.status === 'completed' || m.status === 'walkover'
-    );
+    const hasCompletedLaterMatch = laterMatches.some(isPlayed);
 
     // If no later matches have been completed, delete them and regenerate
     let deletedMatchIds = [];
@@ -372,6 +377,7 @@ class MonradFormat extends ITournamentFormat {
 
     if (!hasCompletedLaterMatch && laterMatches.length > 0) {
       deletedMatchIds = laterMatches.map((m) => m._id?.toString());
+      newState = this._reverseByes(newState, laterMatches.filter(isBye));
 
       // Check if current round is fully complete after this edit
       const thisRoundMatches = allMatches.filter((m) => m.round === editedRound);
@@ -402,6 +408,49 @@ class MonradFormat extends ITournamentFormat {
       updatedMatch,
       deletedMatchIds,
       newMatches,
+      tournamentComplete: !!newState.completed,
+    };
+  }
+
+  /**
+   * Clear a result back to unplayed: its stats are reversed and any later
+   * rounds paired from it are withdrawn, unless one of their matches has
+   * been played.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = []) {
+    const matchData = tournamentMatch.toObject
+      ? tournamentMatch.toObject()
+      : { ...tournamentMatch };
+
+    const laterMatches = allMatches.filter((m) => m.round > matchData.round);
+    const played = laterMatches.filter(isPlayed);
+    if (played.length > 0) throw lockedError(played.map((m) => m.match_number));
+
+    let newState = matchData.result
+      ? this._reverseMatchStats(state, matchData, matchData.result)
+      : state;
+    newState = this._reverseByes(newState, laterMatches.filter(isBye));
+
+    return {
+      state: { ...newState, currentRound: matchData.round, completed: false },
+      updatedMatches: [clearResult(matchData)],
+      newMatches: [],
+      deletedMatchIds: laterMatches.map((m) => m._id?.toString()),
+      tournamentComplete: false,
+    };
+  }
+
+  /**
+   * Take back the automatic wins of bye matches that are being deleted.
+   */
+  _reverseByes(state, byeMatches) {
+    const byePlayerIds = byeMatches.map((m) => m.participant_a?.participant_id?.toString());
+    if (byePlayerIds.length === 0) return state;
+    return {
+      ...state,
+      players: state.players.map((p) =>
+        byePlayerIds.includes(p.id) ? { ...p, wins: p.wins - 1, byes: p.byes - 1 } : p
+      ),
     };
   }
 
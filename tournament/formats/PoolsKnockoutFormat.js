@@ -1,15 +1,33 @@
 const ITournamentFormat = require('../ITournamentFormat');
+const SingleEliminationFormat = require('./SingleEliminationFormat');
+const {
+  DEFAULT_TIEBREAKERS,
+  generateCircleRounds,
+  calculateGroupStandings,
+  isGroupComplete,
+} = require('./groupStandings');
+const { isPlayed, clearResult, lockedError, revertAndRecord } = require('./resultRevert');
 
 /**
  * Pools → Knockout Tournament Format
  *
  * Features:
- * - Phase 1: Round-robin in groups/pools
- * - Phase 2: Top N from each group advance to knockout
- * - Optional consolation/plate for non-qualifiers
- * - Group separation rules for knockout seeding
+ * - Phase 1: Round-robin in groups/pools, ranked like RoundRobinFormat
+ * - Phase 2: Top N from each group advance to a single elimination knockout,
+ *   generated automatically once every pool is complete
+ * - Group separation rules for knockout seeding: pool winners take the top
+ *   seeded lines and later finishers are placed as far from their pool-mates
+ *   as the draw allows
+ *
+ * The knockout bracket itself (advancement, byes, bracket view, placings) is
+ * delegated to SingleEliminationFormat; its state lives in state.knockout.
  */
 class PoolsKnockoutFormat extends ITournamentFormat {
+  constructor() {
+    super();
+    this.knockout = new SingleEliminationFormat();
+  }
+
   get id() {
     return 'pools_knockout';
   }
@@ -30,13 +48,19 @@ class PoolsKnockoutFormat extends ITournamentFormat {
       errors.push('Pool size must be at least 3');
     }
 
+    // Snake distribution leaves pools within one player of each other
+    const groupCount = Math.ceil((participants?.length || 0) / targetGroupSize);
+    const smallestPool = groupCount > 0 ? Math.floor(participants.length / groupCount) : 0;
+    if (groupCount > 0 && smallestPool < 3) {
+      errors.push('Every pool must have at least 3 participants');
+    }
+
     const advancePerGroup = config.groups?.advance_per_group || 2;
-    if (advancePerGroup >= targetGroupSize) {
+    if (advancePerGroup >= Math.min(targetGroupSize, smallestPool || targetGroupSize)) {
       errors.push('Advance count must be less than pool size');
     }
 
-    const totalQualifiers =
-      Math.floor(participants.length / targetGroupSize) * advancePerGroup;
+    const totalQualifiers = groupCount * advancePerGroup;
     if (totalQualifiers < 4) {
       errors.push('Not enough qualifiers for knockout phase');
     }
@@ -69,107 +93,193 @@ class PoolsKnockoutFormat extends ITournamentFormat {
       advancePerGroup,
       totalQualifiers,
       knockoutDrawSize,
+      tiebreakers:
+        config.tiebreakers && config.tiebreakers.length > 0
+          ? [...config.tiebreakers]
+          : DEFAULT_TIEBREAKERS,
       poolsComplete: false,
       knockoutGenerated: false,
+      knockout: null, // SingleEliminationFormat state once the knockout is drawn
       completed: false,
     };
 
     return { state, matches: poolMatches, groups };
   }
 
-  onMatchResult(state, tournamentMatch, matchResult) {
-    const updatedMatches = [];
+  onMatchResult(state, tournamentMatch, matchResult, groups = [], allMatches = []) {
+    if (tournamentMatch.stage !== 'group') {
+      return this._processKnockoutResult(state, tournamentMatch, matchResult, allMatches);
+    }
+
     const newMatches = [];
-    const standingsUpdates = [];
 
     // Update current match with result
     const updatedMatch = {
       ...tournamentMatch,
-      status: 'completed',
+      status: matchResult.walkover ? 'walkover' : 'completed',
       completed_at: new Date(),
       result: {
         winner_participant_id: matchResult.winner_id,
         winner_name: matchResult.winner_name,
         loser_participant_id: matchResult.loser_id,
         loser_name: matchResult.loser_name,
-        game_scores: matchResult.game_scores,
+        game_scores: matchResult.game_scores || [],
         walkover: matchResult.walkover || false,
         retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
+        ...(matchResult.handicap_starts && { handicap_starts: matchResult.handicap_starts }),
       },
     };
-    updatedMatches.push(updatedMatch);
 
-    const newState = { ...state };
+    const matchId = tournamentMatch._id?.toString();
+    const mergedMatches = allMatches.map((m) =>
+      m._id?.toString() === matchId ? updatedMatch : m
+    );
 
-    if (state.phase === 'pools') {
-      // Update pool standings
-      const groupStandings = this._calculatePoolStandings(
-        tournamentMatch.group_id,
-        matchResult
-      );
-      standingsUpdates.push({
-        group_id: tournamentMatch.group_id,
-        standings: groupStandings,
-      });
+    // Recalculate every pool so the knockout draw sees final standings
+    const poolStandings = groups.map((group) => ({
+      group,
+      standings: this._calculatePoolStandings(group, mergedMatches, state.tiebreakers),
+      completed: isGroupComplete(group, mergedMatches),
+    }));
 
-      // Check if all pools are complete
-      if (this._areAllPoolsComplete(newState)) {
-        newState.poolsComplete = true;
+    const groupId = tournamentMatch.group_id?.toString();
+    const standingsUpdates = poolStandings
+      .filter(({ group }) => group._id.toString() === groupId)
+      .map(({ group, standings, completed }) => ({ group_id: group._id, standings, completed }));
 
-        // Generate knockout matches
-        const knockoutMatches = this._generateKnockoutMatches(
-          newState,
-          standingsUpdates
-        );
-        newMatches.push(...knockoutMatches);
+    const newState = { ...state };
 
-        newState.phase = 'knockout';
-        newState.knockoutGenerated = true;
-      }
-    } else {
-      // Knockout phase - advance winner
-      const knockoutUpdates = this._processKnockoutResult(
-        newState,
-        tournamentMatch,
-        matchResult
-      );
-      updatedMatches.push(...knockoutUpdates.updatedMatches);
-      newMatches.push(...knockoutUpdates.newMatches);
+    // Draw the knockout as soon as the last pool match is in
+    if (!state.knockoutGenerated && this._areAllPoolsComplete(poolStandings)) {
+      const knockout = this._generateKnockoutMatches(newState, poolStandings);
+      newMatches.push(...knockout.matches);
 
-      if (knockoutUpdates.tournamentComplete) {
-        newState.completed = true;
-      }
+      newState.poolsComplete = true;
+      newState.phase = 'knockout';
+      newState.knockoutGenerated = true;
+      newState.knockout = knockout.state;
     }
 
     return {
       state: newState,
-      updatedMatches,
+      updatedMatches: [updatedMatch],
       newMatches,
       standingsUpdates,
       tournamentComplete: newState.completed,
     };
   }
 
-  getStandings(state, groups = []) {
+  /**
+   * Replace a result. Knockout edits are checked by the knockout bracket. A
+   * pool edit can change the pool standings, so once the knockout is drawn
+   * it withdraws the draw and makes it again, as long as no knockout match
+   * has been played; otherwise BRACKET_LOCKED.
+   */
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches = [], groups = []) {
+    if (tournamentMatch.stage !== 'group') {
+      const knockoutResult = this.knockout.updateMatchResult(
+        state.knockout,
+        tournamentMatch,
+        newMatchResult,
+        this._getKnockoutMatches(allMatches)
+      );
+      return {
+        state: { ...state, knockout: knockoutResult.state, completed: knockoutResult.tournamentComplete },
+        updatedMatches: knockoutResult.updatedMatches,
+        newMatches: knockoutResult.newMatches || [],
+        standingsUpdates: [],
+        tournamentComplete: knockoutResult.tournamentComplete,
+      };
+    }
+
+    if (!state.knockoutGenerated) {
+      return this.onMatchResult(state, tournamentMatch, newMatchResult, groups, allMatches);
+    }
+    return revertAndRecord(this, state, tournamentMatch, newMatchResult, allMatches, groups);
+  }
+
+  /**
+   * Clear a result back to unplayed. Knockout matches are reverted by the
+   * knockout bracket. Reverting a pool match withdraws the knockout draw it
+   * was seeded into, as long as no knockout match has been played.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = [], groups = []) {
+    if (tournamentMatch.stage !== 'group') {
+      const knockoutResult = this.knockout.revertMatchResult(
+        state.knockout,
+        tournamentMatch,
+        this._getKnockoutMatches(allMatches)
+      );
+      return {
+        state: { ...state, knockout: knockoutResult.state, completed: false },
+        updatedMatches: knockoutResult.updatedMatches,
+        newMatches: [],
+        standingsUpdates: [],
+        tournamentComplete: false,
+      };
+    }
+
+    const knockoutMatches = this._getKnockoutMatches(allMatches);
+    const played = knockoutMatches.filter(isPlayed);
+    if (played.length > 0) throw lockedError(played.map((m) => m.match_number));
+
+    const cleared = clearResult(tournamentMatch);
+    const matchId = tournamentMatch._id?.toString();
+    const mergedMatches = allMatches
+      .filter((m) => m.stage === 'group')
+      .map((m) => (m._id?.toString() === matchId ? cleared : m));
+
+    const groupId = tournamentMatch.group_id?.toString();
+    const standingsUpdates = groups
+      .filter((group) => group._id.toString() === groupId)
+      .map((group) => ({
+        group_id: group._id,
+        standings: this._calculatePoolStandings(group, mergedMatches, state.tiebreakers),
+        completed: false,
+      }));
+
+    return {
+      state: {
+        ...state,
+        phase: 'pools',
+        poolsComplete: false,
+        knockoutGenerated: false,
+        knockout: null,
+        completed: false,
+      },
+      updatedMatches: [cleared],
+      newMatches: [],
+      deletedMatchIds: knockoutMatches.map((m) => m._id?.toString()),
+      standingsUpdates,
+      tournamentComplete: false,
+    };
+  }
+
+  getStandings(state, groups = [], allMatches = []) {
+    const pools = groups.map((group) => ({
+      id: group._id,
+      name: group.name,
+      standings: this._formatPoolStandings(group.standings, state.advancePerGroup),
+      completed: group.completed,
+      qualifiers: group.standings
+        .slice(0, state.advancePerGroup)
+        .map((s) => s.name),
+    }));
+
     if (state.phase === 'pools') {
       return {
         type: 'pools',
         phase: 'pools',
-        groups: groups.map((group) => ({
-          id: group._id,
-          name: group.name,
-          standings: this._formatPoolStandings(group.standings),
-          completed: group.completed,
-          qualifiers: group.standings
-            .slice(0, state.advancePerGroup)
-            .map((s) => s.name),
-        })),
+        groups: pools,
       };
     } else {
       return {
         type: 'knockout',
         phase: 'knockout',
-        bracket: this._generateKnockoutBracket(state),
+        groups: pools,
+        bracket: this._generateKnockoutBracket(state, allMatches),
       };
     }
   }
@@ -182,8 +292,9 @@ class PoolsKnockoutFormat extends ITournamentFormat {
           (match.status === 'ready' || match.status === 'pending')
       );
     } else {
-      return matches.filter(
-        (match) => match.stage === 'main' && match.status === 'ready'
+      return this.knockout.getNextPlayableMatches(
+        state.knockout,
+        this._getKnockoutMatches(matches)
       );
     }
   }
@@ -192,11 +303,11 @@ class PoolsKnockoutFormat extends ITournamentFormat {
     return state.completed;
   }
 
-  getFinalResults(state, groups = []) {
+  getFinalResults(state, groups = [], allMatches = []) {
     const results = [];
 
     // Add knockout results first (higher placements)
-    const knockoutResults = this._getKnockoutResults(state);
+    const knockoutResults = this._getKnockoutResults(state, allMatches);
     results.push(...knockoutResults);
 
     // Add pool results for non-qualifiers
@@ -247,37 +358,33 @@ class PoolsKnockoutFormat extends ITournamentFormat {
   }
 
   _generatePoolMatches(group, groupIndex) {
-    const participants = group.participants;
     const matches = [];
     let matchNumber = 1;
 
-    // Generate all vs all matches
-    for (let i = 0; i < participants.length; i++) {
-      for (let j = i + 1; j < participants.length; j++) {
-        const match = {
-          round: 1, // Pools can be thought of as one "round"
+    generateCircleRounds(group.participants).forEach((pairs, roundIndex) => {
+      pairs.forEach(([participantA, participantB]) => {
+        matches.push({
+          round: roundIndex + 1,
           stage: 'group',
           match_number: `P${groupIndex + 1}M${matchNumber}`,
           group_id: group._id,
           participant_a: {
             type: 'participant',
-            participant_id: participants[i]._id,
-            name: participants[i].name,
+            participant_id: participantA._id,
+            name: participantA.name,
           },
           participant_b: {
             type: 'participant',
-            participant_id: participants[j]._id,
-            name: participants[j].name,
+            participant_id: participantB._id,
+            name: participantB.name,
           },
           status: 'ready',
           dependency_matches: [],
           feeds_to_matches: [],
-        };
-
-        matches.push(match);
+        });
         matchNumber++;
-      }
-    }
+      });
+    });
 
     return matches;
   }
@@ -286,32 +393,133 @@ class PoolsKnockoutFormat extends ITournamentFormat {
     return Math.pow(2, Math.ceil(Math.log2(qualifierCount)));
   }
 
-  _calculatePoolStandings(groupId, matchResult) {
-    // Simplified - would recalculate full pool standings
-    return [];
+  _calculatePoolStandings(group, allMatches, tiebreakers) {
+    return calculateGroupStandings(group, allMatches, tiebreakers);
   }
 
-  _areAllPoolsComplete(state) {
-    // Check if all pool matches are completed
-    return false; // Simplified implementation
+  _areAllPoolsComplete(poolStandings) {
+    return poolStandings.length > 0 && poolStandings.every((pool) => pool.completed);
   }
 
-  _generateKnockoutMatches(state, standings) {
-    // Generate knockout bracket from pool qualifiers
-    // Apply group separation rules
-    return []; // Simplified implementation
+  _getKnockoutMatches(allMatches) {
+    return allMatches.filter((m) => m.stage !== 'group');
   }
 
-  _processKnockoutResult(state, match, result) {
+  /**
+   * Draw the knockout from the pool qualifiers. Returns the matches to create
+   * and the SingleEliminationFormat state that tracks them.
+   */
+  _generateKnockoutMatches(state, poolStandings) {
+    const drawSize = state.knockoutDrawSize;
+    const byeCount = drawSize - state.totalQualifiers;
+    const seededDraw = this._placeQualifiers(poolStandings, state.advancePerGroup, drawSize, byeCount);
+    const matches = this.knockout._generateInitialMatches(seededDraw, drawSize);
+
+    return {
+      matches,
+      state: {
+        format: 'single_elimination',
+        drawSize,
+        byeCount,
+        bracketPositions: seededDraw,
+        currentRound: 1,
+        totalRounds: Math.log2(drawSize),
+        consolationEnabled: false,
+        consolation: null,
+        playoffs: { thirdPlace: false, fifthToEighth: false },
+        completed: false,
+      },
+    };
+  }
+
+  /**
+   * Place qualifiers into the knockout draw, one finishing position at a time
+   * (all pool winners, then all runners-up, ...). Each tier fills the lines
+   * the standard seeding pattern reserves for its seeds; within a tier, each
+   * qualifier takes the line that meets their own pool-mates as late as
+   * possible. Byes go to the top seeds exactly as in single elimination.
+   */
+  _placeQualifiers(poolStandings, advancePerGroup, drawSize, byeCount) {
+    const bracketPositions = this.knockout._generateBracketPositions(drawSize);
+    const draw = new Array(drawSize).fill(null);
+    this.knockout._getByePositions(drawSize, byeCount).forEach((line) => {
+      draw[line] = { type: 'bye', name: 'BYE' };
+    });
+
+    const placedLines = poolStandings.map(() => []);
+    const groupCount = poolStandings.length;
+
+    for (let tier = 0; tier < advancePerGroup; tier++) {
+      const firstSeed = tier * groupCount + 1;
+      const lastSeed = firstSeed + groupCount - 1;
+
+      poolStandings.forEach((pool, poolIndex) => {
+        const standing = pool.standings[tier];
+        const candidates = bracketPositions
+          .map((seed, line) => ({ seed, line }))
+          .filter(({ seed, line }) => seed >= firstSeed && seed <= lastSeed && draw[line] === null);
+
+        const best = candidates.reduce((chosen, candidate) => {
+          const separation = this._getSeparation(candidate.line, placedLines[poolIndex]);
+          if (
+            !chosen ||
+            separation > chosen.separation ||
+            (separation === chosen.separation && candidate.seed < chosen.seed)
+          ) {
+            return { ...candidate, separation };
+          }
+          return chosen;
+        }, null);
+
+        draw[best.line] = {
+          _id: standing.participant_id,
+          name: standing.name,
+          seed: best.seed,
+          pool: pool.group.name,
+          pool_position: tier + 1,
+        };
+        placedLines[poolIndex].push(best.line);
+      });
+    }
+
+    return draw;
+  }
+
+  // The earliest round in which a player on this line could meet any of the
+  // given lines (two lines meet in round floor(log2(a XOR b)) + 1).
+  _getSeparation(line, otherLines) {
+    if (otherLines.length === 0) return Infinity;
+    return Math.min(
+      ...otherLines.map((other) => Math.floor(Math.log2(line ^ other)) + 1)
+    );
+  }
+
+  _processKnockoutResult(state, match, result, allMatches) {
     // Handle knockout advancement
+    const knockoutResult = this.knockout.onMatchResult(
+      state.knockout,
+      match,
+      result,
+      [],
+      this._getKnockoutMatches(allMatches)
+    );
+
+    const newState = {
+      ...state,
+      knockout: knockoutResult.state,
+      completed: knockoutResult.tournamentComplete,
+    };
+
     return {
-      updatedMatches: [],
-      newMatches: [],
-      tournamentComplete: false,
+      state: newState,
+      updatedMatches: knockoutResult.updatedMatches,
+      newMatches: knockoutResult.newMatches,
+      standingsUpdates: [],
+      tournamentComplete: newState.completed,
     };
   }
 
-  _formatPoolStandings(standings) {
+  _formatPoolStandings(standings, advancePerGroup = 2) {
     return standings.map((standing, index) => ({
       position: index + 1,
       participant_id: standing.participant_id,
@@ -319,23 +527,66 @@ class PoolsKnockoutFormat extends ITournamentFormat {
       played: standing.played,
       wins: standing.wins,
       losses: standing.losses,
-      qualified: index < 2, // Assuming top 2 qualify
+      games_won: standing.games_won,
+      games_lost: standing.games_lost,
+      game_differential: standing.games_won - standing.games_lost,
+      points_won: standing.points_won,
+      points_lost: standing.points_lost,
+      point_differential: standing.points_won - standing.points_lost,
+      qualified: index < advancePerGroup,
     }));
   }
 
-  _generateKnockoutBracket(state) {
+  _generateKnockoutBracket(state, allMatches = []) {
+    const knockoutMatches = this._getKnockoutMatches(allMatches);
     return {
-      drawSize: state.knockoutDrawSize,
-      currentRound: 1,
+      drawSize: state.knockout.drawSize,
+      currentRound: state.knockout.currentRound,
+      totalRounds: state.knockout.totalRounds,
+      ...this.knockout._generateBracketView(state.knockout, knockoutMatches),
     };
   }
 
-  _getKnockoutResults(state) {
-    return []; // Extract from knockout bracket
+  _getKnockoutResults(state, allMatches = []) {
+    if (!state.knockout) return [];
+    // With byes in the draw a band can be wider than the qualifiers left to fill
+    // it, so cap it at the last knockout place.
+    return this.knockout
+      ._extractFinalPlacements(state.knockout, this._getKnockoutMatches(allMatches))
+      .map((placement) => {
+        const positionTo = Math.min(placement.position_to, state.totalQualifiers);
+        return { ...placement, position_to: positionTo, joint: positionTo > placement.position };
+      });
   }
 
+  // Non-qualifiers share a band by pool finishing position: every pool's
+  // 3rd-placed player is joint next after the knockout, then every 4th, ...
   _getPoolResults(state, groups) {
-    return []; // Extract from pool standings
+    if (!state.poolsComplete) return [];
+
+    const results = [];
+    let nextPosition = state.totalQualifiers + 1;
+    const deepestPool = Math.max(0, ...groups.map((g) => g.standings.length));
+
+    for (let index = state.advancePerGroup; index < deepestPool; index++) {
+      const band = groups
+        .map((group) => ({ group, standing: group.standings[index] }))
+        .filter(({ standing }) => standing);
+      band.forEach(({ group, standing }) => {
+        results.push({
+          position: nextPosition,
+          position_to: nextPosition + band.length - 1,
+          joint: band.length > 1,
+          participant_id: standing.participant_id,
+          name: standing.name,
+          group: group.name,
+          group_position: index + 1,
+        });
+      });
+      nextPosition += band.length;
+    }
+
+    return results;
   }
 }
 
@@ -1,13 +1,22 @@
 const ITournamentFormat = require('../ITournamentFormat');
+const {
+  DEFAULT_TIEBREAKERS,
+  generateCircleRounds,
+  calculateGroupStandings,
+  isGroupComplete,
+} = require('./groupStandings');
+const { clearResult } = require('./resultRevert');
 
 /**
  * Round Robin Tournament Format
  *
  * Features:
  * - Each player plays every other player once
- * - Comprehensive standings with tiebreakers
+ * - Circle-method scheduling: everyone plays at most once per round
+ * - Standings recalculated from completed matches after every result
+ * - Configurable tiebreaker order (wins, h2h, game_diff, point_diff,
+ *   fewest_walkovers, random)
  * - Support for multiple groups/pools
- * - Standard squash tiebreaker rules
  */
 class RoundRobinFormat extends ITournamentFormat {
   get id() {
@@ -32,6 +41,11 @@ class RoundRobinFormat extends ITournamentFormat {
     const targetGroupSize = config.groups?.target_size || participants.length;
     if (targetGroupSize < 3) {
       errors.push('Group size must be at least 3');
+    } else if (participants.length > targetGroupSize) {
+      const groupCount = Math.ceil(participants.length / targetGroupSize);
+      if (Math.floor(participants.length / groupCount) < 3) {
+        errors.push('Every group must have at least 3 participants');
+      }
     }
 
     return {
@@ -51,68 +65,50 @@ class RoundRobinFormat extends ITournamentFormat {
       matches.push(...groupMatches);
     });
 
+    const largestGroup = Math.max(...groups.map((g) => g.participants.length));
     const state = {
       format: 'round_robin',
-      totalRounds: this._calculateTotalRounds(groupSize),
+      totalRounds: this._calculateTotalRounds(largestGroup),
       currentRound: 1,
       groupCount: groups.length,
-      tiebreakers: config.tiebreakers || [
-        'wins',
-        'h2h',
-        'game_diff',
-        'point_diff',
-        'fewest_walkovers',
-        'random',
-      ],
+      tiebreakers:
+        config.tiebreakers && config.tiebreakers.length > 0
+          ? [...config.tiebreakers]
+          : DEFAULT_TIEBREAKERS,
       completed: false,
     };
 
     return { state, matches, groups };
   }
 
-  onMatchResult(state, tournamentMatch, matchResult) {
-    const updatedMatches = [];
-    const standingsUpdates = [];
-
+  onMatchResult(state, tournamentMatch, matchResult, groups = [], allMatches = []) {
     // Update current match with result
     const updatedMatch = {
       ...tournamentMatch,
-      status: 'completed',
+      status: matchResult.walkover ? 'walkover' : 'completed',
       completed_at: new Date(),
       result: {
         winner_participant_id: matchResult.winner_id,
         winner_name: matchResult.winner_name,
         loser_participant_id: matchResult.loser_id,
         loser_name: matchResult.loser_name,
-        game_scores: matchResult.game_scores,
+        game_scores: matchResult.game_scores || [],
         walkover: matchResult.walkover || false,
         retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
+        ...(matchResult.handicap_starts && { handicap_starts: matchResult.handicap_starts }),
       },
     };
-    updatedMatches.push(updatedMatch);
-
-    // Calculate updated standings for the group
-    const groupStandings = this._calculateGroupStandings(
-      tournamentMatch.group_id,
-      matchResult,
-      state.tiebreakers
-    );
-    standingsUpdates.push({
-      group_id: tournamentMatch.group_id,
-      standings: groupStandings,
-    });
 
-    // Check if tournament is complete
-    const newState = { ...state };
-    newState.completed = this._checkAllGroupsComplete(state);
+    return this._buildResult(state, updatedMatch, groups, allMatches);
+  }
 
-    return {
-      state: newState,
-      updatedMatches,
-      newMatches: [],
-      standingsUpdates,
-      tournamentComplete: newState.completed,
-    };
+  /**
+   * Clear a result back to unplayed and re-rank its group without it.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = [], groups = []) {
+    return this._buildResult(state, clearResult(tournamentMatch), groups, allMatches);
   }
 
   getStandings(state, groups = []) {
@@ -165,6 +161,38 @@ class RoundRobinFormat extends ITournamentFormat {
 
   // Private helper methods
 
+  // Merge the changed match into allMatches and recalculate its group's standings
+  _buildResult(state, updatedMatch, groups, allMatches) {
+    const matchId = updatedMatch._id?.toString();
+    const mergedMatches = allMatches.map((m) =>
+      m._id?.toString() === matchId ? updatedMatch : m
+    );
+
+    // Only the match's own group changes
+    const groupId = updatedMatch.group_id?.toString();
+    const standingsUpdates = groups
+      .filter((group) => group._id.toString() === groupId)
+      .map((group) => ({
+        group_id: group._id,
+        standings: calculateGroupStandings(group, mergedMatches, state.tiebreakers),
+        completed: isGroupComplete(group, mergedMatches),
+      }));
+
+    const newState = {
+      ...state,
+      currentRound: this._getCurrentRound(mergedMatches, state.totalRounds),
+      completed: this._checkAllGroupsComplete(groups, mergedMatches),
+    };
+
+    return {
+      state: newState,
+      updatedMatches: [updatedMatch],
+      newMatches: [],
+      standingsUpdates,
+      tournamentComplete: newState.completed,
+    };
+  }
+
   _createGroups(participants, targetGroupSize) {
     if (participants.length <= targetGroupSize) {
       // Single group
@@ -216,61 +244,53 @@ class RoundRobinFormat extends ITournamentFormat {
   }
 
   _generateRoundRobinFixtures(group, groupIndex) {
-    const participants = group.participants;
     const matches = [];
     let matchNumber = 1;
-    let round = 1;
 
-    // Generate all possible pairings
-    for (let i = 0; i < participants.length; i++) {
-      for (let j = i + 1; j < participants.length; j++) {
-        const match = {
-          round: round,
+    generateCircleRounds(group.participants).forEach((pairs, roundIndex) => {
+      pairs.forEach(([participantA, participantB]) => {
+        matches.push({
+          round: roundIndex + 1,
           stage: 'group',
           match_number: `G${groupIndex + 1}M${matchNumber}`,
           group_id: group._id,
           participant_a: {
             type: 'participant',
-            participant_id: participants[i]._id,
-            name: participants[i].name,
+            participant_id: participantA._id,
+            name: participantA.name,
           },
           participant_b: {
             type: 'participant',
-            participant_id: participants[j]._id,
-            name: participants[j].name,
+            participant_id: participantB._id,
+            name: participantB.name,
           },
           status: 'ready',
           dependency_matches: [],
           feeds_to_matches: [],
-        };
-
-        matches.push(match);
+        });
         matchNumber++;
-
-        // Distribute matches across rounds for better scheduling
-        if (matchNumber % Math.floor(participants.length / 2) === 1) {
-          round++;
-        }
-      }
-    }
+      });
+    });
 
     return matches;
   }
 
   _calculateTotalRounds(groupSize) {
-    // For round robin, total "rounds" is more about match distribution
-    return Math.ceil((groupSize - 1) / 2);
+    // Circle method: N-1 rounds for an even group, N for an odd one (one sits out each round)
+    return groupSize % 2 === 0 ? groupSize - 1 : groupSize;
   }
 
-  _calculateGroupStandings(groupId, matchResult, tiebreakers) {
-    // This would typically fetch all completed matches for the group
-    // and recalculate standings. Simplified for now.
-    return [];
+  _getCurrentRound(allMatches, totalRounds) {
+    const unplayed = allMatches.filter(
+      (m) => m.status !== 'completed' && m.status !== 'walkover'
+    );
+    if (unplayed.length === 0) return totalRounds + 1;
+    return Math.min(...unplayed.map((m) => m.round));
   }
 
-  _checkAllGroupsComplete(state) {
+  _checkAllGroupsComplete(groups, allMatches) {
     // Check if all matches in all groups are completed
-    return false; // Simplified implementation
+    return groups.length > 0 && groups.every((group) => isGroupComplete(group, allMatches));
   }
 
   _formatGroupStandings(standings) {
@@ -292,44 +312,6 @@ class RoundRobinFormat extends ITournamentFormat {
     }));
   }
 
-  _applyTiebreakers(standings, tiebreakers) {
-    return standings.sort((a, b) => {
-      for (const tiebreaker of tiebreakers) {
-        const result = this._compareTiebreaker(a, b, tiebreaker);
-        if (result !== 0) return result;
-      }
-      return 0;
-    });
-  }
-
-  _compareTiebreaker(a, b, tiebreaker) {
-    switch (tiebreaker) {
-      case 'wins':
-        return b.wins - a.wins;
-      case 'h2h':
-        return this._compareHeadToHead(a, b);
-      case 'game_diff':
-        return b.games_won - b.games_lost - (a.games_won - a.games_lost);
-      case 'point_diff':
-        return b.points_won - b.points_lost - (a.points_won - a.points_lost);
-      case 'fewest_walkovers':
-        return a.walkovers_received - b.walkovers_received;
-      case 'random':
-        return Math.random() - 0.5;
-      default:
-        return 0;
-    }
-  }
-
-  _compareHeadToHead(a, b) {
-    // Compare direct matches between these two players
-    if (a.head_to_head && a.head_to_head[b.participant_id]) {
-      const h2h = a.head_to_head[b.participant_id];
-      if (h2h.wins > h2h.losses) return -1;
-      if (h2h.wins < h2h.losses) return 1;
-    }
-    return 0;
-  }
 }
 
 module.exports = RoundRobinFormat;
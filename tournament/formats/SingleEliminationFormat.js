@@ -1,4 +1,12 @@
 const ITournamentFormat = require('../ITournamentFormat');
+const { TBD, loserQualifier, clearResult, unadvance } = require('./resultRevert');
+
+// Positional play-off matches and the exact places their winner/loser take
+const PLAYOFF_PLACES = [
+  { matchNumber: '3V4', winnerPosition: 3, loserPosition: 4 },
+  { matchNumber: '5V6', winnerPosition: 5, loserPosition: 6 },
+  { matchNumber: '7V8', winnerPosition: 7, loserPosition: 8 },
+];
 
 /**
  * Single Elimination Tournament Format
@@ -7,6 +15,7 @@ const ITournamentFormat = require('../ITournamentFormat');
  * - Bracket-style elimination
  * - Automatic bye placement for non-power-of-2 draws
  * - Optional consolation bracket for first-round losers
+ * - Optional positional play-offs for 3rd/4th and 5th-8th
  * - Standard squash seeding (1 vs N, 2 vs N-1, etc.)
  */
 class SingleEliminationFormat extends ITournamentFormat {
@@ -36,6 +45,15 @@ class SingleEliminationFormat extends ITournamentFormat {
       errors.push('Duplicate seeds not allowed');
     }
 
+    // Play-off feeders must be real matches, never byes
+    const playoffs = config?.knockout?.playoffs || {};
+    if (playoffs.third_place && participants.length < 4) {
+      errors.push('3rd/4th play-off requires at least 4 participants');
+    }
+    if (playoffs.fifth_to_eighth && participants.length < 8) {
+      errors.push('5th-8th play-offs require at least 8 participants');
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -60,14 +78,32 @@ class SingleEliminationFormat extends ITournamentFormat {
     // Create initial matches
     const matches = this._generateInitialMatches(seededDraw, drawSize);
 
+    // Consolation (plate) draw for first-round losers, pre-allocated like the main draw
+    const consolationEnabled = config.knockout?.consolation || false;
+    const consolation = consolationEnabled
+      ? this._generateConsolationDraw(seededDraw)
+      : null;
+    if (consolation) {
+      matches.push(...consolation.matches);
+    }
+
+    const totalRounds = Math.log2(drawSize);
+    const playoffs = {
+      thirdPlace: !!config.knockout?.playoffs?.third_place,
+      fifthToEighth: !!config.knockout?.playoffs?.fifth_to_eighth,
+    };
+    matches.push(...this._generatePlayoffMatches(playoffs, totalRounds));
+
     const state = {
       format: 'single_elimination',
       drawSize,
       byeCount,
       bracketPositions: seededDraw,
       currentRound: 1,
-      totalRounds: Math.log2(drawSize),
-      consolationEnabled: config.knockout?.consolation || false,
+      totalRounds,
+      consolationEnabled,
+      consolation: consolation ? consolation.state : null,
+      playoffs,
       completed: false,
     };
 
@@ -79,82 +115,102 @@ class SingleEliminationFormat extends ITournamentFormat {
     const newMatches = [];
 
     // Update current match with result
-    const updatedMatch = {
-      ...tournamentMatch,
-      status: 'completed',
-      completed_at: new Date(),
-      result: {
-        winner_participant_id: matchResult.winner_id,
-        winner_name: matchResult.winner_name,
-        loser_participant_id: matchResult.loser_id,
-        loser_name: matchResult.loser_name,
-        game_scores: matchResult.game_scores,
-        walkover: matchResult.walkover || false,
-        retired: matchResult.retired || false,
-      },
-    };
-    updatedMatches.push(updatedMatch);
-
-    // Advance winner to next round if not final
-    if (tournamentMatch.round < state.totalRounds) {
-      const nextRoundMatch = this._findNextRoundMatch(tournamentMatch, allMatches);
-      if (nextRoundMatch) {
-        const updatedNextMatch = this._updateNextRoundMatch(
-          nextRoundMatch,
-          matchResult.winner_id,
-          matchResult.winner_name,
-          tournamentMatch
-        );
-        updatedMatches.push(updatedNextMatch);
-      }
+    updatedMatches.push(this._completeMatch(tournamentMatch, matchResult));
+
+    // Advance winner to the next round of the same bracket (nothing after a final)
+    const nextRoundMatch = this._findNextRoundMatch(tournamentMatch, allMatches);
+    if (nextRoundMatch) {
+      const updatedNextMatch = this._updateNextRoundMatch(
+        nextRoundMatch,
+        matchResult.winner_id,
+        matchResult.winner_name,
+        tournamentMatch
+      );
+      updatedMatches.push(updatedNextMatch);
     }
 
-    // Handle consolation bracket if enabled and this is first round
+    // Feed first-round losers into the consolation bracket if enabled
     if (
-      state.consolationEnabled &&
+      state.consolation &&
       tournamentMatch.round === 1 &&
       tournamentMatch.stage === 'main'
     ) {
-      const consolationMatch = this._createConsolationMatch(
-        matchResult.loser_id,
-        matchResult.loser_name,
-        tournamentMatch
+      updatedMatches.push(
+        ...this._feedConsolationMatch(
+          state,
+          matchResult.loser_id,
+          matchResult.loser_name,
+          tournamentMatch,
+          allMatches
+        )
       );
-      if (consolationMatch) {
-        newMatches.push(consolationMatch);
-      }
     }
 
-    // Update state — merge allMatches with this round's updates to check completion
-    const effectiveMatches = allMatches.map((m) => {
-      const updated = updatedMatches.find(
-        (u) => u._id && m._id && u._id.toString() === m._id.toString()
+    // Feed semi-final / quarter-final losers into positional play-offs
+    this._getPlayoffFeeds(state, tournamentMatch).forEach(({ matchNumber, slot, takes }) => {
+      const target = allMatches.find(
+        (m) => m.match_number === matchNumber && m.stage === 'playoff'
+      );
+      if (!target) return;
+      updatedMatches.push(
+        takes === 'winner'
+          ? this._fillSlot(target, slot, matchResult.winner_id, matchResult.winner_name)
+          : this._fillSlot(target, slot, matchResult.loser_id, matchResult.loser_name)
       );
-      return updated || m;
     });
-    const newState = { ...state };
-    if (this._isRoundComplete(tournamentMatch.round, effectiveMatches)) {
-      newState.currentRound += 1;
+
+    return this._buildResult(state, allMatches, updatedMatches, newMatches);
+  }
+
+  /**
+   * Edit a completed result. If the winner changes, the players already
+   * moved on (next round, consolation draw, play-offs) are swapped for the
+   * new winner/loser — unless a match they were moved into has been played,
+   * in which case the edit fails with BRACKET_LOCKED.
+   */
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches = []) {
+    const previousWinnerId = tournamentMatch.result?.winner_participant_id?.toString();
+    const winnerChanged = previousWinnerId !== newMatchResult.winner_id?.toString();
+
+    if (winnerChanged) {
+      const played = this._getDownstreamMatches(state, tournamentMatch, allMatches).filter(
+        (m) => m.status === 'completed' || m.status === 'walkover'
+      );
+      if (played.length > 0) {
+        const error = new Error(
+          `Cannot change this result: ${played.map((m) => m.match_number).join('/')} has already been played. Reset it first.`
+        );
+        error.code = 'BRACKET_LOCKED';
+        throw error;
+      }
     }
 
-    newState.completed = this._checkTournamentComplete(newState);
+    if (!winnerChanged) {
+      // Nobody moves: only the score itself changes
+      return this._buildResult(state, allMatches, [this._completeMatch(tournamentMatch, newMatchResult)]);
+    }
+    return this.onMatchResult(state, tournamentMatch, newMatchResult, [], allMatches);
+  }
 
-    return {
-      state: newState,
-      updatedMatches,
-      newMatches,
-      tournamentComplete: newState.completed,
-    };
+  /**
+   * Clear a result back to unplayed, taking the winner (and loser, for the
+   * consolation draw and play-offs) back out of the slots they were moved
+   * into. Fails with BRACKET_LOCKED once one of those matches has been played.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = []) {
+    const working = new Map(allMatches.map((m) => [m.match_number, m]));
+    const changed = unadvance(tournamentMatch, working, (m) => this._getResultFeeds(state, m));
+    return this._buildResult(state, allMatches, [clearResult(tournamentMatch), ...changed.values()]);
   }
 
-  getStandings(state, groups = []) {
+  getStandings(state, groups = [], allMatches = []) {
     // For single elimination, standings are the bracket structure
     return {
       type: 'bracket',
       drawSize: state.drawSize,
       currentRound: state.currentRound,
       totalRounds: state.totalRounds,
-      bracket: this._generateBracketView(state),
+      bracket: this._generateBracketView(state, allMatches),
     };
   }
 
@@ -162,7 +218,7 @@ class SingleEliminationFormat extends ITournamentFormat {
     return matches.filter(
       (match) =>
         match.status === 'ready' ||
-        (match.status === 'pending' && this._isMatchReady(match, matches))
+        (match.status === 'pending' && this._isMatchReady(match))
     );
   }
 
@@ -170,9 +226,9 @@ class SingleEliminationFormat extends ITournamentFormat {
     return state.completed;
   }
 
-  getFinalResults(state, groups = []) {
+  getFinalResults(state, groups = [], allMatches = []) {
     // Extract final placements from completed bracket
-    return this._extractFinalPlacements(state);
+    return this._extractFinalPlacements(state, allMatches);
   }
 
   // Private helper methods
@@ -206,36 +262,40 @@ class SingleEliminationFormat extends ITournamentFormat {
     return this._generateSeededPositions(drawSize);
   }
 
+  // Double the draw half the size: each seed keeps its line and meets the
+  // seed that makes the pair add up to drawSize + 1, alternating which of the
+  // two is on top so seeds 1 and 2 stay at opposite ends
   _generateSeededPositions(drawSize) {
-    const positions = new Array(drawSize);
-    positions[0] = 1;
-    positions[drawSize - 1] = 2;
-
-    let nextSeed = 3;
-    for (let round = 2; round < Math.log2(drawSize); round++) {
-      const step = drawSize / Math.pow(2, round);
-      for (let i = step / 2; i < drawSize; i += step) {
-        if (!positions[i]) {
-          positions[i] = nextSeed++;
-        }
-      }
-    }
+    if (drawSize <= 2) return [1, 2].slice(0, drawSize);
 
-    return positions;
+    return this._generateBracketPositions(drawSize / 2).flatMap((seed, i) =>
+      i % 2 === 0 ? [seed, drawSize + 1 - seed] : [drawSize + 1 - seed, seed]
+    );
   }
 
   _placeSeedsInBracket(participants, bracketPositions, byeCount) {
     const draw = new Array(bracketPositions.length).fill(null);
 
+    // Reserve byes for the highest seeds first, so unseeded participants
+    // can never be dropped into a bye slot (which would leave a BYE v BYE match)
+    const byePositions = this._getByePositions(
+      bracketPositions.length,
+      byeCount
+    );
+    byePositions.forEach((pos) => {
+      draw[pos] = { type: 'bye', name: 'BYE' };
+    });
+
     // Place seeded participants
     for (let i = 0; i < participants.length; i++) {
       const participant = participants[i];
-      let position;
+      let position = -1;
 
       if (participant.seed && participant.seed <= bracketPositions.length) {
         // Find position for this seed
         position = bracketPositions.indexOf(participant.seed);
-      } else {
+      }
+      if (position === -1 || draw[position] !== null) {
         // Find next available position
         position = draw.findIndex((pos) => pos === null);
       }
@@ -243,17 +303,6 @@ class SingleEliminationFormat extends ITournamentFormat {
       draw[position] = participant;
     }
 
-    // Place byes for highest seeds
-    const byePositions = this._getByePositions(
-      bracketPositions.length,
-      byeCount
-    );
-    byePositions.forEach((pos) => {
-      if (!draw[pos]) {
-        draw[pos] = { type: 'bye', name: 'BYE' };
-      }
-    });
-
     return draw;
   }
 
@@ -275,7 +324,7 @@ class SingleEliminationFormat extends ITournamentFormat {
     return positions;
   }
 
-  _generateInitialMatches(seededDraw, drawSize) {
+  _generateInitialMatches(seededDraw, drawSize, stage = 'main', prefix = '') {
     const totalRounds = Math.log2(drawSize);
     const matches = [];
 
@@ -284,16 +333,24 @@ class SingleEliminationFormat extends ITournamentFormat {
     for (let i = 0; i < r1Count; i++) {
       const participantA = seededDraw[i * 2];
       const participantB = seededDraw[i * 2 + 1];
-      matches.push({
+      const match = {
         round: 1,
-        stage: 'main',
-        match_number: `R1M${i + 1}`,
+        stage,
+        match_number: `${prefix}R1M${i + 1}`,
         participant_a: this._createMatchParticipant(participantA),
         participant_b: this._createMatchParticipant(participantB),
         status: this._getInitialMatchStatus(participantA, participantB),
         dependency_matches: [],
         feeds_to_matches: [],
-      });
+      };
+      if (match.status === 'completed') {
+        match.result = this._createByeResult(
+          match.participant_a.type === 'participant'
+            ? match.participant_a
+            : match.participant_b
+        );
+      }
+      matches.push(match);
     }
 
     // Later rounds: TBD pending matches (bracket slots pre-allocated)
@@ -302,8 +359,8 @@ class SingleEliminationFormat extends ITournamentFormat {
       for (let i = 0; i < roundCount; i++) {
         matches.push({
           round,
-          stage: 'main',
-          match_number: `R${round}M${i + 1}`,
+          stage,
+          match_number: `${prefix}R${round}M${i + 1}`,
           participant_a: { type: 'tbd', name: 'TBD' },
           participant_b: { type: 'tbd', name: 'TBD' },
           status: 'pending',
@@ -313,9 +370,89 @@ class SingleEliminationFormat extends ITournamentFormat {
       }
     }
 
+    // Participants with a first-round bye go straight into their Round 2 slot
+    matches
+      .filter((m) => m.round === 1 && m.result)
+      .forEach((byeMatch) => {
+        const nextMatch = this._findNextRoundMatch(byeMatch, matches);
+        if (!nextMatch) return;
+        matches[matches.indexOf(nextMatch)] = this._updateNextRoundMatch(
+          nextMatch,
+          byeMatch.result.winner_participant_id,
+          byeMatch.result.winner_name,
+          byeMatch
+        );
+      });
+
     return matches;
   }
 
+  /**
+   * Build the consolation (plate) draw from the real first-round matches of
+   * the main draw. Each first-round loser enters as a qualifier ("L:R1M3"),
+   * seeded by the best seed that was in their first-round match, with byes
+   * protecting the top consolation seeds exactly as in the main draw.
+   * Returns null when fewer than two first-round losers are possible.
+   */
+  _generateConsolationDraw(seededDraw) {
+    const feeders = [];
+    for (let i = 0; i < seededDraw.length / 2; i++) {
+      const participantA = seededDraw[i * 2];
+      const participantB = seededDraw[i * 2 + 1];
+      if (this._isBye(participantA) || this._isBye(participantB)) continue;
+      feeders.push({
+        match_number: `R1M${i + 1}`,
+        topSeed: Math.min(participantA.seed || 999, participantB.seed || 999),
+        order: i,
+      });
+    }
+
+    if (feeders.length < 2) return null;
+
+    feeders.sort((a, b) => a.topSeed - b.topSeed || a.order - b.order);
+    const entrants = feeders.map((feeder, i) => ({
+      type: 'qualifier',
+      qualifier: `L:${feeder.match_number}`,
+      name: `Loser ${feeder.match_number}`,
+      seed: i + 1,
+      feeder: feeder.match_number,
+    }));
+
+    const drawSize = this._getDrawSize(entrants.length);
+    const draw = this._placeSeedsInBracket(
+      entrants,
+      this._generateBracketPositions(drawSize),
+      drawSize - entrants.length
+    );
+    const matches = this._generateInitialMatches(
+      draw,
+      drawSize,
+      'consolation',
+      'C'
+    );
+
+    // Main first-round match number → consolation slot its loser drops into
+    const feeds = {};
+    draw.forEach((entrant, position) => {
+      if (!entrant || entrant.type !== 'qualifier') return;
+      feeds[entrant.feeder] = {
+        match_number: `CR1M${Math.floor(position / 2) + 1}`,
+        slot: position % 2 === 0 ? 'participant_a' : 'participant_b',
+      };
+    });
+
+    return {
+      matches,
+      state: {
+        drawSize,
+        byeCount: drawSize - entrants.length,
+        totalRounds: Math.log2(drawSize),
+        currentRound: 1,
+        feeds,
+      },
+    };
+  }
+
   _createMatchParticipant(participant) {
     if (!participant) {
       return { type: 'bye', name: 'BYE' };
@@ -325,6 +462,14 @@ class SingleEliminationFormat extends ITournamentFormat {
       return { type: 'bye', name: 'BYE' };
     }
 
+    if (participant.type === 'qualifier') {
+      return {
+        type: 'qualifier',
+        qualifier: participant.qualifier,
+        name: participant.name,
+      };
+    }
+
     return {
       type: 'participant',
       participant_id: participant._id,
@@ -332,26 +477,88 @@ class SingleEliminationFormat extends ITournamentFormat {
     };
   }
 
+  _isBye(participant) {
+    return !participant || participant.type === 'bye';
+  }
+
   _getInitialMatchStatus(participantA, participantB) {
-    if (
-      !participantA ||
-      !participantB ||
-      participantA.type === 'bye' ||
-      participantB.type === 'bye'
-    ) {
-      return 'completed'; // Auto-advance byes
+    if (this._isBye(participantA) || this._isBye(participantB)) {
+      // Auto-advance byes, unless the opponent is a qualifier still to be decided
+      const opponent = this._isBye(participantA) ? participantB : participantA;
+      return opponent && opponent.type === 'qualifier' ? 'pending' : 'completed';
+    }
+    if (participantA.type === 'qualifier' || participantB.type === 'qualifier') {
+      return 'pending';
     }
     return 'ready';
   }
 
-  _findNextRoundMatch(currentMatch, allMatches) {
-    // Parse "RxMy" → match number y
-    const parts = currentMatch.match_number.match(/R\d+M(\d+)/);
+  _createByeResult(participant) {
+    return {
+      winner_participant_id: participant.participant_id,
+      winner_name: participant.name,
+      loser_participant_id: null,
+      loser_name: 'BYE',
+      game_scores: [],
+      walkover: true,
+      walkover_reason: 'Bye',
+    };
+  }
+
+  _completeMatch(tournamentMatch, matchResult) {
+    return {
+      ...tournamentMatch,
+      status: matchResult.walkover ? 'walkover' : 'completed',
+      completed_at: new Date(),
+      result: {
+        winner_participant_id: matchResult.winner_id,
+        winner_name: matchResult.winner_name,
+        loser_participant_id: matchResult.loser_id,
+        loser_name: matchResult.loser_name,
+        game_scores: matchResult.game_scores,
+        walkover: matchResult.walkover || false,
+        retired: matchResult.retired || false,
+        ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
+        ...(matchResult.retirement_reason && { retirement_reason: matchResult.retirement_reason }),
+      },
+    };
+  }
+
+  // Merge this result's updates into the match list and recompute progress
+  _buildResult(state, allMatches, updatedMatches, newMatches = []) {
+    const effectiveMatches = allMatches.map((m) => {
+      const updated = updatedMatches.find(
+        (u) => u._id && m._id && u._id.toString() === m._id.toString()
+      );
+      return updated || m;
+    });
+    const newState = this._recalculateProgress(state, effectiveMatches);
+
+    return {
+      state: newState,
+      updatedMatches,
+      newMatches,
+      tournamentComplete: newState.completed,
+    };
+  }
+
+  _parseMatchNumber(matchNumber) {
+    // "RxMy" (main) or "CRxMy" (consolation) → { prefix, round, number }
+    const parts = /^([A-Z]*)R(\d+)M(\d+)$/.exec(matchNumber || '');
     if (!parts) return null;
-    const currentMatchNum = parseInt(parts[1]);
+    return {
+      prefix: parts[1],
+      round: parseInt(parts[2]),
+      number: parseInt(parts[3]),
+    };
+  }
+
+  _findNextRoundMatch(currentMatch, allMatches) {
+    const parsed = this._parseMatchNumber(currentMatch.match_number);
+    if (!parsed) return null;
     const nextRound = currentMatch.round + 1;
-    const nextMatchNum = Math.ceil(currentMatchNum / 2);
-    const nextMatchNumber = `R${nextRound}M${nextMatchNum}`;
+    const nextMatchNum = Math.ceil(parsed.number / 2);
+    const nextMatchNumber = `${parsed.prefix}R${nextRound}M${nextMatchNum}`;
     return allMatches.find(
       (m) => m.match_number === nextMatchNumber && m.round === nextRound
     ) || null;
@@ -359,16 +566,19 @@ class SingleEliminationFormat extends ITournamentFormat {
 
   _updateNextRoundMatch(nextMatch, winnerId, winnerName, sourceMatch) {
     // Odd-numbered matches feed into slot A, even-numbered into slot B
-    const parts = sourceMatch.match_number.match(/R\d+M(\d+)/);
-    const currentMatchNum = parts ? parseInt(parts[1]) : 1;
+    const parsed = this._parseMatchNumber(sourceMatch.match_number);
+    const currentMatchNum = parsed ? parsed.number : 1;
     const participantSlot = currentMatchNum % 2 === 1 ? 'participant_a' : 'participant_b';
+    return this._fillSlot(nextMatch, participantSlot, winnerId, winnerName);
+  }
 
+  _fillSlot(match, participantSlot, participantId, name) {
     const updated = {
-      ...nextMatch,
+      ...match,
       [participantSlot]: {
         type: 'participant',
-        participant_id: winnerId,
-        name: winnerName,
+        participant_id: participantId,
+        name,
       },
     };
 
@@ -381,14 +591,175 @@ class SingleEliminationFormat extends ITournamentFormat {
     return updated;
   }
 
-  _createConsolationMatch(loserId, loserName, sourceMatch) {
-    // Implementation for consolation bracket
-    return null; // Simplified for MVP
+  /**
+   * Drop a first-round loser into their pre-allocated consolation slot.
+   * If that slot is drawn against a bye, the bye is completed straight away
+   * and the loser advances to consolation Round 2.
+   * Returns the consolation matches that changed.
+   */
+  _feedConsolationMatch(state, loserId, loserName, sourceMatch, allMatches) {
+    const feed = state.consolation.feeds[sourceMatch.match_number];
+    if (!feed || !loserId) return [];
+
+    const target = allMatches.find(
+      (m) => m.match_number === feed.match_number && m.stage === 'consolation'
+    );
+    if (!target) return [];
+
+    const otherSlot = feed.slot === 'participant_a' ? 'participant_b' : 'participant_a';
+    const entrant = {
+      type: 'participant',
+      participant_id: loserId,
+      name: loserName,
+    };
+    const updated = { ...target, [feed.slot]: entrant };
+
+    if (target[otherSlot]?.type !== 'bye') {
+      updated.status =
+        target[otherSlot]?.type === 'participant' ? 'ready' : 'pending';
+      return [updated];
+    }
+
+    updated.status = 'completed';
+    updated.completed_at = new Date();
+    updated.result = this._createByeResult(entrant);
+
+    const nextMatch = this._findNextRoundMatch(updated, allMatches);
+    if (!nextMatch) return [updated];
+    return [
+      updated,
+      this._updateNextRoundMatch(nextMatch, loserId, loserName, updated),
+    ];
+  }
+
+  /**
+   * The matches a result moves players into. A consolation slot drawn
+   * against a bye is completed automatically, so the match after it is the
+   * one that counts.
+   */
+  _getDownstreamMatches(state, match, allMatches) {
+    const byNumber = (matchNumber, stage) =>
+      allMatches.find((m) => m.match_number === matchNumber && m.stage === stage);
+    const downstream = [this._findNextRoundMatch(match, allMatches)];
+
+    const feed = state.consolation?.feeds?.[match.match_number];
+    if (feed && match.round === 1 && match.stage === 'main') {
+      const target = byNumber(feed.match_number, 'consolation');
+      const otherSlot = feed.slot === 'participant_a' ? 'participant_b' : 'participant_a';
+      downstream.push(
+        target?.[otherSlot]?.type === 'bye' ? this._findNextRoundMatch(target, allMatches) : target
+      );
+    }
+
+    this._getPlayoffFeeds(state, match).forEach(({ matchNumber }) => {
+      downstream.push(byNumber(matchNumber, 'playoff'));
+    });
+
+    return downstream.filter(Boolean);
+  }
+
+  // Every slot a result fills, with the placeholder it was drawn with
+  _getResultFeeds(state, match) {
+    const slotFor = (number) => (number % 2 === 1 ? 'participant_a' : 'participant_b');
+    const feeds = [];
+
+    // Winner to the next round of the same bracket (a final's has no match)
+    const parsed = this._parseMatchNumber(match.match_number);
+    if (parsed) {
+      feeds.push({
+        match_number: `${parsed.prefix}R${parsed.round + 1}M${Math.ceil(parsed.number / 2)}`,
+        slot: slotFor(parsed.number),
+        takes: 'winner',
+        placeholder: TBD,
+      });
+    }
+
+    const consolationFeed = state.consolation?.feeds?.[match.match_number];
+    if (consolationFeed && match.round === 1 && match.stage === 'main') {
+      feeds.push({
+        match_number: consolationFeed.match_number,
+        slot: consolationFeed.slot,
+        takes: 'loser',
+        placeholder: loserQualifier(match.match_number),
+      });
+    }
+
+    this._getPlayoffFeeds(state, match).forEach(({ matchNumber, slot, takes }) => {
+      feeds.push({ match_number: matchNumber, slot, takes, placeholder: TBD });
+    });
+
+    return feeds;
+  }
+
+  _generatePlayoffMatches(playoffs, totalRounds) {
+    const playoffMatch = (round, matchNumber) => ({
+      round,
+      stage: 'playoff',
+      match_number: matchNumber,
+      participant_a: { type: 'tbd', name: 'TBD' },
+      participant_b: { type: 'tbd', name: 'TBD' },
+      status: 'pending',
+      dependency_matches: [],
+      feeds_to_matches: [],
+    });
+
+    const matches = [];
+    if (playoffs.thirdPlace && totalRounds >= 2) {
+      matches.push(playoffMatch(totalRounds, '3V4'));
+    }
+    if (playoffs.fifthToEighth && totalRounds >= 3) {
+      matches.push(
+        playoffMatch(totalRounds - 1, '5-8-SF1'),
+        playoffMatch(totalRounds - 1, '5-8-SF2'),
+        playoffMatch(totalRounds, '5V6'),
+        playoffMatch(totalRounds, '7V8')
+      );
+    }
+    return matches;
+  }
+
+  /**
+   * Which play-off slots a completed match feeds:
+   * semi-final losers → 3V4, quarter-final losers → 5-8 semis,
+   * 5-8 semi winners → 5V6 and losers → 7V8.
+   * Returns [{ matchNumber, slot, takes: 'winner' | 'loser' }].
+   */
+  _getPlayoffFeeds(state, match) {
+    const playoffs = state.playoffs || {};
+    const slotFor = (number) => (number % 2 === 1 ? 'participant_a' : 'participant_b');
+
+    if (match.stage === 'main') {
+      const parsed = this._parseMatchNumber(match.match_number);
+      if (!parsed) return [];
+      if (playoffs.thirdPlace && match.round === state.totalRounds - 1) {
+        return [{ matchNumber: '3V4', slot: slotFor(parsed.number), takes: 'loser' }];
+      }
+      if (playoffs.fifthToEighth && match.round === state.totalRounds - 2) {
+        return [
+          {
+            matchNumber: `5-8-SF${Math.ceil(parsed.number / 2)}`,
+            slot: slotFor(parsed.number),
+            takes: 'loser',
+          },
+        ];
+      }
+      return [];
+    }
+
+    if (match.stage === 'playoff' && match.match_number.startsWith('5-8-SF')) {
+      const slot = match.match_number === '5-8-SF1' ? 'participant_a' : 'participant_b';
+      return [
+        { matchNumber: '5V6', slot, takes: 'winner' },
+        { matchNumber: '7V8', slot, takes: 'loser' },
+      ];
+    }
+
+    return [];
   }
 
-  _isRoundComplete(round, allMatches) {
+  _isRoundComplete(round, allMatches, stage = 'main') {
     const roundMatches = allMatches.filter(
-      (m) => m.round === round && m.stage === 'main'
+      (m) => m.round === round && m.stage === stage
     );
     if (roundMatches.length === 0) return false;
     return roundMatches.every(
@@ -396,32 +767,252 @@ class SingleEliminationFormat extends ITournamentFormat {
     );
   }
 
+  _getCurrentRound(allMatches, stage, totalRounds) {
+    for (let round = 1; round <= totalRounds; round++) {
+      if (!this._isRoundComplete(round, allMatches, stage)) return round;
+    }
+    return totalRounds + 1;
+  }
+
+  /**
+   * Recompute round counters and completion for both brackets from the
+   * current match list, rather than incrementing on each result.
+   */
+  _recalculateProgress(state, allMatches) {
+    const newState = {
+      ...state,
+      currentRound: this._getCurrentRound(allMatches, 'main', state.totalRounds),
+    };
+    if (state.consolation) {
+      newState.consolation = {
+        ...state.consolation,
+        currentRound: this._getCurrentRound(
+          allMatches,
+          'consolation',
+          state.consolation.totalRounds
+        ),
+      };
+    }
+    // Positional play-offs must also be played out
+    const playoffsComplete = allMatches
+      .filter((m) => m.stage === 'playoff')
+      .every((m) => m.status === 'completed' || m.status === 'walkover');
+    newState.completed =
+      this._checkTournamentComplete(newState) && playoffsComplete;
+    return newState;
+  }
+
   _checkTournamentComplete(state) {
-    return state.currentRound > state.totalRounds;
+    const mainComplete = state.currentRound > state.totalRounds;
+    if (!state.consolation) return mainComplete;
+    return (
+      mainComplete &&
+      state.consolation.currentRound > state.consolation.totalRounds
+    );
+  }
+
+  /**
+   * Full draw sheet for the frontend: every round and slot of the main draw
+   * (and consolation draw / play-offs when enabled), with seeds, scores, bye
+   * markers, and the matches each one feeds from and into.
+   */
+  _generateBracketView(state, allMatches = []) {
+    const seeds = this._getSeedLookup(state);
+    const nodes = allMatches.map((match) => this._toBracketNode(state, match, seeds));
+
+    // Link each feeder into the feeds_from list of the match it feeds
+    const nodesByNumber = new Map(nodes.map((node) => [node.match_number, node]));
+    nodes.forEach((node) => {
+      [
+        { target: node.feeds_to, takes: 'winner' },
+        { target: node.loser_feeds_to, takes: 'loser' },
+      ].forEach(({ target, takes }) => {
+        const targetNode = target && nodesByNumber.get(target.match_number);
+        if (!targetNode) return;
+        targetNode.feeds_from.push({ match_number: node.match_number, slot: target.slot, takes });
+      });
+    });
+    nodes.forEach((node) => {
+      node.feeds_from.sort((a, b) => a.slot.localeCompare(b.slot));
+    });
+
+    const buildRounds = (stage, totalRounds) =>
+      Array.from({ length: totalRounds }, (_, i) => ({
+        round: i + 1,
+        name: this._getRoundName(i + 1, totalRounds),
+        matches: nodes
+          .filter((node) => node.stage === stage && node.round === i + 1)
+          .sort((a, b) => a.position - b.position),
+      }));
+
+    return {
+      rounds: buildRounds('main', state.totalRounds),
+      consolation: state.consolation
+        ? {
+            drawSize: state.consolation.drawSize,
+            currentRound: state.consolation.currentRound,
+            totalRounds: state.consolation.totalRounds,
+            rounds: buildRounds('consolation', state.consolation.totalRounds),
+          }
+        : null,
+      playoffs: nodes.filter((node) => node.stage === 'playoff'),
+    };
+  }
+
+  _getRoundName(round, totalRounds) {
+    const remaining = totalRounds - round;
+    if (remaining === 0) return 'Final';
+    if (remaining === 1) return 'Semi-finals';
+    if (remaining === 2) return 'Quarter-finals';
+    return `Round of ${Math.pow(2, remaining + 1)}`;
+  }
+
+  _getSeedLookup(state) {
+    // participant id → seed, from the entrants placed in the main draw
+    const seeds = new Map();
+    (state.bracketPositions || []).forEach((entrant) => {
+      if (entrant && entrant._id && entrant.seed) {
+        seeds.set(entrant._id.toString(), entrant.seed);
+      }
+    });
+    return seeds;
   }
 
-  _generateBracketView(state) {
+  _toBracketNode(state, match, seeds) {
+    const parsed = this._parseMatchNumber(match.match_number);
+    const slotName = (slot) => (slot === 'participant_a' ? 'a' : 'b');
+
+    // Winner advances along the bracket (or a play-off route)
+    let feedsTo = null;
+    let loserFeedsTo = null;
+    const nextRound = match.round + 1;
+    const stageRounds =
+      match.stage === 'consolation' ? state.consolation?.totalRounds : state.totalRounds;
+    if (parsed && (match.stage === 'main' || match.stage === 'consolation') && match.round < stageRounds) {
+      feedsTo = {
+        match_number: `${parsed.prefix}R${nextRound}M${Math.ceil(parsed.number / 2)}`,
+        slot: parsed.number % 2 === 1 ? 'a' : 'b',
+      };
+    }
+    this._getPlayoffFeeds(state, match).forEach(({ matchNumber, slot, takes }) => {
+      const target = { match_number: matchNumber, slot: slotName(slot) };
+      if (takes === 'winner') feedsTo = target;
+      else loserFeedsTo = target;
+    });
+    const consolationFeed =
+      match.stage === 'main' && match.round === 1 && state.consolation?.feeds?.[match.match_number];
+    if (consolationFeed) {
+      loserFeedsTo = {
+        match_number: consolationFeed.match_number,
+        slot: slotName(consolationFeed.slot),
+      };
+    }
+
+    const toSlot = (participant) => {
+      const id = participant?.participant_id ? participant.participant_id.toString() : null;
+      return {
+        type: participant?.type || 'tbd',
+        participant_id: participant?.participant_id || null,
+        name: participant?.name || 'TBD',
+        seed: (id && seeds.get(id)) || null,
+        qualifier: participant?.qualifier || null,
+        bye: participant?.type === 'bye',
+      };
+    };
+    const participantA = toSlot(match.participant_a);
+    const participantB = toSlot(match.participant_b);
+
+    const winnerId = match.result?.winner_participant_id?.toString();
+    let winner = null;
+    if (winnerId && winnerId === participantA.participant_id?.toString()) winner = 'a';
+    else if (winnerId && winnerId === participantB.participant_id?.toString()) winner = 'b';
+
     return {
-      rounds: state.totalRounds,
-      currentRound: state.currentRound,
+      match_id: match._id || null,
+      match_number: match.match_number,
+      stage: match.stage,
+      round: match.round,
+      position: parsed ? parsed.number : 1,
+      status: match.status,
+      participant_a: participantA,
+      participant_b: participantB,
+      winner,
+      bye: participantA.bye || participantB.bye,
+      game_scores: match.result?.game_scores || [],
+      walkover: !!match.result?.walkover,
+      retired: !!match.result?.retired,
+      feeds_from: [],
+      feeds_to: feedsTo,
+      loser_feeds_to: loserFeedsTo,
     };
   }
 
-  _isMatchReady(match, allMatches) {
-    if (match.round === 1) return true;
+  _isMatchReady(match) {
+    // A pending match is playable once both slots hold real participants
+    return (
+      match.participant_a?.type === 'participant' &&
+      match.participant_b?.type === 'participant'
+    );
+  }
+
+  /**
+   * Placements from the completed matches. Play-off matches settle exact
+   * places; everyone else shares the band of the main-draw round they lost
+   * in (final → 2nd, semi-finals → joint 3rd-4th, quarter-finals → joint
+   * 5th-8th, …). Players still in the draw are not listed yet.
+   */
+  _extractFinalPlacements(state, allMatches = []) {
+    const isDone = (m) =>
+      m && (m.status === 'completed' || m.status === 'walkover') && m.result;
+    const placements = [];
+    const placed = new Set();
+    // Bands end at the last entrant: the byes make up the rest of the draw
+    const entrants = state.drawSize - (state.byeCount || 0);
+
+    const place = (participantId, name, position, bandEnd = position) => {
+      if (!participantId) return; // bye
+      const key = participantId.toString();
+      if (placed.has(key)) return;
+      placed.add(key);
+      const positionTo = Math.min(bandEnd, entrants);
+      placements.push({
+        position,
+        position_to: positionTo,
+        joint: positionTo > position,
+        participant_id: participantId,
+        name,
+      });
+    };
 
-    // Check if dependency matches are completed
-    return match.dependency_matches.every((depId) => {
-      const depMatch = allMatches.find(
-        (m) => m._id.toString() === depId.toString()
+    PLAYOFF_PLACES.forEach(({ matchNumber, winnerPosition, loserPosition }) => {
+      const match = allMatches.find(
+        (m) => m.stage === 'playoff' && m.match_number === matchNumber
       );
-      return depMatch && depMatch.status === 'completed';
+      if (!isDone(match)) return;
+      place(match.result.winner_participant_id, match.result.winner_name, winnerPosition);
+      place(match.result.loser_participant_id, match.result.loser_name, loserPosition);
     });
-  }
 
-  _extractFinalPlacements(state) {
-    // Extract final results from bracket
-    return []; // Simplified implementation
+    allMatches
+      .filter((m) => m.stage === 'main' && isDone(m))
+      .sort((a, b) => b.round - a.round)
+      .forEach((match) => {
+        const { result } = match;
+        if (match.round === state.totalRounds) {
+          place(result.winner_participant_id, result.winner_name, 1);
+          place(result.loser_participant_id, result.loser_name, 2);
+          return;
+        }
+        const roundsFromFinal = state.totalRounds - match.round;
+        place(
+          result.loser_participant_id,
+          result.loser_name,
+          Math.pow(2, roundsFromFinal) + 1,
+          Math.pow(2, roundsFromFinal + 1)
+        );
+      });
+
+    return placements.sort((a, b) => a.position - b.position);
   }
 }
 
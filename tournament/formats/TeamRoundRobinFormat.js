@@ -1,12 +1,15 @@
 const ITournamentFormat = require('../ITournamentFormat');
 const { computeFixtureScoring, buildFixtureResult } = require('./teamFixtureScoring');
+const { clearResult } = require('./resultRevert');
+const { generateHomeAwayRounds } = require('./groupStandings');
 
 /**
  * Team Round Robin Format
  *
  * Teams compete in N divisions (default: 2). Every team plays every other team
- * in their division once. Standings are ranked by league points (2 per win,
- * 1 per draw), then game difference, then games won.
+ * in their division once, one fixture per round (match night), with home and
+ * away balanced; participant_a is the home team. Standings are ranked by
+ * league points (2 per win, 1 per draw), then game difference, then games won.
  *
  * A "fixture" between two teams consists of multiple individual string matches.
  * The fixture winner is determined by total games won across all strings.
@@ -59,36 +62,25 @@ class TeamRoundRobinFormat extends ITournamentFormat {
     const updatedMatch = {
       ...tournamentMatch,
       _id: tournamentMatch._id,
-      status: 'completed',
+      status: matchResult.walkover ? 'walkover' : 'completed',
       completed_at: new Date(),
       result: buildFixtureResult(tournamentMatch, matchResult, scoring),
     };
 
-    // Merge the updated match into allMatches for standings recalculation
-    const mergedMatches = allMatches.map((m) =>
-      m._id.toString() === tournamentMatch._id.toString() ? updatedMatch : m
-    );
-
-    const standingsUpdates = groups.map((group) => ({
-      group_id: group._id,
-      standings: this._calculateStandings(group, mergedMatches),
-      completed: this._isGroupComplete(group, mergedMatches),
-    }));
-
-    const allComplete = standingsUpdates.every((s) => s.completed);
-
-    return {
-      state: { ...state, completed: allComplete },
-      updatedMatches: [updatedMatch],
-      newMatches: [],
-      standingsUpdates,
-      tournamentComplete: allComplete,
-    };
+    return this._buildResult(state, updatedMatch, groups, allMatches);
   }
 
-  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches) {
+  updateMatchResult(state, tournamentMatch, newMatchResult, allMatches, groups = []) {
     // Delegate to onMatchResult — same recalculation logic
-    return this.onMatchResult(state, tournamentMatch, newMatchResult, [], allMatches);
+    return this.onMatchResult(state, tournamentMatch, newMatchResult, groups, allMatches);
+  }
+
+  /**
+   * Clear a fixture result back to unplayed and recalculate the divisions.
+   * Lineups and extra results entered on the fixture are kept.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = [], groups = []) {
+    return this._buildResult(state, clearResult(tournamentMatch), groups, allMatches);
   }
 
   getStandings(state, groups = []) {
@@ -146,6 +138,29 @@ class TeamRoundRobinFormat extends ITournamentFormat {
 
   // ── Private helpers ────────────────────────────────────────────────────────
 
+  // Merge the changed fixture into allMatches and recalculate every division
+  _buildResult(state, updatedMatch, groups, allMatches) {
+    const mergedMatches = allMatches.map((m) =>
+      m._id.toString() === updatedMatch._id.toString() ? updatedMatch : m
+    );
+
+    const standingsUpdates = groups.map((group) => ({
+      group_id: group._id,
+      standings: this._calculateStandings(group, mergedMatches),
+      completed: this._isGroupComplete(group, mergedMatches),
+    }));
+
+    const allComplete = standingsUpdates.every((s) => s.completed);
+
+    return {
+      state: { ...state, completed: allComplete },
+      updatedMatches: [updatedMatch],
+      newMatches: [],
+      standingsUpdates,
+      tournamentComplete: allComplete,
+    };
+  }
+
   _createDivisions(participants, divCount) {
     const divisions = Array.from({ length: divCount }, (_, i) => ({
       name: `Division ${String.fromCharCode(65 + i)}`,
@@ -183,34 +198,33 @@ class TeamRoundRobinFormat extends ITournamentFormat {
   }
 
   _generateFixtures(division, divIndex) {
-    const teams = division.participants;
     const fixtures = [];
     let fixtureNum = 1;
 
-    for (let i = 0; i < teams.length; i++) {
-      for (let j = i + 1; j < teams.length; j++) {
+    generateHomeAwayRounds(division.participants).forEach((pairs, roundIndex) => {
+      pairs.forEach(([home, away]) => {
         fixtures.push({
-          round: 1,
+          round: roundIndex + 1,
           stage: 'group',
           match_number: `D${divIndex + 1}F${fixtureNum}`,
           group_id: division._id,
           participant_a: {
             type: 'participant',
-            participant_id: teams[i]._id,
-            name: teams[i].name,
+            participant_id: home._id,
+            name: home.name,
           },
           participant_b: {
             type: 'participant',
-            participant_id: teams[j]._id,
-            name: teams[j].name,
+            participant_id: away._id,
+            name: away.name,
           },
           status: 'ready',
           dependency_matches: [],
           feeds_to_matches: [],
         });
         fixtureNum++;
-      }
-    }
+      });
+    });
 
     return fixtures;
   }
@@ -218,11 +232,11 @@ class TeamRoundRobinFormat extends ITournamentFormat {
   _calculateStandings(group, allMatches) {
     const groupIdStr = group._id.toString();
 
-    // All completed fixtures in this division
+    // All completed fixtures in this division (walkovers count as played)
     const fixtures = allMatches.filter(
       (m) =>
         m.group_id?.toString() === groupIdStr &&
-        m.status === 'completed'
+        (m.status === 'completed' || m.status === 'walkover')
     );
 
     // Preserve names from stored standings for teams that haven't played yet
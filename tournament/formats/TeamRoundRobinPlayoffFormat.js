@@ -1,5 +1,6 @@
 const ITournamentFormat = require('../ITournamentFormat');
 const { computeFixtureScoring, buildFixtureResult } = require('./teamFixtureScoring');
+const { TBD, clearResult, unadvance } = require('./resultRevert');
 
 /**
  * Team Round Robin Playoff
@@ -13,9 +14,10 @@ const { computeFixtureScoring, buildFixtureResult } = require('./teamFixtureScor
  *
  * Every match is a team fixture (5 strings + optional racketball/beginner
  * extras), scored identically to Team Round Robin via the shared
- * teamFixtureScoring helper. The submitted winner_id is trusted as-is (see
- * teamFixtureScoring/TeamRoundRobinFormat) rather than re-derived here, so the
- * one true definition of "who won a fixture" stays in one place.
+ * teamFixtureScoring helper. winner_id arrives already derived from the
+ * fixture's games by the result route (deriveFixtureWinner) rather than
+ * re-derived here, so the one true definition of "who won a fixture" stays in
+ * one place.
  */
 
 // Which match each semi-final feeds into, and which slot (a/b) it occupies there.
@@ -185,14 +187,14 @@ class TeamRoundRobinPlayoffFormat extends ITournamentFormat {
     const scoring = computeFixtureScoring(tournamentMatch, matchResult);
     const result = buildFixtureResult(tournamentMatch, matchResult, scoring);
 
-    const isEdit = tournamentMatch.status === 'completed';
+    const isEdit = tournamentMatch.status === 'completed' || tournamentMatch.status === 'walkover';
     const previousWinnerId = tournamentMatch.result?.winner_participant_id?.toString();
     const newWinnerId = result.winner_participant_id;
 
     const updatedMatch = {
       ...tournamentMatch,
       _id: tournamentMatch._id,
-      status: 'completed',
+      status: matchResult.walkover ? 'walkover' : 'completed',
       completed_at: new Date(),
       result,
     };
@@ -287,6 +289,28 @@ class TeamRoundRobinPlayoffFormat extends ITournamentFormat {
     return this.onMatchResult(state, tournamentMatch, newMatchResult, [], allMatches);
   }
 
+  /**
+   * Clear a fixture result back to unplayed, taking both teams back out of
+   * the final and 3rd/4th (or 7th/8th) match until those have been played.
+   */
+  revertMatchResult(state, tournamentMatch, allMatches = []) {
+    const matchId = String(tournamentMatch._id);
+    const working = new Map(allMatches.map((m) => [m.match_number, m]));
+    const changed = unadvance(tournamentMatch, working, (m) => this._getResultFeeds(m));
+    const unlinked = Array.from(changed.values()).map((m) => ({
+      ...m,
+      dependency_matches: (m.dependency_matches || []).map(String).filter((id) => id !== matchId),
+    }));
+
+    return {
+      state: { ...state, completed: false, finalPlacements: null },
+      updatedMatches: [clearResult(tournamentMatch), ...unlinked],
+      newMatches: [],
+      standingsUpdates: [],
+      tournamentComplete: false,
+    };
+  }
+
   getStandings(state) {
     return {
       type: 'team_round_robin_playoff',
@@ -307,6 +331,17 @@ class TeamRoundRobinPlayoffFormat extends ITournamentFormat {
     return state.finalPlacements || [];
   }
 
+  // The final and play-off slots a semi-final result fills
+  _getResultFeeds(match) {
+    const advancement = ADVANCEMENT[match.match_number];
+    if (!advancement) return [];
+    const slot = advancement.slot === 'a' ? 'participant_a' : 'participant_b';
+    return [
+      { match_number: advancement.winnerTarget, slot, takes: 'winner', placeholder: TBD },
+      { match_number: advancement.loserTarget, slot, takes: 'loser', placeholder: TBD },
+    ];
+  }
+
   serialize(state) {
     return state;
   }
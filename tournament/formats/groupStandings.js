@@ -0,0 +1,250 @@
+/**
+ * Shared group (all-play-all) scheduling, and standings for individual formats.
+ *
+ * Fixtures are scheduled with the circle method (team leagues use its home
+ * and away form), and standings are always rebuilt from the group's completed
+ * matches rather than patched per result, then ranked by the tournament's
+ * tiebreaker list. Shared by RoundRobinFormat and PoolsKnockoutFormat so both
+ * rank groups identically.
+ */
+
+const DEFAULT_TIEBREAKERS = [
+  'wins',
+  'h2h',
+  'game_diff',
+  'point_diff',
+  'fewest_walkovers',
+  'random',
+];
+
+/**
+ * Circle method: fix the first player and rotate everyone else one place
+ * each round. An odd group gets a phantom entrant, and whoever is drawn
+ * against it sits the round out. Returns an array of rounds, each an
+ * array of [participantA, participantB] pairs.
+ */
+function generateCircleRounds(participants) {
+  const slots = [...participants];
+  if (slots.length % 2 !== 0) slots.push(null);
+
+  const size = slots.length;
+  const rounds = [];
+  for (let round = 0; round < size - 1; round++) {
+    const pairs = [];
+    for (let i = 0; i < size / 2; i++) {
+      const participantA = slots[i];
+      const participantB = slots[size - 1 - i];
+      if (participantA && participantB) pairs.push([participantA, participantB]);
+    }
+    rounds.push(pairs);
+    slots.splice(1, 0, slots.pop());
+  }
+  return rounds;
+}
+
+/**
+ * Circle method with home and away: the canonical (de Werra) schedule, which
+ * gives every team home and away alternately apart from at most one break, so
+ * home games differ by at most one. Team i < n - 1 meets the fixed last team
+ * in round i; the rest pair up symmetrically around it. An odd group gets a
+ * phantom entrant as above. Returns an array of rounds, each an array of
+ * [home, away] pairs.
+ */
+function generateHomeAwayRounds(participants) {
+  const slots = [...participants];
+  if (slots.length % 2 !== 0) slots.push(null);
+
+  const size = slots.length;
+  const rotating = size - 1;
+  const rounds = [];
+  for (let round = 0; round < rotating; round++) {
+    const fixed = [slots[round], slots[rotating]];
+    const pairs = [round % 2 === 0 ? fixed : fixed.reverse()];
+    for (let k = 1; k < size / 2; k++) {
+      const ahead = slots[(round + k) % rotating];
+      const behind = slots[(round - k + rotating) % rotating];
+      pairs.push(k % 2 === 1 ? [ahead, behind] : [behind, ahead]);
+    }
+    rounds.push(pairs.filter(([home, away]) => home && away));
+  }
+  return rounds;
+}
+
+/**
+ * Recalculate a group's standings from all of its completed matches.
+ * walkovers_given counts walkovers a player conceded; walkovers_received
+ * counts wins they were handed by walkover.
+ */
+function calculateGroupStandings(group, allMatches, tiebreakers = DEFAULT_TIEBREAKERS) {
+  const groupIdStr = group._id.toString();
+  const matches = allMatches.filter(
+    (m) =>
+      m.group_id?.toString() === groupIdStr &&
+      (m.status === 'completed' || m.status === 'walkover') &&
+      m.result
+  );
+
+  // Preserve names from stored standings for players who haven't played yet
+  const existingNames = {};
+  (group.standings || []).forEach((s) => {
+    if (s.participant_id && s.name) existingNames[s.participant_id.toString()] = s.name;
+  });
+
+  const stats = {};
+  group.participant_ids.forEach((pid) => {
+    const id = pid.toString();
+    stats[id] = {
+      participant_id: pid,
+      name: existingNames[id] || '',
+      played: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      league_points: 0,
+      games_won: 0,
+      games_lost: 0,
+      points_won: 0,
+      points_lost: 0,
+      walkovers_given: 0,
+      walkovers_received: 0,
+      head_to_head: {},
+    };
+  });
+
+  matches.forEach((match) => {
+    const aId = match.participant_a?.participant_id?.toString();
+    const bId = match.participant_b?.participant_id?.toString();
+    if (!aId || !bId || !stats[aId] || !stats[bId]) return;
+
+    if (match.participant_a.name) stats[aId].name = match.participant_a.name;
+    if (match.participant_b.name) stats[bId].name = match.participant_b.name;
+
+    const winnerId = match.result.winner_participant_id?.toString();
+    const loserId = winnerId === aId ? bId : aId;
+    if (winnerId !== aId && winnerId !== bId) return;
+
+    // player1 scores belong to participant_a. For handicap matches, subtract
+    // each player's starting score so stats reflect points actually won.
+    const h = match.result.handicap_starts;
+    const aStart = h ? (h.player1 || 0) : 0;
+    const bStart = h ? (h.player2 || 0) : 0;
+    let aGames = 0;
+    let bGames = 0;
+    let aPoints = 0;
+    let bPoints = 0;
+    (match.result.game_scores || []).forEach((gs) => {
+      const a = gs.player1 || 0;
+      const b = gs.player2 || 0;
+      if (a > b) aGames++;
+      else if (b > a) bGames++;
+      aPoints += a - aStart;
+      bPoints += b - bStart;
+    });
+
+    [[aId, aGames, bGames, aPoints, bPoints], [bId, bGames, aGames, bPoints, aPoints]].forEach(
+      ([id, gamesWon, gamesLost, pointsWon, pointsLost]) => {
+        stats[id].played++;
+        stats[id].games_won += gamesWon;
+        stats[id].games_lost += gamesLost;
+        stats[id].points_won += pointsWon;
+        stats[id].points_lost += pointsLost;
+      }
+    );
+
+    stats[winnerId].wins++;
+    stats[winnerId].league_points += 2;
+    stats[loserId].losses++;
+    if (match.result.walkover) {
+      stats[loserId].walkovers_given++;
+      stats[winnerId].walkovers_received++;
+    }
+
+    const winnerH2h = stats[winnerId].head_to_head[loserId] || { wins: 0, losses: 0 };
+    const loserH2h = stats[loserId].head_to_head[winnerId] || { wins: 0, losses: 0 };
+    stats[winnerId].head_to_head[loserId] = { ...winnerH2h, wins: winnerH2h.wins + 1 };
+    stats[loserId].head_to_head[winnerId] = { ...loserH2h, losses: loserH2h.losses + 1 };
+  });
+
+  const sorted = applyTiebreakers(Object.values(stats), tiebreakers);
+  return sorted.map((s, i) => ({ ...s, position: i + 1 }));
+}
+
+function isGroupComplete(group, allMatches) {
+  const groupIdStr = group._id.toString();
+  const groupMatches = allMatches.filter(
+    (m) => m.group_id?.toString() === groupIdStr
+  );
+  return (
+    groupMatches.length > 0 &&
+    groupMatches.every((m) => m.status === 'completed' || m.status === 'walkover')
+  );
+}
+
+/**
+ * Rank standings by applying each tiebreaker in turn to the players still
+ * level after the previous ones. Head-to-head is evaluated only among the
+ * tied players (a mini-league when three or more are level).
+ */
+function applyTiebreakers(standings, tiebreakers) {
+  if (standings.length <= 1 || tiebreakers.length === 0) return standings;
+
+  const [tiebreaker, ...remaining] = tiebreakers;
+  const keyed = standings
+    .map((standing) => ({
+      standing,
+      value: getTiebreakValue(standing, tiebreaker, standings),
+    }))
+    .sort((a, b) => b.value - a.value);
+
+  const ranked = [];
+  let i = 0;
+  while (i < keyed.length) {
+    let j = i + 1;
+    while (j < keyed.length && keyed[j].value === keyed[i].value) j++;
+    const level = keyed.slice(i, j).map((k) => k.standing);
+    ranked.push(...applyTiebreakers(level, remaining));
+    i = j;
+  }
+  return ranked;
+}
+
+// Higher is better for every tiebreaker
+function getTiebreakValue(standing, tiebreaker, tied) {
+  switch (tiebreaker) {
+    case 'wins':
+      return standing.wins;
+    case 'h2h':
+      return tied.reduce((wins, other) => {
+        const h2h = standing.head_to_head?.[other.participant_id.toString()];
+        return wins + (h2h ? h2h.wins : 0);
+      }, 0);
+    case 'game_diff':
+      return standing.games_won - standing.games_lost;
+    case 'point_diff':
+      return standing.points_won - standing.points_lost;
+    case 'fewest_walkovers':
+      return -(standing.walkovers_given || 0);
+    case 'random':
+      // Drawing lots: stable per participant so standings don't reshuffle on every result
+      return drawLot(standing.participant_id.toString());
+    default:
+      return 0;
+  }
+}
+
+function drawLot(seed) {
+  let hash = 0;
+  for (let i = 0; i < seed.length; i++) {
+    hash = (hash * 31 + seed.charCodeAt(i)) | 0;
+  }
+  return hash;
+}
+
+module.exports = {
+  DEFAULT_TIEBREAKERS,
+  generateCircleRounds,
+  generateHomeAwayRounds,
+  calculateGroupStandings,
+  isGroupComplete,
+  applyTiebreakers,
+};
@@ -0,0 +1,131 @@
+/**
+ * Shared helpers for reverting a match result back to unplayed, and for
+ * editing one by reverting it and recording the new result.
+ *
+ * Bracket formats describe where a result moved each player as "feeds":
+ * { match_number, slot, takes: 'winner' | 'loser', placeholder }, where the
+ * placeholder is what the slot showed before anyone was moved into it.
+ * unadvance() puts those placeholders back. A slot drawn against a bye was
+ * completed automatically when the player arrived, so it is reopened too and
+ * the winner's onward move undone in turn.
+ */
+
+const TBD = { type: 'tbd', name: 'TBD' };
+
+// The label a slot fed by a match's loser is drawn with ("Loser R1M3")
+function loserQualifier(matchNumber) {
+  return { type: 'qualifier', qualifier: `L:${matchNumber}`, name: `Loser ${matchNumber}` };
+}
+
+function isBye(match) {
+  return match?.participant_a?.type === 'bye' || match?.participant_b?.type === 'bye';
+}
+
+// Played by real participants; automatic bye wins don't count
+function isPlayed(match) {
+  return !!match && (match.status === 'completed' || match.status === 'walkover') && !isBye(match);
+}
+
+function clearResult(match, status = 'ready') {
+  return { ...match, status, completed_at: null, result: null };
+}
+
+function lockedError(matchNumbers, action = 'revert') {
+  const error = new Error(
+    `Cannot ${action} this result: ${matchNumbers.join('/')} has already been played. Revert it first.`
+  );
+  error.code = 'BRACKET_LOCKED';
+  error.matchNumbers = matchNumbers;
+  return error;
+}
+
+/**
+ * Take players back out of the slots `match`'s result moved them into.
+ * `working` maps match_number → match; `getFeeds(match)` lists the feeds.
+ * Throws BRACKET_LOCKED if any of those matches has been played.
+ * Returns the changed matches, keyed by match_number.
+ */
+function unadvance(match, working, getFeeds, changed = new Map(), takes = null) {
+  getFeeds(match)
+    .filter((feed) => !takes || feed.takes === takes)
+    .forEach(({ match_number: matchNumber, slot, placeholder }) => {
+      const target = changed.get(matchNumber) || working.get(matchNumber);
+      if (!target) return;
+      if (isPlayed(target)) throw lockedError([matchNumber]);
+
+      const otherSlot = slot === 'participant_a' ? 'participant_b' : 'participant_a';
+      const byeWin = target[otherSlot]?.type === 'bye' && target.status === 'completed';
+      // Only the bye's winner moved on from an automatic win
+      if (byeWin) unadvance(target, working, getFeeds, changed, 'winner');
+
+      const reopened = byeWin ? clearResult(target, 'pending') : { ...target, status: 'pending' };
+      changed.set(matchNumber, { ...reopened, [slot]: { ...placeholder } });
+    });
+  return changed;
+}
+
+/**
+ * Replace a result by reverting the old one with the format's
+ * revertMatchResult and recording the new one in its place, so the edit is
+ * locked (BRACKET_LOCKED) in exactly the cases a revert would be.
+ */
+function revertAndRecord(format, state, tournamentMatch, newMatchResult, allMatches = [], groups = []) {
+  let reverted;
+  try {
+    reverted = format.revertMatchResult(state, tournamentMatch, allMatches, groups);
+  } catch (error) {
+    if (error.code === 'BRACKET_LOCKED') throw lockedError(error.matchNumbers, 'change');
+    throw error;
+  }
+
+  const deleted = new Set((reverted.deletedMatchIds || []).map(String));
+  const working = new Map(
+    allMatches.filter((m) => !deleted.has(m._id?.toString())).map((m) => [m.match_number, m])
+  );
+  reverted.updatedMatches.forEach((m) => working.set(m.match_number, m));
+
+  const applied = format.onMatchResult(
+    reverted.state,
+    working.get(tournamentMatch.match_number),
+    newMatchResult,
+    groups,
+    Array.from(working.values())
+  );
+  return {
+    ...applied,
+    // The recorded changes come last, so they win where both touch a match
+    updatedMatches: [...reverted.updatedMatches, ...applied.updatedMatches],
+    deletedMatchIds: reverted.deletedMatchIds || [],
+  };
+}
+
+/**
+ * Replace a bracket match's result. A new result with the same winner moves
+ * nobody, so only the match's own result is rewritten; a new winner goes
+ * through revertAndRecord.
+ */
+function replaceResult(format, state, tournamentMatch, newMatchResult, allMatches = []) {
+  const previousWinnerId = tournamentMatch.result?.winner_participant_id?.toString();
+  if (previousWinnerId !== newMatchResult.winner_id?.toString()) {
+    return revertAndRecord(format, state, tournamentMatch, newMatchResult, allMatches);
+  }
+
+  const { walkover_reason: _w, retirement_reason: _r, ...kept } = tournamentMatch.result || {};
+  const rescored = {
+    ...tournamentMatch,
+    status: newMatchResult.walkover ? 'walkover' : 'completed',
+    result: {
+      ...kept,
+      winner_name: newMatchResult.winner_name,
+      loser_name: newMatchResult.loser_name,
+      game_scores: newMatchResult.game_scores || [],
+      walkover: newMatchResult.walkover || false,
+      retired: newMatchResult.retired || false,
+      ...(newMatchResult.walkover_reason && { walkover_reason: newMatchResult.walkover_reason }),
+      ...(newMatchResult.retirement_reason && { retirement_reason: newMatchResult.retirement_reason }),
+    },
+  };
+  return { state, updatedMatches: [rescored], newMatches: [], tournamentComplete: !!state.completed };
+}
+
+module.exports = { TBD, loserQualifier, isBye, isPlayed, clearResult, lockedError, unadvance, revertAndRecord, replaceResult };
@@ -2,12 +2,36 @@
  * Shared per-fixture scoring for team-based tournament formats.
  *
  * A "fixture" between two teams consists of multiple individual string matches
- * (plus optional racketball/beginner extras). The fixture winner is whichever
- * team is submitted as winner_id; this module computes each side's league-style
- * points from the string/extra results. Shared by TeamRoundRobinFormat and
- * TeamRoundRobinPlayoffFormat so fixture scoring stays identical everywhere.
+ * (plus optional racketball/beginner extras). The fixture winner is the team
+ * with more games across strings and extras: the result route derives it with
+ * deriveFixtureWinner before the format sees winner_id. This module then
+ * computes each side's league-style points from the string/extra results.
+ * Shared by TeamRoundRobinFormat and TeamRoundRobinPlayoffFormat so fixture
+ * scoring stays identical everywhere.
  */
 
+const EXTRA_FIELDS = ['racketball_result', 'beginner_result'];
+
+// Total games each team won across strings and extras. winner is 'a' or 'b',
+// or null when the totals are level.
+function deriveFixtureWinner(tournamentMatch, matchResult) {
+  let aTotal = 0, bTotal = 0;
+  (matchResult.string_results || []).forEach((s) => {
+    aTotal += s.team_a_games || 0;
+    bTotal += s.team_b_games || 0;
+  });
+  for (const field of EXTRA_FIELDS) {
+    const r = tournamentMatch[field];
+    if (r?.team_a_games != null) {
+      aTotal += r.team_a_games || 0;
+      bTotal += r.team_b_games || 0;
+    }
+  }
+
+  const winner = aTotal > bTotal ? 'a' : bTotal > aTotal ? 'b' : null;
+  return { aTotal, bTotal, winner };
+}
+
 function computeFixtureScoring(tournamentMatch, matchResult) {
   const aId = tournamentMatch.participant_a.participant_id?.toString();
   const bId = tournamentMatch.participant_b.participant_id?.toString();
@@ -24,7 +48,7 @@ function computeFixtureScoring(tournamentMatch, matchResult) {
   });
 
   // Extra matches: both teams get 1 bonus point for playing + points per game won
-  for (const field of ['racketball_result', 'beginner_result']) {
+  for (const field of EXTRA_FIELDS) {
     const r = tournamentMatch[field];
     if (r?.team_a_games != null) {
       aPoints += 1 + (r.team_a_games || 0);
@@ -51,7 +75,8 @@ function buildFixtureResult(tournamentMatch, matchResult, scoring) {
     team_a_league_points: scoring.aPoints,
     team_b_league_points: scoring.bPoints,
     walkover: matchResult.walkover || false,
+    ...(matchResult.walkover_reason && { walkover_reason: matchResult.walkover_reason }),
   };
 }
 
-module.exports = { computeFixtureScoring, buildFixtureResult };
+module.exports = { computeFixtureScoring, buildFixtureResult, deriveFixtureWinner };
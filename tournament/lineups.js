@@ -0,0 +1,161 @@
+/**
+ * Team fixture lineups.
+ *
+ * Each captain confirms their own team's lineup (strings, plus any racketball
+ * or beginner player). A lineup stays hidden from the other team, and from
+ * everyone else, until both teams have confirmed; then both are revealed
+ * together and captains can no longer change them.
+ *
+ * Lineups are checked against the league's eligibility rules (config
+ * lineup_rules) before they're saved: players come from the team's roster or
+ * the pool, play at or below their registered string, in roster order, with
+ * a cap on pool players, and for only one team in a round.
+ */
+
+const SIDES = ['a', 'b'];
+const LINEUP_FIELDS = (side) => [
+  `team_${side}_lineup`,
+  `team_${side}_racketball_player`,
+  `team_${side}_beginner_player`,
+];
+
+// Both teams have confirmed, so both lineups can be shown
+function lineupsRevealed(match) {
+  return Boolean(match.team_a_confirmed && match.team_b_confirmed);
+}
+
+// The side ('a'/'b') a team plays on in a fixture, or null if it isn't playing
+function teamSide(match, participantId) {
+  if (!participantId) return null;
+  return SIDES.find((side) => match[`participant_${side}`]?.participant_id?.toString() === participantId.toString()) || null;
+}
+
+/**
+ * A plain copy of a match with the lineups that `viewer` may not see yet
+ * taken out. Hidden extras show as 'TBC' so the other team still knows a
+ * racketball or beginner match is on.
+ * @param {Object} match - match document or plain object
+ * @param {Object} viewer - { all: true } (organiser) or { side: 'a'|'b' } (captain); {} for anyone else
+ * @returns {Object}
+ */
+function hideLineups(match, viewer = {}) {
+  const view = match.toObject ? match.toObject() : { ...match };
+  if (viewer.all || lineupsRevealed(view)) return view;
+
+  SIDES.filter((side) => side !== viewer.side).forEach((side) => {
+    const [lineup, ...extras] = LINEUP_FIELDS(side);
+    if (view[lineup]) view[lineup] = [];
+    extras.forEach((field) => {
+      if (view[field]) view[field] = 'TBC';
+    });
+  });
+  return view;
+}
+
+const DEFAULT_LINEUP_RULES = {
+  roster_only: true,
+  play_down_only: true,
+  keep_string_order: true,
+  max_pool_players: null,
+  one_team_per_round: true,
+};
+
+function getLineupRules(config = {}) {
+  const rules = { ...DEFAULT_LINEUP_RULES };
+  Object.entries(config.lineup_rules || {}).forEach(([rule, value]) => {
+    if (value !== undefined) rules[rule] = value;
+  });
+  return rules;
+}
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Check a team's lineup against the eligibility rules. The roster rules are
+ * skipped for a team without a roster; duplicate players and strings are
+ * always refused.
+ * @param {Array} lineup - [{ string_number, player_name }]
+ * @param {Object} context
+ * @param {Object} context.team - the team participant (its `roster`)
+ * @param {string[]} [context.poolPlayers] - names of the pool players
+ * @param {Array} [context.roundLineups] - the other teams' lineups this round: [{ team, lineup }]
+ * @param {Object} context.rules - from getLineupRules
+ * @returns {Array} Violations: [{ code, string_number, player_name, message }]
+ */
+function validateLineup(lineup, { team, poolPlayers = [], roundLineups = [], rules }) {
+  const errors = [];
+  const fail = (code, entry, message) =>
+    errors.push({ code, string_number: entry.string_number, player_name: entry.player_name, message });
+
+  const roster = new Map((team.roster || []).map((player) => [nameKey(player.player_name), player]));
+  const pool = new Set(poolPlayers.map(nameKey));
+  const seenPlayers = new Set();
+  const seenStrings = new Set();
+  const ordered = [...lineup].sort((x, y) => x.string_number - y.string_number);
+
+  ordered.forEach((entry) => {
+    const key = nameKey(entry.player_name);
+    if (seenStrings.has(entry.string_number)) {
+      fail('DUPLICATE_STRING', entry, `String ${entry.string_number} has more than one player`);
+    }
+    if (seenPlayers.has(key)) {
+      fail('DUPLICATE_PLAYER', entry, `${entry.player_name} is named on more than one string`);
+    }
+    seenStrings.add(entry.string_number);
+    seenPlayers.add(key);
+
+    const registered = roster.get(key);
+    if (rules.roster_only && roster.size > 0 && !registered && !pool.has(key)) {
+      fail('NOT_ON_ROSTER', entry, `${entry.player_name} is not on ${team.name}'s roster or in the pool`);
+    }
+    if (rules.play_down_only && registered && entry.string_number < registered.string_number) {
+      fail(
+        'ABOVE_REGISTERED_STRING',
+        entry,
+        `${entry.player_name} is registered at string ${registered.string_number} and can't play string ${entry.string_number}`
+      );
+    }
+  });
+
+  // Down the strings, roster players' registered strings can't go back up
+  if (rules.keep_string_order) {
+    let above = null;
+    ordered.forEach((entry) => {
+      const registered = roster.get(nameKey(entry.player_name));
+      if (!registered) return;
+      if (above && registered.string_number < above.registered.string_number) {
+        fail(
+          'STRING_ORDER',
+          entry,
+          `${entry.player_name} (registered at ${registered.string_number}) can't play below ${above.entry.player_name} (registered at ${above.registered.string_number})`
+        );
+      }
+      if (!above || registered.string_number > above.registered.string_number) above = { entry, registered };
+    });
+  }
+
+  const poolEntries = lineup.filter((entry) => !roster.has(nameKey(entry.player_name)) && pool.has(nameKey(entry.player_name)));
+  if (rules.max_pool_players != null && poolEntries.length > rules.max_pool_players) {
+    poolEntries.slice(rules.max_pool_players).forEach((entry) =>
+      fail('TOO_MANY_POOL_PLAYERS', entry, `No more than ${rules.max_pool_players} pool players can play in one fixture`)
+    );
+  }
+
+  if (rules.one_team_per_round) {
+    const teamId = String(team._id);
+    lineup.forEach((entry) => {
+      const other = roundLineups.find(
+        ({ team: otherTeam, lineup: otherLineup }) =>
+          String(otherTeam.participant_id) !== teamId &&
+          (otherLineup || []).some((player) => nameKey(player.player_name) === nameKey(entry.player_name))
+      );
+      if (other) {
+        fail('PLAYS_FOR_OTHER_TEAM', entry, `${entry.player_name} is already playing for ${other.team.name} this round`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { lineupsRevealed, teamSide, hideLineups, DEFAULT_LINEUP_RULES, getLineupRules, validateLineup };
@@ -0,0 +1,118 @@
+/**
+ * Live point-by-point scoring for individual matches.
+ *
+ * A live match stores only the rallies as they were played. The score, the
+ * games, who serves next and from which side, and whether the match is over
+ * are all worked out by replaying them under the tournament's scoring rules
+ * (scoringRules.js), so undoing a rally is just dropping the last one.
+ *
+ * Sides are 'a' (participant_a, player1 in game_scores) and 'b'. Every rally
+ * is a point to its winner, stroke and no-let decisions included, except a
+ * let, which is replayed from the same side. The rally winner serves next,
+ * changing sides while they hold serve; the winner of a game serves first in
+ * the next.
+ */
+
+const { gameWinner } = require('./scoringRules');
+
+const otherCourtSide = (side) => (side === 'left' ? 'right' : 'left');
+
+function startingScore(live) {
+  const starts = live.handicap_starts || {};
+  return { player1: starts.player1 || 0, player2: starts.player2 || 0 };
+}
+
+/**
+ * Replay the rallies of a live match. Returns the finished games, the
+ * current game's score, games won by each side, who serves the next rally
+ * and from where, and the match winner ('a'/'b', null while in play).
+ */
+function replayRallies(live, rules) {
+  const gamesToWin = Math.ceil(rules.bestOf / 2);
+  const state = {
+    games: [],
+    score: startingScore(live),
+    games_won: { a: 0, b: 0 },
+    server: live.first_server,
+    side: live.first_side || 'right',
+    winner: null,
+  };
+
+  (live.rallies || []).forEach((rally) => {
+    state.server = rally.server;
+    state.side = rally.side;
+    if (rally.decision === 'let') return;
+
+    state.score[rally.winner === 'a' ? 'player1' : 'player2'] += 1;
+    const gameWon = gameWinner(state.score, rules);
+    if (gameWon) {
+      const gameSide = gameWon === 'player1' ? 'a' : 'b';
+      state.games.push(state.score);
+      state.games_won[gameSide] += 1;
+      state.score = startingScore(live);
+      state.server = gameSide;
+      state.side = 'right';
+      if (state.games_won[gameSide] === gamesToWin) state.winner = gameSide;
+      return;
+    }
+
+    // Hand-out: the receiver takes the serve and chooses a side (right unless told)
+    state.side = rally.winner === rally.server ? otherCourtSide(rally.side) : 'right';
+    state.server = rally.winner;
+  });
+
+  return state;
+}
+
+/**
+ * Check a rally before it's recorded and fill in the server and side from
+ * the replay when they weren't given. Returns { rally } or { error }.
+ */
+function prepareRally(live, input, rules) {
+  const state = replayRallies(live, rules);
+  if (state.winner) return { error: 'The match is already over' };
+
+  if (input.decision === 'let' && input.winner) {
+    return { error: 'A let is replayed, so it has no winner' };
+  }
+  if (input.decision !== 'let' && !input.winner) {
+    return { error: 'winner is required unless the decision is a let' };
+  }
+
+  return {
+    rally: {
+      winner: input.winner,
+      server: input.server || state.server,
+      side: input.side || state.side,
+      decision: input.decision,
+      recorded_at: new Date(),
+    },
+  };
+}
+
+// The live score as the API shows it
+function summarizeLive(live, rules) {
+  const state = replayRallies(live, rules);
+  return {
+    started_at: live.started_at,
+    games: state.games,
+    score: state.score,
+    games_won: state.games_won,
+    server: state.winner ? null : state.server,
+    side: state.winner ? null : state.side,
+    rallies: (live.rallies || []).length,
+    winner: state.winner,
+  };
+}
+
+// The result a finished live match submits (winner derived from the games)
+function liveMatchResult(live, rules) {
+  const state = replayRallies(live, rules);
+  if (!state.winner) return null;
+  return {
+    game_scores: state.games,
+    ...(live.handicap_starts?.player1 != null && { handicap_starts: { ...live.handicap_starts } }),
+  };
+}
+
+module.exports = { replayRallies, prepareRally, summarizeLive, liveMatchResult };
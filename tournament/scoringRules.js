@@ -0,0 +1,182 @@
+/**
+ * Squash scoring rules for submitted match results.
+ *
+ * A game is won by the first player to reach the target score with a clear
+ * lead: `points_to_win` for traditional scoring, 11 for PAR11, clear by
+ * `clear_points` either way (0 or 1 means the first to the target wins).
+ * Handicap starts are the scores each player began every game on, so the
+ * submitted scoreboard can't fall below them. A match is best of `best_of`
+ * games and ends as soon as one player has won a majority of them.
+ *
+ * game_scores use player1 for participant_a and player2 for participant_b.
+ */
+
+const PAR11_POINTS = 11;
+
+function getScoringRules(config = {}) {
+  const match = config.match || {};
+  const scoring = match.scoring || 'traditional';
+  return {
+    scoring,
+    bestOf: match.best_of || 5,
+    pointsToWin: scoring === 'PAR11' ? PAR11_POINTS : match.points_to_win || 15,
+    clearPoints: Math.max(match.clear_points ?? 2, 1),
+  };
+}
+
+// Whether the leading player has reached the target with a clear lead
+function hasWon(winner, loser, rules) {
+  return winner >= rules.pointsToWin && winner - loser >= rules.clearPoints;
+}
+
+// 'player1'/'player2' if the score is one a game ends on, otherwise null
+function gameWinner(score, rules) {
+  const [leader, high, low] =
+    score.player1 > score.player2
+      ? ['player1', score.player1, score.player2]
+      : ['player2', score.player2, score.player1];
+  return hasWon(high, low, rules) && !hasWon(high - 1, low, rules) ? leader : null;
+}
+
+function describeRules(rules) {
+  return rules.clearPoints > 1
+    ? `first to ${rules.pointsToWin}, clear by ${rules.clearPoints}`
+    : `first to ${rules.pointsToWin}`;
+}
+
+/**
+ * Check one game. `partial` allows an unfinished game (the one a player
+ * retired during). Returns an error message or null.
+ */
+function validateGame(score, rules, starts = {}, partial = false) {
+  const a = score.player1;
+  const b = score.player2;
+  const aStart = starts.player1 || 0;
+  const bStart = starts.player2 || 0;
+
+  if (a < aStart || b < bStart) {
+    return `${a}-${b} is below the handicap start of ${aStart}-${bStart}`;
+  }
+
+  if (gameWinner(score, rules)) return null;
+
+  // An unfinished game is only allowed while it's still in play
+  if (partial && !hasWon(Math.max(a, b), Math.min(a, b), rules)) return null;
+
+  return `${a}-${b} is not a finished game (${describeRules(rules)})`;
+}
+
+/**
+ * Validate an individual match result against the scoring rules: every game
+ * must be a legal score, the match must stop once someone has won a majority
+ * of games, and winner_id must be the player who won it. A retirement can
+ * stop early, in the middle of a game.
+ * Returns a list of error messages (empty when the result is valid).
+ */
+function validateMatchScores(tournamentMatch, matchResult, rules) {
+  const games = matchResult.game_scores;
+  if (matchResult.walkover || !games || games.length === 0) return [];
+
+  const errors = [];
+  const starts = matchResult.handicap_starts || {};
+  const gamesToWin = Math.ceil(rules.bestOf / 2);
+
+  if (games.length > rules.bestOf) {
+    errors.push(`Best of ${rules.bestOf} cannot have ${games.length} games`);
+  }
+
+  let aGames = 0;
+  let bGames = 0;
+  games.forEach((score, i) => {
+    const isLast = i === games.length - 1;
+    if (aGames === gamesToWin || bGames === gamesToWin) {
+      errors.push(`Game ${i + 1} was played after the match was already won`);
+      return;
+    }
+
+    const error = validateGame(score, rules, starts, matchResult.retired && isLast);
+    if (error) {
+      errors.push(`Game ${i + 1}: ${error}`);
+      return;
+    }
+
+    const winner = gameWinner(score, rules);
+    if (winner === 'player1') aGames++;
+    else if (winner === 'player2') bGames++;
+  });
+  if (errors.length > 0) return errors;
+
+  const aId = tournamentMatch.participant_a?.participant_id?.toString();
+  const bId = tournamentMatch.participant_b?.participant_id?.toString();
+  const winnerId = matchResult.winner_id?.toString();
+
+  if (matchResult.retired) {
+    if (aGames === gamesToWin || bGames === gamesToWin) {
+      errors.push('The match was already won before the retirement');
+    }
+    return errors;
+  }
+
+  if (aGames < gamesToWin && bGames < gamesToWin) {
+    errors.push(`Nobody has won ${gamesToWin} games (${aGames}-${bGames})`);
+  } else {
+    const gamesWinnerId = aGames === gamesToWin ? aId : bId;
+    if (winnerId !== gamesWinnerId) {
+      errors.push('winner_id did not win the majority of games');
+    }
+  }
+
+  return errors;
+}
+
+// 'a'/'b' for the player who won more of the submitted games, null if level
+// or if the result can't be read from the games (walkover, retirement)
+function deriveMatchWinner(matchResult) {
+  if (matchResult.walkover || matchResult.retired) return null;
+  let aGames = 0;
+  let bGames = 0;
+  (matchResult.game_scores || []).forEach((score) => {
+    if (score.player1 > score.player2) aGames++;
+    else if (score.player2 > score.player1) bGames++;
+  });
+  return aGames > bGames ? 'a' : bGames > aGames ? 'b' : null;
+}
+
+/**
+ * Validate the per-game scores of a team fixture's strings. Strings only
+ * record game_scores optionally, so only the games given are checked, along
+ * with the string's game counts. Returns a list of error messages.
+ */
+function validateFixtureScores(matchResult, rules) {
+  const errors = [];
+  (matchResult.string_results || []).forEach((string) => {
+    const games = string.game_scores || [];
+    if (games.length === 0) return;
+
+    const errorCount = errors.length;
+    let aGames = 0;
+    let bGames = 0;
+    games.forEach((game, i) => {
+      const score = { player1: game.team_a, player2: game.team_b };
+      const error = validateGame(score, rules);
+      if (error) {
+        errors.push(`String ${string.string_number}, game ${i + 1}: ${error}`);
+      } else if (game.team_a > game.team_b) aGames++;
+      else bGames++;
+    });
+
+    if (errors.length === errorCount && (aGames !== string.team_a_games || bGames !== string.team_b_games)) {
+      errors.push(`String ${string.string_number}: game scores give ${aGames}-${bGames}, not ${string.team_a_games}-${string.team_b_games}`);
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  getScoringRules,
+  gameWinner,
+  validateGame,
+  validateMatchScores,
+  validateFixtureScores,
+  deriveMatchWinner,
+};
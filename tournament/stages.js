@@ -0,0 +1,127 @@
+/**
+ * Multi-stage tournaments
+ *
+ * A tournament's own format/config is stage 0; `tournament.stages` lists the
+ * formats played after it. When a stage finishes, its final results seed the
+ * next stage: grouped results (e.g. team round robin divisions) keep their
+ * group as `division_index` and finishing position as `seed` when the next
+ * format plays in divisions, and are otherwise interleaved into one run of
+ * seeds (group winners first: A1, B1, A2, B2, ...); ranked results are
+ * re-seeded 1..n in finishing order.
+ */
+const { TEAM_FORMATS, DIVISION_FORMATS } = require('./formatMeta');
+
+// Config and definition of stage `index` (defaults to the current stage)
+function getStage(tournament, index = tournament.current_stage || 0) {
+  const plain = typeof tournament.toObject === 'function' ? tournament.toObject() : tournament;
+  const config = plain.config || {};
+
+  if (index === 0) {
+    return { index, name: plain.name, format: plain.format, config };
+  }
+
+  const stage = (plain.stages || [])[index - 1];
+  if (!stage) return null;
+
+  // Later stages inherit the tournament's match/scheduling config, but not
+  // its dates: a stage is only dated by a calendar or dates of its own
+  return {
+    index,
+    name: stage.name || `Stage ${index + 1}`,
+    format: stage.format,
+    config: { ...config, fixture_calendar: {}, fixture_dates: {}, ...(stage.config || {}) },
+    advance: stage.advance,
+    advance_per_group: stage.advance_per_group,
+  };
+}
+
+function hasNextStage(tournament) {
+  return (tournament.current_stage || 0) < (tournament.stages || []).length;
+}
+
+// Every stage must be played by the same kind of participant
+function validateStages(format, stages = []) {
+  const team = TEAM_FORMATS.has(format);
+  const mismatched = stages.filter((stage) => TEAM_FORMATS.has(stage.format) !== team);
+  return mismatched.length === 0
+    ? []
+    : ['Every stage must use team formats, or none of them'];
+}
+
+/**
+ * Build the participants for the next stage from the finished stage's final
+ * results. Returns plain participant objects (the stored participants keep
+ * their original seeds); withdrawn participants don't carry over.
+ */
+function seedStage(finalResults, participants, stage = {}) {
+  const byId = new Map(
+    participants.map((p) => {
+      const plain = typeof p.toObject === 'function' ? p.toObject() : p;
+      return [plain._id.toString(), plain];
+    })
+  );
+
+  let results = finalResults.filter((r) => {
+    const participant = r.participant_id && byId.get(r.participant_id.toString());
+    return participant && !participant.withdrawn;
+  });
+
+  if (stage.advance_per_group) {
+    results = results.filter((r) => r.group_position == null || r.group_position <= stage.advance_per_group);
+  }
+
+  const grouped = results.length > 0 && results.every((r) => r.position == null && r.group_position != null);
+  const groupOrder = [...new Set(results.map((r) => r.group))];
+  const divisions = grouped && DIVISION_FORMATS.has(stage.format);
+  if (grouped && !divisions) {
+    results = [...results].sort(
+      (a, b) => a.group_position - b.group_position || groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group)
+    );
+  } else if (!grouped) {
+    results = [...results].sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+  }
+  if (stage.advance) {
+    results = results.slice(0, stage.advance);
+  }
+
+  return results.map((r, index) => {
+    const participant = byId.get(r.participant_id.toString());
+    if (!divisions) {
+      return { ...participant, seed: index + 1, division_index: undefined };
+    }
+    return { ...participant, seed: r.group_position, division_index: groupOrder.indexOf(r.group) };
+  });
+}
+
+/**
+ * Overall final results across stages (earliest stage first): everyone in
+ * the last stage keeps their placing, players knocked out earlier follow in
+ * bands by how they finished the stage they went out in.
+ */
+function mergeStageResults(stageResults) {
+  const [last = [], ...earlier] = [...stageResults].reverse();
+  const merged = [...last];
+  const seen = new Set(last.map((r) => r.participant_id?.toString()));
+
+  earlier.forEach((results) => {
+    const rank = (r) => r.group_position ?? r.position ?? Infinity;
+    const leftovers = results
+      .filter((r) => !seen.has(r.participant_id?.toString()))
+      .sort((a, b) => rank(a) - rank(b));
+
+    let i = 0;
+    while (i < leftovers.length) {
+      const band = leftovers.filter((r) => rank(r) === rank(leftovers[i]));
+      const position = merged.length + 1;
+      band.forEach((r) => {
+        merged.push({ ...r, position, position_to: position + band.length - 1 });
+        seen.add(r.participant_id?.toString());
+      });
+      i += band.length;
+    }
+  });
+
+  return merged;
+}
+
+module.exports = { getStage, hasNextStage, validateStages, seedStage, mergeStageResults };